@@ -8,23 +8,28 @@ import { loadConfig } from '../src/config.mjs';
 import { runSanityCheck } from '../src/common/check.mjs';
 
 // --- team-relay (generic room/comms) ---
-import { tailReceipts } from '../src/team-relay/receipt.mjs';
+import { tailReceipts, verifyReceipts } from '../src/team-relay/receipt.mjs';
+import { FORMATS, receiptFilters, queryReceipts, followReceipts, formatReceipts, formatHeader, formatRow, traceTimeline } from '../src/team-relay/receipt-query.mjs';
+import { queueNext, queueAck, queueNack, queuePending, compactQueue } from '../src/team-relay/queue-consumer.mjs';
 import { startWebhookServer } from '../src/team-relay/webhook-server.mjs';
 import { emitJson } from '../src/team-relay/emit.mjs';
 import { startRoomPoller, checkRoomMessages } from '../src/team-relay/room-poller.mjs';
 import { memoryList, memoryGet, memorySet, memoryAppend, memoryDelete, memorySearch } from '../src/team-relay/memory.mjs';
 import { moltbookPost, moltbookFeed } from '../src/team-relay/moltbook.mjs';
-import { startRoomAutomation } from '../src/team-relay/room-automation.mjs';
+import { startRoomAutomation, dryRunRules, loadReplayMessages, fetchReplayMessages } from '../src/team-relay/room-automation.mjs';
 import { pollDiscord, startDiscordPoller } from '../src/team-relay/discord-poller.mjs';
-import { UnifiedPoller } from '../src/team-relay/unified-poller.mjs';
+import { UnifiedPoller, breakerFile } from '../src/team-relay/unified-poller.mjs';
+import { CircuitBreaker } from '../src/team-relay/common/circuit-breaker.mjs';
 import { antfarmAdapter } from '../src/team-relay/adapters/antfarm.mjs';
 import { discordAdapter } from '../src/team-relay/adapters/discord.mjs';
 import { xforAdapter } from '../src/team-relay/adapters/xfor.mjs';
 import { commentsAdapter } from '../src/team-relay/adapters/comments.mjs';
 import { isEnabled as acpIsEnabled, createSession as acpCreate, sendToSession as acpSend, closeSession as acpClose, getSession as acpGet, listSessions as acpList } from '../src/team-relay/acp-sessions.mjs';
-import { initTaskQueue, addTask, startTask, completeTask, failTask, cancelTask, queueTask, draftTask, installTask, vote, reviewTask, setStatus, listTasks, nextTask, missionControlData } from '../src/team-relay/task-queue.mjs';
+import { initTaskQueue, addTask, startTask, completeTask, failTask, cancelTask, queueTask, draftTask, installTask, vote, reviewTask, setStatus, overrideStatus, commentTask, describeHistoryEntry, governanceFor, tallyVotes, getTask, listTasks, nextTask, missionControlData } from '../src/team-relay/task-queue.mjs';
 import { startMissionControl } from '../src/team-relay/mission-control.mjs';
 // --- ide-specific ---
+import { configureStorage, storageSettings, sqliteAvailable, SqliteStore } from '../src/common/storage.mjs';
+import { migrateToSqlite } from '../src/team-relay/storage-migrate.mjs';
 import { tmuxRun } from '../src/ide/tmux-runner.mjs';
 import { watchQueue } from '../src/ide/watch.mjs';
 import { pollComments, startCommentPoller } from '../src/ide/comment-poller.mjs';
@@ -52,8 +57,9 @@ Usage:
   ide-agent-kit serve [--config <path>]
     Start webhook relay server for inbound GitHub events.
 
-  ide-agent-kit tmux run --cmd <command> [--session <name>] [--cwd <path>] [--timeout-sec <sec>] [--config <path>]
+  ide-agent-kit tmux run --cmd <command> [--session <name>] [--cwd <path>] [--timeout-sec <sec>] [--requires-approval] [--approval-timeout-sec <sec>] [--trace-id <id>] [--config <path>]
     Run an allowlisted command in a tmux session. Captures output + exit code, appends receipt.
+    --requires-approval (or tmux.requires_approval) files the command for approval and waits for exec resolve.
 
   ide-agent-kit emit --to <url> --json <file>
     POST a receipt or event JSON to a webhook target.
@@ -61,9 +67,35 @@ Usage:
   ide-agent-kit receipt tail [--n <count>] [--config <path>]
     Print the last N receipts as JSON.
 
+  ide-agent-kit receipt query [--trace <id>] [--actor <name>] [--kind <glob>] [--status <s,...>]
+                              [--since <time>] [--until <time>] [--limit <n>]
+                              [--format table|json|ndjson|csv] [--follow] [--config <path>]
+    Filter receipts. Times are ISO timestamps or ages like 30m, 2h, 7d; --kind takes
+    a glob such as "acp.*". --follow keeps printing new matches (json streams as ndjson).
+
+  ide-agent-kit receipt trace <trace_id> [--format table|json] [--config <path>]
+    Timeline of one trace: queue events, receipts and ACP session messages.
+
+  ide-agent-kit receipt verify [--config <path>]
+    Check receipt signatures and the prev_hash chain (receipts.signing).
+    Reports the first modified, removed or reordered receipt and exits 1.
+
   ide-agent-kit watch [--config <path>]
     Watch the event queue and nudge IDE tmux session on new events.
 
+  ide-agent-kit queue <next|ack|nack|pending|compact> [--consumer <name>] [--config <path>]
+    Read the event queue with a per-consumer cursor.
+    next:    Lease the next unhandled event and print it as JSON.
+    ack:     <event_id>  Mark an event handled (writes a receipt).
+    nack:    <event_id> [--reason <text>]  Release a leased event for redelivery.
+    pending: List events this consumer has not acknowledged.
+    compact: Drop events every registered consumer has acknowledged.
+
+  ide-agent-kit storage migrate [--path <db>] [--config <path>]
+    Copy queue, receipts, tasks, ACP sessions, exec approvals and seen IDs
+    from their files into the SQLite database (storage.path, default ./ide-agent-kit.db).
+    Then set storage.backend to "sqlite". Needs Node.js 22.5+ (node:sqlite).
+
   ide-agent-kit rooms check [--config <path>]
     Read and display new room messages from the notification file, then clear it.
     This is the primary way to retrieve messages from the poller.
@@ -96,9 +128,13 @@ Usage:
 
   ide-agent-kit exec <list|request|resolve> [options]
     Execution approval governance (integrates with thinkoff-judge-core).
-    list:    [--agent <id>] [--status pending|resolved|all]
+    list:    [--agent <id>] [--status pending|resolved|expired|all]
+             [--outcome auto-allow|auto-deny|manual] [--older-than <sec>] [--newer-than <sec>]
     request: --command <cmd> [--agent <id>] [--cwd <path>]
-    resolve: --request-id <id> --decision <allow-once|allow-always|deny> [--reason <text>]
+    resolve: --request-id <id> --decision <allow|allow-once|allow-always|deny> [--by <handle>] [--reason <text>]
+             --by must be listed in exec.resolvers when that list is set.
+    exec.policyFile (default ./exec-policy.json) auto-approves/denies by glob, sets the
+    approver quorum and expires pending requests after ttl_sec.
 
   ide-agent-kit hooks <list|create|delete> [options]
     OpenClaw event hook management.
@@ -128,6 +164,9 @@ Usage:
   ide-agent-kit automate --rooms <room1,room2> --api-key <key> --handle <@handle> [--interval <sec>] [--config <path>]
     Run rule-based automation on room messages.
     Rules are defined in config under automation.rules.
+  ide-agent-kit automate test --from <messages.jsonl> [--room <slug>] [--handle <@handle>] [--json] [--config <path>]
+  ide-agent-kit automate replay --room <slug> [--limit <n>] --api-key <key> [--handle <@handle>] [--json] [--config <path>]
+    Dry run: show which rules would fire on saved or recent messages, without posting, exec'ing or nudging.
 
   ide-agent-kit comments <poll|watch> [options]
     Poll Moltbook posts and GitHub issues/discussions for new comments.
@@ -154,13 +193,22 @@ Usage:
 
   ide-agent-kit acp <spawn|list|status|send|close> [options]
     Agent Client Protocol (ACP) session management. Locked internal mode.
-    spawn:  --agent <handle> --task <text> [--harness <id>] [--mode one-shot|persistent]
+    spawn:  --agent <handle> --task <text> [--harness <id>] [--mode one-shot|persistent] [--trace-id <id>]
     list:   [--status active|closed|expired]
     status: --session <id>
     send:   --session <id> --body <text> [--from <handle>]
     close:  --session <id> [--reason <text>]
     Config: acp.enabled, acp.token, acp.allowed_agents, acp.allowed_harnesses
 
+  ide-agent-kit tasks <add|vote|queue|start|draft|review|install|done|fail|cancel|override|comment|show|next|status|serve> [options]
+    Task queue with voting and code review. serve [--port 4800] starts Mission Control,
+    a board UI with live updates (Server-Sent Events on /api/events).
+    Moves follow the lifecycle; override --task <id> --status <s> --by <handle> [--reason <text>]
+    lets a human in tasks.owners skip it (recorded on the task). Moves take an optional --by <handle>.
+    comment --task <id> --agent <handle> --body <text>; show <id> [--format json] prints the history.
+    Config: tasks.mission_control.host, .allow_lan, .tokens ([{ handle, roles, token_env }]);
+    tasks.governance thresholds, quorum_pct, agents ({ handle: { weight, veto } }) and per-type overrides
+
   ide-agent-kit init [--ide <claude-code|codex|cursor|vscode|gemini>] [--profile <balanced|low-friction>]
     Generate starter config for your IDE.
 `);
@@ -188,7 +236,29 @@ function gwOpts(opts) {
   };
 }
 
+/**
+ * Open the configured storage backend before any command touches state.
+ * `storage migrate` reads the files, so it keeps the file backend.
+ */
+function setupStorage() {
+  if (command === 'storage') return;
+  let config;
+  try {
+    config = loadConfig(parseKV(args, command).config);
+  } catch {
+    return; // the command itself reports a broken config
+  }
+  try {
+    configureStorage(config);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
 async function main() {
+  setupStorage();
+
   if (command === 'check') {
     const opts = parseKV(args, 'check');
     const config = loadConfig(opts.config);
@@ -220,9 +290,14 @@ async function main() {
   if (command === 'serve') {
     const opts = parseKV(args, 'serve');
     const config = loadConfig(opts.config);
-    startWebhookServer(config, (event) => {
-      console.log(`Event queued: ${event.kind} (${event.trace_id})`);
-    });
+    try {
+      startWebhookServer(config, (event) => {
+        console.log(`Event queued: ${event.kind} (${event.trace_id})`);
+      });
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
     return;
   }
 
@@ -238,6 +313,9 @@ async function main() {
       cmd: opts.cmd,
       cwd: opts.cwd,
       timeoutSec: opts['timeout-sec'] ? parseInt(opts['timeout-sec']) : undefined,
+      requiresApproval: opts['requires-approval'] ? true : undefined,
+      approvalTimeoutSec: opts['approval-timeout-sec'] ? parseInt(opts['approval-timeout-sec']) : undefined,
+      traceId: opts['trace-id'],
       config
     });
     console.log(JSON.stringify(receipt, null, 2));
@@ -277,6 +355,86 @@ async function main() {
     return;
   }
 
+  if (command === 'receipt' && subcommand === 'query') {
+    const opts = parseKV(args, 'query');
+    const config = loadConfig(opts.config);
+    const format = opts.format || 'table';
+    if (!FORMATS.includes(format)) {
+      console.error(`Error: --format must be one of ${FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+    const parsed = receiptFilters({
+      traceId: opts.trace, actor: opts.actor, kind: opts.kind, status: opts.status, since: opts.since, until: opts.until
+    });
+    if (!parsed.ok) {
+      console.error(`Error: ${parsed.error}`);
+      process.exit(1);
+    }
+    const receipts = queryReceipts(config.receipts.path, parsed.filters, { limit: opts.limit ? parseInt(opts.limit) : 0 });
+    if (!opts.follow) {
+      if (receipts.length === 0 && format === 'table') console.log('No matching receipts.');
+      else console.log(formatReceipts(receipts, format));
+      return;
+    }
+    const streamFormat = format === 'json' ? 'ndjson' : format;
+    const header = formatHeader(streamFormat);
+    if (header) console.log(header);
+    receipts.forEach(r => console.log(formatRow(r, streamFormat)));
+    const follower = followReceipts(config.receipts.path, parsed.filters, r => console.log(formatRow(r, streamFormat)));
+    process.on('SIGINT', () => {
+      follower.close();
+      process.exit(0);
+    });
+    return;
+  }
+
+  if (command === 'receipt' && subcommand === 'trace') {
+    const opts = parseKV(args, 'trace');
+    const config = loadConfig(opts.config);
+    const traceId = opts.trace || (args[2] && !args[2].startsWith('--') ? args[2] : null);
+    if (!traceId) {
+      console.error('Error: ide-agent-kit receipt trace <trace_id> is required');
+      process.exit(1);
+    }
+    const timeline = traceTimeline(config, traceId);
+    if (opts.format === 'json') {
+      console.log(JSON.stringify({ trace_id: traceId, timeline }, null, 2));
+      return;
+    }
+    if (timeline.length === 0) {
+      console.log(`Nothing recorded for trace ${traceId}.`);
+      return;
+    }
+    console.log(`Trace ${traceId} (${timeline.length} entries):\n`);
+    for (const e of timeline) {
+      const who = e.actor ? ` ${e.actor}` : '';
+      const status = e.status ? ` [${e.status}]` : '';
+      console.log(`  ${(e.at || '?').slice(0, 19)}  ${e.source.padEnd(7)}  ${e.kind}${status}${who}${e.summary ? ` — ${e.summary}` : ''}`);
+    }
+    return;
+  }
+
+  if (command === 'receipt' && subcommand === 'verify') {
+    const opts = parseKV(args, 'verify');
+    const config = loadConfig(opts.config);
+    let result;
+    try {
+      result = verifyReceipts(config.receipts.path, config.receipts);
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+    if (!result.ok) {
+      const { index, trace_id, reason } = result.broken;
+      console.error(`Receipt #${index}${trace_id ? ` (trace ${trace_id})` : ''}: ${reason}`);
+      console.error(`${index - 1} receipt(s) before it verified.`);
+      process.exit(1);
+    }
+    if (result.truncated) console.log('Note: the chain starts mid-way; earlier receipts were pruned by retention or removed.');
+    console.log(`OK: ${result.signed} signed receipt(s) verified, ${result.unsigned} unsigned from before signing was enabled.`);
+    return;
+  }
+
   if (command === 'watch') {
     const opts = parseKV(args, 'watch');
     const config = loadConfig(opts.config);
@@ -290,6 +448,73 @@ async function main() {
     return;
   }
 
+  if (command === 'storage') {
+    const opts = parseKV(args, subcommand || 'storage');
+    if (subcommand !== 'migrate') {
+      console.error('Usage: ide-agent-kit storage migrate [--path <db>] [--config <path>]');
+      process.exit(1);
+    }
+    const config = loadConfig(opts.config);
+    if (!sqliteAvailable()) {
+      console.error('Error: storage migrate needs node:sqlite (Node.js 22.5 or newer)');
+      process.exit(1);
+    }
+    const path = opts.path || storageSettings(config).path;
+    const store = new SqliteStore(path);
+    try {
+      const result = migrateToSqlite(config, store);
+      console.log(JSON.stringify({ path, ...result }, null, 2));
+      if (storageSettings(config).backend !== 'sqlite') {
+        console.log('Set "storage": { "backend": "sqlite" } in your config to start using it.');
+      }
+    } finally {
+      store.close();
+    }
+    return;
+  }
+
+  // ── Queue Consumer ─────────────────────────────────────
+  if (command === 'queue') {
+    const opts = parseKV(args, subcommand || 'queue');
+    const config = loadConfig(opts.config);
+    const consumer = opts.consumer || config.queue.consumer || 'default';
+    const eventId = opts.event || (args[2] && !args[2].startsWith('--') ? args[2] : null);
+
+    if (subcommand === 'next') {
+      const result = queueNext(config, consumer);
+      if (!result.event) { console.log('No pending events.'); return; }
+      console.log(JSON.stringify(result.event, null, 2));
+      return;
+    }
+    if (subcommand === 'ack' || subcommand === 'nack') {
+      if (!eventId) { console.error(`Error: ide-agent-kit queue ${subcommand} <event_id> is required`); process.exit(1); }
+      const result = subcommand === 'ack'
+        ? queueAck(config, consumer, eventId)
+        : queueNack(config, consumer, eventId, { reason: opts.reason });
+      if (!result.ok) { console.error(`${subcommand} failed: ${result.error}`); process.exit(1); }
+      console.log(`${subcommand === 'ack' ? 'Acked' : 'Released'} ${eventId} (${result.event.kind || '?'}) for ${consumer}`);
+      return;
+    }
+    if (subcommand === 'pending') {
+      const result = queuePending(config, consumer);
+      if (result.count === 0) { console.log(`No pending events for ${consumer}.`); return; }
+      console.log(`${result.count} pending event(s) for ${consumer}:\n`);
+      for (const { event, leased_at } of result.events) {
+        const ts = (event.timestamp || '').slice(0, 19);
+        console.log(`  ${event.event_id || event.trace_id}  ${ts}  ${(event.kind || '?').padEnd(30)}${leased_at ? '  (leased)' : ''}`);
+      }
+      return;
+    }
+    if (subcommand === 'compact') {
+      const result = compactQueue(config);
+      if (!result.ok) { console.error(`compact failed: ${result.error}`); process.exit(1); }
+      console.log(`Compacted ${config.queue.path}: dropped ${result.dropped}, kept ${result.kept}, removed ${result.segments_removed.length} segment(s)`);
+      return;
+    }
+    console.error('Usage: ide-agent-kit queue <next|ack|nack|pending|compact> [--consumer <name>]');
+    process.exit(1);
+  }
+
   // ── Rooms ──────────────────────────────────────────────
   if (command === 'rooms') {
     const opts = parseKV(args, subcommand || 'rooms');
@@ -532,7 +757,10 @@ async function main() {
     if (subcommand === 'list') {
       const result = await execApprovalList(config, {
         agentId: opts.agent,
-        status: opts.status
+        status: opts.status,
+        outcome: opts.outcome,
+        olderThanSec: opts['older-than'] != null ? Number(opts['older-than']) : undefined,
+        newerThanSec: opts['newer-than'] != null ? Number(opts['newer-than']) : undefined
       }, gw);
       console.log(JSON.stringify(result.data || result, null, 2));
       return;
@@ -552,9 +780,14 @@ async function main() {
       const result = await execApprovalResolve(config, {
         requestId: opts['request-id'],
         decision: opts.decision,
+        resolvedBy: opts.by,
         reason: opts.reason
       }, gw);
-      console.log(JSON.stringify(result.data || result, null, 2));
+      if (!result.ok) {
+        console.error(`Error: ${result.error}`);
+        process.exit(1);
+      }
+      console.log(JSON.stringify(result.data, null, 2));
       return;
     }
     console.error('Usage: ide-agent-kit exec <list|request|resolve>');
@@ -763,6 +996,58 @@ async function main() {
   }
 
   // ── Room Automation ─────────────────────────────────────
+  if (command === 'automate' && (subcommand === 'test' || subcommand === 'replay')) {
+    const opts = parseKV(args, subcommand);
+    const config = loadConfig(opts.config);
+    let report;
+    try {
+      let messages;
+      if (subcommand === 'test') {
+        if (!opts.from) {
+          console.error('Usage: ide-agent-kit automate test --from <messages.jsonl> [--room <slug>] [--handle <@handle>] [--json]');
+          process.exit(1);
+        }
+        messages = loadReplayMessages(opts.from, opts.room);
+      } else {
+        const apiKey = opts['api-key'] || config?.poller?.api_key;
+        if (!opts.room || !apiKey) {
+          console.error('Usage: ide-agent-kit automate replay --room <slug> [--limit <n>] --api-key <key> [--handle <@handle>] [--json]');
+          process.exit(1);
+        }
+        messages = await fetchReplayMessages(opts.room, apiKey, parseInt(opts.limit || '50', 10), config);
+      }
+      report = dryRunRules(messages, config, { handle: opts.handle });
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+
+    if (opts.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+    for (const r of report.results) {
+      if (r.decisions.length === 0 && !r.self) continue;
+      const ts = (r.created_at || '').slice(0, 19);
+      console.log(`[${ts}] [${r.room}] ${r.sender}: ${r.body.replace(/\n/g, ' ').slice(0, 100)}`);
+      if (r.self) {
+        console.log('  skipped (own message)');
+        continue;
+      }
+      for (const d of r.decisions) {
+        const a = d.action;
+        const what = a.type === 'post' ? `post to ${a.room}: ${a.body.slice(0, 80)}`
+          : a.type === 'exec' ? `exec: ${JSON.stringify(a.argv).slice(0, 80)}${a.error ? ` (${a.error})` : ''}`
+          : `nudge: ${a.text}`;
+        const label = { fire: 'would fire', cooldown: 'suppressed (cooldown)', budget: 'suppressed (hourly budget)', ack_only: 'filtered (ack-only post)', denied: 'denied (exec policy)', needs_approval: 'would request approval' }[d.outcome];
+        console.log(`  ${d.rule}: ${label} → ${what}`);
+      }
+    }
+    const s = report.summary;
+    console.log(`\n${s.messages} message(s): ${s.fire} would fire, ${s.cooldown} cooldown, ${s.budget} budget, ${s.ack_only} ack-only, ${s.denied} denied, ${s.needs_approval} awaiting approval`);
+    return;
+  }
+
   if (command === 'automate') {
     const opts = parseKV(args, 'automate');
     if (!opts.rooms || !opts['api-key'] || !opts.handle) {
@@ -771,13 +1056,18 @@ async function main() {
       process.exit(1);
     }
     const config = loadConfig(opts.config);
-    await startRoomAutomation({
-      rooms: opts.rooms.split(','),
-      apiKey: opts['api-key'],
-      handle: opts.handle,
-      interval: opts.interval ? parseInt(opts.interval) : undefined,
-      config
-    });
+    try {
+      await startRoomAutomation({
+        rooms: opts.rooms.split(','),
+        apiKey: opts['api-key'],
+        handle: opts.handle,
+        interval: opts.interval ? parseInt(opts.interval) : undefined,
+        config
+      });
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
     return;
   }
 
@@ -787,7 +1077,7 @@ async function main() {
     const config = loadConfig(opts.config);
 
     if (subcommand === 'poll') {
-      const comments = pollComments(config);
+      const comments = await pollComments(config);
       if (comments.length === 0) {
         console.log('No new comments.');
       } else {
@@ -913,6 +1203,15 @@ async function main() {
         const cfgKey = name === 'antfarm' ? 'poller' : name;
         const hasCfg = !!(config?.[cfgKey]);
         console.log(`  ${name}: ${hasCfg ? 'configured' : 'not configured'}`);
+        const targets = CircuitBreaker.load(breakerFile(config, name));
+        for (const [target, t] of Object.entries(targets)) {
+          if (t.state === 'closed' && t.failures === 0) {
+            console.log(`    ${target}: ok`);
+            continue;
+          }
+          const retry = t.next_attempt_at ? `, retry after ${t.next_attempt_at}` : '';
+          console.log(`    ${target}: ${t.state} (${t.failures} failure(s)${retry}) ${t.last_error || ''}`.trimEnd());
+        }
       }
       return;
     }
@@ -937,7 +1236,8 @@ async function main() {
         agentId: opts.agent,
         task: opts.task,
         harnessId: opts.harness,
-        mode: opts.mode || 'one-shot'
+        mode: opts.mode || 'one-shot',
+        traceId: opts['trace-id']
       });
       if (!result.ok) {
         console.error(`ACP spawn failed: ${result.error}`);
@@ -945,6 +1245,7 @@ async function main() {
       }
       console.log(`ACP session created:`);
       console.log(`  ID: ${result.session.id}`);
+      console.log(`  Trace: ${result.session.trace_id}`);
       console.log(`  Agent: ${result.session.agent_id || 'none'}`);
       console.log(`  Task: ${result.session.task}`);
       console.log(`  Mode: ${result.session.mode}`);
@@ -1011,9 +1312,15 @@ async function main() {
   // ── Tasks / Mission Control ─────────────────────────
   if (command === 'tasks') {
     const opts = parseKV(args, subcommand || 'tasks');
-    const config = loadConfig(opts.config);
+    let config;
+    try {
+      config = loadConfig(opts.config);
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
     const tasksFile = config.tasks?.file || '.iak-tasks.json';
-    initTaskQueue(tasksFile);
+    initTaskQueue(tasksFile, { receipts: config.receipts, governance: config.tasks?.governance, owners: config.tasks?.owners });
 
     if (subcommand === 'add') {
       if (!opts.agent || !opts.title) { console.error('Error: --agent and --title are required'); process.exit(1); }
@@ -1024,42 +1331,48 @@ async function main() {
 
     if (subcommand === 'vote') {
       if (!opts.task || !opts.agent || !opts.decision) { console.error('Error: --task, --agent, and --decision (approve|reject) are required'); process.exit(1); }
-      const task = vote(opts.task, opts.agent, opts.decision);
-      if (!task) { console.error('Task not found or invalid decision'); process.exit(1); }
-      const approves = Object.values(task.votes).filter(v => v === 'approve').length;
-      const rejects = Object.values(task.votes).filter(v => v === 'reject').length;
-      console.log(`Vote recorded: ${opts.agent} → ${opts.decision}  [${approves} approve, ${rejects} reject]  Status: ${task.status}`);
+      const result = vote(opts.task, opts.agent, opts.decision);
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
+      const rules = governanceFor(task);
+      const tally = tallyVotes(task, rules);
+      const quorum = tally.quorum ? '' : '  (no quorum yet)';
+      console.log(`Vote recorded: ${opts.agent} → ${opts.decision}  [${tally.approve} approve, ${tally.reject} reject of ${rules.vote_threshold}]${quorum}  Status: ${task.status}`);
       return;
     }
 
     if (subcommand === 'queue') {
       if (!opts.task) { console.error('Error: --task is required'); process.exit(1); }
-      const task = queueTask(opts.task);
-      if (!task) { console.error('Task not found'); process.exit(1); }
+      const result = queueTask(opts.task, { by: opts.by });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       console.log(`Task ${task.id} queued: ${task.title}`);
       return;
     }
 
     if (subcommand === 'start') {
       if (!opts.task) { console.error('Error: --task is required'); process.exit(1); }
-      const task = startTask(opts.task);
-      if (!task) { console.error('Task not found'); process.exit(1); }
+      const result = startTask(opts.task, { by: opts.by });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       console.log(`Task ${task.id} active: ${task.title}`);
       return;
     }
 
     if (subcommand === 'draft') {
       if (!opts.task) { console.error('Error: --task is required'); process.exit(1); }
-      const task = draftTask(opts.task);
-      if (!task) { console.error('Task not found'); process.exit(1); }
+      const result = draftTask(opts.task, { by: opts.by });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       console.log(`Task ${task.id} drafted (review round ${task.review_round}): ${task.title}`);
       return;
     }
 
     if (subcommand === 'review') {
       if (!opts.task || !opts.reviewer || !opts.decision) { console.error('Error: --task, --reviewer, and --decision (approve|changes_requested) are required'); process.exit(1); }
-      const task = reviewTask(opts.task, opts.reviewer, opts.decision);
-      if (!task) { console.error('Task not found, self-review, or invalid decision'); process.exit(1); }
+      const result = reviewTask(opts.task, opts.reviewer, opts.decision);
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       const approvals = Object.values(task.reviews).filter(v => v === 'approve').length;
       console.log(`Review: ${opts.reviewer} → ${opts.decision}  [${approvals} approvals]  Status: ${task.status}`);
       return;
@@ -1067,36 +1380,74 @@ async function main() {
 
     if (subcommand === 'install') {
       if (!opts.task) { console.error('Error: --task is required'); process.exit(1); }
-      const task = installTask(opts.task);
-      if (!task) { console.error('Task not found'); process.exit(1); }
+      const result = installTask(opts.task, { by: opts.by });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       console.log(`Task ${task.id} installed: ${task.title}`);
       return;
     }
 
     if (subcommand === 'done') {
       if (!opts.task) { console.error('Error: --task is required'); process.exit(1); }
-      const task = completeTask(opts.task, opts.result || null);
-      if (!task) { console.error('Task not found'); process.exit(1); }
+      const result = completeTask(opts.task, opts.result || null, { by: opts.by });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       console.log(`Task ${task.id} completed: ${task.title}`);
       return;
     }
 
     if (subcommand === 'fail') {
       if (!opts.task) { console.error('Error: --task is required'); process.exit(1); }
-      const task = failTask(opts.task, opts.reason || null);
-      if (!task) { console.error('Task not found'); process.exit(1); }
+      const result = failTask(opts.task, opts.reason || null, { by: opts.by });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       console.log(`Task ${task.id} failed: ${task.title}`);
       return;
     }
 
     if (subcommand === 'cancel') {
       if (!opts.task) { console.error('Error: --task is required'); process.exit(1); }
-      const task = cancelTask(opts.task);
-      if (!task) { console.error('Task not found'); process.exit(1); }
+      const result = cancelTask(opts.task, { by: opts.by });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const task = result.task;
       console.log(`Task ${task.id} cancelled`);
       return;
     }
 
+    if (subcommand === 'comment') {
+      if (!opts.task || !opts.agent || !opts.body) { console.error('Error: --task, --agent, and --body are required'); process.exit(1); }
+      const result = commentTask(opts.task, opts.agent, opts.body);
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      console.log(`Comment added to ${result.task.id}`);
+      return;
+    }
+
+    if (subcommand === 'show') {
+      const taskId = opts.task || (args[2] && !args[2].startsWith('--') ? args[2] : null);
+      if (!taskId) { console.error('Error: usage: tasks show <id> [--format json]'); process.exit(1); }
+      const task = getTask(taskId);
+      if (!task) { console.error(`Error: Task ${taskId} not found`); process.exit(1); }
+      if (opts.format === 'json') { console.log(JSON.stringify(task, null, 2)); return; }
+      console.log(`Task ${task.id}  [${task.type}${task.hotfix ? ', hotfix' : ''}]  ${task.agent}  ${task.title}`);
+      console.log(`Status: ${task.status}  Priority: ${task.priority}  Review round: ${task.review_round}${task.trace_id ? `  Trace: ${task.trace_id}` : ''}`);
+      const history = task.history || [];
+      if (history.length === 0) { console.log('\nNo history recorded.'); return; }
+      console.log('\nHistory:');
+      for (const e of history) {
+        console.log(`  ${e.at.slice(0, 19)}  ${String(e.actor || '-').padEnd(15)} ${describeHistoryEntry(e)}`);
+      }
+      return;
+    }
+
+    if (subcommand === 'override') {
+      if (!opts.task || !opts.status || !opts.by) { console.error('Error: --task, --status, and --by <human handle> are required'); process.exit(1); }
+      const result = overrideStatus(opts.task, opts.status, { by: opts.by, reason: opts.reason || null });
+      if (!result.ok) { console.error(`Error: ${result.error}`); process.exit(1); }
+      const claimed = result.task.overrides.at(-1).self_asserted ? ' (self-asserted: tasks.owners is not set)' : '';
+      console.log(`Task ${result.task.id} overridden to ${result.task.status} by ${opts.by}${claimed}`);
+      return;
+    }
+
     if (subcommand === 'next') {
       if (!opts.agent) { console.error('Error: --agent is required'); process.exit(1); }
       const task = nextTask(opts.agent);
@@ -1117,12 +1468,16 @@ async function main() {
     }
 
     if (subcommand === 'serve') {
-      const port = parseInt(opts.port || '4800', 10);
-      startMissionControl(config, port);
+      try {
+        startMissionControl(config, opts.port ? parseInt(opts.port, 10) : undefined);
+      } catch (e) {
+        console.error(`Error: ${e.message}`);
+        process.exit(1);
+      }
       return;
     }
 
-    console.error('Usage: ide-agent-kit tasks <add|vote|queue|start|draft|review|install|done|fail|cancel|next|status|serve>');
+    console.error('Usage: ide-agent-kit tasks <add|vote|queue|start|draft|review|install|done|fail|cancel|override|comment|show|next|status|serve>');
     process.exit(1);
   }
 
@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { execFileSync } from 'node:child_process';
 import { randomUUID } from 'node:crypto';
+import { getJson, httpOptions } from '../common/http.mjs';
 
 /**
  * AntFarm adapter — polls Ant Farm rooms for new messages.
@@ -15,16 +15,14 @@ export const antfarmAdapter = {
     const rooms = poller.rooms || [];
     const apiKey = poller.api_key;
     const limit = opts.seed ? 50 : 10;
+    const http = httpOptions(config);
     const all = [];
 
     for (const room of rooms) {
       const url = `https://groupmind.one/api/v1/rooms/${room}/messages?limit=${limit}`;
       try {
-        const result = execFileSync('curl', ['-sS', '-H', `X-API-Key: ${apiKey}`, url], {
-          encoding: 'utf8', timeout: 15000
-        });
-        const data = JSON.parse(result);
-        const msgs = data.messages || (Array.isArray(data) ? data : []);
+        const data = await getJson(url, { ...http, headers: { 'X-API-Key': apiKey } });
+        const msgs = data?.messages || (Array.isArray(data) ? data : []);
         for (const m of msgs) {
           m._room = room;
         }
@@ -1,39 +1,33 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { execFileSync } from 'node:child_process';
 import { randomUUID } from 'node:crypto';
+import { getJson, httpOptions } from '../common/http.mjs';
 
 /**
  * Comments adapter — polls Moltbook posts and GitHub issues/discussions
  * for new comments. Composite adapter covering two sources.
  */
 
-function fetchMoltbookComments(postId, baseUrl = 'https://www.moltbook.com') {
+async function fetchMoltbookComments(postId, baseUrl = 'https://www.moltbook.com', http = {}) {
   try {
-    const url = `${baseUrl}/api/v1/posts/${postId}/comments`;
-    const result = execFileSync('curl', ['-sS', url], {
-      encoding: 'utf8', timeout: 15000
-    });
-    const data = JSON.parse(result);
-    return Array.isArray(data) ? data : (data.comments || []);
+    const data = await getJson(`${baseUrl}/api/v1/posts/${postId}/comments`, http);
+    return Array.isArray(data) ? data : (data?.comments || []);
   } catch (e) {
     console.error(`  moltbook ${postId.slice(0, 8)} failed: ${e.message}`);
     return [];
   }
 }
 
-function fetchGitHubComments(owner, repo, number, type = 'issues', token = '') {
+function githubHeaders(token) {
+  return token ? { Authorization: `token ${token}` } : {};
+}
+
+async function fetchGitHubComments(owner, repo, number, type = 'issues', token = '', http = {}) {
   const endpoint = type === 'discussion'
     ? `https://api.github.com/repos/${owner}/${repo}/discussions/${number}/comments`
     : `https://api.github.com/repos/${owner}/${repo}/issues/${number}/comments`;
-  const curlArgs = ['-sS'];
-  if (token) curlArgs.push('-H', `Authorization: token ${token}`);
-  curlArgs.push(`${endpoint}?per_page=50&sort=created&direction=desc`);
   try {
-    const result = execFileSync('curl', curlArgs, {
-      encoding: 'utf8', timeout: 15000
-    });
-    const data = JSON.parse(result);
+    const data = await getJson(`${endpoint}?per_page=50&sort=created&direction=desc`, { ...http, headers: githubHeaders(token) });
     return Array.isArray(data) ? data : [];
   } catch (e) {
     console.error(`  github ${owner}/${repo}#${number} failed: ${e.message}`);
@@ -41,15 +35,10 @@ function fetchGitHubComments(owner, repo, number, type = 'issues', token = '') {
   }
 }
 
-function fetchGitHubIssues(owner, repo, token = '') {
-  const curlArgs = ['-sS'];
-  if (token) curlArgs.push('-H', `Authorization: token ${token}`);
-  curlArgs.push(`https://api.github.com/repos/${owner}/${repo}/issues?state=open&sort=updated&direction=desc&per_page=10`);
+async function fetchGitHubIssues(owner, repo, token = '', http = {}) {
+  const url = `https://api.github.com/repos/${owner}/${repo}/issues?state=open&sort=updated&direction=desc&per_page=10`;
   try {
-    const result = execFileSync('curl', curlArgs, {
-      encoding: 'utf8', timeout: 15000
-    });
-    const data = JSON.parse(result);
+    const data = await getJson(url, { ...http, headers: githubHeaders(token) });
     return Array.isArray(data) ? data : [];
   } catch {
     return [];
@@ -61,6 +50,7 @@ export const commentsAdapter = {
 
   async fetch(config) {
     const commentsCfg = config?.comments || {};
+    const http = httpOptions(config);
     const all = [];
 
     // Moltbook comments
@@ -69,7 +59,7 @@ export const commentsAdapter = {
     const moltBaseUrl = moltbookCfg.base_url || 'https://www.moltbook.com';
 
     for (const postId of posts) {
-      const comments = fetchMoltbookComments(postId, moltBaseUrl);
+      const comments = await fetchMoltbookComments(postId, moltBaseUrl, http);
       for (const c of comments) {
         c._source = 'moltbook';
         c._postId = postId;
@@ -87,7 +77,7 @@ export const commentsAdapter = {
       const { owner, repo, type } = repoCfg;
 
       if (repoCfg.number) {
-        const comments = fetchGitHubComments(owner, repo, repoCfg.number, type, ghToken);
+        const comments = await fetchGitHubComments(owner, repo, repoCfg.number, type, ghToken, http);
         for (const c of comments) {
           c._source = 'github';
           c._owner = owner;
@@ -97,10 +87,10 @@ export const commentsAdapter = {
         }
         all.push(...comments);
       } else if (type === 'issues') {
-        const issues = fetchGitHubIssues(owner, repo, ghToken);
+        const issues = await fetchGitHubIssues(owner, repo, ghToken, http);
         for (const issue of issues) {
           if (!issue.comments || issue.comments === 0) continue;
-          const comments = fetchGitHubComments(owner, repo, issue.number, 'issues', ghToken);
+          const comments = await fetchGitHubComments(owner, repo, issue.number, 'issues', ghToken, http);
           for (const c of comments) {
             c._source = 'github';
             c._owner = owner;
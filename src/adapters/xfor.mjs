@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { execFileSync } from 'node:child_process';
 import { randomUUID } from 'node:crypto';
+import { getJson, httpOptions } from '../common/http.mjs';
 
 /**
  * xfor adapter — polls xfor.bot posts and notifications.
@@ -10,13 +10,10 @@ import { randomUUID } from 'node:crypto';
  * Auth: X-API-Key header
  */
 
-function xforFetch(path, apiKey) {
+async function xforFetch(path, apiKey, http = {}) {
   const url = `https://xfor.bot/api/v1${path}`;
   try {
-    const result = execFileSync('curl', ['-sS', '-H', `X-API-Key: ${apiKey}`, url], {
-      encoding: 'utf8', timeout: 15000
-    });
-    return JSON.parse(result);
+    return await getJson(url, { ...http, headers: { 'X-API-Key': apiKey } });
   } catch (e) {
     console.error(`  xfor fetch ${path} failed: ${e.message}`);
     return null;
@@ -31,10 +28,11 @@ export const xforAdapter = {
     const apiKey = xforCfg.api_key;
     if (!apiKey) return [];
 
+    const http = httpOptions(config);
     const all = [];
 
     // Poll notifications (mentions, replies, likes, follows)
-    const notifs = xforFetch('/notifications?unread=true', apiKey);
+    const notifs = await xforFetch('/notifications?unread=true', apiKey, http);
     if (notifs && Array.isArray(notifs)) {
       for (const n of notifs) {
         n._type = 'notification';
@@ -48,7 +46,7 @@ export const xforAdapter = {
     }
 
     // Poll recent posts from feed
-    const feed = xforFetch('/posts', apiKey);
+    const feed = await xforFetch('/posts', apiKey, http);
     if (feed && Array.isArray(feed)) {
       for (const p of feed) {
         p._type = 'post';
@@ -3,6 +3,7 @@
 import { execSync } from 'node:child_process';
 import { readFileSync, writeFileSync, appendFileSync, existsSync } from 'node:fs';
 import { randomUUID } from 'node:crypto';
+import { getJson, httpOptions } from './common/http.mjs';
 
 /**
  * Comment Poller — polls Moltbook posts and GitHub issues/discussions
@@ -61,14 +62,10 @@ function nudgeTmux(session, text) {
 /**
  * Fetch comments for a Moltbook post.
  */
-function fetchMoltbookComments(postId, baseUrl = 'https://www.moltbook.com') {
+async function fetchMoltbookComments(postId, baseUrl = 'https://www.moltbook.com', http = {}) {
   try {
-    const result = execSync(
-      `curl -sS "${baseUrl}/api/v1/posts/${postId}/comments"`,
-      { encoding: 'utf8', timeout: 15000 }
-    );
-    const data = JSON.parse(result);
-    return Array.isArray(data) ? data : (data.comments || []);
+    const data = await getJson(`${baseUrl}/api/v1/posts/${postId}/comments`, http);
+    return Array.isArray(data) ? data : (data?.comments || []);
   } catch (e) {
     console.error(`  moltbook ${postId.slice(0, 8)} failed: ${e.message}`);
     return [];
@@ -78,18 +75,14 @@ function fetchMoltbookComments(postId, baseUrl = 'https://www.moltbook.com') {
 /**
  * Fetch comments for a GitHub issue or discussion.
  */
-function fetchGitHubComments(owner, repo, number, type = 'issues', token = '') {
-  const authHeader = token ? `-H "Authorization: token ${token}"` : '';
+async function fetchGitHubComments(owner, repo, number, type = 'issues', token = '', http = {}) {
+  const headers = token ? { Authorization: `token ${token}` } : {};
   const endpoint = type === 'discussion'
     ? `https://api.github.com/repos/${owner}/${repo}/discussions/${number}/comments`
     : `https://api.github.com/repos/${owner}/${repo}/issues/${number}/comments`;
 
   try {
-    const result = execSync(
-      `curl -sS ${authHeader} "${endpoint}?per_page=50&sort=created&direction=desc"`,
-      { encoding: 'utf8', timeout: 15000 }
-    );
-    const data = JSON.parse(result);
+    const data = await getJson(`${endpoint}?per_page=50&sort=created&direction=desc`, { ...http, headers });
     return Array.isArray(data) ? data : [];
   } catch (e) {
     console.error(`  github ${owner}/${repo}#${number} failed: ${e.message}`);
@@ -100,14 +93,10 @@ function fetchGitHubComments(owner, repo, number, type = 'issues', token = '') {
 /**
  * Fetch all open issues for a GitHub repo (to discover new comments).
  */
-function fetchGitHubIssues(owner, repo, token = '') {
-  const authHeader = token ? `-H "Authorization: token ${token}"` : '';
+async function fetchGitHubIssues(owner, repo, token = '', http = {}) {
+  const headers = token ? { Authorization: `token ${token}` } : {};
   try {
-    const result = execSync(
-      `curl -sS ${authHeader} "https://api.github.com/repos/${owner}/${repo}/issues?state=open&sort=updated&direction=desc&per_page=10"`,
-      { encoding: 'utf8', timeout: 15000 }
-    );
-    const data = JSON.parse(result);
+    const data = await getJson(`https://api.github.com/repos/${owner}/${repo}/issues?state=open&sort=updated&direction=desc&per_page=10`, { ...http, headers });
     return Array.isArray(data) ? data : [];
   } catch {
     return [];
@@ -117,10 +106,11 @@ function fetchGitHubIssues(owner, repo, token = '') {
 /**
  * Poll all configured sources for new comments.
  *
- * @returns {object[]} Array of new comment events
+ * @returns {Promise<object[]>} Array of new comment events
  */
-export function pollComments(config) {
+export async function pollComments(config) {
   const commentsCfg = config?.comments || {};
+  const http = httpOptions(config);
   const seen = loadSeenIds(commentsCfg.seen_file || SEEN_FILE_DEFAULT);
   const newComments = [];
 
@@ -130,7 +120,7 @@ export function pollComments(config) {
   const moltBaseUrl = moltbookCfg.base_url || 'https://www.moltbook.com';
 
   for (const postId of posts) {
-    const comments = fetchMoltbookComments(postId, moltBaseUrl);
+    const comments = await fetchMoltbookComments(postId, moltBaseUrl, http);
     for (const c of comments) {
       const cid = c.id || '';
       const key = `moltbook:${cid}`;
@@ -162,7 +152,7 @@ export function pollComments(config) {
 
     if (repoCfg.number) {
       // Poll specific issue/discussion
-      const comments = fetchGitHubComments(owner, repo, repoCfg.number, type, ghToken);
+      const comments = await fetchGitHubComments(owner, repo, repoCfg.number, type, ghToken, http);
       for (const c of comments) {
         const cid = String(c.id || '');
         const key = `github:${owner}/${repo}:${cid}`;
@@ -184,10 +174,10 @@ export function pollComments(config) {
       }
     } else if (type === 'issues') {
       // Poll all open issues for new comments
-      const issues = fetchGitHubIssues(owner, repo, ghToken);
+      const issues = await fetchGitHubIssues(owner, repo, ghToken, http);
       for (const issue of issues) {
         if (!issue.comments || issue.comments === 0) continue;
-        const comments = fetchGitHubComments(owner, repo, issue.number, 'issues', ghToken);
+        const comments = await fetchGitHubComments(owner, repo, issue.number, 'issues', ghToken, http);
         for (const c of comments) {
           const cid = String(c.id || '');
           const key = `github:${owner}/${repo}:${cid}`;
@@ -235,11 +225,11 @@ export async function startCommentPoller({ config, interval }) {
 
   // Seed: do initial poll to mark existing comments as seen
   console.log(`  seeding existing comments...`);
-  const initial = pollComments(config);
+  const initial = await pollComments(config);
   console.log(`  seeded (${initial.length} comments marked as seen)`);
 
   async function poll() {
-    const newComments = pollComments(config);
+    const newComments = await pollComments(config);
 
     if (newComments.length > 0) {
       for (const c of newComments) {
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+/**
+ * Command allowlists (tmux.allow, automation.exec.allow).
+ *
+ * An entry is a command prefix such as "git status" or "npm test". A command
+ * is allowed when it equals an entry or continues it with more arguments.
+ *
+ * Shell strings (tmux) are compared as text. Argv arrays (automation exec)
+ * are compared token by token, so an argument that contains spaces can never
+ * stretch itself into a longer allowlisted prefix.
+ */
+
+function splitPattern(pattern) {
+  return String(pattern).trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * True when argv starts with the tokens of pattern.
+ */
+export function argvMatches(argv, pattern) {
+  const tokens = splitPattern(pattern);
+  if (tokens.length === 0 || tokens.length > argv.length) return false;
+  return tokens.every((t, i) => argv[i] === t);
+}
+
+/**
+ * Check a shell command string or an argv array against an allowlist.
+ *
+ * @param {string|string[]} command
+ * @param {string[]} allowlist
+ * @param {object} [opts] - { emptyAllowsAll } — tmux treats an empty list as
+ *   "no restriction"; automation exec treats it as "nothing allowed".
+ */
+export function isAllowed(command, allowlist, { emptyAllowsAll = false } = {}) {
+  if (!allowlist || allowlist.length === 0) return emptyAllowsAll;
+  if (Array.isArray(command)) {
+    return allowlist.some(pattern => argvMatches(command, pattern));
+  }
+  return allowlist.some(pattern => command === pattern || command.startsWith(pattern + ' '));
+}
+
+/**
+ * Match text against a glob: "*" is any run of characters (spaces and "/"
+ * included), "?" is one character. The whole text must match.
+ */
+export function globMatch(pattern, text) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*+/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 's').test(String(text));
+}
@@ -4,6 +4,8 @@ import { execSync } from 'node:child_process';
 import { existsSync, readFileSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { NOTIFY_FILE_DEFAULT, SEEN_FILE_DEFAULT, QUEUE_PATH_DEFAULT } from './constants.mjs';
+import { webhookPosture } from './webhook-posture.mjs';
+import { validateRules } from '../team-relay/automation-rules.mjs';
 
 /**
  * Sanity check for ide-agent-kit environment and configuration.
@@ -28,7 +30,19 @@ export async function runSanityCheck(config = {}) {
     results.push({ name: 'Poller Config', status: 'warn', detail: 'No poller configuration found' });
   }
 
-  // 4. Enrichment Backend
+  // 4. Webhook authentication
+  results.push(checkWebhookAuth(config));
+
+  // 5. Automation rules
+  const rules = config?.automation?.rules || [];
+  if (rules.length > 0) {
+    const { ok, errors } = validateRules(rules);
+    results.push(ok
+      ? { name: 'Automation Rules', status: 'ok', detail: `${rules.length} rule(s) valid` }
+      : { name: 'Automation Rules', status: 'fail', detail: errors.join('; ') });
+  }
+
+  // 6. Enrichment Backend
   if (config.memory?.backend === 'local') {
     const hasCLI = canRun('claude-mem --version');
     if (hasCLI) {
@@ -41,6 +55,17 @@ export async function runSanityCheck(config = {}) {
   return results;
 }
 
+function checkWebhookAuth(config) {
+  const posture = webhookPosture(config);
+  const name = 'Webhook Auth';
+  if (!posture.ok) return { name, status: 'fail', detail: `${posture.problem}; serve will refuse to start` };
+  if (posture.github !== 'signed') {
+    const why = posture.allow_unsigned ? 'github.allow_unsigned is set' : 'loopback bind only';
+    return { name, status: 'warn', detail: `GitHub webhooks are not authenticated (${posture.github}, ${why})` };
+  }
+  return { name, status: 'ok', detail: `github ${posture.github}, antfarm ${posture.antfarm}, discord ${posture.discord} (${posture.bind})` };
+}
+
 function checkDependency(name, cmd, optional = false) {
   try {
     const version = execSync(cmd, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
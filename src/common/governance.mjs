@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+/**
+ * Task governance defaults and validation (tasks.governance), shared by the
+ * config loader and the task queue. Kept free of dependencies so loading a
+ * config does not pull in the task store.
+ */
+
+export const DEFAULT_GOVERNANCE = {
+  vote_threshold: 3,
+  review_threshold: 2,
+  max_review_rounds: 3,
+  quorum_pct: 0
+};
+
+// Lowest legal value of each rule. quorum_pct is 0 (no quorum) or at most 100.
+const RULE_MIN = { vote_threshold: 1, review_threshold: 1, max_review_rounds: 0, quorum_pct: 0 };
+
+/**
+ * Check a tasks.governance section, its top level and each types.<type>.
+ * Returns a problem string, or null when the rules are usable. loadConfig()
+ * rejects a config with a problem, so bad numbers fail at startup rather
+ * than deciding votes (a vote_threshold of 0 would discard a task on its
+ * first approve).
+ */
+export function governanceProblem(section = {}) {
+  const scopes = [['tasks.governance', section], ...Object.entries(section?.types || {}).map(([type, rules]) => [`tasks.governance.types.${type}`, rules])];
+  for (const [where, rules] of scopes) {
+    for (const key of Object.keys(DEFAULT_GOVERNANCE)) {
+      const value = rules?.[key];
+      if (value == null) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${where}.${key} must be a number (got ${JSON.stringify(value)})`;
+      if (value < RULE_MIN[key]) return `${where}.${key} must be at least ${RULE_MIN[key]} (got ${value})`;
+      if (key === 'quorum_pct' && value > 100) return `${where}.quorum_pct must be at most 100 (got ${value})`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,263 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { request as httpRequestRaw } from 'node:http';
+import { request as httpsRequestRaw } from 'node:https';
+import { connect as tlsConnect } from 'node:tls';
+
+/**
+ * Shared async HTTP client for every connector (GroupMind, xfor, Moltbook,
+ * GitHub, outbound webhooks).
+ *
+ *   - per-attempt timeout (timeoutMs)
+ *   - retries with exponential backoff + jitter on network errors and
+ *     408/425/429/5xx, honouring Retry-After; POST/PATCH only retry with
+ *     `retryUnsafe: true`, so a message is never posted twice by accident
+ *   - HTTP(S) proxy from opts.proxy or HTTPS_PROXY / HTTP_PROXY (NO_PROXY
+ *     respected); https targets are tunnelled with CONNECT
+ *   - pluggable transport so tests never touch the network (setTransport)
+ *
+ * Config (optional `http` section): timeout_ms, retries, proxy.
+ * Credentials go in headers, never on a command line.
+ */
+
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const IDEMPOTENT = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const MAX_RETRY_AFTER_MS = 30000;
+
+export class HttpError extends Error {
+  constructor(message, { status = null, body = '', url = '' } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+    this.url = url;
+  }
+}
+
+let activeTransport = nodeTransport;
+
+/**
+ * Replace the transport (tests). The function receives
+ * { url, method, headers, body, timeoutMs, proxy, family } and resolves
+ * { status, headers, body } with body as a string.
+ */
+export function setTransport(fn) {
+  activeTransport = fn || nodeTransport;
+}
+
+export function resetTransport() {
+  activeTransport = nodeTransport;
+}
+
+/**
+ * Map a loaded config onto request options.
+ */
+export function httpOptions(config) {
+  const http = config?.http || {};
+  const opts = {};
+  if (http.timeout_ms) opts.timeoutMs = http.timeout_ms;
+  if (http.retries !== undefined) opts.retries = http.retries;
+  if (http.proxy) opts.proxy = http.proxy;
+  return opts;
+}
+
+export function resolveProxy(url, explicit) {
+  if (explicit !== undefined) return explicit || null;
+  const target = new URL(url);
+  const noProxy = (process.env.NO_PROXY || process.env.no_proxy || '')
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const host = target.hostname.toLowerCase();
+  if (noProxy.some(p => p === '*' || host === p.replace(/^\./, '') || host.endsWith(p.startsWith('.') ? p : `.${p}`))) {
+    return null;
+  }
+  const env = target.protocol === 'https:'
+    ? process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy
+    : process.env.HTTP_PROXY || process.env.http_proxy;
+  return env || null;
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function retryDelay(attempt, baseMs, res) {
+  const retryAfter = res?.headers?.['retry-after'];
+  if (retryAfter) {
+    const sec = Number(retryAfter);
+    const ms = Number.isFinite(sec) ? sec * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) return Math.min(ms, MAX_RETRY_AFTER_MS);
+  }
+  const raw = baseMs * 2 ** attempt;
+  return raw * (0.8 + Math.random() * 0.4);
+}
+
+/**
+ * Perform a request. Resolves { status, headers, body } for any HTTP status;
+ * rejects with HttpError only when every attempt failed at the network level.
+ */
+export async function httpRequest(url, {
+  method = 'GET',
+  headers = {},
+  body,
+  timeoutMs = 15000,
+  retries,
+  backoffMs = 500,
+  retryUnsafe = false,
+  proxy,
+  family
+} = {}) {
+  method = method.toUpperCase();
+  const maxRetries = IDEMPOTENT.has(method) || retryUnsafe ? (retries ?? 2) : 0;
+  const payload = body === undefined || typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  const reqHeaders = { ...headers };
+  if (payload !== undefined && !Object.keys(reqHeaders).some(h => h.toLowerCase() === 'content-type')) {
+    reqHeaders['Content-Type'] = 'application/json';
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    let res;
+    try {
+      res = await activeTransport({
+        url,
+        method,
+        headers: reqHeaders,
+        body: payload,
+        timeoutMs,
+        proxy: resolveProxy(url, proxy),
+        family
+      });
+    } catch (e) {
+      lastError = e;
+      if (attempt < maxRetries) await sleep(retryDelay(attempt, backoffMs));
+      continue;
+    }
+    if (RETRY_STATUSES.has(res.status) && attempt < maxRetries) {
+      await sleep(retryDelay(attempt, backoffMs, res));
+      continue;
+    }
+    return res;
+  }
+  throw new HttpError(`${method} ${redact(url)} failed: ${lastError?.message || 'unknown error'}`, { url: redact(url) });
+}
+
+/**
+ * GET (or any method) and parse JSON. Rejects with HttpError on non-2xx.
+ */
+export async function requestJson(url, opts = {}) {
+  const res = await httpRequest(url, {
+    ...opts,
+    headers: { Accept: 'application/json', ...opts.headers }
+  });
+  if (res.status < 200 || res.status >= 300) {
+    throw new HttpError(`${(opts.method || 'GET').toUpperCase()} ${redact(url)} → HTTP ${res.status}`, {
+      status: res.status,
+      body: String(res.body || '').slice(0, 500),
+      url: redact(url)
+    });
+  }
+  if (!res.body) return null;
+  try {
+    return JSON.parse(res.body);
+  } catch {
+    throw new HttpError(`${redact(url)} returned invalid JSON`, { status: res.status, body: res.body.slice(0, 500), url: redact(url) });
+  }
+}
+
+export function getJson(url, opts = {}) {
+  return requestJson(url, { ...opts, method: 'GET' });
+}
+
+export function postJson(url, payload, opts = {}) {
+  return requestJson(url, { ...opts, method: 'POST', body: payload });
+}
+
+// Strip credentials from URLs before they reach logs and error messages.
+function redact(url) {
+  try {
+    const u = new URL(url);
+    if (u.username || u.password) { u.username = '***'; u.password = ''; }
+    for (const key of [...u.searchParams.keys()]) {
+      if (/key|token|secret|password/i.test(key)) u.searchParams.set(key, '***');
+    }
+    return u.toString();
+  } catch {
+    return url;
+  }
+}
+
+function collect(res, resolve, reject) {
+  const chunks = [];
+  res.on('data', c => chunks.push(c));
+  res.on('error', reject);
+  res.on('end', () => resolve({
+    status: res.statusCode,
+    headers: res.headers,
+    body: Buffer.concat(chunks).toString('utf8')
+  }));
+}
+
+/**
+ * Default transport on node:http / node:https.
+ */
+function nodeTransport({ url, method, headers, body, timeoutMs, proxy, family }) {
+  const target = new URL(url);
+  const isHttps = target.protocol === 'https:';
+  const reqHeaders = { ...headers };
+  if (body !== undefined) reqHeaders['Content-Length'] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    let req;
+    const fail = (e) => { req?.destroy(); reject(e); };
+    const timer = setTimeout(() => fail(new Error(`timeout after ${timeoutMs}ms`)), timeoutMs);
+    const done = (v) => { clearTimeout(timer); resolve(v); };
+    const error = (e) => { clearTimeout(timer); reject(e); };
+
+    const send = (options) => {
+      req = (isHttps ? httpsRequestRaw : httpRequestRaw)(options, (res) => collect(res, done, error));
+      req.on('error', error);
+      if (body !== undefined) req.write(body);
+      req.end();
+    };
+
+    if (!proxy) {
+      send({ protocol: target.protocol, hostname: target.hostname, port: target.port, path: target.pathname + target.search, method, headers: reqHeaders, family });
+      return;
+    }
+
+    const p = new URL(proxy);
+    const proxyAuth = p.username ? { 'Proxy-Authorization': 'Basic ' + Buffer.from(`${decodeURIComponent(p.username)}:${decodeURIComponent(p.password)}`).toString('base64') } : {};
+
+    if (!isHttps) {
+      // Plain HTTP through a proxy: absolute-form request line.
+      req = httpRequestRaw({ hostname: p.hostname, port: p.port || 80, path: target.toString(), method, headers: { ...reqHeaders, ...proxyAuth, Host: target.host }, family }, (res) => collect(res, done, error));
+      req.on('error', error);
+      if (body !== undefined) req.write(body);
+      req.end();
+      return;
+    }
+
+    // HTTPS through a proxy: CONNECT tunnel, then TLS over the socket.
+    const port = target.port || 443;
+    const connectReq = httpRequestRaw({ hostname: p.hostname, port: p.port || 80, method: 'CONNECT', path: `${target.hostname}:${port}`, headers: { Host: `${target.hostname}:${port}`, ...proxyAuth }, family });
+    req = connectReq;
+    connectReq.on('error', error);
+    connectReq.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        error(new Error(`proxy CONNECT failed: HTTP ${res.statusCode}`));
+        return;
+      }
+      const tlsSocket = tlsConnect({ socket, servername: target.hostname });
+      send({
+        hostname: target.hostname,
+        port,
+        path: target.pathname + target.search,
+        method,
+        headers: reqHeaders,
+        createConnection: () => tlsSocket
+      });
+    });
+    connectReq.end();
+  });
+}
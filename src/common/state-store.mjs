@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { readFileSync, writeFileSync, renameSync, openSync, closeSync, fsyncSync, fstatSync, unlinkSync, linkSync, statSync, mkdirSync, existsSync, copyFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { randomBytes } from 'node:crypto';
+
+/**
+ * Shared store for JSON and text state files (task queue, ACP sessions, exec
+ * approvals, seen IDs).
+ *
+ * - Writes go to a temp file in the same directory, are fsynced, then renamed
+ *   over the target, so a reader never sees a half-written file.
+ * - withLock() takes an advisory lock (`<file>.lock`, created with O_EXCL and
+ *   holding the owner's pid). A lock whose owner is gone, or that is older
+ *   than staleMs, is broken — by renaming it aside and checking that the
+ *   file moved is the one judged stale, so two waiters cannot both break
+ *   it and one of them take away the lock the other just acquired.
+ * - updateJson() is a read-modify-write transaction under that lock, so two
+ *   CLI invocations or the Mission Control server cannot lose each other's
+ *   updates.
+ * - A file that exists but does not parse is copied to
+ *   `<file>.corrupt-<timestamp>` and reported before the fallback is used.
+ *
+ * Everything is synchronous; callers already are.
+ */
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function ensureDir(filePath) {
+  const dir = dirname(filePath);
+  if (dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+}
+
+export class StateLockError extends Error {
+  constructor(filePath, timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms waiting for lock on ${filePath}`);
+    this.name = 'StateLockError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Write text atomically (temp file + fsync + rename).
+ */
+export function writeTextAtomic(filePath, text) {
+  ensureDir(filePath);
+  const tmp = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  const fd = openSync(tmp, 'w');
+  try {
+    writeFileSync(fd, text);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  try {
+    renameSync(tmp, filePath);
+  } catch (e) {
+    try { unlinkSync(tmp); } catch { /* already gone */ }
+    throw e;
+  }
+}
+
+export function writeJsonAtomic(filePath, data) {
+  writeTextAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Copy an unreadable state file aside. Returns the backup path.
+ */
+export function backupCorrupt(filePath, reason = 'unparseable') {
+  const backup = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  copyFileSync(filePath, backup);
+  console.error(`  state file ${filePath} is ${reason}; kept a copy at ${backup}`);
+  return backup;
+}
+
+/**
+ * Read a JSON state file. Missing or empty files yield `fallback`; a file that
+ * does not parse is backed up first.
+ */
+export function readJson(filePath, fallback) {
+  let text;
+  try {
+    text = readFileSync(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+  if (!text.trim()) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch {
+    backupCorrupt(filePath);
+    return fallback;
+  }
+}
+
+function ownerAlive(lockPath) {
+  try {
+    const pid = Number(readFileSync(lockPath, 'utf8'));
+    if (!pid) return true;
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function sameFile(a, b) {
+  return a.ino === b.ino && a.dev === b.dev && a.mtimeMs === b.mtimeMs;
+}
+
+function breakIfStale(lockPath, staleMs) {
+  let judged;
+  try {
+    judged = statSync(lockPath);
+  } catch {
+    return;
+  }
+  if (Date.now() - judged.mtimeMs <= staleMs && ownerAlive(lockPath)) return;
+
+  // Rename is atomic, so only one waiter moves any given lock file aside.
+  const aside = `${lockPath}.${process.pid}.${randomBytes(4).toString('hex')}.stale`;
+  try {
+    renameSync(lockPath, aside);
+  } catch {
+    return; // another process broke it first
+  }
+  if (!sameFile(statSync(aside), judged)) {
+    // The stale lock was already broken and re-taken; this is the new
+    // owner's lock, so put it back (unless yet another lock appeared).
+    try { linkSync(aside, lockPath); } catch { /* lockPath re-created */ }
+  }
+  unlinkSync(aside);
+}
+
+/**
+ * Run fn() while holding the advisory lock for filePath.
+ *
+ * @param {string} filePath
+ * @param {Function} fn
+ * @param {object} [opts] - { timeoutMs, staleMs }
+ */
+export function withLock(filePath, fn, { timeoutMs = LOCK_TIMEOUT_MS, staleMs = LOCK_STALE_MS } = {}) {
+  ensureDir(filePath);
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + timeoutMs;
+  let fd;
+  let held;
+  for (let wait = 5; ; wait = Math.min(wait * 2, 100)) {
+    try {
+      fd = openSync(lockPath, 'wx');
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      breakIfStale(lockPath, staleMs);
+      if (Date.now() >= deadline) throw new StateLockError(filePath, timeoutMs);
+      sleepSync(wait);
+    }
+  }
+  try {
+    writeFileSync(fd, String(process.pid));
+    held = fstatSync(fd);
+    closeSync(fd);
+    return fn();
+  } finally {
+    // Only remove the lock if it is still ours (it may have been broken as stale).
+    try {
+      if (sameFile(statSync(lockPath), held)) unlinkSync(lockPath);
+    } catch { /* broken as stale */ }
+  }
+}
+
+/**
+ * Read-modify-write a JSON file under its lock. fn(data) mutates data in
+ * place; data is written back and fn's return value is returned. If fn
+ * throws, nothing is written.
+ */
+export function updateJson(filePath, fallback, fn, opts) {
+  return withLock(filePath, () => {
+    const data = readJson(filePath, structuredClone(fallback));
+    const result = fn(data);
+    writeJsonAtomic(filePath, data);
+    return result;
+  }, opts);
+}
@@ -0,0 +1,300 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { createRequire } from 'node:module';
+import { dirname } from 'node:path';
+import { existsSync, mkdirSync } from 'node:fs';
+import { withLock } from './state-store.mjs';
+
+/**
+ * Storage backend selection (config.storage).
+ *
+ *   { "storage": { "backend": "file" } }                         default
+ *   { "storage": { "backend": "sqlite", "path": "./ide-agent-kit.db" } }
+ *
+ * With the file backend every subsystem keeps its own JSON/JSONL/text file.
+ * With the sqlite backend (Node's built-in node:sqlite, Node 22.5+) the event
+ * queue, receipts, tasks, ACP sessions, exec approvals and seen-ID sets live
+ * in one database, and receipts and events are indexed by trace_id.
+ *
+ * The CLI calls configureStorage() once at startup; modules ask
+ * activeStore() and fall back to their files when it returns null.
+ * `storage migrate` copies existing files into the database.
+ */
+
+export const DEFAULT_DB_PATH = './ide-agent-kit.db';
+
+const require = createRequire(import.meta.url);
+let sqlite;
+let active = null;
+
+function loadSqlite() {
+  if (sqlite === undefined) {
+    try {
+      sqlite = require('node:sqlite');
+    } catch {
+      sqlite = null;
+    }
+  }
+  return sqlite;
+}
+
+export function sqliteAvailable() {
+  return !!loadSqlite();
+}
+
+export function storageSettings(config) {
+  const storage = config?.storage || {};
+  return { backend: storage.backend || 'file', path: storage.path || DEFAULT_DB_PATH };
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    body TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+  CREATE TABLE IF NOT EXISTS seen_ids (
+    name TEXT NOT NULL,
+    id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    PRIMARY KEY (name, id)
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT,
+    kind TEXT,
+    trace_id TEXT,
+    body TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS events_trace ON events (trace_id);
+  CREATE TABLE IF NOT EXISTS receipts (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    trace_id TEXT,
+    action_kind TEXT,
+    status TEXT,
+    started_at TEXT,
+    body TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS receipts_trace ON receipts (trace_id);
+`;
+
+/**
+ * One SQLite database holding every kind of state. All calls are
+ * synchronous, like the file-backed code they replace.
+ *
+ * records  — JSON documents grouped by collection (tasks, acp_sessions,
+ *            exec_approvals, queue_cursors), kept in insertion order
+ * seen_ids — named seen-ID sets (the file path they replace is the name)
+ * events   — the event queue; seq is the consumer cursor position
+ * receipts — action receipts
+ */
+export class SqliteStore {
+  constructor(path) {
+    const { DatabaseSync } = loadSqlite();
+    const dir = dirname(path);
+    if (dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+    this.path = path;
+    this.db = new DatabaseSync(path);
+    this.db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+    this.db.exec(SCHEMA);
+    this.depth = 0;
+  }
+
+  /**
+   * Run fn() in a write transaction (BEGIN IMMEDIATE, so concurrent
+   * processes serialise). Nested calls join the outer transaction.
+   */
+  transaction(fn) {
+    if (this.depth > 0) return fn();
+    this.db.exec('BEGIN IMMEDIATE');
+    this.depth++;
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (e) {
+      this.db.exec('ROLLBACK');
+      throw e;
+    } finally {
+      this.depth--;
+    }
+  }
+
+  readCollection(collection) {
+    const rows = this.db.prepare('SELECT id, body FROM records WHERE collection = ? ORDER BY rowid').all(collection);
+    return Object.fromEntries(rows.map(r => [r.id, JSON.parse(r.body)]));
+  }
+
+  /**
+   * Replace a collection with the records in map (id → record).
+   */
+  writeCollection(collection, map) {
+    this.transaction(() => {
+      for (const [id, record] of Object.entries(map)) this.putRecord(collection, id, record);
+      const keep = new Set(Object.keys(map));
+      const remove = this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?');
+      for (const { id } of this.db.prepare('SELECT id FROM records WHERE collection = ?').all(collection)) {
+        if (!keep.has(id)) remove.run(collection, id);
+      }
+    });
+  }
+
+  getRecord(collection, id) {
+    const row = this.db.prepare('SELECT body FROM records WHERE collection = ? AND id = ?').get(collection, id);
+    return row ? JSON.parse(row.body) : null;
+  }
+
+  putRecord(collection, id, record) {
+    this.db.prepare(
+      'INSERT INTO records (collection, id, body) VALUES (?, ?, ?) ON CONFLICT (collection, id) DO UPDATE SET body = excluded.body'
+    ).run(collection, id, JSON.stringify(record));
+  }
+
+  loadSeen(name) {
+    const rows = this.db.prepare('SELECT id FROM seen_ids WHERE name = ? ORDER BY seq').all(name);
+    return new Set(rows.map(r => r.id));
+  }
+
+  saveSeen(name, ids, maxIds = 2000) {
+    const kept = [...ids].slice(-maxIds);
+    this.transaction(() => {
+      this.db.prepare('DELETE FROM seen_ids WHERE name = ?').run(name);
+      const insert = this.db.prepare('INSERT OR IGNORE INTO seen_ids (name, id, seq) VALUES (?, ?, ?)');
+      kept.forEach((id, i) => insert.run(name, String(id), i));
+    });
+  }
+
+  appendEvents(events) {
+    this.transaction(() => {
+      const insert = this.db.prepare('INSERT INTO events (event_id, kind, trace_id, body) VALUES (?, ?, ?, ?)');
+      for (const e of events) insert.run(e.event_id ?? null, e.kind ?? null, e.trace_id ?? null, JSON.stringify(e));
+    });
+  }
+
+  /**
+   * Events after a cursor position, oldest first: [{ seq, event }].
+   */
+  eventsAfter(seq = 0) {
+    return this.db.prepare('SELECT seq, body FROM events WHERE seq > ? ORDER BY seq').all(seq)
+      .map(r => ({ seq: r.seq, event: JSON.parse(r.body) }));
+  }
+
+  lastEventSeq() {
+    return this.db.prepare('SELECT MAX(seq) AS seq FROM events').get().seq || 0;
+  }
+
+  deleteEvents(seqs) {
+    this.transaction(() => {
+      const remove = this.db.prepare('DELETE FROM events WHERE seq = ?');
+      for (const seq of seqs) remove.run(seq);
+    });
+  }
+
+  appendReceipt(receipt) {
+    this.db.prepare('INSERT INTO receipts (trace_id, action_kind, status, started_at, body) VALUES (?, ?, ?, ?, ?)').run(
+      receipt.trace_id ?? null,
+      (typeof receipt.action === 'string' ? receipt.action : receipt.action?.kind) ?? null,
+      receipt.status ?? null,
+      receipt.started_at ?? null,
+      JSON.stringify(receipt)
+    );
+  }
+
+  tailReceipts(n = 5) {
+    return this.db.prepare('SELECT body FROM receipts ORDER BY seq DESC LIMIT ?').all(n)
+      .reverse().map(r => JSON.parse(r.body));
+  }
+
+  allReceipts() {
+    return this.db.prepare('SELECT body FROM receipts ORDER BY seq').all().map(r => JSON.parse(r.body));
+  }
+
+  /**
+   * Receipts after a position, oldest first: [{ seq, receipt }].
+   */
+  receiptsAfter(seq = 0) {
+    return this.db.prepare('SELECT seq, body FROM receipts WHERE seq > ? ORDER BY seq').all(seq)
+      .map(r => ({ seq: r.seq, receipt: JSON.parse(r.body) }));
+  }
+
+  lastReceiptSeq() {
+    return this.db.prepare('SELECT MAX(seq) AS seq FROM receipts').get().seq || 0;
+  }
+
+  /**
+   * Receipts narrowed on the indexed columns; any of traceId, statuses,
+   * since, until (ISO strings) may be omitted.
+   */
+  queryReceipts({ traceId, statuses, since, until } = {}) {
+    const where = [];
+    const params = [];
+    if (traceId) { where.push('trace_id = ?'); params.push(traceId); }
+    if (statuses?.length) { where.push(`status IN (${statuses.map(() => '?').join(', ')})`); params.push(...statuses); }
+    if (since) { where.push('started_at >= ?'); params.push(since); }
+    if (until) { where.push('started_at <= ?'); params.push(until); }
+    const sql = `SELECT body FROM receipts${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY seq`;
+    return this.db.prepare(sql).all(...params).map(r => JSON.parse(r.body));
+  }
+
+  receiptsForTrace(traceId) {
+    return this.db.prepare('SELECT body FROM receipts WHERE trace_id = ? ORDER BY seq').all(traceId)
+      .map(r => JSON.parse(r.body));
+  }
+
+  /**
+   * Receipts that carry traceId or mention it in input_refs/output_refs.
+   */
+  receiptsReferencing(traceId) {
+    return this.db.prepare('SELECT body FROM receipts WHERE trace_id = ? OR body LIKE ? ORDER BY seq')
+      .all(traceId, `%${JSON.stringify(String(traceId))}%`)
+      .map(r => JSON.parse(r.body));
+  }
+
+  eventsForTrace(traceId) {
+    return this.db.prepare('SELECT body FROM events WHERE trace_id = ? ORDER BY seq').all(traceId)
+      .map(r => JSON.parse(r.body));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Select the backend from config.storage. Throws when sqlite is requested but
+ * node:sqlite is missing. Returns the open store, or null for the file backend.
+ */
+export function configureStorage(config) {
+  const { backend, path } = storageSettings(config);
+  if (backend === 'file') {
+    closeStorage();
+    return null;
+  }
+  if (backend !== 'sqlite') throw new Error(`Unknown storage.backend "${backend}" (expected "file" or "sqlite")`);
+  if (!sqliteAvailable()) throw new Error('storage.backend "sqlite" needs node:sqlite (Node.js 22.5 or newer)');
+  if (active?.path === path) return active;
+  closeStorage();
+  active = new SqliteStore(path);
+  return active;
+}
+
+/**
+ * The configured SQLite store, or null when state lives in files.
+ */
+export function activeStore() {
+  return active;
+}
+
+/**
+ * Run a read-modify-write: inside a database transaction with the sqlite
+ * backend, under the file's advisory lock otherwise.
+ */
+export function stateTransaction(filePath, fn) {
+  return active ? active.transaction(fn) : withLock(filePath, fn);
+}
+
+export function closeStorage() {
+  if (active) active.close();
+  active = null;
+}
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+/**
+ * Authentication posture of the webhook server, shared by the startup
+ * safety check in startWebhookServer, `ide-agent-kit check` and /health.
+ *
+ * An empty secret, or a placeholder copied from an example config, leaves
+ * /webhook unauthenticated. That is tolerated on a loopback bind but refused
+ * on any other host unless github.allow_unsigned is explicitly true.
+ */
+
+const PLACEHOLDER_SECRETS = new Set(['change_me', 'changeme', 'replace_me', 'your-secret', 'your_secret', 'secret', 'xxx']);
+
+export function isLoopbackHost(host) {
+  const h = String(host || '').toLowerCase();
+  return h === 'localhost' || h === '::1' || h.startsWith('127.');
+}
+
+export function isPlaceholderSecret(secret) {
+  const s = String(secret || '').trim();
+  return PLACEHOLDER_SECRETS.has(s.toLowerCase()) || /^<.*>$/.test(s);
+}
+
+function secretState(secret) {
+  if (!secret) return 'unsigned';
+  if (isPlaceholderSecret(secret)) return 'placeholder';
+  return 'signed';
+}
+
+/**
+ * Returns { bind, github, antfarm, discord, allow_unsigned, ok, problem }.
+ * Endpoint states: 'signed' | 'unsigned' | 'placeholder'.
+ */
+export function webhookPosture(config = {}) {
+  const host = config.listen?.host || '127.0.0.1';
+  const loopback = isLoopbackHost(host);
+  const github = secretState(config.github?.webhook_secret);
+  const allowUnsigned = config.github?.allow_unsigned === true;
+
+  let problem = null;
+  if (!loopback && github !== 'signed' && !allowUnsigned) {
+    problem = github === 'placeholder'
+      ? `github.webhook_secret is a placeholder ("${config.github.webhook_secret}") and the server binds to ${host}`
+      : `github.webhook_secret is empty and the server binds to ${host}`;
+  }
+
+  return {
+    bind: loopback ? 'loopback' : 'public',
+    github,
+    antfarm: secretState(config.antfarm?.webhook_secret),
+    discord: secretState(config.discord?.webhook_secret),
+    allow_unsigned: allowUnsigned,
+    ok: problem === null,
+    problem
+  };
+}
@@ -2,12 +2,13 @@
 
 import { readFileSync, existsSync } from 'node:fs';
 import { resolve } from 'node:path';
+import { DEFAULT_GOVERNANCE, governanceProblem } from './common/governance.mjs';
 
 const DEFAULT_CONFIG = {
   listen: { host: '127.0.0.1', port: 8787 },
-  queue: { path: './ide-agent-queue.jsonl' },
-  receipts: { path: './ide-agent-receipts.jsonl', stdout_tail_lines: 80 },
-  tmux: { default_session: 'iak-runner', ide_session: 'claude', nudge_text: 'check rooms', allow: [] },
+  queue: { path: './ide-agent-queue.jsonl', lease_sec: 300, max_bytes: 0, retention_days: 0 },
+  receipts: { path: './ide-agent-receipts.jsonl', stdout_tail_lines: 80, max_bytes: 0, retention_days: 0, signing: { mode: 'off' } },
+  tmux: { default_session: 'iak-runner', ide_session: 'claude', nudge_text: 'check rooms', allow: [], requires_approval: false },
   poller: {
     rooms: '',
     handle: '',
@@ -20,12 +21,28 @@ const DEFAULT_CONFIG = {
   github: { webhook_secret: '', event_kinds: ['pull_request', 'issue_comment', 'check_suite', 'workflow_run'] },
   outbound: { default_webhook_url: '' },
   rate_limit: { message_interval_sec: 30 },
+  http: { timeout_ms: 15000, retries: 2, proxy: '' },
+  storage: { backend: 'file', path: './ide-agent-kit.db' },
+  exec: {
+    approvalFile: './exec-approvals.json',
+    policyFile: './exec-policy.json',
+    approval_room: '',
+    resolvers: [],
+    approval_timeout_sec: 600
+  },
   automation: {
     rules: [],
     seen_file: '/tmp/iak-automation-seen.txt',
     interval_sec: 30,
     cooldown_sec: 5,
-    first_match_only: true
+    first_match_only: true,
+    exec: {
+      allow: [],
+      cwd_root: '',
+      env_allow: ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TZ'],
+      timeout_ms: 30000,
+      max_output_bytes: 65536
+    }
   },
   comments: {
     moltbook: { posts: [], base_url: 'https://www.moltbook.com' },
@@ -33,12 +50,15 @@ const DEFAULT_CONFIG = {
     interval_sec: 120,
     seen_file: '/tmp/iak-comment-seen.txt'
   },
+  antfarm: { webhook_secret: '', replay_window_sec: 0 },
   discord: {
     channels: [],
     interval_sec: 30,
     seen_file: '/tmp/iak-discord-seen.txt',
     self_id: '',
-    skip_bots: false
+    skip_bots: false,
+    webhook_secret: '',
+    replay_window_sec: 0
   },
   acp: {
     enabled: false,
@@ -50,6 +70,21 @@ const DEFAULT_CONFIG = {
     receipt_all_actions: true,
     max_messages_per_session: 200,
     sessions_file: '/tmp/iak-acp-sessions.json'
+  },
+  tasks: {
+    file: '.iak-tasks.json',
+    owners: [],
+    mission_control: {
+      host: '127.0.0.1',
+      port: 4800,
+      allow_lan: false,
+      tokens: []
+    },
+    governance: {
+      ...DEFAULT_GOVERNANCE,
+      agents: {},
+      types: {}
+    }
   }
 };
 
@@ -57,7 +92,7 @@ export function loadConfig(configPath) {
   const p = resolve(configPath || 'ide-agent-kit.json');
   if (!existsSync(p)) return { ...DEFAULT_CONFIG };
   const raw = JSON.parse(readFileSync(p, 'utf8'));
-  return {
+  const config = {
     listen: { ...DEFAULT_CONFIG.listen, ...raw.listen },
     queue: { ...DEFAULT_CONFIG.queue, ...raw.queue },
     receipts: { ...DEFAULT_CONFIG.receipts, ...raw.receipts },
@@ -66,6 +101,9 @@ export function loadConfig(configPath) {
     github: { ...DEFAULT_CONFIG.github, ...raw.github },
     outbound: { ...DEFAULT_CONFIG.outbound, ...raw.outbound },
     rate_limit: { ...DEFAULT_CONFIG.rate_limit, ...raw.rate_limit },
+    http: { ...DEFAULT_CONFIG.http, ...raw.http },
+    storage: { ...DEFAULT_CONFIG.storage, ...raw.storage },
+    exec: { ...DEFAULT_CONFIG.exec, ...raw.exec },
     automation: { ...DEFAULT_CONFIG.automation, ...raw.automation, rules: raw.automation?.rules || [] },
     comments: {
       ...DEFAULT_CONFIG.comments,
@@ -73,9 +111,19 @@ export function loadConfig(configPath) {
       moltbook: { ...DEFAULT_CONFIG.comments.moltbook, ...raw.comments?.moltbook },
       github: { ...DEFAULT_CONFIG.comments.github, ...raw.comments?.github }
     },
+    antfarm: { ...DEFAULT_CONFIG.antfarm, ...raw.antfarm },
     discord: { ...DEFAULT_CONFIG.discord, ...raw.discord },
     acp: { ...DEFAULT_CONFIG.acp, ...raw.acp },
+    tasks: {
+      ...DEFAULT_CONFIG.tasks,
+      ...raw.tasks,
+      mission_control: { ...DEFAULT_CONFIG.tasks.mission_control, ...raw.tasks?.mission_control },
+      governance: { ...DEFAULT_CONFIG.tasks.governance, ...raw.tasks?.governance }
+    },
     openclaw: raw.openclaw || {},
     poller: raw.poller || {}
   };
+  const problem = governanceProblem(config.tasks.governance);
+  if (problem) throw new Error(`Invalid config ${p}: ${problem}`);
+  return config;
 }
@@ -3,6 +3,9 @@
 import { execSync, spawn } from 'node:child_process';
 import { randomUUID } from 'node:crypto';
 import { createReceipt, appendReceipt } from '../team-relay/receipt.mjs';
+import { isAllowed } from '../common/allowlist.mjs';
+import { requestApproval } from '../team-relay/approval-flow.mjs';
+import { execApprovalWait, execApprovalMarkExecuted, isAllowDecision } from '../openclaw-exec.mjs';
 
 function tmuxSessionExists(session) {
   try {
@@ -17,24 +20,45 @@ function ensureTmuxSession(session) {
   }
 }
 
-function isAllowed(cmd, allowlist) {
-  if (!allowlist || allowlist.length === 0) return true;
-  return allowlist.some(pattern => {
-    if (cmd === pattern) return true;
-    if (cmd.startsWith(pattern + ' ')) return true;
-    return false;
+/**
+ * File cmd for approval and wait for the decision. Returns
+ * { ok: true, traceId } once allowed, or { ok: false, traceId, error }.
+ */
+async function awaitApproval({ sessionName, cmd, cwd, config, approvalTimeoutSec, traceId }) {
+  const req = await requestApproval(config, {
+    traceId,
+    command: cmd,
+    cwd: cwd || process.cwd(),
+    session: sessionName,
+    source: 'tmux',
+    agentId: 'tmux',
+    reason: `tmux run in ${sessionName}`
+  });
+  if (!req.ok) return { ok: false, traceId, error: req.error };
+  if (req.status === 'pending') {
+    console.error(`Waiting for approval of request ${req.requestId}${req.posted ? '' : ' (resolve with: ide-agent-kit exec resolve)'}`);
+  }
+  const wait = await execApprovalWait(config, {
+    requestId: req.requestId,
+    timeoutMs: (approvalTimeoutSec || config.exec?.approval_timeout_sec || 600) * 1000
   });
+  if (!wait.ok) return { ok: false, traceId: req.traceId, error: wait.error };
+  if (!isAllowDecision(wait.data.decision)) {
+    return { ok: false, traceId: req.traceId, error: `Denied by ${wait.data.resolvedBy}` };
+  }
+  await execApprovalMarkExecuted(config, { requestId: req.requestId, status: 'started' });
+  return { ok: true, traceId: req.traceId };
 }
 
-export async function tmuxRun({ session, cmd, cwd, timeoutSec, config }) {
+export async function tmuxRun({ session, cmd, cwd, timeoutSec, config, requiresApproval, approvalTimeoutSec, traceId: parentTraceId }) {
   const startedAt = new Date().toISOString();
-  const traceId = randomUUID();
+  let traceId = parentTraceId || randomUUID();
   const receiptPath = config.receipts.path;
   const tailLines = config.receipts.stdout_tail_lines || 80;
   const sessionName = session || config.tmux.default_session;
 
   // Check allowlist
-  if (!isAllowed(cmd, config.tmux.allow)) {
+  if (!isAllowed(cmd, config.tmux.allow, { emptyAllowsAll: true })) {
     const receipt = createReceipt({
       traceId,
       action: { kind: 'tmux.run', session: sessionName, cmd, cwd: cwd || process.cwd() },
@@ -42,17 +66,34 @@ export async function tmuxRun({ session, cmd, cwd, timeoutSec, config }) {
       notes: `Command not in allowlist: ${cmd}`,
       startedAt
     });
-    appendReceipt(receiptPath, receipt);
+    appendReceipt(receiptPath, receipt, config.receipts);
     return receipt;
   }
 
+  if (requiresApproval ?? config.tmux.requires_approval) {
+    const approval = await awaitApproval({ sessionName, cmd, cwd, config, approvalTimeoutSec, traceId });
+    traceId = approval.traceId;
+    if (!approval.ok) {
+      const receipt = createReceipt({
+        traceId,
+        action: { kind: 'tmux.run', session: sessionName, cmd, cwd: cwd || process.cwd() },
+        status: 'denied',
+        notes: `Not approved: ${approval.error}`,
+        startedAt
+      });
+      appendReceipt(receiptPath, receipt, config.receipts);
+      return receipt;
+    }
+  }
+
   ensureTmuxSession(sessionName);
 
   // Create a unique output marker and temp file for capturing output
-  const marker = `__IAK_${traceId.slice(0, 8)}__`;
-  const outFile = `/tmp/iak-out-${traceId.slice(0, 8)}`;
-  const errFile = `/tmp/iak-err-${traceId.slice(0, 8)}`;
-  const exitFile = `/tmp/iak-exit-${traceId.slice(0, 8)}`;
+  const runId = randomUUID().slice(0, 8);
+  const marker = `__IAK_${runId}__`;
+  const outFile = `/tmp/iak-out-${runId}`;
+  const errFile = `/tmp/iak-err-${runId}`;
+  const exitFile = `/tmp/iak-exit-${runId}`;
 
   // Build the command to run inside tmux
   const cdPart = cwd ? `cd ${JSON.stringify(cwd)} && ` : '';
@@ -68,7 +109,7 @@ export async function tmuxRun({ session, cmd, cwd, timeoutSec, config }) {
       notes: `Failed to send command to tmux: ${e.message}`,
       startedAt
     });
-    appendReceipt(receiptPath, receipt);
+    appendReceipt(receiptPath, receipt, config.receipts);
     return receipt;
   }
 
@@ -124,6 +165,6 @@ export async function tmuxRun({ session, cmd, cwd, timeoutSec, config }) {
     finishedAt
   });
 
-  appendReceipt(receiptPath, receipt);
+  appendReceipt(receiptPath, receipt, config.receipts);
   return receipt;
 }
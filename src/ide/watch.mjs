@@ -1,49 +1,95 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { watch, readFileSync, statSync } from 'node:fs';
+import { watchFile, unwatchFile, readFileSync, statSync } from 'node:fs';
 import { execSync } from 'node:child_process';
+import { listSegments, readSegment, stagingSegment } from '../team-relay/common/rotation.mjs';
+import { activeStore } from '../common/storage.mjs';
 
 /**
- * Watch the queue JSONL file for new entries and trigger tmux nudge immediately.
- * This replaces slow polling with instant file-change detection.
+ * Watch the queue JSONL file for new entries and trigger a tmux nudge.
+ *
+ * Polls by path (fs.watchFile, every queue.watch_interval_ms) rather than
+ * by inode, so it keeps following the queue after a rotation or compaction
+ * replaces the file. On rotation the tail of the just-archived segment is
+ * read first, so no lines are lost — including when the poll lands between
+ * the rename and the gzip write, while only the staging file exists.
+ * With storage.backend "sqlite" the events table is polled by seq instead.
  */
 export function watchQueue(config, onNewEvent) {
   const queuePath = config.queue.path;
   const session = config.tmux?.ide_session || 'claude';
   const nudgeText = config.tmux?.nudge_text || 'check rooms';
+  const interval = config.queue.watch_interval_ms || 500;
+  const deliver = (events) => {
+    console.log(`[${new Date().toISOString()}] ${events.length} new event(s) in queue`);
+    for (const event of events) {
+      if (onNewEvent) onNewEvent(event);
+    }
+    nudgeTmux(session, nudgeText);
+  };
+
+  const store = activeStore();
+  if (store) {
+    let lastSeq = store.lastEventSeq();
+    console.log(`Watching ${store.path} (events table) for new events...`);
+    console.log(`  tmux nudge → session "${session}" with "${nudgeText}"`);
+    const timer = setInterval(() => {
+      const rows = store.eventsAfter(lastSeq);
+      if (rows.length === 0) return;
+      lastSeq = rows[rows.length - 1].seq;
+      deliver(rows.map(r => r.event));
+    }, interval);
+    return { close: () => clearInterval(timer) };
+  }
   let lastSize = 0;
+  let lastIno = 0;
+  let lastSegment = newestSegment(queuePath);
 
   try {
-    lastSize = statSync(queuePath).size;
+    ({ size: lastSize, ino: lastIno } = statSync(queuePath));
   } catch { /* file may not exist yet */ }
 
   console.log(`Watching ${queuePath} for new events...`);
   console.log(`  tmux nudge → session "${session}" with "${nudgeText}"`);
 
-  // Use fs.watchFile for reliable cross-platform polling (works on all FS types)
-  const watcher = watch(queuePath, { persistent: true }, (eventType) => {
-    if (eventType !== 'change') return;
+  // Track the inode ourselves: when a missing file reappears, watchFile
+  // reports the stat from before it vanished as `prev`.
+  const listener = (curr) => {
+    const chunks = [];
+    // lastIno is 0 while the file does not exist (e.g. right after rotation).
+    const fresh = lastIno === 0;
+    const replaced = !fresh && (curr.ino !== lastIno || curr.size < lastSize);
+    lastIno = curr.ino;
+
+    if (replaced) {
+      // A rotation mid-flight has only its staging file; check it first.
+      const staging = stagingSegment(queuePath);
+      const segment = staging ? `${staging}.gz` : newestSegment(queuePath);
+      if (segment && segment !== lastSegment) {
+        // Rotated: finish the archived file from where we left off.
+        const archived = readArchived(staging, segment);
+        if (archived) chunks.push(archived.subarray(lastSize));
+        lastSegment = segment;
+      } else {
+        // Compacted in place: acked lines were dropped, offsets shifted.
+        lastSize = curr.size;
+        return;
+      }
+    }
 
-    let currentSize;
-    try {
-      currentSize = statSync(queuePath).size;
-    } catch { return; }
+    if (replaced || fresh) lastSize = 0;
 
-    if (currentSize <= lastSize) {
-      lastSize = currentSize;
-      return;
+    if (curr.size > lastSize) {
+      // Read new content using byte offset for correct UTF-8 handling
+      const buf = readFileSync(queuePath);
+      chunks.push(buf.subarray(lastSize));
+      lastSize = buf.length;
     }
 
-    // Read new content using byte offset for correct UTF-8 handling
-    const buf = readFileSync(queuePath);
-    const newBuf = buf.slice(lastSize);
-    lastSize = currentSize;
-    const newContent = newBuf.toString('utf8').trim();
+    const newContent = Buffer.concat(chunks).toString('utf8').trim();
     if (!newContent) return;
     const newLines = newContent.split('\n');
 
-    if (newLines.length === 0) return;
-
     const events = [];
     for (const line of newLines) {
       try {
@@ -52,19 +98,25 @@ export function watchQueue(config, onNewEvent) {
     }
 
     if (events.length === 0) return;
+    deliver(events);
+  };
 
-    console.log(`[${new Date().toISOString()}] ${events.length} new event(s) in queue`);
+  watchFile(queuePath, { persistent: true, interval }, listener);
 
-    // Trigger callback for each event
-    for (const event of events) {
-      if (onNewEvent) onNewEvent(event);
-    }
+  return { close: () => unwatchFile(queuePath, listener) };
+}
 
-    // Nudge tmux session
-    nudgeTmux(session, nudgeText);
-  });
+// The staging file may be gzipped and removed under us; fall back to the segment.
+function readArchived(staging, segment) {
+  if (staging) {
+    try { return readFileSync(staging); } catch { /* rotation finished */ }
+  }
+  try { return readSegment(segment); } catch { return null; /* pruned */ }
+}
 
-  return watcher;
+function newestSegment(queuePath) {
+  const segments = listSegments(queuePath);
+  return segments.length ? segments[segments.length - 1] : null;
 }
 
 function nudgeTmux(session, text) {
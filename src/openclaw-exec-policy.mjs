@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { globMatch } from './common/allowlist.mjs';
+
+/**
+ * Exec approval policy — decides which requests need a human.
+ *
+ * Policy file (config.exec.policyFile, default ./exec-policy.json):
+ *
+ *   {
+ *     "ttl_sec": 3600,                  pending requests expire after this (0 = never)
+ *     "quorum": 1,                      distinct approvers needed to allow
+ *     "deny":  ["rm -rf *", "*| sh*"],  auto-deny globs, checked first
+ *     "allow": ["git status*"],         auto-approve globs for every agent
+ *     "agents": {
+ *       "ether": { "allow": ["npm test*"], "deny": ["git push*"], "quorum": 2 }
+ *     }
+ *   }
+ *
+ * Globs match the whole command line ("*" spans spaces). A missing policy
+ * file means every request is manual with a quorum of one. Because "*" also
+ * spans shell syntax, a command line that chains, pipes, substitutes or
+ * redirects (; & | ` $( < > or a newline) is never auto-approved — so
+ * "git status*" does not let "git status && rm -rf ~" through. Deny globs
+ * still apply to such commands.
+ *
+ * OpenClaw's native allowlist ($OPENCLAW_DATA/exec-approvals.json,
+ * agents.<id>.allowlist[].pattern) feeds the same evaluation as auto-approve
+ * globs on the program (first word of the command).
+ */
+
+const OPENCLAW_DATA = process.env.OPENCLAW_DATA || '';
+
+export const OUTCOMES = ['auto-allow', 'auto-deny', 'manual'];
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export function loadExecPolicy(config) {
+  const raw = readJson(config?.exec?.policyFile || './exec-policy.json') || {};
+  return {
+    ttl_sec: raw.ttl_sec || 0,
+    quorum: raw.quorum || 1,
+    deny: raw.deny || [],
+    allow: raw.allow || [],
+    agents: raw.agents || {}
+  };
+}
+
+export function openclawAllowlistFile() {
+  return OPENCLAW_DATA ? join(OPENCLAW_DATA, 'exec-approvals.json') : '';
+}
+
+/**
+ * Read OpenClaw's native allowlist file. Returns null when it is absent.
+ */
+export function loadOpenclawAllowlist() {
+  const filePath = openclawAllowlistFile();
+  return filePath ? readJson(filePath) : null;
+}
+
+function openclawPatterns(native, agentId) {
+  const entries = native?.agents?.[agentId]?.allowlist || [];
+  return entries
+    .map(e => (typeof e === 'string' ? e : e?.pattern))
+    .filter(Boolean)
+    .map(p => p.replace(/^~(?=\/|$)/, homedir()));
+}
+
+const SHELL_META = /[;&|`<>\n\r]|\$\(/;
+
+/**
+ * True when a command line does more than run one program: it chains,
+ * pipes, substitutes or redirects.
+ */
+export function hasShellMeta(line) {
+  return SHELL_META.test(line);
+}
+
+function commandLine(request) {
+  if (Array.isArray(request.argv) && request.argv.length > 0) return request.argv.join(' ');
+  return String(request.command || '').trim();
+}
+
+/**
+ * Evaluate a request ({ command, argv, agentId }) against the policy and the
+ * OpenClaw allowlist. Returns { outcome, rule, quorum }, where rule names the
+ * glob that decided it (null for manual).
+ */
+export function evaluateExecPolicy(policy, request, native = null) {
+  const agent = policy.agents[request.agentId] || {};
+  const line = commandLine(request);
+  const program = line.split(/\s+/)[0] || '';
+  const quorum = agent.quorum || policy.quorum;
+
+  const denied = [...(agent.deny || []), ...policy.deny].find(g => globMatch(g, line));
+  if (denied) return { outcome: 'auto-deny', rule: denied, quorum };
+  if (hasShellMeta(line)) return { outcome: 'manual', rule: null, quorum };
+
+  const allowed = [...(agent.allow || []), ...policy.allow].find(g => globMatch(g, line));
+  if (allowed) return { outcome: 'auto-allow', rule: allowed, quorum };
+
+  const nativeRule = openclawPatterns(native, request.agentId).find(g => globMatch(g, program));
+  if (nativeRule) return { outcome: 'auto-allow', rule: `openclaw:${nativeRule}`, quorum };
+
+  return { outcome: 'manual', rule: null, quorum };
+}
@@ -1,8 +1,10 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
-import { join, dirname } from 'node:path';
 import { randomUUID } from 'node:crypto';
+import { readJson, writeJsonAtomic } from './common/state-store.mjs';
+import { activeStore, stateTransaction } from './common/storage.mjs';
+import { createReceipt, appendReceipt } from './team-relay/receipt.mjs';
+import { loadExecPolicy, loadOpenclawAllowlist, evaluateExecPolicy } from './openclaw-exec-policy.mjs';
 
 /**
  * OpenClaw Exec Approvals — Governance layer for agent command execution.
@@ -11,35 +13,116 @@ import { randomUUID } from 'node:crypto';
  * approvals via a local JSON file that both team-relay and judge-core can read/write.
  *
  * The approval workflow:
- *   1. Agent requests approval → written to approvals.json with status "pending"
- *   2. Judge (or admin) reviews → resolves with allow/deny
+ *   1. Agent requests approval → the policy (openclaw-exec-policy.mjs) either
+ *      resolves it at once (auto-allow / auto-deny) or writes it to
+ *      approvals.json with status "pending"
+ *   2. Judge (or admin) reviews → resolves with allow/deny. An allow counts as
+ *      one approval; the request resolves once `quorum` distinct resolvers
+ *      have allowed it. A single deny resolves it.
  *   3. Agent checks status before executing
  *
- * This also reads OpenClaw's native exec-approvals.json for allowlist integration.
+ * Pending requests older than the policy's ttl_sec become "expired" the next
+ * time the queue is read.
+ *
+ * Each request carries a trace_id. When config.receipts.path is set, the
+ * request and the decision are both written as receipts under that trace_id,
+ * and the eventual run (automation exec, tmux run) reuses it.
+ *
+ * config.exec.resolvers limits who may resolve (handles, "@" optional); when
+ * it is empty any caller may.
  *
  * Files:
- *   ~/.openclaw/exec-approvals.json — OpenClaw native allowlist (per-agent, glob-based)
- *   ./exec-approvals.json           — team-relay approval queue
+ *   $OPENCLAW_DATA/exec-approvals.json — OpenClaw native allowlist (per-agent, glob-based)
+ *   ./exec-approvals.json              — team-relay approval queue
+ *   ./exec-policy.json                 — auto-approve/deny globs, quorum, TTL
  */
 
-const OPENCLAW_DATA = process.env.OPENCLAW_DATA || '';
-
 function resolveApprovalFile(config) {
   return config?.exec?.approvalFile || './exec-approvals.json';
 }
 
 function loadApprovals(filePath) {
-  try {
-    return JSON.parse(readFileSync(filePath, 'utf8'));
-  } catch {
-    return { approvals: [] };
-  }
+  const store = activeStore();
+  if (store) return { approvals: Object.values(store.readCollection('exec_approvals')) };
+  const data = readJson(filePath, { approvals: [] });
+  if (!Array.isArray(data.approvals)) data.approvals = [];
+  return data;
+}
+
+const DECISIONS = ['allow', 'allow-once', 'allow-always', 'deny'];
+
+export function isAllowDecision(decision) {
+  return typeof decision === 'string' && decision.startsWith('allow');
+}
+
+function normHandle(h) {
+  return String(h || '').toLowerCase().replace(/^@/, '');
+}
+
+function receiptFor(config, receipt) {
+  const path = config?.receipts?.path;
+  if (path) appendReceipt(path, receipt, config.receipts);
 }
 
 function saveApprovals(filePath, data) {
-  const dir = dirname(filePath);
-  if (dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
-  writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+  const store = activeStore();
+  if (store) store.writeCollection('exec_approvals', Object.fromEntries(data.approvals.map(a => [a.requestId, a])));
+  else writeJsonAtomic(filePath, data);
+}
+
+function isStale(req, policy, now) {
+  return req.status === 'pending' && now - Date.parse(req.createdAt) >= policy.ttl_sec * 1000;
+}
+
+/**
+ * Mark pending requests older than ttl_sec as expired. Returns true when any
+ * request changed (the caller saves).
+ */
+function expireStale(config, data, policy, now = Date.now()) {
+  if (!policy.ttl_sec) return false;
+  let changed = false;
+  for (const req of data.approvals) {
+    if (!isStale(req, policy, now)) continue;
+    req.status = 'expired';
+    req.resolvedAt = new Date(now).toISOString();
+    changed = true;
+    receiptFor(config, createReceipt({
+      traceId: req.traceId,
+      actor: { name: 'policy', kind: 'bot' },
+      action: { kind: 'exec.approval.expire', request_id: req.requestId, cmd: req.command },
+      status: 'expired',
+      notes: `no decision within ${policy.ttl_sec}s`
+    }));
+  }
+  return changed;
+}
+
+/**
+ * Load the approval queue with stale requests expired and saved. The caller
+ * holds the queue lock.
+ */
+function loadCurrent(config, filePath, policy = loadExecPolicy(config)) {
+  const data = loadApprovals(filePath);
+  if (expireStale(config, data, policy)) saveApprovals(filePath, data);
+  return data;
+}
+
+/**
+ * Read the approval queue without the lock. Only when a request has gone
+ * stale is the lock taken, to expire and save it once.
+ *
+ * A concurrent resolver cannot be half-seen: it saves under the lock with
+ * writeJsonAtomic (temp file + rename) or a sqlite transaction, so this read
+ * gets the queue from before or after its decision, and a decision it misses
+ * shows up on the caller's next poll. The result is only read, never saved:
+ * every writer reloads the queue under the lock (loadCurrent) first.
+ */
+function readCurrent(config, filePath) {
+  const policy = loadExecPolicy(config);
+  const data = loadApprovals(filePath);
+  const now = Date.now();
+  if (!policy.ttl_sec || !data.approvals.some(req => isStale(req, policy, now))) return data;
+  return stateTransaction(filePath, () => loadCurrent(config, filePath, policy));
 }
 
 /**
@@ -47,25 +130,75 @@ function saveApprovals(filePath, data) {
  */
 export async function execApprovalRequest(config, params, options = {}) {
   const filePath = resolveApprovalFile(config);
-  const data = loadApprovals(filePath);
+  return stateTransaction(filePath, () => {
+    const policy = loadExecPolicy(config);
+    const data = loadCurrent(config, filePath, policy);
+    const verdict = evaluateExecPolicy(policy, {
+      command: params.command,
+      argv: params.argv,
+      agentId: params.agentId || 'unknown'
+    }, loadOpenclawAllowlist());
 
-  const request = {
-    requestId: randomUUID(),
-    command: params.command,
-    cwd: params.cwd || process.cwd(),
-    agentId: params.agentId || 'unknown',
-    reason: params.reason || '',
-    status: 'pending',
-    createdAt: new Date().toISOString(),
-    resolvedAt: null,
-    decision: null,
-    resolvedBy: null
-  };
+    const request = {
+      requestId: randomUUID(),
+      traceId: params.traceId || randomUUID(),
+      command: params.command,
+      argv: params.argv || null,
+      cwd: params.cwd || process.cwd(),
+      env: params.env || null,
+      timeoutMs: params.timeoutMs || null,
+      session: params.session || null,
+      source: params.source || 'cli',
+      agentId: params.agentId || 'unknown',
+      reason: params.reason || '',
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+      decision: null,
+      resolvedBy: null,
+      policy: { outcome: verdict.outcome, rule: verdict.rule },
+      quorum: verdict.quorum,
+      approvals: [],
+      executedAt: null
+    };
+    if (verdict.outcome !== 'manual') {
+      request.status = 'resolved';
+      request.decision = verdict.outcome === 'auto-allow' ? 'allow-once' : 'deny';
+      request.resolvedBy = 'policy';
+      request.resolvedAt = request.createdAt;
+    }
 
-  data.approvals.push(request);
-  saveApprovals(filePath, data);
+    data.approvals.push(request);
+    saveApprovals(filePath, data);
 
-  return { ok: true, data: { requestId: request.requestId, status: 'pending' } };
+    receiptFor(config, createReceipt({
+      traceId: request.traceId,
+      actor: { name: request.agentId, kind: 'ide-agent' },
+      action: { kind: 'exec.approval.request', request_id: request.requestId, cmd: request.command, cwd: request.cwd, source: request.source },
+      status: 'pending',
+      notes: request.reason
+    }));
+    if (request.decision) {
+      receiptFor(config, createReceipt({
+        traceId: request.traceId,
+        actor: { name: 'policy', kind: 'bot' },
+        action: { kind: 'exec.approval.resolve', request_id: request.requestId, cmd: request.command, decision: request.decision },
+        status: isAllowDecision(request.decision) ? 'ok' : 'denied',
+        notes: `${verdict.outcome} by rule ${verdict.rule}`
+      }));
+    }
+
+    return {
+      ok: true,
+      data: {
+        requestId: request.requestId,
+        traceId: request.traceId,
+        status: request.status,
+        decision: request.decision,
+        policy: request.policy
+      }
+    };
+  });
 }
 
 /**
@@ -77,11 +210,12 @@ export async function execApprovalWait(config, params, options = {}) {
   const start = Date.now();
 
   while (Date.now() - start < timeout) {
-    const data = loadApprovals(filePath);
+    const data = readCurrent(config, filePath);
     const req = data.approvals.find(a => a.requestId === params.requestId);
     if (!req) return { ok: false, error: 'Request not found' };
+    if (req.status === 'expired') return { ok: false, error: 'Request expired' };
     if (req.status !== 'pending') {
-      return { ok: true, data: { decision: req.decision, resolvedBy: req.resolvedBy, resolvedAt: req.resolvedAt } };
+      return { ok: true, data: { decision: req.decision, resolvedBy: req.resolvedBy, resolvedAt: req.resolvedAt, traceId: req.traceId } };
     }
     await new Promise(r => setTimeout(r, 2000));
   }
@@ -94,46 +228,108 @@ export async function execApprovalWait(config, params, options = {}) {
  */
 export async function execApprovalResolve(config, params, options = {}) {
   const filePath = resolveApprovalFile(config);
-  const data = loadApprovals(filePath);
+  return stateTransaction(filePath, () => {
+    const data = loadCurrent(config, filePath);
 
-  const req = data.approvals.find(a => a.requestId === params.requestId);
-  if (!req) return { ok: false, error: 'Request not found' };
-  if (req.status !== 'pending') return { ok: false, error: `Already resolved: ${req.decision}` };
+    const req = data.approvals.find(a => a.requestId === params.requestId);
+    if (!req) return { ok: false, error: 'Request not found' };
+    if (req.status === 'expired') return { ok: false, error: 'Request expired' };
+    if (req.status !== 'pending') return { ok: false, error: `Already resolved: ${req.decision}` };
+    if (!DECISIONS.includes(params.decision)) return { ok: false, error: `Decision must be one of ${DECISIONS.join(', ')}` };
 
-  req.status = 'resolved';
-  req.decision = params.decision;
-  req.resolvedBy = params.resolvedBy || 'admin';
-  req.resolvedAt = new Date().toISOString();
-  if (params.reason) req.resolveReason = params.reason;
+    const resolvedBy = params.resolvedBy || 'admin';
+    const resolvers = (config?.exec?.resolvers || []).map(normHandle);
+    if (resolvers.length > 0 && !resolvers.includes(normHandle(resolvedBy))) {
+      return { ok: false, error: `${resolvedBy} is not an allowed resolver` };
+    }
 
-  saveApprovals(filePath, data);
+    req.approvals = req.approvals || [];
+    const quorum = req.quorum || 1;
+    if (isAllowDecision(params.decision)) {
+      if (req.approvals.some(a => normHandle(a.by) === normHandle(resolvedBy))) {
+        return { ok: false, error: `${resolvedBy} has already approved this request` };
+      }
+      req.approvals.push({ by: resolvedBy, decision: params.decision, at: new Date().toISOString() });
+    }
+
+    const decided = !isAllowDecision(params.decision) || req.approvals.length >= quorum;
+    if (decided) {
+      req.status = 'resolved';
+      req.decision = params.decision;
+      req.resolvedBy = resolvedBy;
+      req.resolvedAt = new Date().toISOString();
+      if (params.reason) req.resolveReason = params.reason;
+    }
 
-  return { ok: true, data: { requestId: req.requestId, decision: req.decision } };
+    saveApprovals(filePath, data);
+
+    receiptFor(config, createReceipt({
+      traceId: req.traceId,
+      actor: { name: resolvedBy, kind: 'human' },
+      action: { kind: 'exec.approval.resolve', request_id: req.requestId, cmd: req.command, decision: params.decision },
+      status: !decided ? 'pending' : isAllowDecision(params.decision) ? 'ok' : 'denied',
+      notes: params.reason || (decided ? '' : `approval ${req.approvals.length}/${quorum}`)
+    }));
+
+    return {
+      ok: true,
+      data: {
+        requestId: req.requestId,
+        traceId: req.traceId,
+        status: req.status,
+        decision: req.decision,
+        approvals: req.approvals.length,
+        quorum
+      }
+    };
+  });
+}
+
+/**
+ * Record that an approved request has been run, so it is never run twice.
+ */
+export async function execApprovalMarkExecuted(config, params) {
+  const filePath = resolveApprovalFile(config);
+  return stateTransaction(filePath, () => {
+    const data = loadApprovals(filePath);
+    const req = data.approvals.find(a => a.requestId === params.requestId);
+    if (!req) return { ok: false, error: 'Request not found' };
+    if (req.executedAt) return { ok: false, error: 'Already executed' };
+    req.executedAt = new Date().toISOString();
+    req.executionStatus = params.status || 'ok';
+    saveApprovals(filePath, data);
+    return { ok: true, data: { requestId: req.requestId } };
+  });
 }
 
 /**
  * List approval requests.
+ *
+ * Filters: agentId, status (pending|resolved|expired|all), outcome
+ * (auto-allow|auto-deny|manual), olderThanSec / newerThanSec (request age).
  */
 export async function execApprovalList(config, params = {}, options = {}) {
   const filePath = resolveApprovalFile(config);
-  const data = loadApprovals(filePath);
+  const data = readCurrent(config, filePath);
+  const now = Date.now();
+  const age = a => (now - Date.parse(a.createdAt)) / 1000;
 
   let results = data.approvals || [];
   if (params.agentId) results = results.filter(a => a.agentId === params.agentId);
   if (params.status && params.status !== 'all') results = results.filter(a => a.status === params.status);
+  if (params.outcome) results = results.filter(a => (a.policy?.outcome || 'manual') === params.outcome);
+  if (params.olderThanSec != null) results = results.filter(a => age(a) >= params.olderThanSec);
+  if (params.newerThanSec != null) results = results.filter(a => age(a) < params.newerThanSec);
 
   return { ok: true, data: results };
 }
 
 /**
- * Read OpenClaw's native exec-approvals.json (allowlists).
+ * Read OpenClaw's native exec-approvals.json (allowlists). The same file is
+ * consulted by every approval request; see openclaw-exec-policy.mjs.
  */
 export async function execAllowlistGet(config, options = {}) {
-  const filePath = join(OPENCLAW_DATA, 'exec-approvals.json');
-  try {
-    const data = JSON.parse(readFileSync(filePath, 'utf8'));
-    return { ok: true, data };
-  } catch {
-    return { ok: false, error: 'No OpenClaw exec-approvals.json found' };
-  }
+  const data = loadOpenclawAllowlist();
+  if (!data) return { ok: false, error: 'No OpenClaw exec-approvals.json found' };
+  return { ok: true, data };
 }
@@ -5,6 +5,7 @@ import { readFileSync, writeFileSync, appendFileSync, existsSync } from 'node:fs
 import { randomUUID } from 'node:crypto';
 import { createReceipt, appendReceipt } from './receipt.mjs';
 import { canSend, markSent } from './rate-limiter.mjs';
+import { getJson, postJson, httpOptions } from './common/http.mjs';
 
 // Ack-only messages are low-value and cause loops. Filter them out from automation posts.
 const ACK_ONLY_PATTERNS = [
@@ -63,22 +64,18 @@ function saveSeenIds(path, ids) {
   writeFileSync(path, arr.join('\n') + '\n');
 }
 
-function fetchRoomMessages(room, apiKey, limit = 20) {
+async function fetchRoomMessages(room, apiKey, limit = 20, http = {}) {
   const url = `https://groupmind.one/api/v1/rooms/${room}/messages?limit=${limit}`;
   try {
-    const result = execSync(
-      `curl -sS -H "X-API-Key: ${apiKey}" "${url}"`,
-      { encoding: 'utf8', timeout: 15000 }
-    );
-    const data = JSON.parse(result);
-    return data.messages || (Array.isArray(data) ? data : []);
+    const data = await getJson(url, { ...http, headers: { 'X-API-Key': apiKey } });
+    return data?.messages || (Array.isArray(data) ? data : []);
   } catch (e) {
     console.error(`  fetch ${room} failed: ${e.message}`);
     return [];
   }
 }
 
-function postMessage(room, body, apiKey, config) {
+async function postMessage(room, body, apiKey, config) {
   if (isAckOnly(body)) {
     console.log(`  ack-only message filtered, skipping post to ${room}: ${body.slice(0, 60)}`);
     return false;
@@ -87,12 +84,11 @@ function postMessage(room, body, apiKey, config) {
     console.log(`  rate-limited (${config?.rate_limit?.message_interval_sec || 30}s interval), skipping post to ${room}`);
     return false;
   }
-  const payload = JSON.stringify({ room, body });
   try {
-    execSync(
-      `curl -sS -X POST "https://groupmind.one/api/v1/messages" -H "X-API-Key: ${apiKey}" -H "Content-Type: application/json" -d '${payload.replace(/'/g, "'\\''")}'`,
-      { timeout: 15000 }
-    );
+    await postJson('https://groupmind.one/api/v1/messages', { room, body }, {
+      ...httpOptions(config),
+      headers: { 'X-API-Key': apiKey }
+    });
     markSent();
     return true;
   } catch (e) {
@@ -144,7 +140,7 @@ function matchesRule(msg, rule) {
 /**
  * Execute a rule action and return a receipt.
  */
-function executeAction(action, msg, apiKey, config) {
+async function executeAction(action, msg, apiKey, config) {
   const startedAt = new Date().toISOString();
   if (!action) {
     return createReceipt({
@@ -165,7 +161,7 @@ function executeAction(action, msg, apiKey, config) {
   if (action.type === 'post') {
     const targetRoom = sub(action.room) || room;
     const body = sub(action.body);
-    const ok = postMessage(targetRoom, body, apiKey, config);
+    const ok = await postMessage(targetRoom, body, apiKey, config);
     return createReceipt({
       actor: { name: config?.poller?.handle || 'ide-agent-kit', kind: 'automation' },
       action: `post to ${targetRoom}`,
@@ -258,6 +254,7 @@ export async function startRoomAutomation({ rooms, apiKey, handle, interval, con
     console.log('  WARNING: No automation rules configured. Add rules to automation.rules in config.');
   }
 
+  const http = httpOptions(config);
   const seen = loadSeenIds(seenFile);
   const lastFired = new Map(); // rule name → timestamp
 
@@ -265,7 +262,7 @@ export async function startRoomAutomation({ rooms, apiKey, handle, interval, con
   if (seen.size === 0) {
     console.log(`  seeding seen IDs...`);
     for (const room of rooms) {
-      const msgs = await fetchRoomMessages(room, apiKey, 50);
+      const msgs = await fetchRoomMessages(room, apiKey, 50, http);
       for (const m of msgs) {
         if (m.id) seen.add(m.id);
       }
@@ -279,7 +276,7 @@ export async function startRoomAutomation({ rooms, apiKey, handle, interval, con
     const now = Date.now();
 
     for (const room of rooms) {
-      const msgs = fetchRoomMessages(room, apiKey);
+      const msgs = await fetchRoomMessages(room, apiKey, 20, http);
       for (const m of msgs) {
         if (!m.id || seen.has(m.id)) continue;
         seen.add(m.id);
@@ -303,7 +300,7 @@ export async function startRoomAutomation({ rooms, apiKey, handle, interval, con
           }
 
           console.log(`  rule "${rule.name}" matched → ${rule.action?.type || '?'}`);
-          const receipt = executeAction(rule.action, m, apiKey, config);
+          const receipt = await executeAction(rule.action, m, apiKey, config);
           appendReceipt(receiptPath, receipt);
           lastFired.set(rule.name, now);
           actionsRun++;
@@ -4,6 +4,7 @@ import { readFileSync, writeFileSync, appendFileSync } from 'node:fs';
 import { randomUUID } from 'node:crypto';
 import { execSync } from 'node:child_process';
 import { nudgeTmux, nudgeCommand } from './utils.mjs';
+import { getJson, httpOptions } from './common/http.mjs';
 
 /**
  * Room Poller — polls Ant Farm rooms and notifies IDE agent of new messages.
@@ -33,15 +34,11 @@ function saveSeenIds(path, ids) {
   writeFileSync(path, arr.join('\n') + '\n');
 }
 
-async function fetchRoomMessages(room, apiKey, limit = 10) {
+async function fetchRoomMessages(room, apiKey, limit = 10, http = {}) {
   const url = `https://groupmind.one/api/v1/rooms/${room}/messages?limit=${limit}`;
   try {
-    const result = execSync(
-      `curl -sS -H "Authorization: Bearer ${apiKey}" "${url}"`,
-      { encoding: 'utf8', timeout: 15000 }
-    );
-    const data = JSON.parse(result);
-    return data.messages || (Array.isArray(data) ? data : []);
+    const data = await getJson(url, { ...http, headers: { Authorization: `Bearer ${apiKey}` } });
+    return data?.messages || (Array.isArray(data) ? data : []);
   } catch (e) {
     console.error(`  fetch ${room} failed: ${e.message}`);
     return [];
@@ -86,12 +83,13 @@ export async function startRoomPoller({ rooms, apiKey, handle, interval, config
   console.log(`  queue: ${queuePath}`);
   console.log('  auto-ack: disabled (real replies only)');
 
+  const http = httpOptions(config);
   const seen = loadSeenIds(seenFile);
 
   if (seen.size === 0) {
     console.log('  seeding seen IDs from current messages...');
     for (const room of rooms) {
-      const msgs = await fetchRoomMessages(room, apiKey, 50);
+      const msgs = await fetchRoomMessages(room, apiKey, 50, http);
       for (const m of msgs) {
         if (m.id) seen.add(m.id);
       }
@@ -104,7 +102,7 @@ export async function startRoomPoller({ rooms, apiKey, handle, interval, config
     let newCount = 0;
     const newMessages = [];
     for (const room of rooms) {
-      const msgs = await fetchRoomMessages(room, apiKey);
+      const msgs = await fetchRoomMessages(room, apiKey, 10, http);
       for (const m of msgs) {
         const mid = m.id;
         if (!mid || seen.has(mid)) continue;
@@ -1,9 +1,10 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
 import { randomUUID } from 'node:crypto';
 import { timingSafeEqual } from 'node:crypto';
-import { appendFileSync } from 'node:fs';
+import { readJson, writeJsonAtomic } from '../common/state-store.mjs';
+import { activeStore, stateTransaction } from '../common/storage.mjs';
+import { createReceipt, appendReceipt } from './receipt.mjs';
 
 /**
  * ACP Session Manager — manages Agent Client Protocol sessions with:
@@ -15,27 +16,31 @@ import { appendFileSync } from 'node:fs';
  * - Max concurrent session limits
  */
 
+// A corrupt sessions file is backed up by readJson before starting empty.
 function loadSessions(filePath) {
-  if (!existsSync(filePath)) return {};
-  try {
-    return JSON.parse(readFileSync(filePath, 'utf8'));
-  } catch {
-    return {};
-  }
+  const store = activeStore();
+  return store ? store.readCollection('acp_sessions') : readJson(filePath, {});
 }
 
 function saveSessions(filePath, sessions) {
-  writeFileSync(filePath, JSON.stringify(sessions, null, 2));
+  const store = activeStore();
+  if (store) store.writeCollection('acp_sessions', sessions);
+  else writeJsonAtomic(filePath, sessions);
 }
 
-function logReceipt(receiptPath, data) {
+/**
+ * Write an acp.session.* receipt. Every receipt for a session carries the
+ * session's trace_id, so `receipt trace` can follow it.
+ */
+function logReceipt(config, { kind, status, traceId, actor, notes, ...action }) {
   try {
-    const receipt = {
-      timestamp: new Date().toISOString(),
-      source: 'acp',
-      ...data
-    };
-    appendFileSync(receiptPath, JSON.stringify(receipt) + '\n');
+    appendReceipt(config?.receipts?.path || './ide-agent-receipts.jsonl', createReceipt({
+      traceId,
+      actor: { name: actor || 'acp', kind: 'ide-agent' },
+      action: { kind, ...action },
+      status,
+      notes
+    }), config?.receipts);
   } catch { /* best-effort */ }
 }
 
@@ -101,77 +106,82 @@ function cleanExpired(sessions, timeoutSec) {
 /**
  * Create a new ACP session.
  */
-export function createSession(config, { agentId, task, harnessId, threadId, mode }) {
+export function createSession(config, { agentId, task, harnessId, threadId, mode, traceId }) {
   const acpCfg = config?.acp || {};
   const sessionsFile = acpCfg.sessions_file || '/tmp/iak-acp-sessions.json';
-  const receiptPath = config?.receipts?.path || './ide-agent-receipts.jsonl';
+  const trace = traceId || randomUUID();
   const timeoutSec = acpCfg.session_timeout_sec || 3600;
   const maxSessions = acpCfg.max_concurrent_sessions || 5;
 
-  // Load and clean sessions
-  let sessions = loadSessions(sessionsFile);
-  sessions = cleanExpired(sessions, timeoutSec);
+  return stateTransaction(sessionsFile, () => {
+    // Load and clean sessions
+    let sessions = loadSessions(sessionsFile);
+    sessions = cleanExpired(sessions, timeoutSec);
+
+    // Check concurrent limit
+    const activeSessions = Object.values(sessions).filter(s =>
+      s.status === 'active' || s.status === 'pending'
+    );
+    if (activeSessions.length >= maxSessions) {
+      const result = { ok: false, error: `Max concurrent sessions (${maxSessions}) reached` };
+      if (acpCfg.receipt_all_actions) {
+        logReceipt(config, { kind: 'acp.session.create', status: 'denied', traceId: trace, actor: agentId, reason: 'max_concurrent', agent_id: agentId });
+      }
+      return result;
+    }
 
-  // Check concurrent limit
-  const activeSessions = Object.values(sessions).filter(s =>
-    s.status === 'active' || s.status === 'pending'
-  );
-  if (activeSessions.length >= maxSessions) {
-    const result = { ok: false, error: `Max concurrent sessions (${maxSessions}) reached` };
-    if (acpCfg.receipt_all_actions) {
-      logReceipt(receiptPath, { action: 'acp.session.create', status: 'denied', reason: 'max_concurrent', agentId });
+    // Validate agent allowlist
+    if (agentId && !isAgentAllowed(config, agentId)) {
+      const result = { ok: false, error: `Agent ${agentId} not in ACP allowlist` };
+      if (acpCfg.receipt_all_actions) {
+        logReceipt(config, { kind: 'acp.session.create', status: 'denied', traceId: trace, actor: agentId, reason: 'agent_not_allowed', agent_id: agentId });
+      }
+      return result;
     }
-    return result;
-  }
 
-  // Validate agent allowlist
-  if (agentId && !isAgentAllowed(config, agentId)) {
-    const result = { ok: false, error: `Agent ${agentId} not in ACP allowlist` };
-    if (acpCfg.receipt_all_actions) {
-      logReceipt(receiptPath, { action: 'acp.session.create', status: 'denied', reason: 'agent_not_allowed', agentId });
+    // Validate harness allowlist
+    if (harnessId && !isHarnessAllowed(config, harnessId)) {
+      const result = { ok: false, error: `Harness ${harnessId} not in ACP allowlist` };
+      if (acpCfg.receipt_all_actions) {
+        logReceipt(config, { kind: 'acp.session.create', status: 'denied', traceId: trace, actor: agentId, reason: 'harness_not_allowed', harness_id: harnessId });
+      }
+      return result;
     }
-    return result;
-  }
 
-  // Validate harness allowlist
-  if (harnessId && !isHarnessAllowed(config, harnessId)) {
-    const result = { ok: false, error: `Harness ${harnessId} not in ACP allowlist` };
+    const sessionId = randomUUID();
+    const session = {
+      id: sessionId,
+      trace_id: trace,
+      agent_id: agentId || null,
+      harness_id: harnessId || null,
+      task: task || '',
+      thread_id: threadId || null,
+      mode: mode || 'one-shot',
+      status: 'active',
+      messages: [],
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      closed_at: null
+    };
+
+    sessions[sessionId] = session;
+    saveSessions(sessionsFile, sessions);
+
     if (acpCfg.receipt_all_actions) {
-      logReceipt(receiptPath, { action: 'acp.session.create', status: 'denied', reason: 'harness_not_allowed', harnessId });
+      logReceipt(config, {
+        kind: 'acp.session.create',
+        status: 'ok',
+        traceId: trace,
+        actor: agentId,
+        session_id: sessionId,
+        agent_id: agentId || undefined,
+        harness_id: harnessId || undefined,
+        mode: session.mode
+      });
     }
-    return result;
-  }
-
-  const sessionId = randomUUID();
-  const session = {
-    id: sessionId,
-    agent_id: agentId || null,
-    harness_id: harnessId || null,
-    task: task || '',
-    thread_id: threadId || null,
-    mode: mode || 'one-shot',
-    status: 'active',
-    messages: [],
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-    closed_at: null
-  };
-
-  sessions[sessionId] = session;
-  saveSessions(sessionsFile, sessions);
-
-  if (acpCfg.receipt_all_actions) {
-    logReceipt(receiptPath, {
-      action: 'acp.session.create',
-      status: 'ok',
-      session_id: sessionId,
-      agentId,
-      harnessId,
-      mode: session.mode
-    });
-  }
 
-  return { ok: true, session };
+    return { ok: true, session };
+  });
 }
 
 /**
@@ -180,49 +190,51 @@ export function createSession(config, { agentId, task, harnessId, threadId, mode
 export function sendToSession(config, sessionId, { from, body, role }) {
   const acpCfg = config?.acp || {};
   const sessionsFile = acpCfg.sessions_file || '/tmp/iak-acp-sessions.json';
-  const receiptPath = config?.receipts?.path || './ide-agent-receipts.jsonl';
   const timeoutSec = acpCfg.session_timeout_sec || 3600;
 
-  let sessions = loadSessions(sessionsFile);
-  sessions = cleanExpired(sessions, timeoutSec);
+  return stateTransaction(sessionsFile, () => {
+    let sessions = loadSessions(sessionsFile);
+    sessions = cleanExpired(sessions, timeoutSec);
 
-  const session = sessions[sessionId];
-  if (!session) {
-    return { ok: false, error: 'Session not found' };
-  }
+    const session = sessions[sessionId];
+    if (!session) {
+      return { ok: false, error: 'Session not found' };
+    }
 
-  if (session.status !== 'active') {
-    return { ok: false, error: `Session is ${session.status}` };
-  }
+    if (session.status !== 'active') {
+      return { ok: false, error: `Session is ${session.status}` };
+    }
 
-  const message = {
-    id: randomUUID(),
-    from: from || 'unknown',
-    role: role || 'user',
-    body: body || '',
-    created_at: new Date().toISOString()
-  };
-
-  const maxMessages = acpCfg.max_messages_per_session || 200;
-  if (session.messages.length >= maxMessages) {
-    return { ok: false, error: `Session message limit (${maxMessages}) reached` };
-  }
+    const message = {
+      id: randomUUID(),
+      from: from || 'unknown',
+      role: role || 'user',
+      body: body || '',
+      created_at: new Date().toISOString()
+    };
 
-  session.messages.push(message);
-  session.updated_at = new Date().toISOString();
-  saveSessions(sessionsFile, sessions);
-
-  if (acpCfg.receipt_all_actions) {
-    logReceipt(receiptPath, {
-      action: 'acp.session.send',
-      status: 'ok',
-      session_id: sessionId,
-      message_id: message.id,
-      from
-    });
-  }
+    const maxMessages = acpCfg.max_messages_per_session || 200;
+    if (session.messages.length >= maxMessages) {
+      return { ok: false, error: `Session message limit (${maxMessages}) reached` };
+    }
+
+    session.messages.push(message);
+    session.updated_at = new Date().toISOString();
+    saveSessions(sessionsFile, sessions);
+
+    if (acpCfg.receipt_all_actions) {
+      logReceipt(config, {
+        kind: 'acp.session.send',
+        status: 'ok',
+        traceId: session.trace_id,
+        actor: message.from,
+        session_id: sessionId,
+        message_id: message.id
+      });
+    }
 
-  return { ok: true, message, session_id: sessionId };
+    return { ok: true, message, session_id: sessionId, trace_id: session.trace_id || null };
+  });
 }
 
 /**
@@ -231,31 +243,34 @@ export function sendToSession(config, sessionId, { from, body, role }) {
 export function closeSession(config, sessionId, { reason } = {}) {
   const acpCfg = config?.acp || {};
   const sessionsFile = acpCfg.sessions_file || '/tmp/iak-acp-sessions.json';
-  const receiptPath = config?.receipts?.path || './ide-agent-receipts.jsonl';
 
-  const sessions = loadSessions(sessionsFile);
-  const session = sessions[sessionId];
-  if (!session) {
-    return { ok: false, error: 'Session not found' };
-  }
+  return stateTransaction(sessionsFile, () => {
+    const sessions = loadSessions(sessionsFile);
+    const session = sessions[sessionId];
+    if (!session) {
+      return { ok: false, error: 'Session not found' };
+    }
 
-  session.status = 'closed';
-  session.closed_at = new Date().toISOString();
-  session.updated_at = new Date().toISOString();
-  if (reason) session.close_reason = reason;
+    session.status = 'closed';
+    session.closed_at = new Date().toISOString();
+    session.updated_at = new Date().toISOString();
+    if (reason) session.close_reason = reason;
 
-  saveSessions(sessionsFile, sessions);
+    saveSessions(sessionsFile, sessions);
 
-  if (acpCfg.receipt_all_actions) {
-    logReceipt(receiptPath, {
-      action: 'acp.session.close',
-      status: 'ok',
-      session_id: sessionId,
-      reason: reason || 'manual'
-    });
-  }
+    if (acpCfg.receipt_all_actions) {
+      logReceipt(config, {
+        kind: 'acp.session.close',
+        status: 'ok',
+        traceId: session.trace_id,
+        actor: session.agent_id,
+        session_id: sessionId,
+        reason: reason || 'manual'
+      });
+    }
 
-  return { ok: true, session };
+    return { ok: true, session };
+  });
 }
 
 /**
@@ -277,6 +292,16 @@ export function getSession(config, sessionId) {
   return { ok: true, session };
 }
 
+/**
+ * Sessions (with their messages) that belong to a trace, oldest first.
+ */
+export function sessionsForTrace(config, traceId) {
+  const sessionsFile = config?.acp?.sessions_file || '/tmp/iak-acp-sessions.json';
+  return Object.values(loadSessions(sessionsFile))
+    .filter(s => s.trace_id === traceId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
 /**
  * List all ACP sessions, optionally filtered by status.
  */
@@ -285,32 +310,35 @@ export function listSessions(config, { status } = {}) {
   const sessionsFile = acpCfg.sessions_file || '/tmp/iak-acp-sessions.json';
   const timeoutSec = acpCfg.session_timeout_sec || 3600;
 
-  let sessions = loadSessions(sessionsFile);
-  sessions = cleanExpired(sessions, timeoutSec);
-  saveSessions(sessionsFile, sessions);
+  return stateTransaction(sessionsFile, () => {
+    let sessions = loadSessions(sessionsFile);
+    sessions = cleanExpired(sessions, timeoutSec);
+    saveSessions(sessionsFile, sessions);
 
-  let list = Object.values(sessions);
-  if (status) {
-    list = list.filter(s => s.status === status);
-  }
+    let list = Object.values(sessions);
+    if (status) {
+      list = list.filter(s => s.status === status);
+    }
 
-  // Sort by created_at descending
-  list.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-  return {
-    ok: true,
-    sessions: list.map(s => ({
-      id: s.id,
-      agent_id: s.agent_id,
-      harness_id: s.harness_id,
-      task: s.task,
-      mode: s.mode,
-      status: s.status,
-      message_count: s.messages?.length || 0,
-      created_at: s.created_at,
-      updated_at: s.updated_at,
-      closed_at: s.closed_at
-    })),
-    count: list.length
-  };
+    // Sort by created_at descending
+    list.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    return {
+      ok: true,
+      sessions: list.map(s => ({
+        id: s.id,
+        trace_id: s.trace_id || null,
+        agent_id: s.agent_id,
+        harness_id: s.harness_id,
+        task: s.task,
+        mode: s.mode,
+        status: s.status,
+        message_count: s.messages?.length || 0,
+        created_at: s.created_at,
+        updated_at: s.updated_at,
+        closed_at: s.closed_at
+      })),
+      count: list.length
+    };
+  });
 }
@@ -1,12 +1,79 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { execFileSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { writeJsonAtomic } from '../../common/state-store.mjs';
 import { randomUUID } from 'node:crypto';
+import { getJson, httpOptions } from '../../common/http.mjs';
 
 /**
  * AntFarm adapter — polls Ant Farm rooms for new messages.
+ *
+ * Keeps a per-room high-water mark (newest message seen) in poller.hwm_file
+ * and pages backwards with `before=<oldest id>` until it reaches the mark, so
+ * a burst bigger than one page is not lost. If poller.max_pages pages do not
+ * get back to the mark, an `antfarm.gap.detected` event is queued instead of
+ * silently dropping what lies in between.
  */
 
+const HWM_FILE_DEFAULT = '/tmp/iak-antfarm-hwm.json';
+
+function loadHighWaterMarks(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveHighWaterMarks(path, marks) {
+  try { writeJsonAtomic(path, marks); } catch { /* best-effort */ }
+}
+
+async function fetchPage(room, apiKey, limit, before, http = {}) {
+  let url = `https://groupmind.one/api/v1/rooms/${room}/messages?limit=${limit}`;
+  if (before) url += `&before=${encodeURIComponent(before)}`;
+  const data = await getJson(url, { ...http, headers: { 'X-API-Key': apiKey } });
+  return data?.messages || (Array.isArray(data) ? data : []);
+}
+
+function byTime(a, b) {
+  return String(a.created_at || '').localeCompare(String(b.created_at || ''));
+}
+
+function reaches(msg, hwm) {
+  if (msg.id === hwm.id) return true;
+  return !!(msg.created_at && hwm.created_at && msg.created_at <= hwm.created_at);
+}
+
+/**
+ * Fetch everything newer than the high-water mark, oldest first.
+ * Returns { messages, gap } where gap is null or { after, before } — the
+ * last known message and the oldest one we managed to fetch.
+ */
+export async function fetchRoomSince(room, hwm, { fetchPage: getPage, pageSize = 10, maxPages = 5 }) {
+  const messages = [];
+  const seen = new Set();
+  let before = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const batch = (await getPage(room, pageSize, before)).filter(m => m.id && !seen.has(m.id));
+    if (batch.length === 0) break; // exhausted, or `before` not honoured
+    batch.forEach(m => seen.add(m.id));
+    messages.push(...batch);
+
+    if (!hwm || batch.some(m => reaches(m, hwm))) {
+      return { messages: messages.sort(byTime), gap: null };
+    }
+    if (batch.length < pageSize) break; // reached the start of the room
+    before = [...batch].sort(byTime)[0].id;
+  }
+
+  messages.sort(byTime);
+  if (!hwm || messages.length === 0) return { messages, gap: null };
+  const oldest = messages[0];
+  return { messages, gap: { after: hwm, before: { id: oldest.id, created_at: oldest.created_at || null } } };
+}
+
 export const antfarmAdapter = {
   name: 'antfarm',
 
@@ -14,25 +81,41 @@ export const antfarmAdapter = {
     const poller = config?.poller || {};
     const rooms = poller.rooms || [];
     const apiKey = poller.api_key;
-    const limit = opts.seed ? 50 : 10;
+    const pageSize = opts.seed ? 50 : (poller.page_size || 10);
+    const maxPages = opts.seed ? 1 : (poller.max_pages || 5);
+    const hwmFile = poller.hwm_file || HWM_FILE_DEFAULT;
+    const marks = loadHighWaterMarks(hwmFile);
+    const http = httpOptions(config);
     const all = [];
 
     for (const room of rooms) {
-      const url = `https://groupmind.one/api/v1/rooms/${room}/messages?limit=${limit}`;
+      const target = `room:${room}`;
+      if (opts.breaker && !opts.breaker.allow(target)) continue;
       try {
-        const result = execFileSync('curl', ['-sS', '-H', `X-API-Key: ${apiKey}`, url], {
-          encoding: 'utf8', timeout: 15000
+        const { messages, gap } = await fetchRoomSince(room, opts.seed ? null : marks[room], {
+          fetchPage: (r, limit, before) => fetchPage(r, apiKey, limit, before, http),
+          pageSize,
+          maxPages
         });
-        const data = JSON.parse(result);
-        const msgs = data.messages || (Array.isArray(data) ? data : []);
-        for (const m of msgs) {
+        for (const m of messages) {
           m._room = room;
         }
-        all.push(...msgs);
+        if (gap) {
+          all.push({ _gap: true, _room: room, id: `gap:${room}:${gap.after.id}:${gap.before.id}`, ...gap });
+        }
+        all.push(...messages);
+
+        const newest = messages[messages.length - 1];
+        if (newest) {
+          marks[room] = { id: newest.id, created_at: newest.created_at || null };
+        }
+        opts.breaker?.success(target);
       } catch (e) {
         console.error(`  antfarm fetch ${room} failed: ${e.message}`);
+        opts.breaker?.failure(target, e);
       }
     }
+    saveHighWaterMarks(hwmFile, marks);
     return all;
   },
 
@@ -41,12 +124,26 @@ export const antfarmAdapter = {
   },
 
   shouldSkip(msg, config) {
+    if (msg._gap) return false;
     const selfHandle = config?.poller?.handle || '@unknown';
     const sender = msg.from || msg.sender || '?';
     return sender === selfHandle || sender === selfHandle.replace('@', '');
   },
 
   normalize(msg, config) {
+    if (msg._gap) {
+      return {
+        trace_id: randomUUID(),
+        event_id: msg.id,
+        source: 'antfarm',
+        kind: 'antfarm.gap.detected',
+        timestamp: new Date().toISOString(),
+        room: msg._room,
+        actor: { login: 'ide-agent-kit' },
+        payload: { room: msg._room, after: msg.after, before: msg.before }
+      };
+    }
+
     const sender = msg.from || msg.sender || '?';
     const body = (msg.body || '').slice(0, 500);
     const ts = msg.created_at || new Date().toISOString();
@@ -66,6 +163,9 @@ export const antfarmAdapter = {
 
   formatLine(event) {
     const ts = (event.timestamp || '').slice(0, 19);
+    if (event.kind === 'antfarm.gap.detected') {
+      return `[${ts}] [${event.room}] messages may be missing between ${event.payload.after.id} and ${event.payload.before.id}`;
+    }
     const sender = event.actor?.login || '?';
     const room = event.room || '';
     const body = (event.payload?.body || '').replace(/\n/g, ' ').slice(0, 200);
@@ -25,7 +25,7 @@ function resolveOC(config) {
 export const discordAdapter = {
   name: 'discord',
 
-  async fetch(config) {
+  async fetch(config, opts = {}) {
     const discordCfg = config?.discord || {};
     const channels = discordCfg.channels || [];
     const oc = resolveOC(config);
@@ -34,6 +34,8 @@ export const discordAdapter = {
     for (const ch of channels) {
       const channelId = typeof ch === 'string' ? ch : ch.id;
       const channelName = typeof ch === 'string' ? ch : (ch.name || ch.id);
+      const target = `channel:${channelName}`;
+      if (opts.breaker && !opts.breaker.allow(target)) continue;
       const envPrefix = `export PATH=/opt/homebrew/bin:$PATH && export OPENCLAW_HOME=${oc.home}`;
       const ocCmd = `${oc.bin} message read --channel discord --target ${channelId} --limit 20 --json`;
       try {
@@ -51,15 +53,20 @@ export const discordAdapter = {
           });
         }
         const data = JSON.parse(result);
-        if (!data?.payload?.ok) continue;
+        if (!data?.payload?.ok) {
+          opts.breaker?.failure(target, new Error(data?.payload?.error || 'openclaw returned ok=false'));
+          continue;
+        }
         const msgs = data.payload.messages || [];
         for (const m of msgs) {
           m._channelName = channelName;
           m._channelId = channelId;
         }
         all.push(...msgs);
+        opts.breaker?.success(target);
       } catch (e) {
         console.error(`  discord fetch ${channelName} failed: ${e.message?.slice(0, 120) || 'unknown error'}`);
+        opts.breaker?.failure(target, e);
       }
     }
     return all;
@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { postJson, httpOptions } from '../common/http.mjs';
+import { execApprovalRequest, execApprovalResolve, execApprovalList, execApprovalMarkExecuted, isAllowDecision } from '../openclaw-exec.mjs';
+
+/**
+ * Human approval for exec actions (automation rules, tmux run) on top of the
+ * openclaw-exec approval queue.
+ *
+ *   1. requestApproval() files a pending request and posts it to
+ *      exec.approval_room: "approval needed [ab12cd34] …".
+ *   2. A resolver replies "approve ab12cd34" / "deny ab12cd34" in that room
+ *      (handled by resolveFromMessage) or runs `exec resolve`.
+ *      Room replies are ignored unless exec.resolvers is set.
+ *   3. Automation picks up approved requests with runApprovedExecs(); tmux
+ *      run waits for its own request.
+ *
+ * The request, the decision and the run share one trace_id.
+ */
+
+const REPLY = /^\s*(approve|allow|deny|reject)\s+([0-9a-f]{8}[0-9a-f-]*)\b/i;
+
+export function approvalSettings(config) {
+  const exec = config?.exec || {};
+  return {
+    room: exec.approval_room || '',
+    resolvers: exec.resolvers || [],
+    apiKey: exec.approval_api_key || config?.poller?.api_key || ''
+  };
+}
+
+async function postNotice(config, body) {
+  const { room, apiKey } = approvalSettings(config);
+  if (!room || !apiKey) return false;
+  try {
+    await postJson('https://groupmind.one/api/v1/messages', { room, body }, {
+      ...httpOptions(config),
+      headers: { 'X-API-Key': apiKey }
+    });
+    return true;
+  } catch (e) {
+    console.error(`  approval notice to ${room} failed: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * File an approval request and announce it. Requests the exec policy decides
+ * on its own are not announced. Returns { ok, requestId, traceId, status, posted }.
+ */
+export async function requestApproval(config, params) {
+  const result = await execApprovalRequest(config, params);
+  if (!result.ok) return result;
+  const { requestId, traceId, status } = result.data;
+  if (status !== 'pending') return { ok: true, requestId, traceId, status, posted: false };
+  const short = requestId.slice(0, 8);
+  const posted = await postNotice(config,
+    `approval needed [${short}] ${params.source || 'exec'}: ${params.command}` +
+    `${params.reason ? ` — ${params.reason}` : ''}\nReply "approve ${short}" or "deny ${short}" (trace ${traceId})`);
+  return { ok: true, requestId, traceId, status, posted };
+}
+
+/**
+ * Parse "approve <id>" / "deny <id>" replies.
+ */
+export function parseApprovalReply(body) {
+  const m = String(body || '').match(REPLY);
+  if (!m) return null;
+  const verb = m[1].toLowerCase();
+  return { decision: verb === 'approve' || verb === 'allow' ? 'allow' : 'deny', idPrefix: m[2].toLowerCase() };
+}
+
+/**
+ * Resolve a pending request from an approval-room message. Returns the
+ * resolve result, or null when the message is not an approval reply.
+ */
+export async function resolveFromMessage(config, msg) {
+  const { room, resolvers } = approvalSettings(config);
+  if (!room || resolvers.length === 0) return null;
+  if ((msg.room || room) !== room) return null;
+  const reply = parseApprovalReply(msg.body);
+  if (!reply) return null;
+
+  const pending = (await execApprovalList(config, { status: 'pending' })).data || [];
+  const matches = pending.filter(a => a.requestId.startsWith(reply.idPrefix));
+  if (matches.length !== 1) {
+    return { ok: false, error: matches.length === 0 ? `no pending request ${reply.idPrefix}` : `ambiguous request id ${reply.idPrefix}` };
+  }
+  const sender = msg.user?.handle || msg.from || msg.sender || '';
+  const result = await execApprovalResolve(config, {
+    requestId: matches[0].requestId,
+    decision: reply.decision,
+    resolvedBy: sender,
+    reason: `room reply in ${room}`
+  });
+  if (result.ok) {
+    const { status, approvals, quorum } = result.data;
+    const outcome = status === 'pending' ? `approval ${approvals}/${quorum}` : reply.decision === 'allow' ? 'approved' : 'denied';
+    await postNotice(config, `[${reply.idPrefix.slice(0, 8)}] ${outcome} by ${sender}`);
+  }
+  return result;
+}
+
+/**
+ * Run every approved, not yet executed request from `source` through run(request).
+ * Each request is marked executed before it runs, so a crash never runs it twice.
+ */
+export async function runApprovedExecs(config, source, run) {
+  const resolved = (await execApprovalList(config, { status: 'resolved' })).data || [];
+  const ran = [];
+  for (const req of resolved) {
+    if (req.source !== source || !isAllowDecision(req.decision) || req.executedAt) continue;
+    const claimed = await execApprovalMarkExecuted(config, { requestId: req.requestId, status: 'started' });
+    if (!claimed.ok) continue;
+    ran.push(await run(req));
+  }
+  return ran;
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { execFile } from 'node:child_process';
+import { realpathSync } from 'node:fs';
+import { resolve, sep } from 'node:path';
+import { isAllowed } from '../common/allowlist.mjs';
+
+/**
+ * Sandboxed `exec` action for room automation.
+ *
+ * Commands run without a shell. The rule supplies an argv array; chat-derived
+ * values (${body}, ${sender}, ${room}) are substituted inside individual argv
+ * elements or env values, so they always arrive as a single argument and can
+ * never add commands, pipes or redirections. argv must match
+ * automation.exec.allow (same prefix model as tmux.allow, but an empty list
+ * denies every exec).
+ *
+ * Config (automation.exec):
+ *   allow             — command prefixes, e.g. ["gh issue comment", "npm test"]
+ *   cwd_root          — jail: action cwd must resolve inside this directory
+ *   env_allow         — variables passed through from our environment
+ *   timeout_ms        — upper bound per run (an action may only shorten it)
+ *   max_output_bytes  — stdout/stderr cap; the process is killed beyond it
+ */
+
+const DEFAULT_ENV_ALLOW = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TZ'];
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export function execPolicy(config) {
+  const exec = config?.automation?.exec || {};
+  return {
+    allow: exec.allow || [],
+    cwd_root: exec.cwd_root || '',
+    env_allow: exec.env_allow || DEFAULT_ENV_ALLOW,
+    timeout_ms: exec.timeout_ms || 30000,
+    max_output_bytes: exec.max_output_bytes || 64 * 1024
+  };
+}
+
+/**
+ * Build argv from an exec action. `command` (legacy) is split on whitespace
+ * and may not contain templates; `argv` elements are templated one by one.
+ */
+export function execArgv(action, sub = s => s) {
+  if (Array.isArray(action.argv)) return action.argv.map((a, i) => (i === 0 ? String(a) : sub(String(a))));
+  return String(action.command || '').trim().split(/\s+/).filter(Boolean);
+}
+
+function resolveCwd(cwd, root) {
+  if (!root) return { ok: true, cwd: cwd ? resolve(cwd) : process.cwd() };
+  let jail;
+  let target;
+  try {
+    jail = realpathSync(resolve(root));
+    target = realpathSync(resolve(jail, cwd || '.'));
+  } catch (e) {
+    return { ok: false, error: `cwd not found: ${e.path || cwd}` };
+  }
+  if (target !== jail && !target.startsWith(jail + sep)) {
+    return { ok: false, error: `cwd ${target} is outside ${jail}` };
+  }
+  return { ok: true, cwd: target };
+}
+
+/**
+ * Resolve an exec action into a runnable spec, enforcing the allowlist,
+ * cwd jail and env scrubbing. Returns { ok, argv, cwd, env, timeoutMs, maxBuffer }
+ * or { ok: false, argv, error }.
+ */
+export function prepareExec(action, sub, policy) {
+  const argv = execArgv(action, sub);
+  if (argv.length === 0) return { ok: false, argv, error: 'empty command' };
+  if (!isAllowed(argv, policy.allow)) {
+    return { ok: false, argv, error: policy.allow.length === 0 ? 'automation.exec.allow is empty' : 'command not in automation.exec.allow' };
+  }
+
+  const cwd = resolveCwd(action.cwd, policy.cwd_root);
+  if (!cwd.ok) return { ok: false, argv, error: cwd.error };
+
+  const env = {};
+  for (const key of policy.env_allow) {
+    if (process.env[key] !== undefined) env[key] = process.env[key];
+  }
+  for (const [key, value] of Object.entries(action.env || {})) {
+    if (!ENV_NAME.test(key)) return { ok: false, argv, error: `invalid env name: ${key}` };
+    env[key] = sub(String(value));
+  }
+
+  const requested = action.timeout_ms ?? action.timeout;
+  return {
+    ok: true,
+    argv,
+    cwd: cwd.cwd,
+    env,
+    timeoutMs: requested ? Math.min(requested, policy.timeout_ms) : policy.timeout_ms,
+    maxBuffer: policy.max_output_bytes
+  };
+}
+
+/**
+ * Run a prepared exec. Resolves { exitCode, stdout, stderr, error }.
+ */
+export function runExec(spec) {
+  return new Promise((resolvePromise) => {
+    execFile(spec.argv[0], spec.argv.slice(1), {
+      cwd: spec.cwd,
+      env: spec.env,
+      timeout: spec.timeoutMs,
+      maxBuffer: spec.maxBuffer,
+      encoding: 'utf8',
+      shell: false
+    }, (err, stdout, stderr) => {
+      if (!err) {
+        resolvePromise({ exitCode: 0, stdout, stderr, error: null });
+        return;
+      }
+      let error = err.message;
+      if (err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') error = `output exceeded ${spec.maxBuffer} bytes`;
+      else if (err.killed) error = `timed out after ${spec.timeoutMs}ms`;
+      resolvePromise({
+        exitCode: typeof err.code === 'number' ? err.code : 1,
+        stdout: stdout || '',
+        stderr: stderr || '',
+        error
+      });
+    });
+  });
+}
@@ -0,0 +1,338 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+/**
+ * Automation rule engine — compiles automation.rules into predicates and
+ * enforces per-rule budgets.
+ *
+ * A match block is an implicit AND over its keys:
+ *
+ *   sender           substring of the sender handle
+ *   exclude_senders  handles that never match (exact, "@" optional)
+ *   room             exact room name
+ *   keywords         any keyword present in the body
+ *   mention          body mentions this handle
+ *   regex            case-insensitive pattern on the body
+ *   window           { days: ["mon".."sun"], from: "HH:MM", to: "HH:MM", timezone }
+ *                    evaluated at the message time; from > to wraps midnight
+ *   max_age_sec      ignore messages older than this
+ *   any / all        arrays of nested match blocks
+ *   not              a nested match block
+ *
+ * Rule-level limits: cooldown_sec (defaults to automation.cooldown_sec) and
+ * max_per_hour (sliding one-hour budget). requires_approval (exec only) files
+ * the command for human approval instead of running it (approval-flow.mjs).
+ *
+ * compileRules() validates everything up front and throws one error listing
+ * every problem, so a typo or a bad regex is a config error at startup
+ * rather than a rule that silently never fires.
+ */
+
+const ACTION_TYPES = ['post', 'exec', 'nudge'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const LEAF_KEYS = ['sender', 'exclude_senders', 'room', 'keywords', 'mention', 'regex', 'window', 'max_age_sec'];
+const MATCH_KEYS = [...LEAF_KEYS, 'any', 'all', 'not'];
+const RULE_KEYS = ['name', 'match', 'action', 'cooldown_sec', 'max_per_hour', 'enabled', 'requires_approval'];
+const HOUR_MS = 3600 * 1000;
+
+function handleOf(msg) {
+  return (msg.user?.handle || msg.from || msg.sender || '').toLowerCase().replace(/^@/, '');
+}
+
+function messageTime(msg, now) {
+  const t = Date.parse(msg.created_at || msg.timestamp || '');
+  return Number.isFinite(t) ? t : now;
+}
+
+function parseClock(value) {
+  const m = typeof value === 'string' && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.length > 0;
+}
+
+function isStringArray(v) {
+  return Array.isArray(v) && v.every(isNonEmptyString);
+}
+
+/**
+ * Day of week and minute of day for a timestamp in a timezone.
+ */
+function localClock(ms, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(ms));
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    day: get('weekday').toLowerCase().slice(0, 3),
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+}
+
+function compileWindow(win, path, errors) {
+  if (!win || typeof win !== 'object' || Array.isArray(win)) {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  for (const key of Object.keys(win)) {
+    if (!['days', 'from', 'to', 'timezone'].includes(key)) errors.push(`${path}.${key}: unknown key`);
+  }
+  const days = win.days ? win.days.map(d => String(d).toLowerCase().slice(0, 3)) : null;
+  if (win.days !== undefined && (!Array.isArray(win.days) || days.some(d => !DAYS.includes(d)))) {
+    errors.push(`${path}.days: expected day names like "mon", "tue"`);
+  }
+  const from = win.from === undefined ? null : parseClock(win.from);
+  const to = win.to === undefined ? null : parseClock(win.to);
+  if (win.from !== undefined && from === null) errors.push(`${path}.from: expected "HH:MM"`);
+  if (win.to !== undefined && to === null) errors.push(`${path}.to: expected "HH:MM"`);
+  if ((win.from === undefined) !== (win.to === undefined)) errors.push(`${path}: from and to must be set together`);
+  if (win.timezone !== undefined) {
+    try {
+      localClock(0, win.timezone);
+    } catch {
+      errors.push(`${path}.timezone: unknown timezone "${win.timezone}"`);
+    }
+  }
+
+  return (msg, ctx) => {
+    const { day, minutes } = localClock(messageTime(msg, ctx.now), win.timezone);
+    if (days && !days.includes(day)) return false;
+    if (from === null || to === null) return true;
+    return from <= to
+      ? minutes >= from && minutes < to
+      : minutes >= from || minutes < to;
+  };
+}
+
+function compileMatch(match, path, errors) {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    errors.push(`${path}: must be an object`);
+    return () => false;
+  }
+  const tests = [];
+
+  for (const key of Object.keys(match)) {
+    if (!MATCH_KEYS.includes(key)) errors.push(`${path}.${key}: unknown condition`);
+  }
+
+  if (match.sender !== undefined) {
+    if (!isNonEmptyString(match.sender)) errors.push(`${path}.sender: must be a string`);
+    const sender = String(match.sender).toLowerCase().replace(/^@/, '');
+    tests.push(msg => handleOf(msg).includes(sender));
+  }
+
+  if (match.exclude_senders !== undefined) {
+    if (!isStringArray(match.exclude_senders)) errors.push(`${path}.exclude_senders: must be an array of handles`);
+    const excluded = new Set([].concat(match.exclude_senders).map(s => String(s).toLowerCase().replace(/^@/, '')));
+    tests.push(msg => !excluded.has(handleOf(msg)));
+  }
+
+  if (match.room !== undefined) {
+    if (!isNonEmptyString(match.room)) errors.push(`${path}.room: must be a string`);
+    tests.push(msg => (msg.room || '') === match.room);
+  }
+
+  if (match.keywords !== undefined) {
+    if (!isStringArray(match.keywords)) errors.push(`${path}.keywords: must be an array of strings`);
+    const keywords = [].concat(match.keywords).map(k => String(k).toLowerCase());
+    if (keywords.length > 0) {
+      tests.push(msg => keywords.some(kw => (msg.body || '').toLowerCase().includes(kw)));
+    }
+  }
+
+  if (match.mention !== undefined) {
+    if (!isNonEmptyString(match.mention)) errors.push(`${path}.mention: must be a string`);
+    const mention = String(match.mention).toLowerCase().replace('@', '');
+    tests.push(msg => (msg.body || '').toLowerCase().includes(mention));
+  }
+
+  if (match.regex !== undefined) {
+    let re = null;
+    try {
+      if (!isNonEmptyString(match.regex)) throw new Error('must be a non-empty string');
+      re = new RegExp(match.regex, 'i');
+    } catch (e) {
+      errors.push(`${path}.regex: invalid regex ${JSON.stringify(match.regex)} (${e.message})`);
+    }
+    tests.push(msg => !!re && re.test(msg.body || ''));
+  }
+
+  if (match.window !== undefined) {
+    const inWindow = compileWindow(match.window, `${path}.window`, errors);
+    if (inWindow) tests.push(inWindow);
+  }
+
+  if (match.max_age_sec !== undefined) {
+    if (typeof match.max_age_sec !== 'number' || match.max_age_sec <= 0) {
+      errors.push(`${path}.max_age_sec: must be a positive number`);
+    }
+    tests.push((msg, ctx) => ctx.now - messageTime(msg, ctx.now) <= match.max_age_sec * 1000);
+  }
+
+  for (const combinator of ['any', 'all']) {
+    if (match[combinator] === undefined) continue;
+    if (!Array.isArray(match[combinator]) || match[combinator].length === 0) {
+      errors.push(`${path}.${combinator}: must be a non-empty array of match blocks`);
+      continue;
+    }
+    const children = match[combinator].map((m, i) => compileMatch(m, `${path}.${combinator}[${i}]`, errors));
+    tests.push(combinator === 'any'
+      ? (msg, ctx) => children.some(c => c(msg, ctx))
+      : (msg, ctx) => children.every(c => c(msg, ctx)));
+  }
+
+  if (match.not !== undefined) {
+    const child = compileMatch(match.not, `${path}.not`, errors);
+    tests.push((msg, ctx) => !child(msg, ctx));
+  }
+
+  return (msg, ctx) => tests.every(t => t(msg, ctx));
+}
+
+/**
+ * Exec actions run without a shell: templates may only fill argv elements
+ * (after the program) and env values, never the program, cwd or a `command`
+ * string.
+ */
+function validateExecAction(action, path, errors) {
+  const hasTemplate = (v) => typeof v === 'string' && v.includes('${');
+  if ((action.argv === undefined) === (action.command === undefined)) {
+    errors.push(`${path}: set exactly one of argv or command`);
+  }
+  if (action.argv !== undefined) {
+    if (!isStringArray(action.argv)) {
+      errors.push(`${path}.argv: must be a non-empty array of strings`);
+    } else if (action.argv.length === 0) {
+      errors.push(`${path}.argv: must not be empty`);
+    } else if (hasTemplate(action.argv[0])) {
+      errors.push(`${path}.argv[0]: the program cannot be templated`);
+    }
+  }
+  if (action.command !== undefined) {
+    if (!isNonEmptyString(action.command)) errors.push(`${path}.command: must be a string`);
+    else if (hasTemplate(action.command)) errors.push(`${path}.command: templates are not allowed here; use argv`);
+  }
+  if (action.cwd !== undefined && (!isNonEmptyString(action.cwd) || hasTemplate(action.cwd))) {
+    errors.push(`${path}.cwd: must be a plain path`);
+  }
+  if (action.env !== undefined) {
+    if (!action.env || typeof action.env !== 'object' || Array.isArray(action.env)) {
+      errors.push(`${path}.env: must be an object`);
+    } else {
+      for (const [key, value] of Object.entries(action.env)) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) errors.push(`${path}.env.${key}: invalid variable name`);
+        if (typeof value !== 'string') errors.push(`${path}.env.${key}: must be a string`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate rules without throwing. Returns { ok, errors }.
+ */
+export function validateRules(rules) {
+  const errors = [];
+  compile(rules, {}, errors);
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Compile automation.rules. Throws if any rule is invalid.
+ *
+ * @param {object[]} rules
+ * @param {object} [defaults] - { cooldown_sec }
+ * @returns {object[]} [{ name, action, cooldownMs, maxPerHour, requiresApproval, matches(msg, ctx) }]
+ */
+export function compileRules(rules, defaults = {}) {
+  const errors = [];
+  const compiled = compile(rules, defaults, errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid automation rules:\n  ${errors.join('\n  ')}`);
+  }
+  return compiled;
+}
+
+function compile(rules, defaults, errors) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) {
+    errors.push('automation.rules: must be an array');
+    return [];
+  }
+  const names = new Set();
+  const compiled = [];
+
+  rules.forEach((rule, i) => {
+    const label = `rules[${i}]${rule?.name ? ` "${rule.name}"` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) errors.push(`${label}.${key}: unknown key`);
+    }
+    const name = rule.name || `rule-${i + 1}`;
+    if (names.has(name)) errors.push(`${label}: duplicate rule name`);
+    names.add(name);
+
+    if (!rule.action || !ACTION_TYPES.includes(rule.action.type)) {
+      errors.push(`${label}.action.type: must be one of ${ACTION_TYPES.join(', ')}`);
+    } else if (rule.action.type === 'exec') {
+      validateExecAction(rule.action, `${label}.action`, errors);
+    }
+    if (rule.requires_approval !== undefined && typeof rule.requires_approval !== 'boolean') {
+      errors.push(`${label}.requires_approval: must be true or false`);
+    } else if (rule.requires_approval && rule.action?.type !== 'exec') {
+      errors.push(`${label}.requires_approval: only exec actions can require approval`);
+    }
+    for (const key of ['cooldown_sec', 'max_per_hour']) {
+      if (rule[key] !== undefined && (typeof rule[key] !== 'number' || rule[key] < 0)) {
+        errors.push(`${label}.${key}: must be a non-negative number`);
+      }
+    }
+
+    const matches = compileMatch(rule.match || {}, `${label}.match`, errors);
+    if (rule.enabled === false) return;
+    compiled.push({
+      name,
+      action: rule.action,
+      cooldownMs: (rule.cooldown_sec ?? defaults.cooldown_sec ?? 5) * 1000,
+      maxPerHour: rule.max_per_hour || 0,
+      requiresApproval: rule.requires_approval === true,
+      matches
+    });
+  });
+
+  return compiled;
+}
+
+/**
+ * Tracks when each rule fired, for cooldowns and hourly budgets.
+ */
+export class RuleLimiter {
+  constructor() {
+    this.fired = new Map(); // rule name → [timestamps]
+  }
+
+  /**
+   * Returns { ok: true } or { ok: false, reason: 'cooldown' | 'budget' }.
+   */
+  check(rule, now = Date.now()) {
+    const times = (this.fired.get(rule.name) || []).filter(t => now - t < HOUR_MS);
+    this.fired.set(rule.name, times);
+    const last = times[times.length - 1];
+    if (last !== undefined && now - last < rule.cooldownMs) return { ok: false, reason: 'cooldown' };
+    if (rule.maxPerHour && times.length >= rule.maxPerHour) return { ok: false, reason: 'budget' };
+    return { ok: true };
+  }
+
+  record(rule, now = Date.now()) {
+    const times = this.fired.get(rule.name) || [];
+    times.push(now);
+    this.fired.set(rule.name, times);
+  }
+}
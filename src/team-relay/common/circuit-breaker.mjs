@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { readFileSync } from 'node:fs';
+import { writeJsonAtomic } from '../../common/state-store.mjs';
+
+/**
+ * Circuit breaker with exponential backoff, keyed per target so one broken
+ * room or channel does not hold back the rest of an adapter.
+ *
+ *   closed    — attempts allowed; each failure pushes the next attempt out by
+ *               base_backoff_sec * 2^(failures-1), capped at max_backoff_sec,
+ *               with ±jitter so restarted pollers do not retry in lockstep
+ *   open      — after failure_threshold consecutive failures; no attempts
+ *               until cooldown_sec has passed
+ *   half_open — one trial attempt after the cooldown; success closes the
+ *               breaker, failure opens it again
+ *
+ * State is saved to a JSON file after every change so `platform status`
+ * can show it from another process.
+ */
+
+const DEFAULTS = {
+  failure_threshold: 5,
+  cooldown_sec: 300,
+  base_backoff_sec: 30,
+  max_backoff_sec: 600,
+  jitter: 0.2
+};
+
+export class CircuitBreaker {
+  constructor(options = {}, { file = null, now = () => Date.now(), random = Math.random } = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.file = file;
+    this.now = now;
+    this.random = random;
+    this.targets = file ? CircuitBreaker.load(file) : {};
+  }
+
+  static load(file) {
+    try {
+      return JSON.parse(readFileSync(file, 'utf8')).targets || {};
+    } catch {
+      return {};
+    }
+  }
+
+  get(key) {
+    return this.targets[key] || { state: 'closed', failures: 0, next_attempt_at: null, last_error: null };
+  }
+
+  /**
+   * May we try this target now? Moves an open breaker whose cooldown has
+   * expired to half_open.
+   */
+  allow(key) {
+    const t = this.get(key);
+    if (!t.next_attempt_at || this.now() >= Date.parse(t.next_attempt_at)) {
+      if (t.state === 'open') this.set(key, { ...t, state: 'half_open' });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Returns 'closed' when this success recovered a failing target, else null.
+   */
+  success(key) {
+    const t = this.get(key);
+    if (t.state === 'closed' && t.failures === 0) return null;
+    this.set(key, {
+      state: 'closed',
+      failures: 0,
+      next_attempt_at: null,
+      last_error: t.last_error,
+      recovered_at: new Date(this.now()).toISOString()
+    });
+    return 'closed';
+  }
+
+  /**
+   * Returns 'opened' when this failure tripped the breaker, else null.
+   */
+  failure(key, error) {
+    const t = this.get(key);
+    const failures = t.failures + 1;
+    const { failure_threshold, cooldown_sec } = this.options;
+    const opening = t.state === 'half_open' || failures >= failure_threshold;
+    const delaySec = opening ? cooldown_sec : this.backoffSec(failures);
+
+    this.set(key, {
+      state: opening ? 'open' : 'closed',
+      failures,
+      next_attempt_at: new Date(this.now() + delaySec * 1000).toISOString(),
+      last_error: String(error?.message || error || 'unknown error').slice(0, 200),
+      last_failure_at: new Date(this.now()).toISOString()
+    });
+    return opening && t.state !== 'open' ? 'opened' : null;
+  }
+
+  backoffSec(failures) {
+    const { base_backoff_sec, max_backoff_sec, jitter } = this.options;
+    const raw = Math.min(max_backoff_sec, base_backoff_sec * 2 ** (failures - 1));
+    return raw * (1 + jitter * (this.random() * 2 - 1));
+  }
+
+  set(key, value) {
+    this.targets[key] = value;
+    this.save();
+  }
+
+  snapshot() {
+    return { updated_at: new Date(this.now()).toISOString(), targets: this.targets };
+  }
+
+  save() {
+    if (!this.file) return;
+    try { writeJsonAtomic(this.file, this.snapshot()); } catch { /* best-effort */ }
+  }
+}
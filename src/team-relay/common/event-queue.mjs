@@ -1,18 +1,41 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
 import { appendFileSync } from 'node:fs';
+import { rotateQueue } from '../queue-consumer.mjs';
+import { needsRotation } from './rotation.mjs';
+import { activeStore } from '../../common/storage.mjs';
+import { withLock } from '../../common/state-store.mjs';
 
 /**
  * Shared event queue writer for all platform pollers.
  * Appends normalized events to the JSONL queue file.
+ *
+ * Pass config.queue as policy to rotate the file once it reaches
+ * queue.max_bytes; consumer cursors are moved onto the archived segment.
+ * With storage.backend "sqlite" events go to the events table instead.
+ *
+ * Appends take the queue's advisory lock (`<queue>.lock`) so that
+ * compactQueue() and rotateQueue(), which rewrite or move the file under the
+ * same lock, never drop a line written while they work.
  */
 
-export function appendEvent(queuePath, event) {
-  appendFileSync(queuePath, JSON.stringify(event) + '\n');
+function maybeRotate(queuePath, policy) {
+  if (!needsRotation(queuePath, policy)) return;
+  rotateQueue({ queue: { ...policy, path: queuePath } });
 }
 
-export function appendEvents(queuePath, events) {
+export function appendEvent(queuePath, event, policy) {
+  const store = activeStore();
+  if (store) return store.appendEvents([event]);
+  withLock(queuePath, () => appendFileSync(queuePath, JSON.stringify(event) + '\n'));
+  maybeRotate(queuePath, policy);
+}
+
+export function appendEvents(queuePath, events, policy) {
   if (events.length === 0) return;
+  const store = activeStore();
+  if (store) return store.appendEvents(events);
   const lines = events.map(e => JSON.stringify(e)).join('\n') + '\n';
-  appendFileSync(queuePath, lines);
+  withLock(queuePath, () => appendFileSync(queuePath, lines));
+  maybeRotate(queuePath, policy);
 }
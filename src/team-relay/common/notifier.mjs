@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { createConnection } from 'node:net';
+import { nudgeTmux, nudgeCommand } from './notify.mjs';
+import { httpRequest } from '../../common/http.mjs';
+
+/**
+ * Outbound notifiers — how a poller wakes the IDE agent once new events are
+ * queued. Every notifier exposes:
+ *
+ *   type                                   — 'tmux' | 'command' | 'file' | 'webhook' | 'socket'
+ *   notify({ adapter, events, lines })     — resolves true if the agent was reached
+ *
+ * The notification file is always written by the poller, so 'file' (alias
+ * 'none') does nothing further — the mode for IDEs that read that file.
+ *
+ * Selected per adapter with `<adapter>.notify` (Ant Farm: `poller.notify`),
+ * falling back to `poller.notify`, then to the legacy `poller.nudge_mode` /
+ * `poller.nudge_command` that `rooms watch` uses:
+ *
+ *   { "type": "tmux", "session": "claude", "text": "check rooms" }
+ *   { "type": "command", "command": "osascript ~/bin/nudge-codex.scpt" }
+ *   { "type": "webhook", "url": "http://127.0.0.1:9000/nudge", "headers": {}, "timeout_ms": 5000 }
+ *   { "type": "socket", "path": "/tmp/ide-agent.sock" }
+ *   { "type": "file" }
+ */
+
+export const NOTIFIER_TYPES = ['tmux', 'command', 'file', 'webhook', 'socket'];
+
+function summary({ adapter, events = [], lines = [] }) {
+  return {
+    adapter,
+    count: events.length,
+    event_ids: events.map(e => e.event_id || e.trace_id),
+    lines
+  };
+}
+
+const factories = {
+  tmux: (spec, defaults) => {
+    const session = spec.session || defaults.session;
+    const text = spec.text || defaults.text;
+    return { notify: () => nudgeTmux(session, text) };
+  },
+
+  command: (spec, defaults) => {
+    const text = spec.text || defaults.text;
+    return { notify: () => nudgeCommand(spec.command, { text, session: defaults.session }) };
+  },
+
+  file: () => ({ notify: () => true }),
+
+  webhook: (spec) => ({
+    async notify(batch) {
+      if (!spec.url) return false;
+      try {
+        const res = await httpRequest(spec.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...spec.headers },
+          body: summary(batch),
+          timeoutMs: spec.timeout_ms || 5000
+        });
+        return res.status >= 200 && res.status < 300;
+      } catch {
+        return false;
+      }
+    }
+  }),
+
+  socket: (spec) => ({
+    notify(batch) {
+      if (!spec.path) return false;
+      return new Promise((resolve) => {
+        const sock = createConnection(spec.path);
+        const done = (ok) => { sock.destroy(); resolve(ok); };
+        sock.setTimeout(spec.timeout_ms || 5000, () => done(false));
+        sock.on('error', () => done(false));
+        sock.on('connect', () => sock.end(JSON.stringify(summary(batch)) + '\n', () => done(true)));
+      });
+    }
+  })
+};
+
+/**
+ * Work out the notifier spec for an adapter from config.
+ */
+export function resolveNotifierSpec(config, adapterName) {
+  const section = adapterName === 'antfarm' ? config?.poller : config?.[adapterName];
+  const spec = section?.notify || config?.poller?.notify;
+  if (spec) return typeof spec === 'string' ? { type: spec } : spec;
+
+  const mode = section?.nudge_mode || config?.poller?.nudge_mode || 'tmux';
+  const command = section?.nudge_command || config?.poller?.nudge_command || '';
+  if (mode === 'command') return { type: 'command', command };
+  if (mode === 'none') return { type: 'file' };
+  return { type: 'tmux' };
+}
+
+/**
+ * Build a notifier from a spec. `defaults` supplies the tmux session and
+ * nudge text from config.tmux when the spec leaves them out.
+ */
+export function createNotifier(spec = {}, defaults = {}) {
+  const type = spec.type === 'none' ? 'file' : (spec.type || 'tmux');
+  const factory = factories[type];
+  if (!factory) {
+    throw new Error(`Unknown notifier type "${spec.type}". Expected one of: ${NOTIFIER_TYPES.join(', ')}`);
+  }
+  return { type, ...factory(spec, { session: 'claude', text: 'check rooms', ...defaults }) };
+}
@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { readFileSync, writeFileSync, renameSync, unlinkSync, existsSync, statSync, readdirSync, openSync, readSync, closeSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { gzipSync, gunzipSync } from 'node:zlib';
+
+/**
+ * Size-based rotation and age-based retention for append-only JSONL files
+ * (event queue, receipts).
+ *
+ * When the active file reaches max_bytes it is renamed and gzipped to
+ * `<path>.<stamp>.gz`, and appends continue in a fresh file at <path>.
+ * Archived segments older than retention_days are deleted. Stamps are
+ * UTC and sort lexicographically, so segment order is name order.
+ *
+ * Policy (config.queue / config.receipts):
+ *   max_bytes       — rotate once the active file reaches this size (0 = never)
+ *   retention_days  — delete archived segments older than this (0 = keep forever)
+ */
+
+function stampFor(date) {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+function stampToTime(stamp) {
+  const m = stamp.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z/);
+  if (!m) return NaN;
+  return Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6], +m[7]);
+}
+
+/**
+ * List archived segments for a file, oldest first.
+ */
+export function listSegments(path) {
+  const dir = dirname(path);
+  const prefix = basename(path) + '.';
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => f.startsWith(prefix) && f.endsWith('.gz'))
+    .sort()
+    .map(f => join(dir, f));
+}
+
+/**
+ * Return the staging file of a rotation still in progress (renamed but
+ * not yet gzipped and removed), or null. Its segment is `<staging>.gz`.
+ */
+export function stagingSegment(path) {
+  const dir = dirname(path);
+  const prefix = basename(path) + '.';
+  if (!existsSync(dir)) return null;
+  const staged = readdirSync(dir)
+    .filter(f => f.startsWith(prefix) && /^\d{8}T\d{9}Z(_\d+)?$/.test(f.slice(prefix.length)))
+    .sort();
+  return staged.length ? join(dir, staged[staged.length - 1]) : null;
+}
+
+export function segmentStamp(segPath) {
+  return basename(segPath).replace(/\.gz$/, '').split('.').pop();
+}
+
+/**
+ * Read an archived segment back as a Buffer of JSONL.
+ */
+export function readSegment(segPath) {
+  return gunzipSync(readFileSync(segPath));
+}
+
+/**
+ * Move the active file into a gzipped segment. Returns the segment path,
+ * or null if there was nothing to rotate.
+ */
+export function rotateFile(path) {
+  if (!existsSync(path) || statSync(path).size === 0) return null;
+  const stamp = stampFor(new Date());
+  let segPath = `${path}.${stamp}.gz`;
+  for (let i = 1; existsSync(segPath); i++) {
+    segPath = `${path}.${stamp}_${i}.gz`;
+  }
+  // Rename first so concurrent appenders immediately start a fresh file.
+  const staging = segPath.replace(/\.gz$/, '');
+  renameSync(path, staging);
+  writeFileSync(segPath, gzipSync(readFileSync(staging)));
+  unlinkSync(staging);
+  return segPath;
+}
+
+/**
+ * Delete archived segments older than retentionDays. Returns deleted paths.
+ */
+export function pruneSegments(path, retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return [];
+  const cutoff = Date.now() - retentionDays * 86400 * 1000;
+  const removed = [];
+  for (const seg of listSegments(path)) {
+    if (stampToTime(segmentStamp(seg)) < cutoff) {
+      try { unlinkSync(seg); removed.push(seg); } catch { /* already gone */ }
+    }
+  }
+  return removed;
+}
+
+/**
+ * True when the active file has reached policy.max_bytes.
+ */
+export function needsRotation(path, policy = {}) {
+  const maxBytes = policy?.max_bytes || 0;
+  if (!maxBytes) return false;
+  try { return statSync(path).size >= maxBytes; } catch { return false; }
+}
+
+/**
+ * Rotate the active file if it has outgrown policy.max_bytes, then apply
+ * retention. Returns the new segment path, or null if no rotation happened.
+ */
+export function rotateIfNeeded(path, policy = {}) {
+  if (!needsRotation(path, policy)) return null;
+  const segPath = rotateFile(path);
+  pruneSegments(path, policy.retention_days);
+  return segPath;
+}
+
+function lastLinesOfBuffer(buf, n) {
+  const lines = buf.toString('utf8').split('\n').filter(l => l.trim());
+  return lines.slice(-n);
+}
+
+/**
+ * Return the last n lines of the active file without reading all of it,
+ * reaching back into archived segments if the active file is short.
+ */
+export function tailLines(path, n) {
+  if (n <= 0) return [];
+  let lines = [];
+
+  if (existsSync(path)) {
+    const fd = openSync(path, 'r');
+    try {
+      const size = statSync(path).size;
+      const chunkSize = 64 * 1024;
+      let pos = size;
+      let buf = Buffer.alloc(0);
+      let newlines = 0;
+      while (pos > 0 && newlines <= n) {
+        const len = Math.min(chunkSize, pos);
+        pos -= len;
+        const chunk = Buffer.alloc(len);
+        readSync(fd, chunk, 0, len, pos);
+        for (const b of chunk) if (b === 0x0a) newlines++;
+        buf = Buffer.concat([chunk, buf]);
+      }
+      lines = lastLinesOfBuffer(buf, n);
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  const segments = listSegments(path);
+  for (let i = segments.length - 1; i >= 0 && lines.length < n; i--) {
+    try {
+      lines = [...lastLinesOfBuffer(readSegment(segments[i]), n - lines.length), ...lines];
+    } catch { /* unreadable segment, skip */ }
+  }
+  return lines;
+}
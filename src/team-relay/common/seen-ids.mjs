@@ -1,13 +1,18 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { readFileSync, writeFileSync } from 'node:fs';
+import { readFileSync } from 'node:fs';
+import { writeTextAtomic } from '../../common/state-store.mjs';
+import { activeStore } from '../../common/storage.mjs';
 
 /**
  * Shared seen-ID management for all platform pollers.
  * Prevents duplicate event processing across restarts.
+ * With storage.backend "sqlite" each file path names a set in the database.
  */
 
 export function loadSeenIds(path, maxIds = 2000) {
+  const store = activeStore();
+  if (store) return store.loadSeen(path);
   try {
     return new Set(readFileSync(path, 'utf8').split('\n').filter(Boolean));
   } catch {
@@ -16,6 +21,8 @@ export function loadSeenIds(path, maxIds = 2000) {
 }
 
 export function saveSeenIds(path, ids, maxIds = 2000) {
+  const store = activeStore();
+  if (store) return store.saveSeen(path, ids, maxIds);
   const arr = [...ids].slice(-maxIds);
-  writeFileSync(path, arr.join('\n') + '\n');
+  writeTextAtomic(path, arr.join('\n') + '\n');
 }
@@ -1,8 +1,9 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
 import { execSync } from 'node:child_process';
-import { readFileSync, writeFileSync, appendFileSync } from 'node:fs';
+import { loadSeenIds as loadSeen, saveSeenIds as saveSeen } from './common/seen-ids.mjs';
 import { randomUUID } from 'node:crypto';
+import { appendEvent } from './common/event-queue.mjs';
 
 /**
  * Discord Poller — polls Discord channels via OpenClaw CLI.
@@ -33,16 +34,11 @@ const OC_DEFAULTS = {
 };
 
 function loadSeenIds(path) {
-  try {
-    return new Set(readFileSync(path, 'utf8').split('\n').filter(Boolean));
-  } catch {
-    return new Set();
-  }
+  return loadSeen(path, 2000);
 }
 
 function saveSeenIds(path, ids) {
-  const arr = [...ids].slice(-2000);
-  writeFileSync(path, arr.join('\n') + '\n');
+  saveSeen(path, ids, 2000);
 }
 
 function nudgeTmux(session, text) {
@@ -160,7 +156,7 @@ export async function startDiscordPoller({ config, interval }) {
 
     if (newMessages.length > 0) {
       for (const m of newMessages) {
-        appendFileSync(queuePath, JSON.stringify(m) + '\n');
+        appendEvent(queuePath, m, config?.queue);
         console.log(`  NEW: @${m.actor.login} in ${m.channel}: ${m.payload.body.slice(0, 80)}`);
       }
 
@@ -1,10 +1,28 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
+import { httpRequest } from '../common/http.mjs';
+
 /**
  * Enrichment sidecar logic for ide-agent-kit queue events.
  * Populates 'intent' and 'memory_context' slots.
  */
 
+async function fetchEnrichmentJson(url, token, timeoutMs = 5000) {
+  const resp = await httpRequest(url, {
+    headers: { 'Authorization': `Bearer ${token}` },
+    timeoutMs,
+    retries: 0
+  });
+  if (resp.status < 200 || resp.status >= 300) {
+    throw new Error(`HTTP ${resp.status}`);
+  }
+  const contentType = resp.headers['content-type'] || '';
+  if (!contentType.includes('application/json')) {
+    throw new Error(`Expected JSON but got ${contentType}`);
+  }
+  return JSON.parse(resp.body);
+}
+
 export async function enrichEvent(event, config = {}) {
   const body = event.payload?.body || '';
   if (!body) return event;
@@ -22,22 +40,7 @@ export async function enrichEvent(event, config = {}) {
     try {
       const params = new URLSearchParams({ query: body, limit: '3' });
       const url = `${memCfg.baseUrl}/search/observations?${params}`;
-      const resp = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${memCfg.token}`
-        }
-      });
-
-      if (!resp.ok) {
-        throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
-      }
-
-      const contentType = resp.headers.get('content-type') || '';
-      if (!contentType.includes('application/json')) {
-        throw new Error(`Expected JSON but got ${contentType}`);
-      }
-
-      const data = await resp.json();
+      const data = await fetchEnrichmentJson(url, memCfg.token, memCfg.timeout_ms);
       if (data && data.content) {
         // claude-mem returns MCP-style {content: [{type, text}]}
         const texts = data.content
@@ -59,20 +62,7 @@ export async function enrichEvent(event, config = {}) {
   if (intentCfg.baseUrl && intentCfg.apiKey && intentCfg.userId) {
     try {
       const url = `${intentCfg.baseUrl}/intent/${intentCfg.userId}`;
-      const resp = await fetch(url, {
-        headers: { 'Authorization': `Bearer ${intentCfg.apiKey}` }
-      });
-
-      if (!resp.ok) {
-        throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
-      }
-
-      const contentType = resp.headers.get('content-type') || '';
-      if (!contentType.includes('application/json')) {
-        throw new Error(`Expected JSON but got ${contentType}`);
-      }
-
-      const data = await resp.json();
+      const data = await fetchEnrichmentJson(url, intentCfg.apiKey, intentCfg.timeout_ms);
       if (data) {
         enriched.intent = {
           ...data,
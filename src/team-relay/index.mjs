@@ -8,6 +8,7 @@ export { pollDiscord, startDiscordPoller } from './discord-poller.mjs';
 export { UnifiedPoller } from './unified-poller.mjs';
 export { emitJson } from './emit.mjs';
 export { tailReceipts, createReceipt, appendReceipt } from './receipt.mjs';
+export { queueNext, queueAck, queueNack, queuePending, listConsumers, rotateQueue, compactQueue } from './queue-consumer.mjs';
 export { memoryList, memoryGet, memorySet, memoryAppend, memoryDelete, memorySearch } from './memory.mjs';
 export { moltbookPost, moltbookFeed } from './moltbook.mjs';
 export { canSend, waitUntilReady, markSent } from './rate-limiter.mjs';
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { isLoopbackHost } from '../common/webhook-posture.mjs';
+
+/**
+ * API-token auth for Mission Control (tasks.mission_control).
+ *
+ * Each entry in `tokens` maps a bearer token to a handle and roles:
+ *   { "handle": "ether", "roles": ["agent", "reviewer"], "token_env": "IAK_MC_TOKEN_ETHER" }
+ * The token comes from `token` or from the environment variable named by
+ * `token_env`. With no tokens configured the API is open, as before, and
+ * only a loopback bind is allowed. Binding any other host needs
+ * `allow_lan: true` and at least one token.
+ */
+
+export const ROLES = ['agent', 'reviewer', 'human-owner'];
+
+// Which roles may call each API action. human-owner may do everything.
+const ROLE_ACTIONS = {
+  agent: ['read', 'create', 'vote', 'start', 'draft', 'done', 'fail', 'comment'],
+  reviewer: ['read', 'review', 'comment'],
+  'human-owner': ['read', 'create', 'vote', 'queue', 'start', 'draft', 'review', 'install', 'done', 'fail', 'cancel', 'status', 'override', 'comment']
+};
+
+// Work actions the agent role may take only on tasks assigned to it.
+const ASSIGNEE_ACTIONS = ['start', 'draft', 'done', 'fail'];
+
+function digest(value) {
+  return createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Resolve tasks.mission_control into { host, port, allowLan, tokens, problem }.
+ * tokens: [{ handle, roles, digest }]. problem is a string when the
+ * settings are unsafe or malformed and the server should not start.
+ */
+export function missionControlSettings(config = {}) {
+  const mc = config.tasks?.mission_control || {};
+  const host = mc.host || '127.0.0.1';
+  const settings = { host, port: mc.port ?? 4800, allowLan: mc.allow_lan === true, tokens: [], problem: null };
+
+  for (const [i, entry] of (mc.tokens || []).entries()) {
+    const token = entry.token || (entry.token_env ? process.env[entry.token_env] : '');
+    const handle = String(entry.handle || '').replace(/^@/, '');
+    const roles = [].concat(entry.roles || []);
+    const unknown = roles.find(r => !ROLES.includes(r));
+    if (!handle) settings.problem = `tasks.mission_control.tokens[${i}] has no handle`;
+    else if (!token) settings.problem = `tasks.mission_control.tokens[${i}] (${handle}) has no token${entry.token_env ? ` ($${entry.token_env} is not set)` : ''}`;
+    else if (roles.length === 0 || unknown) settings.problem = `tasks.mission_control.tokens[${i}] (${handle}) needs roles from ${ROLES.join(', ')}${unknown ? ` (got "${unknown}")` : ''}`;
+    if (settings.problem) return settings;
+    settings.tokens.push({ handle, roles, digest: digest(token) });
+  }
+
+  if (!isLoopbackHost(host)) {
+    if (!settings.allowLan) settings.problem = `tasks.mission_control.host is ${host}; set allow_lan: true to bind a non-loopback interface`;
+    else if (settings.tokens.length === 0) settings.problem = `tasks.mission_control.allow_lan needs at least one entry in tokens`;
+  }
+  return settings;
+}
+
+/**
+ * Identify the caller from "Authorization: Bearer <token>". The ?token=
+ * query parameter is accepted only on GET /api/events, because EventSource
+ * cannot send headers; elsewhere a token in the URL would end up in logs
+ * and history for no reason.
+ *
+ * Returns { ok: true, identity } where identity is { handle, roles } or
+ * null when auth is off, or { ok: false, status: 401, error }.
+ */
+export function authenticate(settings, req, url) {
+  if (settings.tokens.length === 0) return { ok: true, identity: null };
+  const header = req.headers.authorization || '';
+  const fromQuery = url.pathname === '/api/events' ? url.searchParams.get('token') : null;
+  const presented = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : fromQuery;
+  if (!presented) return { ok: false, status: 401, error: 'API token required' };
+
+  const candidate = digest(presented);
+  let match = null;
+  for (const t of settings.tokens) {
+    if (timingSafeEqual(candidate, t.digest) && !match) match = t;
+  }
+  if (!match) return { ok: false, status: 401, error: 'Invalid API token' };
+  return { ok: true, identity: { handle: match.handle, roles: match.roles } };
+}
+
+/**
+ * Whether an identity may perform an action, on `task` when given. A null
+ * identity (auth off) may do anything. When only the agent role grants a
+ * start/draft/done/fail, the task must be assigned to the token's handle.
+ */
+export function authorize(identity, action, task = null) {
+  if (!identity) return { ok: true };
+  const granting = identity.roles.filter(r => ROLE_ACTIONS[r]?.includes(action));
+  if (granting.length === 0) {
+    return { ok: false, status: 403, error: `${identity.handle} (${identity.roles.join(', ')}) may not ${action}` };
+  }
+  const assignee = String(task?.agent || '').replace(/^@/, '');
+  if (task && ASSIGNEE_ACTIONS.includes(action) && granting.every(r => r === 'agent') && assignee !== identity.handle) {
+    return { ok: false, status: 403, error: `${identity.handle} may not ${action} task ${task.id}: it is assigned to ${assignee || 'nobody'}` };
+  }
+  return { ok: true };
+}
@@ -1,7 +1,9 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
 import { createServer } from 'node:http';
-import { initTaskQueue, addTask, startTask, completeTask, failTask, cancelTask, queueTask, draftTask, installTask, vote, reviewTask, setStatus, listTasks, getTask, missionControlData } from './task-queue.mjs';
+import { StateLockError } from '../common/state-store.mjs';
+import { missionControlSettings, authenticate, authorize } from './mission-control-auth.mjs';
+import { initTaskQueue, addTask, startTask, completeTask, failTask, cancelTask, queueTask, draftTask, installTask, vote, reviewTask, setStatus, overrideStatus, commentTask, listTasks, getTask, missionControlData, watchTasks } from './task-queue.mjs';
 
 const HTML = `<!DOCTYPE html>
 <html lang="en">
@@ -53,6 +55,7 @@ const HTML = `<!DOCTYPE html>
   .badge.reject { background: #da3633; color: #fff; }
   .badge.changes_requested { background: #d29922; color: #0d1117; }
   .badge.escalated { background: #f85149; color: #fff; }
+  .badge.override { background: #bc8cff; color: #0d1117; }
   .votes, .reviews { margin-top: 3px; font-size: 0.8em; }
   .votes span, .reviews span { margin-right: 6px; }
   .agent-tag { color: #58a6ff; }
@@ -66,39 +69,151 @@ const HTML = `<!DOCTYPE html>
   .bugs-header.active { color: #f85149; }
   .bugs-ok { color: #3fb950; font-size: 0.9em; padding: 8px 0; }
   .refresh { color: #484f58; font-size: 0.7em; margin-top: 16px; text-align: center; }
+  .refresh.live { color: #3fb950; }
+  .toolbar { background: #161b22; border: 1px solid #30363d; border-radius: 12px; padding: 12px 18px; margin-bottom: 20px; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; font-size: 0.85em; }
+  .toolbar input, .toolbar select { background: #0d1117; color: #c9d1d9; border: 1px solid #30363d; border-radius: 6px; padding: 4px 8px; font: inherit; }
+  .toolbar input[name=title] { flex: 1; min-width: 200px; }
+  .toolbar .sep { width: 1px; align-self: stretch; background: #30363d; margin: 0 4px; }
+  button { background: #21262d; color: #c9d1d9; border: 1px solid #30363d; border-radius: 6px; padding: 3px 9px; font: inherit; font-size: 0.85em; cursor: pointer; }
+  button:hover { border-color: #8b949e; }
+  button:disabled { opacity: 0.5; cursor: default; }
+  button.approve { color: #3fb950; }
+  button.reject, button.cancel { color: #f85149; }
+  .task-actions { margin-top: 6px; display: flex; flex-wrap: wrap; gap: 4px; }
+  .history { list-style: none; margin-top: 6px; padding-left: 8px; border-left: 2px solid #30363d; font-size: 0.75em; color: #8b949e; }
+  .history li { margin-bottom: 2px; }
+  .history time { color: #484f58; margin-right: 6px; }
+  .history .comment { color: #c9d1d9; }
+  .comment-box { margin-top: 4px; display: flex; gap: 4px; }
+  .comment-box input { flex: 1; background: #0d1117; color: #c9d1d9; border: 1px solid #30363d; border-radius: 6px; padding: 2px 6px; font: inherit; font-size: 0.8em; }
+  .notice { font-size: 0.8em; min-height: 1.2em; margin-bottom: 10px; color: #8b949e; }
+  .notice.error { color: #f85149; }
 </style>
 </head>
 <body>
 <h1>Mission Control</h1>
 <p class="subtitle">IDE Agent Kit — team-relay</p>
+<form class="toolbar" id="create-form">
+  <label id="actor-field">Acting as @<input name="actor" id="actor" size="12" placeholder="handle"></label>
+  <label id="token-field" class="collapsed">API token <input type="password" id="token" size="16" autocomplete="off"></label>
+  <span id="identity"></span>
+  <span class="sep"></span>
+  <input name="title" placeholder="New task title" required>
+  <select name="type"><option value="feature">feature</option><option value="bug">bug</option></select>
+  <label><input type="checkbox" name="hotfix"> hotfix</label>
+  <input name="priority" type="number" value="0" size="3" title="priority">
+  <button type="submit">Create</button>
+</form>
+<div class="notice" id="notice"></div>
 <div id="bugs-banner"></div>
 <div class="columns" id="app"><div class="empty">Loading...</div></div>
-<p class="refresh">Auto-refreshes every 5s</p>
+<p class="refresh" id="refresh">Connecting...</p>
 <script>
 let showDiscarded = false;
+let showDone = false;
+let board = null;
+const openHistory = new Set();
+
+function esc(s) {
+  return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const actorInput = document.getElementById('actor');
+actorInput.value = localStorage.getItem('iak-actor') || '';
+actorInput.addEventListener('change', () => localStorage.setItem('iak-actor', actorInput.value.replace(/^@/, '').trim()));
+function actor() { return actorInput.value.replace(/^@/, '').trim(); }
+
+// With API tokens configured the server decides who is acting; the token is
+// kept in localStorage and sent as a bearer token (or ?token= for SSE).
+const tokenInput = document.getElementById('token');
+tokenInput.value = localStorage.getItem('iak-token') || '';
+tokenInput.addEventListener('change', () => { localStorage.setItem('iak-token', tokenInput.value.trim()); connect(); });
+let authRequired = false;
+function authHeaders() { return tokenInput.value.trim() ? { Authorization: 'Bearer ' + tokenInput.value.trim() } : {}; }
+
+function notice(text, isError) {
+  const el = document.getElementById('notice');
+  el.textContent = text || '';
+  el.className = isError ? 'notice error' : 'notice';
+}
+
+// Buttons offered on a card: [label, action, body, css class].
+function taskActions(task) {
+  const a = [];
+  if (['proposed', 'to_review'].includes(task.status)) {
+    a.push(['Approve', 'vote', { decision: 'approve' }, 'approve'], ['Reject', 'vote', { decision: 'reject' }, 'reject']);
+  }
+  if (['recommended', 'to_review'].includes(task.status) || (task.status === 'proposed' && task.type === 'bug')) a.push(['Queue', 'queue', {}, '']);
+  if (task.status === 'queued') a.push(['Start', 'start', {}, '']);
+  if (task.status === 'active' || (task.status === 'drafted' && Object.values(task.reviews || {}).includes('changes_requested'))) a.push(['Draft', 'draft', {}, '']);
+  if (task.status === 'drafted') {
+    a.push(['Approve review', 'review', { decision: 'approve' }, 'approve'], ['Request changes', 'review', { decision: 'changes_requested' }, 'reject']);
+  }
+  if (task.status === 'to_install') a.push(['Install', 'install', {}, '']);
+  if (!['installed', 'done', 'failed', 'cancelled', 'discarded'].includes(task.status)) a.push(['Cancel', 'cancel', {}, 'cancel']);
+  return a;
+}
+
+function describeEntry(e) {
+  switch (e.type) {
+    case 'create': return 'created (' + e.status + ')';
+    case 'status': return e.from + ' → ' + e.to + (e.reason ? ' (' + e.reason + ')' : '');
+    case 'vote': return 'voted ' + e.decision;
+    case 'review': return 'review round ' + e.round + ': ' + e.decision;
+    case 'comment': return e.body;
+    case 'override': return 'override ' + e.from + ' → ' + e.to + (e.reason ? ' (' + e.reason + ')' : '') + (e.self_asserted ? ' [self-asserted]' : '');
+    default: return e.type;
+  }
+}
+
+function historyTimeline(task) {
+  let h = '<ol class="history">';
+  for (const e of task.history || []) {
+    h += '<li class="'+esc(e.type)+'"><time title="'+esc(e.at)+'">'+esc(new Date(e.at).toLocaleString())+'</time>';
+    h += (e.actor ? '<span class="agent-tag">@'+esc(e.actor)+'</span> ' : '')+esc(describeEntry(e))+'</li>';
+  }
+  h += '</ol>';
+  h += '<div class="comment-box"><input data-comment-for="'+esc(task.id)+'" placeholder="Comment"><button type="button" data-task="'+esc(task.id)+'" data-action="comment" data-body="{}">Comment</button></div>';
+  return h;
+}
 
 function taskCard(task) {
   const titleCls = ['recommended','to_review','proposed','discarded'].includes(task.status) ? 'task-title '+task.status : 'task-title';
-  let h = '<div class="task-card '+task.status+'">';
-  h += '<div class="task-header"><span class="'+titleCls+'">'+task.title+'</span>';
-  h += '<span class="badge '+task.type+'">'+task.type+'</span>';
+  let h = '<div class="task-card '+esc(task.status)+'">';
+  h += '<div class="task-header"><span class="'+titleCls+'">'+esc(task.title)+'</span>';
+  h += '<span class="badge '+esc(task.type)+'">'+esc(task.type)+'</span>';
   if (task.escalated) h += '<span class="badge escalated">!</span>';
+  if (task.overrides && task.overrides.length) {
+    const o = task.overrides[task.overrides.length - 1];
+    h += '<span class="badge override" title="'+esc('@'+o.by+': '+o.from+' → '+o.to+(o.reason ? ' ('+o.reason+')' : '')+(o.self_asserted ? ' [self-asserted]' : ''))+'">override</span>';
+  }
   h += '</div>';
-  h += '<div class="task-meta"><span class="agent-tag">@'+task.agent+'</span> &middot; '+task.id+'</div>';
+  h += '<div class="task-meta"><span class="agent-tag">@'+esc(task.agent)+'</span> &middot; '+esc(task.id)+'</div>';
   if (Object.keys(task.votes||{}).length > 0) {
     h += '<div class="votes">';
     for (const [a,v] of Object.entries(task.votes)) {
-      h += '<span><span class="agent-tag">@'+a+'</span> <span class="badge '+v+'">'+v+'</span></span>';
+      h += '<span><span class="agent-tag">@'+esc(a)+'</span> <span class="badge '+esc(v)+'">'+esc(v)+'</span></span>';
     }
     h += '</div>';
   }
   if (Object.keys(task.reviews||{}).length > 0) {
-    h += '<div class="reviews">Round '+task.review_round+': ';
+    h += '<div class="reviews">Round '+esc(task.review_round)+': ';
     for (const [a,v] of Object.entries(task.reviews)) {
-      h += '<span><span class="agent-tag">@'+a+'</span> <span class="badge '+v+'">'+(v==='changes_requested'?'changes':v)+'</span></span>';
+      h += '<span><span class="agent-tag">@'+esc(a)+'</span> <span class="badge '+esc(v)+'">'+(v==='changes_requested'?'changes':esc(v))+'</span></span>';
     }
     h += '</div>';
   }
+  const actions = taskActions(task);
+  if (actions.length > 0) {
+    h += '<div class="task-actions">';
+    for (const [label, action, body, cls] of actions) {
+      h += '<button type="button" class="'+cls+'" data-task="'+esc(task.id)+'" data-action="'+action+'" data-body="'+esc(JSON.stringify(body))+'">'+label+'</button>';
+    }
+    h += '</div>';
+  }
+  const open = openHistory.has(task.id);
+  h += '<span class="toggle-link" data-history="'+esc(task.id)+'">'+(open ? 'Hide' : 'History')+' ('+(task.history || []).length+')</span>';
+  if (open) h += historyTimeline(task);
   h += '</div>';
   return h;
 }
@@ -111,10 +226,13 @@ function renderGroup(label, cls, items) {
   return h;
 }
 
-async function load() {
-  const data = await fetch('/api/status').then(r=>r.json());
-  const tabs = data.tabs;
-  const allTasks = await fetch('/api/tasks').then(r=>r.json());
+function render(data) {
+  board = data;
+  // Keep half-typed comments across live re-renders.
+  const drafts = {};
+  for (const input of document.querySelectorAll('[data-comment-for]')) drafts[input.dataset.commentFor] = input.value;
+  const tabs = data.status.tabs;
+  const allTasks = data.tasks;
   const bugs = allTasks.filter(t => t.type === 'bug');
   const activeBugs = bugs.filter(t => !['done','installed','cancelled'].includes(t.status));
 
@@ -136,7 +254,7 @@ async function load() {
   left += renderGroup('Recommended', 'recommended', tabs.recommended);
   left += renderGroup('To Review', 'to_review', reviewItems);
   if (tabs.discarded.length > 0) {
-    left += '<span class="toggle-link" onclick="showDiscarded=!showDiscarded;load()">'+(showDiscarded?'Hide':'Show')+' '+tabs.discarded.length+' discarded</span>';
+    left += '<span class="toggle-link" data-toggle="discarded">'+(showDiscarded?'Hide':'Show')+' '+tabs.discarded.length+' discarded</span>';
     if (showDiscarded) left += renderGroup('Discarded', 'discarded', tabs.discarded);
   }
   if (!left) left = '<div class="empty">No proposals</div>';
@@ -148,8 +266,8 @@ async function load() {
   right += renderGroup('To Install', 'to_install', tabs.to_install);
   right += renderGroup('Installed / Running', 'installed', tabs.installed);
   if (tabs.done.length > 0) {
-    right += '<span class="toggle-link" onclick="document.getElementById(\\'done-list\\').classList.toggle(\\'collapsed\\')">'+tabs.done.length+' completed</span>';
-    right += '<div id="done-list" class="collapsed">'+renderGroup('Done', 'installed', tabs.done)+'</div>';
+    right += '<span class="toggle-link" data-toggle="done">'+tabs.done.length+' completed</span>';
+    if (showDone) right += renderGroup('Done', 'installed', tabs.done);
   }
   if (!right) right = '<div class="empty">No implementation work</div>';
 
@@ -159,18 +277,172 @@ async function load() {
   document.getElementById('app').innerHTML =
     '<div class="column"><div class="column-header proposals">Proposals <span class="column-count">'+proposalCount+'</span></div>'+left+'</div>'+
     '<div class="column"><div class="column-header implementation">Implementation <span class="column-count">'+implCount+'</span></div>'+right+'</div>';
+  for (const input of document.querySelectorAll('[data-comment-for]')) input.value = drafts[input.dataset.commentFor] || '';
+}
+
+async function load() {
+  const get = path => fetch(path, { headers: authHeaders() }).then(r => r.json());
+  const [status, tasks] = await Promise.all([get('/api/status'), get('/api/tasks')]);
+  render({ status, tasks });
+}
+
+async function post(path, body) {
+  const res = await fetch(path, { method: 'POST', headers: { 'Content-Type': 'application/json', ...authHeaders() }, body: JSON.stringify(body) });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+  return data;
 }
-load();
-setInterval(load, 5000);
+
+document.addEventListener('click', async (e) => {
+  const toggle = e.target.closest('[data-toggle]');
+  if (toggle) {
+    if (toggle.dataset.toggle === 'discarded') showDiscarded = !showDiscarded;
+    else showDone = !showDone;
+    if (board) render(board);
+    return;
+  }
+  const history = e.target.closest('[data-history]');
+  if (history) {
+    const id = history.dataset.history;
+    if (openHistory.has(id)) openHistory.delete(id); else openHistory.add(id);
+    if (board) render(board);
+    return;
+  }
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const action = btn.dataset.action;
+  const body = JSON.parse(btn.dataset.body);
+  if (!authRequired && (action === 'vote' || action === 'review' || action === 'comment')) {
+    if (!actor()) { notice('Set "Acting as" before voting, reviewing or commenting.', true); actorInput.focus(); return; }
+    if (action !== 'comment') body[action === 'vote' ? 'agent' : 'reviewer'] = actor();
+  }
+  if (!authRequired && actor()) body.by = actor();
+  if (action === 'comment') {
+    const input = btn.parentElement.querySelector('[data-comment-for]');
+    body.body = input.value.trim();
+    if (!body.body) { input.focus(); return; }
+  }
+  btn.disabled = true;
+  try {
+    const task = await post('/api/tasks/' + encodeURIComponent(btn.dataset.task) + '/' + action, body);
+    const commentInput = document.querySelector('[data-comment-for="'+CSS.escape(btn.dataset.task)+'"]');
+    if (action === 'comment' && commentInput) commentInput.value = '';
+    notice(action === 'comment' ? 'Commented on ' + task.title : task.title + ' → ' + task.status);
+  } catch (err) {
+    notice(action + ' failed: ' + err.message, true);
+    btn.disabled = false;
+  }
+});
+
+document.getElementById('create-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const fields = e.target.elements;
+  const agent = actor();
+  if (!authRequired && !agent) { notice('Set "Acting as" before creating a task.', true); actorInput.focus(); return; }
+  try {
+    const task = await post('/api/tasks', {
+      agent,
+      title: fields.title.value,
+      type: fields.type.value,
+      hotfix: fields.hotfix.checked,
+      priority: Number(fields.priority.value) || 0
+    });
+    fields.title.value = '';
+    notice('Created ' + task.id + ' (' + task.status + ')');
+  } catch (err) {
+    notice('Create failed: ' + err.message, true);
+  }
+});
+
+// Live updates over Server-Sent Events; fall back to polling without them.
+const refresh = document.getElementById('refresh');
+let events = null;
+let poller = null;
+async function connect() {
+  if (events) events.close();
+  clearInterval(poller);
+  const res = await fetch('/api/whoami', { headers: authHeaders() });
+  const me = await res.json().catch(() => ({}));
+  authRequired = res.status === 401 || me.auth === true;
+  document.getElementById('actor-field').className = authRequired ? 'collapsed' : '';
+  document.getElementById('token-field').className = authRequired ? '' : 'collapsed';
+  document.getElementById('identity').textContent = me.handle ? 'Signed in as @' + me.handle + ' (' + me.roles.join(', ') + ')' : '';
+  if (!res.ok) {
+    notice(tokenInput.value ? 'Invalid API token.' : 'Enter an API token.', true);
+    refresh.textContent = 'Not connected';
+    return;
+  }
+  notice('');
+  if (window.EventSource) {
+    const token = tokenInput.value.trim();
+    events = new EventSource('/api/events' + (token ? '?token=' + encodeURIComponent(token) : ''));
+    events.addEventListener('board', (e) => render(JSON.parse(e.data)));
+    events.onopen = () => { refresh.textContent = 'Live'; refresh.className = 'refresh live'; };
+    events.onerror = () => { refresh.textContent = 'Reconnecting...'; refresh.className = 'refresh'; };
+  } else {
+    load();
+    poller = setInterval(load, 5000);
+    refresh.textContent = 'Auto-refreshes every 5s';
+  }
+}
+connect();
 </script>
 </body>
 </html>`;
 
-export function startMissionControl(config, port = 4800) {
+function boardData() {
+  return { status: missionControlData(), tasks: listTasks() };
+}
+
+function json(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+const TASK_ACTIONS = ['vote', 'queue', 'start', 'draft', 'review', 'install', 'done', 'fail', 'cancel', 'status', 'override', 'comment'];
+
+const FAILURE_STATUS = { not_found: 404, invalid: 400, illegal_transition: 409 };
+
+// A change that threw rather than returning { ok: false }: 503 when the task
+// store stayed locked (the client may retry), else `status`. Answering here
+// keeps one bad request from taking the server down.
+function jsonError(res, e, status = 409) {
+  if (res.headersSent) return res.end();
+  json(res, e instanceof StateLockError ? 503 : status, { error: e.message });
+}
+
+/**
+ * Mission Control: the task board UI plus a JSON API.
+ *
+ * GET /api/events is a Server-Sent Events stream. It sends a "board" event
+ * ({ status, tasks }) on connect and whenever the task store changes, whether
+ * the change came through this API or from `tasks vote` in another process.
+ *
+ * When tasks.mission_control.tokens is set every /api route needs a token
+ * (see mission-control-auth.mjs). Votes and reviews are then recorded under
+ * the token's handle and the agent/reviewer body fields are ignored.
+ * Throws when the bind settings are unsafe.
+ */
+export function startMissionControl(config, port) {
+  const settings = missionControlSettings(config);
+  if (settings.problem) throw new Error(`Refusing to start Mission Control: ${settings.problem}`);
   const tasksFile = config?.tasks?.file || '.iak-tasks.json';
-  initTaskQueue(tasksFile);
+  initTaskQueue(tasksFile, { receipts: config?.receipts, governance: config?.tasks?.governance, owners: config?.tasks?.owners });
 
-  const server = createServer((req, res) => {
+  const clients = new Set();
+  const send = (res, data) => res.write(`event: board\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = () => {
+    if (clients.size === 0) return;
+    const data = boardData();
+    for (const res of clients) send(res, data);
+  };
+  const watcher = watchTasks(broadcast);
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, 25000);
+  heartbeat.unref();
+
+  const handleRequest = (req, res) => {
     const url = new URL(req.url, 'http://localhost');
 
     if (url.pathname === '/' || url.pathname === '/index.html') {
@@ -179,32 +451,59 @@ export function startMissionControl(config, port = 4800) {
       return;
     }
 
-    if (url.pathname === '/api/status' && req.method === 'GET') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(missionControlData()));
+    if (!url.pathname.startsWith('/api/')) {
+      res.writeHead(404);
+      res.end('Not found');
       return;
     }
 
+    const auth = authenticate(settings, req, url);
+    if (!auth.ok) return json(res, auth.status, { error: auth.error });
+    const identity = auth.identity;
+
+    if (url.pathname === '/api/whoami' && req.method === 'GET') {
+      return json(res, 200, { auth: settings.tokens.length > 0, handle: identity?.handle || null, roles: identity?.roles || [] });
+    }
+
+    if (req.method === 'GET') {
+      const allowed = authorize(identity, 'read');
+      if (!allowed.ok) return json(res, allowed.status, { error: allowed.error });
+    }
+
+    if (url.pathname === '/api/events' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      send(res, boardData());
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (url.pathname === '/api/status' && req.method === 'GET') {
+      return json(res, 200, missionControlData());
+    }
+
     if (url.pathname === '/api/tasks' && req.method === 'GET') {
       const status = url.searchParams.get('status');
       const agent = url.searchParams.get('agent');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(listTasks({ status, agent })));
-      return;
+      return json(res, 200, listTasks({ status, agent }));
     }
 
     if (url.pathname === '/api/tasks' && req.method === 'POST') {
+      const allowed = authorize(identity, 'create');
+      if (!allowed.ok) return json(res, allowed.status, { error: allowed.error });
       let body = '';
       req.on('data', c => body += c);
       req.on('end', () => {
         try {
-          const { agent, title, priority, type } = JSON.parse(body);
-          const task = addTask(agent, title, { priority: priority || 0, type: type || 'feature' });
-          res.writeHead(201, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(task));
+          const { agent, title, priority, type, hotfix } = JSON.parse(body);
+          if (!title || !String(title).trim()) throw new Error('title is required');
+          // Agents create tasks for themselves; a human owner may assign one.
+          const owner = identity && !identity.roles.includes('human-owner') ? identity.handle : (agent || identity?.handle);
+          const task = addTask(owner, title, { priority: priority || 0, type: type || 'feature', hotfix: hotfix === true, by: identity?.handle });
+          watcher.check();
+          json(res, 201, task);
         } catch (e) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: e.message }));
+          jsonError(res, e, 400);
         }
       });
       return;
@@ -212,38 +511,41 @@ export function startMissionControl(config, port = 4800) {
 
     const actionMatch = url.pathname.match(/^\/api\/tasks\/([^/]+)\/(\w+)$/);
     if (actionMatch && req.method === 'POST') {
+      const [, taskId, action] = actionMatch;
+      if (!TASK_ACTIONS.includes(action)) return json(res, 400, { error: 'Unknown action: ' + action });
+      const allowed = authorize(identity, action, getTask(taskId));
+      if (!allowed.ok) return json(res, allowed.status, { error: allowed.error });
       let body = '';
       req.on('data', c => body += c);
       req.on('end', () => {
-        const [, taskId, action] = actionMatch;
         let parsed = {};
         try { parsed = body ? JSON.parse(body) : {}; } catch {}
 
-        let task;
-        switch (action) {
-          case 'vote': task = vote(taskId, parsed.agent, parsed.decision); break;
-          case 'queue': task = queueTask(taskId); break;
-          case 'start': task = startTask(taskId); break;
-          case 'draft': task = draftTask(taskId); break;
-          case 'review': task = reviewTask(taskId, parsed.reviewer, parsed.decision); break;
-          case 'install': task = installTask(taskId); break;
-          case 'done': task = completeTask(taskId, parsed.result); break;
-          case 'fail': task = failTask(taskId, parsed.reason); break;
-          case 'cancel': task = cancelTask(taskId); break;
-          case 'status': task = setStatus(taskId, parsed.status); break;
-          default:
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unknown action: ' + action }));
-            return;
+        // Without auth the caller names itself in the body.
+        const by = identity ? identity.handle : parsed.by;
+        let result;
+        try {
+          switch (action) {
+            case 'vote': result = vote(taskId, identity ? identity.handle : parsed.agent, parsed.decision); break;
+            case 'queue': result = queueTask(taskId, { by }); break;
+            case 'start': result = startTask(taskId, { by }); break;
+            case 'draft': result = draftTask(taskId, { by }); break;
+            case 'review': result = reviewTask(taskId, identity ? identity.handle : parsed.reviewer, parsed.decision); break;
+            case 'install': result = installTask(taskId, { by }); break;
+            case 'done': result = completeTask(taskId, parsed.result, { by }); break;
+            case 'fail': result = failTask(taskId, parsed.reason, { by }); break;
+            case 'cancel': result = cancelTask(taskId, { by }); break;
+            case 'status': result = setStatus(taskId, parsed.status, { by }); break;
+            case 'override': result = overrideStatus(taskId, parsed.status, { by, reason: parsed.reason, verified: !!identity }); break;
+            case 'comment': result = commentTask(taskId, by, parsed.body); break;
+          }
+        } catch (e) {
+          return jsonError(res, e);
         }
 
-        if (!task) {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Task not found or invalid params' }));
-          return;
-        }
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(task));
+        if (!result.ok) return json(res, FAILURE_STATUS[result.code] || 400, { error: result.error });
+        watcher.check();
+        json(res, 200, result.task);
       });
       return;
     }
@@ -251,22 +553,37 @@ export function startMissionControl(config, port = 4800) {
     const taskMatch = url.pathname.match(/^\/api\/tasks\/([^/]+)$/);
     if (taskMatch && req.method === 'GET') {
       const task = getTask(taskMatch[1]);
-      if (!task) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Not found' }));
-        return;
-      }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(task));
-      return;
+      if (!task) return json(res, 404, { error: 'Not found' });
+      return json(res, 200, task);
     }
 
-    res.writeHead(404);
-    res.end('Not found');
+    json(res, 404, { error: 'Not found' });
+  };
+
+  const server = createServer((req, res) => {
+    try {
+      handleRequest(req, res);
+    } catch (e) {
+      jsonError(res, e, 500);
+    }
   });
 
-  server.listen(port, '127.0.0.1', () => {
-    console.log(`Mission Control: http://127.0.0.1:${port}/`);
+  // server.close() only finishes once every connection has, and an open
+  // event stream never does on its own: end the streams first.
+  const closeServer = server.close.bind(server);
+  server.close = (callback) => {
+    for (const res of clients) res.end();
+    clients.clear();
+    watcher.close();
+    clearInterval(heartbeat);
+    closeServer(callback);
+    server.closeIdleConnections();
+    return server;
+  };
+
+  server.listen(port ?? settings.port, settings.host, () => {
+    const auth = settings.tokens.length > 0 ? `${settings.tokens.length} API token(s)` : 'no auth';
+    console.log(`Mission Control: http://${settings.host}:${server.address().port}/ (${auth})`);
   });
 
   return server;
@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { request as httpsRequest } from 'node:https';
 import { waitUntilReady, markSent } from './rate-limiter.mjs';
+import { httpRequest } from '../common/http.mjs';
 
 /**
  * Moltbook — Post to Moltbook social platform for AI agents.
@@ -18,34 +18,17 @@ import { waitUntilReady, markSent } from './rate-limiter.mjs';
 
 const DEFAULT_BASE_URL = 'https://www.moltbook.com';
 
-function moltbookFetch(baseUrl, path, method, apiKey, body = null) {
-  const url = new URL(path, baseUrl);
-
-  return new Promise((resolve, reject) => {
-    const opts = {
-      method,
-      headers: {
-        'X-API-Key': apiKey,
-        'Content-Type': 'application/json'
-      }
-    };
-
-    const req = httpsRequest(url, opts, (res) => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => {
-        const raw = Buffer.concat(chunks).toString();
-        try {
-          resolve({ status: res.statusCode, data: JSON.parse(raw) });
-        } catch {
-          resolve({ status: res.statusCode, data: raw });
-        }
-      });
-    });
-    req.on('error', reject);
-    if (body) req.write(JSON.stringify(body));
-    req.end();
+async function moltbookFetch(baseUrl, path, method, apiKey, body = null) {
+  const res = await httpRequest(new URL(path, baseUrl).toString(), {
+    method,
+    headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json' },
+    body: body ?? undefined
   });
+  try {
+    return { status: res.status, data: JSON.parse(res.body) };
+  } catch {
+    return { status: res.status, data: res.body };
+  }
 }
 
 /**
@@ -0,0 +1,500 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, renameSync, statSync, openSync, readSync, closeSync, unlinkSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { createReceipt, appendReceipt } from './receipt.mjs';
+import { listSegments, readSegment, rotateFile, pruneSegments } from './common/rotation.mjs';
+import { readJson, writeJsonAtomic, withLock } from '../common/state-store.mjs';
+import { activeStore, stateTransaction } from '../common/storage.mjs';
+
+/**
+ * Queue Consumer — cursor-based reading of the shared JSONL event queue.
+ *
+ * Pollers and the webhook server only ever append to the queue. Each IDE agent
+ * that reads it registers as a named consumer with its own cursor file, so
+ * several agents can share one queue without re-reading or skipping events.
+ *
+ * Cursor file (<cursor_dir>/<consumer>.json):
+ *   segment  — archived segment the cursor is in (null = the active file)
+ *   offset   — byte offset up to which every event has been acked
+ *   acked    — event ids acked out of order, beyond offset
+ *   inflight — event id → lease timestamp for events handed out by next()
+ *
+ * Events are identified by event_id (falling back to trace_id). A leased
+ * event that is neither acked nor nacked within queue.lease_sec becomes
+ * deliverable again, so a crashed agent does not strand it.
+ *
+ * When the queue rotates (queue.max_bytes), cursors on the active file are
+ * moved onto the new archived segment, and reads span from the cursor's
+ * segment through any later segments into the active file. compactQueue()
+ * rewrites the active file without the events every consumer has acked.
+ *
+ * With storage.backend "sqlite" events come from the events table, cursors
+ * live in the "queue_cursors" collection and offset is the last contiguous
+ * acked event seq. There is nothing to rotate; compaction deletes rows.
+ *
+ * CLI:
+ *   ide-agent-kit queue next    [--consumer <name>]
+ *   ide-agent-kit queue ack     <event_id> [--consumer <name>]
+ *   ide-agent-kit queue nack    <event_id> [--consumer <name>] [--reason <text>]
+ *   ide-agent-kit queue pending [--consumer <name>]
+ *   ide-agent-kit queue compact
+ */
+
+const DEFAULT_CONSUMER = 'default';
+const DEFAULT_LEASE_SEC = 300;
+
+function resolveQueuePath(config) {
+  return config?.queue?.path || './ide-agent-queue.jsonl';
+}
+
+function resolveCursorDir(config) {
+  return config?.queue?.cursor_dir || `${resolveQueuePath(config)}.cursors`;
+}
+
+function sanitizeConsumer(name) {
+  return String(name || DEFAULT_CONSUMER).replace(/[^a-zA-Z0-9._-]/g, '-').replace(/-+/g, '-');
+}
+
+function cursorPath(config, consumer) {
+  return join(resolveCursorDir(config), `${sanitizeConsumer(consumer)}.json`);
+}
+
+function loadCursor(config, consumer) {
+  const p = cursorPath(config, consumer);
+  const empty = { consumer, segment: null, offset: 0, acked: [], inflight: {}, updated_at: null };
+  const store = activeStore();
+  if (store) return { ...empty, ...store.getRecord('queue_cursors', sanitizeConsumer(consumer)) };
+  if (!existsSync(p)) {
+    // A new consumer starts at the oldest event still retained.
+    const oldest = listSegments(resolveQueuePath(config))[0];
+    return { ...empty, segment: oldest ? basename(oldest) : null };
+  }
+  return { ...empty, ...readJson(p, {}) };
+}
+
+function saveCursor(config, cursor) {
+  const store = activeStore();
+  if (store) {
+    cursor.updated_at = new Date().toISOString();
+    store.putRecord('queue_cursors', sanitizeConsumer(cursor.consumer), cursor);
+    return;
+  }
+  const dir = resolveCursorDir(config);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  cursor.updated_at = new Date().toISOString();
+  writeJsonAtomic(cursorPath(config, cursor.consumer), cursor);
+}
+
+export function eventKey(event) {
+  return event?.event_id || event?.trace_id || null;
+}
+
+/**
+ * Read queue entries starting at a byte offset. Each entry carries the byte
+ * range of its line so cursors can advance past it. Malformed lines are
+ * returned with event=null so they can be stepped over.
+ */
+export function readQueueEntries(queuePath, offset = 0) {
+  if (!existsSync(queuePath)) return [];
+  return parseEntries(readFileSync(queuePath), offset, null);
+}
+
+function parseEntries(buf, offset, segment) {
+  const entries = [];
+  let start = Math.min(offset, buf.length);
+  while (start < buf.length) {
+    const nl = buf.indexOf(0x0a, start);
+    if (nl === -1) break; // partial trailing line, writer not done yet
+    const line = buf.subarray(start, nl).toString('utf8').trim();
+    let event = null;
+    if (line) {
+      try { event = JSON.parse(line); } catch { /* malformed */ }
+    }
+    entries.push({ segment, offset: start, end: nl + 1, event });
+    start = nl + 1;
+  }
+  return entries;
+}
+
+/**
+ * Read every entry from the cursor's position onward: the rest of its
+ * segment, any later segments, then the active file. If the cursor's
+ * segment has been pruned by retention, reading resumes at the next one.
+ */
+function readCursorEntries(queuePath, cursor) {
+  const store = activeStore();
+  if (store) return storeEntries(store, cursor.offset);
+  const entries = [];
+  if (cursor.segment) {
+    for (const seg of listSegments(queuePath)) {
+      const name = basename(seg);
+      if (name < cursor.segment) continue;
+      let buf;
+      try { buf = readSegment(seg); } catch { continue; }
+      entries.push(...parseEntries(buf, name === cursor.segment ? cursor.offset : 0, name));
+    }
+    if (existsSync(queuePath)) entries.push(...parseEntries(readFileSync(queuePath), 0, null));
+    return entries;
+  }
+  return readQueueEntries(queuePath, cursor.offset);
+}
+
+function storeEntries(store, afterSeq) {
+  return store.eventsAfter(afterSeq).map(({ seq, event }) => ({ segment: null, offset: seq - 1, end: seq, event }));
+}
+
+function leaseExpired(leasedAt, leaseSec) {
+  return Date.now() - new Date(leasedAt).getTime() > leaseSec * 1000;
+}
+
+/**
+ * Advance the cursor offset over the contiguous run of acked (or malformed)
+ * entries at its head, dropping those ids from the out-of-order ack list.
+ */
+function compactCursor(cursor, entries) {
+  const acked = new Set(cursor.acked);
+  let drained = true;
+  for (const entry of entries) {
+    const key = eventKey(entry.event);
+    if (key && !acked.has(key)) { drained = false; break; }
+    if (key) acked.delete(key);
+    cursor.segment = entry.segment;
+    cursor.offset = entry.end;
+  }
+  // Everything archived has been handled: move onto the active file.
+  if (drained && cursor.segment) {
+    cursor.segment = null;
+    cursor.offset = 0;
+  }
+  cursor.acked = [...acked];
+  return cursor;
+}
+
+function findEntry(entries, eventId) {
+  return entries.find(e => eventKey(e.event) === eventId) || null;
+}
+
+/**
+ * Load, change and save a consumer's cursor under its lock, so two workers
+ * sharing a consumer name cannot lease the same event or drop each other's
+ * acks. fn(cursor) returns a result whose `save` flag says whether to
+ * write the cursor back.
+ */
+function updateCursor(config, consumer, fn) {
+  return stateTransaction(cursorPath(config, consumer), () => {
+    const cursor = loadCursor(config, consumer);
+    const result = fn(cursor);
+    if (result.save) saveCursor(config, cursor);
+    return result;
+  });
+}
+
+/**
+ * Lease the next event this consumer has not handled yet.
+ */
+export function queueNext(config, consumer = DEFAULT_CONSUMER) {
+  const queuePath = resolveQueuePath(config);
+  const leaseSec = config?.queue?.lease_sec || DEFAULT_LEASE_SEC;
+  const { save, ...result } = updateCursor(config, consumer, (cursor) => {
+    const acked = new Set(cursor.acked);
+    for (const entry of readCursorEntries(queuePath, cursor)) {
+      const key = eventKey(entry.event);
+      if (!key || acked.has(key)) continue;
+      const leasedAt = cursor.inflight[key];
+      if (leasedAt && !leaseExpired(leasedAt, leaseSec)) continue;
+
+      cursor.inflight[key] = new Date().toISOString();
+      return { save: true, ok: true, event: entry.event, redelivered: !!leasedAt };
+    }
+    return { save: false, ok: true, event: null };
+  });
+  return result;
+}
+
+/**
+ * Acknowledge an event as handled. Writes a receipt linked to the event's trace_id.
+ */
+export function queueAck(config, consumer = DEFAULT_CONSUMER, eventId) {
+  if (!eventId) return { ok: false, error: 'event_id required' };
+  const queuePath = resolveQueuePath(config);
+  const receiptPath = config?.receipts?.path || './ide-agent-receipts.jsonl';
+  const { entry } = updateCursor(config, consumer, (cursor) => {
+    const entries = readCursorEntries(queuePath, cursor);
+    const found = findEntry(entries, eventId);
+    if (!found || cursor.acked.includes(eventId)) return { save: false, entry: null };
+
+    delete cursor.inflight[eventId];
+    cursor.acked.push(eventId);
+    compactCursor(cursor, entries);
+    return { save: true, entry: found };
+  });
+
+  if (!entry) {
+    return { ok: false, error: `Event ${eventId} not pending for consumer ${consumer}` };
+  }
+
+  const receipt = createReceipt({
+    traceId: entry.event.trace_id,
+    actor: { name: consumer, kind: 'ide-agent' },
+    action: { kind: 'queue.ack', consumer, event_id: eventId, event_kind: entry.event.kind || '' },
+    status: 'ok',
+    inputRefs: [eventId]
+  });
+  appendReceipt(receiptPath, receipt, config?.receipts);
+
+  return { ok: true, event: entry.event, receipt };
+}
+
+/**
+ * Release a leased event so the next call to queueNext() delivers it again.
+ */
+export function queueNack(config, consumer = DEFAULT_CONSUMER, eventId, { reason } = {}) {
+  if (!eventId) return { ok: false, error: 'event_id required' };
+  const queuePath = resolveQueuePath(config);
+  const receiptPath = config?.receipts?.path || './ide-agent-receipts.jsonl';
+  const { entry } = updateCursor(config, consumer, (cursor) => {
+    const found = findEntry(readCursorEntries(queuePath, cursor), eventId);
+    if (!found || cursor.acked.includes(eventId)) return { save: false, entry: null };
+
+    delete cursor.inflight[eventId];
+    return { save: true, entry: found };
+  });
+
+  if (!entry) {
+    return { ok: false, error: `Event ${eventId} not pending for consumer ${consumer}` };
+  }
+
+  const receipt = createReceipt({
+    traceId: entry.event.trace_id,
+    actor: { name: consumer, kind: 'ide-agent' },
+    action: { kind: 'queue.nack', consumer, event_id: eventId, event_kind: entry.event.kind || '' },
+    status: 'skipped',
+    notes: reason || '',
+    inputRefs: [eventId]
+  });
+  appendReceipt(receiptPath, receipt, config?.receipts);
+
+  return { ok: true, event: entry.event, receipt };
+}
+
+/**
+ * List events this consumer has not acknowledged, oldest first.
+ */
+export function queuePending(config, consumer = DEFAULT_CONSUMER) {
+  const queuePath = resolveQueuePath(config);
+  const leaseSec = config?.queue?.lease_sec || DEFAULT_LEASE_SEC;
+  const cursor = loadCursor(config, consumer);
+  const acked = new Set(cursor.acked);
+
+  const events = [];
+  for (const entry of readCursorEntries(queuePath, cursor)) {
+    const key = eventKey(entry.event);
+    if (!key || acked.has(key)) continue;
+    const leasedAt = cursor.inflight[key];
+    events.push({
+      event: entry.event,
+      leased_at: leasedAt && !leaseExpired(leasedAt, leaseSec) ? leasedAt : null
+    });
+  }
+
+  return { ok: true, consumer, events, count: events.length };
+}
+
+/**
+ * List consumers that have a cursor file for this queue.
+ */
+export function listConsumers(config) {
+  const store = activeStore();
+  if (store) return Object.keys(store.readCollection('queue_cursors'));
+  const dir = resolveCursorDir(config);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.replace(/\.json$/, ''));
+}
+
+/**
+ * Read the file-backed queue for `storage migrate`: every event (archived
+ * segments, then the active file) in order, and for each consumer cursor the
+ * ids it has handled, whether by position or out of order.
+ */
+export function exportFileQueue(config) {
+  const queuePath = resolveQueuePath(config);
+  const first = listSegments(queuePath)[0];
+  const entries = readCursorEntries(queuePath, { segment: first ? basename(first) : null, offset: 0 });
+  const passed = (entry, c) => (c.segment === null
+    ? entry.segment !== null || entry.end <= c.offset
+    : entry.segment !== null && (entry.segment < c.segment || (entry.segment === c.segment && entry.end <= c.offset)));
+
+  const cursors = listConsumers(config).map(id => {
+    const c = loadCursor(config, id);
+    const handled = new Set(c.acked);
+    for (const entry of entries) {
+      const key = eventKey(entry.event);
+      if (key && passed(entry, c)) handled.add(key);
+    }
+    return { id, consumer: c.consumer, handled, inflight: c.inflight };
+  });
+  return { events: entries.filter(e => e.event).map(e => e.event), cursors };
+}
+
+/**
+ * Every event in the queue, oldest first, with or without consumers.
+ */
+export function readQueueEvents(config) {
+  const store = activeStore();
+  if (store) return store.eventsAfter(0).map(r => r.event);
+  const queuePath = resolveQueuePath(config);
+  const first = listSegments(queuePath)[0];
+  return readCursorEntries(queuePath, { segment: first ? basename(first) : null, offset: 0 })
+    .filter(e => e.event).map(e => e.event);
+}
+
+/**
+ * Run fn(cursors) holding every consumer's cursor lock, with the cursors
+ * loaded under those locks, so no lease or ack can land between reading a
+ * cursor and writing it back. Callers take the queue lock first; next, ack
+ * and nack only ever take their own cursor lock, so the order cannot
+ * deadlock.
+ */
+function withAllCursors(config, fn) {
+  const names = listConsumers(config).sort();
+  const hold = (i) => (i === names.length
+    ? fn(names.map(name => loadCursor(config, name)))
+    : stateTransaction(cursorPath(config, names[i]), () => hold(i + 1)));
+  return hold(0);
+}
+
+/**
+ * Rotate the active queue file into a gzipped segment and move every cursor
+ * that pointed into it onto the new segment. Applies queue.retention_days.
+ * The cursors are moved before their locks are released, so no consumer
+ * reads the fresh active file at its old offset.
+ */
+export function rotateQueue(config) {
+  if (activeStore()) return { ok: true, segment: null, pruned: [] };
+  const queuePath = resolveQueuePath(config);
+  const segPath = withLock(queuePath, () => withAllCursors(config, (cursors) => {
+    const rotated = rotateFile(queuePath);
+    if (!rotated) return null;
+    for (const cursor of cursors) {
+      if (cursor.segment) continue;
+      cursor.segment = basename(rotated);
+      saveCursor(config, cursor);
+    }
+    return rotated;
+  }));
+  if (!segPath) return { ok: true, segment: null, pruned: [] };
+
+  const segment = basename(segPath);
+  const pruned = pruneSegments(queuePath, config?.queue?.retention_days);
+  return { ok: true, segment, pruned };
+}
+
+function consumerHasAcked(cursor, entry) {
+  if (cursor.segment === null && entry.end <= cursor.offset) return true;
+  const key = eventKey(entry.event);
+  return !!key && cursor.acked.includes(key);
+}
+
+/**
+ * Drop events every registered consumer has acked. The active file is
+ * rewritten without them and cursors are rebased onto the new byte offsets;
+ * archived segments every consumer has moved past are deleted. It all runs
+ * under the queue lock, so appenders wait rather than write into the file
+ * that is about to be replaced, and under every cursor lock, so a
+ * concurrent lease or ack is neither missed nor overwritten.
+ */
+export function compactQueue(config) {
+  const queuePath = resolveQueuePath(config);
+  const store = activeStore();
+  return stateTransaction(queuePath, () => withAllCursors(config, (cursors) => {
+    if (cursors.length === 0) {
+      return { ok: false, error: 'No registered consumers; nothing can be known to be acked' };
+    }
+    if (store) return compactStore(config, store, cursors);
+
+    const removedSegments = [];
+    for (const seg of listSegments(queuePath)) {
+      const name = basename(seg);
+      if (cursors.every(c => c.segment === null || c.segment > name)) {
+        try { unlinkSync(seg); removedSegments.push(seg); } catch { /* already gone */ }
+      }
+    }
+    return compactFile(config, queuePath, cursors, removedSegments);
+  }));
+}
+
+function compactFile(config, queuePath, cursors, removedSegments) {
+  if (!existsSync(queuePath)) {
+    return { ok: true, dropped: 0, kept: 0, segments_removed: removedSegments };
+  }
+
+  const buf = readFileSync(queuePath);
+  const entries = parseEntries(buf, 0, null);
+  const kept = [];
+  const droppedIds = new Set();
+  let dropped = 0;
+  // Byte offset in the new file for each old offset a cursor might sit at.
+  const newOffsetAt = new Map([[0, 0]]);
+  let newOffset = 0;
+
+  for (const entry of entries) {
+    if (cursors.every(c => consumerHasAcked(c, entry))) {
+      dropped++;
+      const key = eventKey(entry.event);
+      if (key) droppedIds.add(key);
+    } else {
+      kept.push(buf.subarray(entry.offset, entry.end));
+      newOffset += entry.end - entry.offset;
+    }
+    newOffsetAt.set(entry.end, newOffset);
+  }
+
+  if (dropped === 0) {
+    return { ok: true, dropped: 0, kept: entries.length, segments_removed: removedSegments };
+  }
+
+  // Carry over any partial trailing line (a writer that does not take the
+  // lock may still be mid-append), right before swapping the files in.
+  const consumedEnd = entries.length ? entries[entries.length - 1].end : 0;
+  const tmpPath = `${queuePath}.compact-${process.pid}`;
+  writeFileSync(tmpPath, Buffer.concat([...kept, appendedSince(queuePath, consumedEnd)]));
+  renameSync(tmpPath, queuePath);
+
+  for (const cursor of cursors) {
+    if (cursor.segment === null) cursor.offset = newOffsetAt.get(cursor.offset) ?? 0;
+    cursor.acked = cursor.acked.filter(id => !droppedIds.has(id));
+    for (const id of droppedIds) delete cursor.inflight[id];
+    saveCursor(config, cursor);
+  }
+
+  return { ok: true, dropped, kept: kept.length, segments_removed: removedSegments };
+}
+
+function compactStore(config, store, cursors) {
+  const entries = storeEntries(store, 0);
+  const dropped = entries.filter(entry => cursors.every(c => consumerHasAcked(c, entry)));
+  store.deleteEvents(dropped.map(e => e.end));
+  const droppedIds = new Set(dropped.map(e => eventKey(e.event)).filter(Boolean));
+  for (const cursor of cursors) {
+    cursor.acked = cursor.acked.filter(id => !droppedIds.has(id));
+    for (const id of droppedIds) delete cursor.inflight[id];
+    saveCursor(config, cursor);
+  }
+  return { ok: true, dropped: dropped.length, kept: entries.length - dropped.length, segments_removed: [] };
+}
+
+function appendedSince(path, offset) {
+  const size = statSync(path).size;
+  if (size <= offset) return Buffer.alloc(0);
+  const fd = openSync(path, 'r');
+  try {
+    const buf = Buffer.alloc(size - offset);
+    readSync(fd, buf, 0, buf.length, offset);
+    return buf;
+  } finally {
+    closeSync(fd);
+  }
+}
@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { existsSync, openSync, readSync, closeSync, statSync } from 'node:fs';
+import { activeStore } from '../common/storage.mjs';
+import { globMatch } from '../common/allowlist.mjs';
+import { listSegments, readSegment } from './common/rotation.mjs';
+import { readReceiptLog } from './receipt.mjs';
+import { readQueueEvents } from './queue-consumer.mjs';
+import { sessionsForTrace } from './acp-sessions.mjs';
+
+/**
+ * `receipt query` and `receipt trace`.
+ *
+ * Filters: traceId, actor (actor.name, "@" optional, case-insensitive),
+ * kind (action.kind glob, e.g. "acp.*"), status (comma-separated list),
+ * since / until (ISO timestamp or a relative age like 30m, 2h, 7d).
+ *
+ * Output formats: table, json, ndjson, csv.
+ */
+
+export const FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse an ISO timestamp or a relative age ("90s", "15m", "2h", "7d") into
+ * an ISO string. Returns null when the value is neither.
+ */
+export function parseTime(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const rel = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (rel) return new Date(now - Number(rel[1]) * UNIT_MS[rel[2]]).toISOString();
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+function normalizeActor(name) {
+  return String(name || '').replace(/^@/, '').toLowerCase();
+}
+
+function actionKind(receipt) {
+  return typeof receipt.action === 'string' ? receipt.action : receipt.action?.kind || '';
+}
+
+/**
+ * Validate and normalise filter options. Returns { ok, filters } or
+ * { ok: false, error }.
+ */
+export function receiptFilters({ traceId, actor, kind, status, since, until } = {}) {
+  const filters = {
+    traceId: traceId || null,
+    actor: actor ? normalizeActor(actor) : null,
+    kind: kind || null,
+    statuses: status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : [],
+    since: null,
+    until: null
+  };
+  for (const key of ['since', 'until']) {
+    const raw = key === 'since' ? since : until;
+    if (raw == null) continue;
+    filters[key] = parseTime(raw);
+    if (!filters[key]) return { ok: false, error: `--${key} must be an ISO timestamp or an age like 30m, 2h, 7d (got "${raw}")` };
+  }
+  return { ok: true, filters };
+}
+
+export function matchesReceipt(receipt, filters) {
+  if (!receipt || typeof receipt !== 'object') return false;
+  if (filters.traceId && receipt.trace_id !== filters.traceId) return false;
+  if (filters.actor && normalizeActor(receipt.actor?.name) !== filters.actor) return false;
+  if (filters.kind && !globMatch(filters.kind, actionKind(receipt))) return false;
+  if (filters.statuses.length && !filters.statuses.includes(receipt.status)) return false;
+  const at = Date.parse(receipt.started_at || '');
+  if (filters.since && !(at >= Date.parse(filters.since))) return false;
+  if (filters.until && !(at <= Date.parse(filters.until))) return false;
+  return true;
+}
+
+/**
+ * Receipts matching filters, oldest first; limit keeps the newest n.
+ */
+export function queryReceipts(receiptPath, filters, { limit } = {}) {
+  const store = activeStore();
+  const candidates = store ? store.queryReceipts(filters) : readReceiptLog(receiptPath);
+  const matched = candidates.filter(r => matchesReceipt(r, filters));
+  return limit > 0 ? matched.slice(-limit) : matched;
+}
+
+/**
+ * Call onReceipt for every matching receipt appended from now on. Polls
+ * every intervalMs; follows the file across rotation the way `watch` follows
+ * the queue. Returns { close }.
+ */
+export function followReceipts(receiptPath, filters, onReceipt, { intervalMs = 500 } = {}) {
+  const emit = receipt => { if (matchesReceipt(receipt, filters)) onReceipt(receipt); };
+
+  const store = activeStore();
+  if (store) {
+    let lastSeq = store.lastReceiptSeq();
+    const timer = setInterval(() => {
+      for (const { seq, receipt } of store.receiptsAfter(lastSeq)) {
+        lastSeq = seq;
+        emit(receipt);
+      }
+    }, intervalMs);
+    return { close: () => clearInterval(timer) };
+  }
+
+  const stat = () => (existsSync(receiptPath) ? statSync(receiptPath) : null);
+  const newestSegment = () => listSegments(receiptPath).pop() || null;
+  let { size: offset = 0, ino = 0 } = stat() || {};
+  let segment = newestSegment();
+  let partial = '';
+
+  const consume = buf => {
+    const lines = (partial + buf.toString('utf8')).split('\n');
+    partial = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try { emit(JSON.parse(line)); } catch { /* malformed */ }
+    }
+  };
+
+  const timer = setInterval(() => {
+    const curr = stat();
+    if (!curr) return;
+    if (curr.ino !== ino || curr.size < offset) {
+      // Rotated: finish the archived segment, then start on the new file.
+      const seg = newestSegment();
+      if (seg && seg !== segment) {
+        try { consume(readSegment(seg).subarray(offset)); } catch { /* pruned */ }
+        segment = seg;
+      }
+      ino = curr.ino;
+      offset = 0;
+      partial = '';
+    }
+    if (curr.size <= offset) return;
+    const buf = Buffer.alloc(curr.size - offset);
+    const fd = openSync(receiptPath, 'r');
+    try {
+      readSync(fd, buf, 0, buf.length, offset);
+    } finally {
+      closeSync(fd);
+    }
+    offset = curr.size;
+    consume(buf);
+  }, intervalMs);
+  return { close: () => clearInterval(timer) };
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const CSV_COLUMNS = ['started_at', 'finished_at', 'trace_id', 'actor', 'actor_kind', 'action_kind', 'status', 'exit_code', 'notes'];
+
+function csvRow(r) {
+  return [r.started_at, r.finished_at, r.trace_id, r.actor?.name, r.actor?.kind, actionKind(r), r.status, r.exit_code, r.notes]
+    .map(csvCell).join(',');
+}
+
+function tableRow(r) {
+  const notes = String(r.notes || '').replace(/\s+/g, ' ');
+  return [
+    (r.started_at || '').slice(0, 19).padEnd(19),
+    String(r.status || '').padEnd(8),
+    actionKind(r).padEnd(22),
+    String(r.actor?.name || '').padEnd(16),
+    String(r.trace_id || '').slice(0, 8).padEnd(8),
+    notes.length > 60 ? `${notes.slice(0, 57)}...` : notes
+  ].join('  ');
+}
+
+/**
+ * Header line for a format (null if it has none).
+ */
+export function formatHeader(format) {
+  if (format === 'csv') return CSV_COLUMNS.join(',');
+  if (format === 'table') return ['STARTED'.padEnd(19), 'STATUS'.padEnd(8), 'ACTION'.padEnd(22), 'ACTOR'.padEnd(16), 'TRACE'.padEnd(8), 'NOTES'].join('  ');
+  return null;
+}
+
+/**
+ * One receipt as a line of output (json is written one object per line).
+ */
+export function formatRow(receipt, format) {
+  if (format === 'csv') return csvRow(receipt);
+  if (format === 'table') return tableRow(receipt);
+  return JSON.stringify(receipt);
+}
+
+/**
+ * A full result set as text.
+ */
+export function formatReceipts(receipts, format) {
+  if (format === 'json') return JSON.stringify(receipts, null, 2);
+  const header = formatHeader(format);
+  return [...(header ? [header] : []), ...receipts.map(r => formatRow(r, format))].join('\n');
+}
+
+/**
+ * Everything recorded under one trace, in time order: queue events, receipts
+ * (including those that list the trace in input_refs/output_refs, such as
+ * the poll that queued an event), and ACP sessions with their messages.
+ *
+ * Entries: { at, source: 'queue'|'receipt'|'acp', kind, actor, status, summary }.
+ */
+export function traceTimeline(config, traceId) {
+  const entries = [];
+
+  for (const e of readQueueEvents(config)) {
+    if (e.trace_id !== traceId) continue;
+    entries.push({
+      at: e.timestamp || null,
+      source: 'queue',
+      kind: e.kind || 'event',
+      actor: e.actor?.login || e.actor?.name || null,
+      status: null,
+      summary: `event ${e.event_id || '?'}${e.source ? ` from ${e.source}` : ''}`
+    });
+  }
+
+  const store = activeStore();
+  const receipts = store
+    ? store.receiptsReferencing(traceId)
+    : readReceiptLog(config?.receipts?.path || './ide-agent-receipts.jsonl');
+  for (const r of receipts) {
+    if (!r || typeof r !== 'object') continue;
+    const direct = r.trace_id === traceId;
+    if (!direct && !(r.input_refs || []).includes(traceId) && !(r.output_refs || []).includes(traceId)) continue;
+    entries.push({
+      at: r.started_at || null,
+      source: 'receipt',
+      kind: actionKind(r),
+      actor: r.actor?.name || null,
+      status: r.status || null,
+      summary: [direct ? '' : `(via ${r.trace_id?.slice(0, 8)})`, r.notes].filter(Boolean).join(' ')
+    });
+  }
+
+  for (const s of sessionsForTrace(config, traceId)) {
+    entries.push({ at: s.created_at, source: 'acp', kind: 'session.open', actor: s.agent_id, status: s.status, summary: `session ${s.id.slice(0, 8)}: ${s.task || ''}` });
+    for (const m of s.messages || []) {
+      entries.push({ at: m.created_at, source: 'acp', kind: `message.${m.role || 'user'}`, actor: m.from, status: null, summary: String(m.body || '').slice(0, 200) });
+    }
+    if (s.closed_at) {
+      entries.push({ at: s.closed_at, source: 'acp', kind: 'session.close', actor: s.agent_id, status: s.status, summary: s.close_reason || '' });
+    }
+  }
+
+  // Stable sort keeps same-timestamp entries in source order.
+  return entries.sort((a, b) => (Date.parse(a.at) || 0) - (Date.parse(b.at) || 0));
+}
@@ -0,0 +1,171 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { readFileSync } from 'node:fs';
+import { createHash, createHmac, createPrivateKey, createPublicKey, sign, verify, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Tamper-evident receipts (config.receipts.signing).
+ *
+ *   { "signing": { "mode": "hmac", "key_env": "IAK_RECEIPT_KEY" } }
+ *   { "signing": { "mode": "ed25519", "key_file": "./receipt-key.pem" } }
+ *
+ * Each signed receipt carries prev_hash — the SHA-256 of the receipt before
+ * it (null for the first) — and a signature over everything except the
+ * signature itself. Editing a receipt breaks its signature; removing,
+ * inserting or reordering receipts breaks the next prev_hash.
+ *
+ * Hashes and signatures are computed over canonical JSON (keys sorted), so
+ * they survive the round-trip through either storage backend.
+ */
+
+export const SIGNING_MODES = ['off', 'hmac', 'ed25519'];
+
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 (hex) of a receipt as the next receipt's prev_hash. A line that
+ * never parsed is hashed as raw text.
+ */
+export function receiptHash(receipt) {
+  const text = typeof receipt === 'string' ? receipt : canonicalJson(receipt);
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function signedPayload(receipt) {
+  const { signature, ...rest } = receipt;
+  return Buffer.from(canonicalJson(rest));
+}
+
+function readKeyFile(path, what) {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch (e) {
+    throw new Error(`Cannot read receipts.signing.${what} ${path}: ${e.message}`);
+  }
+}
+
+/**
+ * Build a signer from config.receipts. Returns null when signing is off.
+ * Throws on an unknown mode or a missing key. The signer exposes
+ * sign(receipt) → signature and verify(receipt) → boolean.
+ *
+ * hmac:    key from the env var named by key_env (default IAK_RECEIPT_KEY)
+ *          or the contents of key_file.
+ * ed25519: key_file is a PEM private key; public_key_file alone is enough
+ *          to verify.
+ */
+export function receiptSigner(policy) {
+  const signing = policy?.signing || {};
+  const mode = signing.mode || 'off';
+  if (!SIGNING_MODES.includes(mode)) {
+    throw new Error(`Unknown receipts.signing.mode "${mode}" (expected ${SIGNING_MODES.join(', ')})`);
+  }
+  if (mode === 'off') return null;
+
+  if (mode === 'hmac') {
+    const envName = signing.key_env || 'IAK_RECEIPT_KEY';
+    const key = process.env[envName] || (signing.key_file ? readKeyFile(signing.key_file, 'key_file').trim() : '');
+    if (!key) throw new Error(`receipts.signing.mode "hmac" needs a key in $${envName} or receipts.signing.key_file`);
+    const mac = receipt => createHmac('sha256', key).update(signedPayload(receipt)).digest('base64');
+    return {
+      mode,
+      canSign: true,
+      sign: receipt => ({ alg: 'hmac-sha256', value: mac(receipt) }),
+      verify: receipt => {
+        const expected = Buffer.from(mac(receipt));
+        const actual = Buffer.from(String(receipt.signature?.value || ''));
+        return receipt.signature?.alg === 'hmac-sha256' && expected.length === actual.length && timingSafeEqual(expected, actual);
+      }
+    };
+  }
+
+  const privateKey = signing.key_file ? createPrivateKey(readKeyFile(signing.key_file, 'key_file')) : null;
+  const publicKey = signing.public_key_file
+    ? createPublicKey(readKeyFile(signing.public_key_file, 'public_key_file'))
+    : privateKey && createPublicKey(privateKey);
+  if (!publicKey) throw new Error('receipts.signing.mode "ed25519" needs receipts.signing.key_file or public_key_file');
+  return {
+    mode,
+    canSign: !!privateKey,
+    sign: receipt => {
+      if (!privateKey) throw new Error('receipts.signing.key_file is required to sign receipts');
+      return { alg: 'ed25519', value: sign(null, signedPayload(receipt), privateKey).toString('base64') };
+    },
+    verify: receipt => {
+      if (receipt.signature?.alg !== 'ed25519') return false;
+      try {
+        return verify(null, signedPayload(receipt), publicKey, Buffer.from(String(receipt.signature.value || ''), 'base64'));
+      } catch {
+        return false;
+      }
+    }
+  };
+}
+
+/**
+ * Add prev_hash and signature to a receipt, in place. prev is the receipt
+ * (or raw line) currently at the end of the log, or null.
+ */
+export function sealReceipt(receipt, prev, signer) {
+  delete receipt.signature;
+  receipt.prev_hash = prev == null ? null : receiptHash(prev);
+  receipt.signature = signer.sign(receipt);
+  return receipt;
+}
+
+/**
+ * Walk a receipt log (oldest first; parsed receipts or raw lines that failed
+ * to parse) and stop at the first broken entry.
+ *
+ * Unsigned receipts written before signing was switched on are counted and
+ * accepted; once the chain has started every receipt must be signed. If the
+ * first receipt available already has a prev_hash, its predecessors were
+ * pruned by retention (or removed) and the result is marked truncated.
+ *
+ * Returns { ok, checked, signed, unsigned, truncated, broken }, where broken
+ * is { index (1-based), trace_id, reason } or null.
+ */
+export function verifyReceiptChain(entries, signer) {
+  const result = { ok: true, checked: 0, signed: 0, unsigned: 0, truncated: false, broken: null };
+  let prev = null;
+  let started = false;
+
+  const fail = (index, entry, reason) => {
+    result.ok = false;
+    result.broken = { index, trace_id: (entry && typeof entry === 'object' && entry.trace_id) || null, reason };
+    return result;
+  };
+
+  for (const [i, entry] of entries.entries()) {
+    const index = i + 1;
+    result.checked = index;
+    if (typeof entry === 'string') return fail(index, null, 'not valid JSON');
+
+    const sealed = entry.signature !== undefined || entry.prev_hash !== undefined;
+    if (!sealed) {
+      if (started) return fail(index, entry, 'unsigned receipt after the chain started');
+      result.unsigned++;
+      prev = entry;
+      continue;
+    }
+
+    if (!signer.verify(entry)) return fail(index, entry, 'signature does not match (receipt modified or signed with another key)');
+    if (i === 0 && entry.prev_hash != null) {
+      result.truncated = true;
+    } else {
+      const expected = prev == null ? null : receiptHash(prev);
+      if (entry.prev_hash !== expected) return fail(index, entry, 'prev_hash does not match the preceding receipt (receipt removed, inserted or reordered)');
+    }
+    started = true;
+    result.signed++;
+    prev = entry;
+  }
+  return result;
+}
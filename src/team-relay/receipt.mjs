@@ -1,7 +1,10 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { appendFileSync, readFileSync, existsSync } from 'node:fs';
+import { appendFileSync, existsSync, readFileSync } from 'node:fs';
 import { randomUUID } from 'node:crypto';
+import { listSegments, readSegment, rotateIfNeeded, tailLines } from './common/rotation.mjs';
+import { activeStore, stateTransaction } from '../common/storage.mjs';
+import { receiptSigner, sealReceipt, verifyReceiptChain } from './receipt-signing.mjs';
 
 export function createReceipt({ traceId, actor, action, status, exitCode, stdoutTail, stderrTail, notes, inputRefs, outputRefs, startedAt, finishedAt }) {
   return {
@@ -24,13 +27,87 @@ export function createReceipt({ traceId, actor, action, status, exitCode, stdout
   };
 }
 
-export function appendReceipt(receiptPath, receipt) {
+const signers = new WeakMap();
+
+function signerFor(policy) {
+  const signing = policy?.signing;
+  if (!signing || !signing.mode || signing.mode === 'off') return null;
+  if (!signers.has(signing)) signers.set(signing, receiptSigner(policy));
+  return signers.get(signing);
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return line;
+  }
+}
+
+/**
+ * Append a receipt. Pass config.receipts as policy to rotate the file once it
+ * reaches receipts.max_bytes and prune segments past receipts.retention_days.
+ * With storage.backend "sqlite" the receipt goes to the receipts table.
+ *
+ * With receipts.signing set, the receipt is chained to the last one and
+ * signed (see receipt-signing.mjs) under the log's lock, so concurrent
+ * writers cannot fork the chain.
+ */
+export function appendReceipt(receiptPath, receipt, policy) {
+  const store = activeStore();
+  const signer = signerFor(policy);
+  if (signer) {
+    return stateTransaction(receiptPath, () => {
+      const last = store ? store.tailReceipts(1)[0] : tailLines(receiptPath, 1).map(parseLine)[0];
+      sealReceipt(receipt, last ?? null, signer);
+      return writeReceipt(store, receiptPath, receipt, policy);
+    });
+  }
+  return writeReceipt(store, receiptPath, receipt, policy);
+}
+
+function writeReceipt(store, receiptPath, receipt, policy) {
+  if (store) {
+    store.appendReceipt(receipt);
+    return receipt;
+  }
   appendFileSync(receiptPath, JSON.stringify(receipt) + '\n');
+  rotateIfNeeded(receiptPath, policy);
   return receipt;
 }
 
+/**
+ * Every receipt, oldest first: archived segments, then the active file.
+ * Lines that do not parse are returned as raw strings.
+ */
+export function readReceiptLog(receiptPath) {
+  const store = activeStore();
+  if (store) return store.allReceipts();
+  const entries = [];
+  const collect = buf => {
+    for (const line of buf.toString('utf8').split('\n')) if (line.trim()) entries.push(parseLine(line));
+  };
+  for (const seg of listSegments(receiptPath)) collect(readSegment(seg));
+  if (existsSync(receiptPath)) collect(readFileSync(receiptPath));
+  return entries;
+}
+
+/**
+ * `receipt verify` — check signatures and the prev_hash chain of the whole
+ * log with the key in config.receipts.signing.
+ */
+export function verifyReceipts(receiptPath, policy) {
+  const signer = receiptSigner(policy);
+  if (!signer) throw new Error('receipts.signing.mode is "off"; nothing to verify against');
+  return verifyReceiptChain(readReceiptLog(receiptPath), signer);
+}
+
+/**
+ * Last n receipts, read from the end of the file and, after a rotation,
+ * from the newest archived segments.
+ */
 export function tailReceipts(receiptPath, n = 5) {
-  if (!existsSync(receiptPath)) return [];
-  const lines = readFileSync(receiptPath, 'utf8').trim().split('\n').filter(Boolean);
-  return lines.slice(-n).map(l => JSON.parse(l));
+  const store = activeStore();
+  if (store) return store.tailReceipts(n);
+  return tailLines(receiptPath, n).map(l => JSON.parse(l));
 }
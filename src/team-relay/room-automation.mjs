@@ -1,10 +1,15 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
 import { execSync } from 'node:child_process';
-import { readFileSync, writeFileSync, appendFileSync, existsSync } from 'node:fs';
+import { readFileSync, appendFileSync } from 'node:fs';
+import { loadSeenIds as loadSeen, saveSeenIds as saveSeen } from './common/seen-ids.mjs';
 import { randomUUID } from 'node:crypto';
 import { createReceipt, appendReceipt } from './receipt.mjs';
 import { canSend, markSent } from './rate-limiter.mjs';
+import { getJson, postJson, httpOptions } from '../common/http.mjs';
+import { compileRules, RuleLimiter } from './automation-rules.mjs';
+import { execArgv, execPolicy, prepareExec, runExec } from './automation-exec.mjs';
+import { approvalSettings, requestApproval, resolveFromMessage, runApprovedExecs } from './approval-flow.mjs';
 
 // Ack-only messages are low-value and cause loops. Filter them out from automation posts.
 const ACK_ONLY_PATTERNS = [
@@ -38,47 +43,52 @@ function isAckOnly(body) {
  *     {
  *       "name": "poll-comments",
  *       "match": { "keywords": ["check comments", "poll comments"] },
- *       "action": { "type": "exec", "command": "node bin/cli.mjs comments poll" }
+ *       "action": { "type": "exec", "argv": ["node", "bin/cli.mjs", "comments", "poll"] }
  *     },
  *     {
  *       "name": "catch-mention",
  *       "match": { "mention": "@claudemm", "regex": "deploy|ship|release" },
  *       "action": { "type": "nudge", "text": "check rooms" }
+ *     },
+ *     {
+ *       "name": "office-hours-deploy",
+ *       "match": {
+ *         "any": [{ "keywords": ["deploy"] }, { "regex": "ship it" }],
+ *         "not": { "room": "random" },
+ *         "exclude_senders": ["ci-bot"],
+ *         "window": { "days": ["mon", "tue", "wed", "thu", "fri"], "from": "09:00", "to": "17:00", "timezone": "Europe/Helsinki" },
+ *         "max_age_sec": 600
+ *       },
+ *       "max_per_hour": 4,
+ *       "action": { "type": "nudge", "text": "deploy requested" }
  *     }
  *   ]
+ *
+ * Condition syntax and validation live in automation-rules.mjs.
  */
 
 const SEEN_FILE_DEFAULT = '/tmp/iak-automation-seen.txt';
 
 function loadSeenIds(path) {
-  try {
-    return new Set(readFileSync(path, 'utf8').split('\n').filter(Boolean));
-  } catch {
-    return new Set();
-  }
+  return loadSeen(path, 2000);
 }
 
 function saveSeenIds(path, ids) {
-  const arr = [...ids].slice(-2000);
-  writeFileSync(path, arr.join('\n') + '\n');
+  saveSeen(path, ids, 2000);
 }
 
-function fetchRoomMessages(room, apiKey, limit = 20) {
+async function fetchRoomMessages(room, apiKey, limit = 20, http = {}) {
   const url = `https://groupmind.one/api/v1/rooms/${room}/messages?limit=${limit}`;
   try {
-    const result = execSync(
-      `curl -sS -H "X-API-Key: ${apiKey}" "${url}"`,
-      { encoding: 'utf8', timeout: 15000 }
-    );
-    const data = JSON.parse(result);
-    return data.messages || (Array.isArray(data) ? data : []);
+    const data = await getJson(url, { ...http, headers: { 'X-API-Key': apiKey } });
+    return data?.messages || (Array.isArray(data) ? data : []);
   } catch (e) {
     console.error(`  fetch ${room} failed: ${e.message}`);
     return [];
   }
 }
 
-function postMessage(room, body, apiKey, config) {
+async function postMessage(room, body, apiKey, config) {
   if (isAckOnly(body)) {
     console.log(`  ack-only message filtered, skipping post to ${room}: ${body.slice(0, 60)}`);
     return false;
@@ -87,12 +97,11 @@ function postMessage(room, body, apiKey, config) {
     console.log(`  rate-limited (${config?.rate_limit?.message_interval_sec || 30}s interval), skipping post to ${room}`);
     return false;
   }
-  const payload = JSON.stringify({ room, body });
   try {
-    execSync(
-      `curl -sS -X POST "https://groupmind.one/api/v1/messages" -H "X-API-Key: ${apiKey}" -H "Content-Type: application/json" -d '${payload.replace(/'/g, "'\\''")}'`,
-      { timeout: 15000 }
-    );
+    await postJson('https://groupmind.one/api/v1/messages', { room, body }, {
+      ...httpOptions(config),
+      headers: { 'X-API-Key': apiKey }
+    });
     markSent();
     return true;
   } catch (e) {
@@ -102,102 +111,158 @@ function postMessage(room, body, apiKey, config) {
 }
 
 /**
- * Check if a message matches a rule's conditions.
+ * Template substitution for action fields: ${room}, ${sender}, ${body}.
  */
-function matchesRule(msg, rule) {
-  const match = rule.match || {};
-  const body = (msg.body || '').toLowerCase();
-  const sender = (msg.user?.handle || msg.from || msg.sender || '').toLowerCase();
-  const room = msg.room || '';
+function templater(msg) {
+  return (str) => (str || '')
+    .replace(/\$\{room\}/g, msg.room || '')
+    .replace(/\$\{sender\}/g, msg.user?.handle || msg.from || '?')
+    .replace(/\$\{body\}/g, (msg.body || '').slice(0, 200));
+}
 
-  // Sender filter
-  if (match.sender && !sender.includes(match.sender.toLowerCase())) return false;
+/**
+ * The action a rule would run for a message, with templates filled in.
+ */
+export function renderAction(action, msg) {
+  const sub = templater(msg);
+  if (action.type === 'post') return { type: 'post', room: sub(action.room) || msg.room || '', body: sub(action.body) };
+  if (action.type === 'exec') return { type: 'exec', argv: execArgv(action, sub), cwd: action.cwd };
+  if (action.type === 'nudge') return { type: 'nudge', text: sub(action.text) || 'check rooms' };
+  return { type: action.type };
+}
 
-  // Room filter
-  if (match.room && room !== match.room) return false;
+const AUTOMATION_ACTOR = { name: 'automation', kind: 'bot' };
 
-  // Keyword match (any keyword present)
-  if (match.keywords && match.keywords.length > 0) {
-    const hasKeyword = match.keywords.some(kw => body.includes(kw.toLowerCase()));
-    if (!hasKeyword) return false;
-  }
+function execAction(spec, rule) {
+  return { kind: 'automation.exec', argv: spec.argv || [], cwd: spec.cwd, rule: rule?.name };
+}
 
-  // Mention match
-  if (match.mention) {
-    const mention = match.mention.toLowerCase().replace('@', '');
-    if (!body.includes(`@${mention}`) && !body.includes(mention)) return false;
-  }
+/**
+ * The trace a message's receipts share: the trace_id of the event that
+ * carried it, or a fresh one.
+ */
+function messageTraceId(msg) {
+  return msg?.trace_id || randomUUID();
+}
 
-  // Regex match
-  if (match.regex) {
-    try {
-      const re = new RegExp(match.regex, 'i');
-      if (!re.test(msg.body || '')) return false;
-    } catch {
-      return false;
-    }
-  }
+/**
+ * Run a prepared exec and describe it as a receipt.
+ */
+async function execReceipt(spec, { startedAt, traceId, rule, notes = '' }) {
+  const result = await runExec(spec);
+  return createReceipt({
+    traceId,
+    actor: AUTOMATION_ACTOR,
+    action: execAction(spec, rule),
+    status: result.error ? 'error' : 'ok',
+    exitCode: result.exitCode,
+    stdoutTail: result.stdout.slice(-500),
+    stderrTail: (result.stderr || result.error || '').slice(-500),
+    notes: [notes, result.error].filter(Boolean).join('; '),
+    startedAt,
+  });
+}
 
-  return true;
+/**
+ * Run an exec whose approval request was allowed.
+ */
+async function runApprovedExec(req, config) {
+  const startedAt = new Date().toISOString();
+  const spec = prepareExec({ argv: req.argv, cwd: req.cwd, env: req.env, timeout_ms: req.timeoutMs }, s => s, execPolicy(config));
+  const notes = `approved by ${req.resolvedBy} (request ${req.requestId})`;
+  if (!spec.ok) {
+    return createReceipt({
+      traceId: req.traceId,
+      actor: AUTOMATION_ACTOR,
+      action: execAction(spec),
+      status: 'denied',
+      notes: `${notes}; ${spec.error}`,
+      startedAt,
+    });
+  }
+  return execReceipt(spec, { startedAt, traceId: req.traceId, notes });
 }
 
 /**
- * Execute a rule action and return a receipt.
+ * Execute a rule action and return a receipt, or null when the action was
+ * handed off (exec awaiting approval). An approval request that could not be
+ * filed is an error receipt.
  */
-function executeAction(action, msg, apiKey, config) {
+export async function executeAction(action, msg, apiKey, config, rule = null) {
   const startedAt = new Date().toISOString();
+  const traceId = messageTraceId(msg);
+  const inputRefs = msg.id ? [String(msg.id)] : [];
   if (!action) {
     return createReceipt({
-      actor: { name: 'automation', kind: 'unknown' },
-      action: 'missing action block',
+      traceId,
+      actor: AUTOMATION_ACTOR,
+      action: { kind: 'automation.skipped', rule: rule?.name },
       status: 'skipped',
+      notes: 'missing action block',
+      inputRefs,
       startedAt,
     });
   }
   const room = msg.room || '';
-
-  // Template substitution for action fields
-  const sub = (str) => (str || '')
-    .replace(/\$\{room\}/g, room)
-    .replace(/\$\{sender\}/g, msg.user?.handle || msg.from || '?')
-    .replace(/\$\{body\}/g, (msg.body || '').slice(0, 200));
+  const sub = templater(msg);
 
   if (action.type === 'post') {
     const targetRoom = sub(action.room) || room;
     const body = sub(action.body);
-    const ok = postMessage(targetRoom, body, apiKey, config);
+    const ok = await postMessage(targetRoom, body, apiKey, config);
     return createReceipt({
-      actor: { name: config?.poller?.handle || 'ide-agent-kit', kind: 'automation' },
-      action: `post to ${targetRoom}`,
-      status: ok ? 'ok' : 'rate-limited',
+      traceId,
+      actor: { name: config?.poller?.handle || 'ide-agent-kit', kind: 'bot' },
+      action: { kind: 'automation.post', room: targetRoom, rule: rule?.name },
+      status: ok ? 'ok' : 'error',
       notes: ok ? `Posted: ${body.slice(0, 100)}` : 'Rate-limited or post failed',
+      inputRefs,
       startedAt,
     });
   }
 
   if (action.type === 'exec') {
-    const cmd = sub(action.command);
-    const timeout = action.timeout || 30000;
-    try {
-      const output = execSync(cmd, { encoding: 'utf8', timeout, cwd: action.cwd });
+    const spec = prepareExec(action, sub, execPolicy(config));
+    if (!spec.ok) {
       return createReceipt({
-        actor: { name: 'automation', kind: 'exec' },
-        action: `exec: ${cmd.slice(0, 80)}`,
-        status: 'ok',
-        exitCode: 0,
-        stdoutTail: output.slice(-500),
-        startedAt,
-      });
-    } catch (e) {
-      return createReceipt({
-        actor: { name: 'automation', kind: 'exec' },
-        action: `exec: ${cmd.slice(0, 80)}`,
-        status: 'error',
-        exitCode: e.status || 1,
-        stderrTail: (e.stderr || e.message || '').slice(-500),
+        traceId,
+        actor: AUTOMATION_ACTOR,
+        action: execAction(spec, rule),
+        status: 'denied',
+        notes: spec.error,
+        inputRefs,
         startedAt,
       });
     }
+    if (rule?.requiresApproval) {
+      const sender = msg.user?.handle || msg.from || msg.sender || '?';
+      const env = Object.fromEntries(Object.entries(action.env || {}).map(([k, v]) => [k, sub(String(v))]));
+      const req = await requestApproval(config, {
+        command: JSON.stringify(spec.argv),
+        argv: spec.argv,
+        cwd: spec.cwd,
+        env,
+        timeoutMs: spec.timeoutMs,
+        source: 'automation',
+        agentId: 'automation',
+        traceId,
+        reason: `rule "${rule.name}" on ${sender} in ${room || '?'}`
+      }).catch(e => ({ ok: false, error: e.message }));
+      if (!req.ok) {
+        return createReceipt({
+          traceId,
+          actor: AUTOMATION_ACTOR,
+          action: execAction(spec, rule),
+          status: 'error',
+          notes: `approval request failed: ${req.error}`,
+          inputRefs,
+          startedAt,
+        });
+      }
+      console.log(`  rule "${rule.name}" exec awaiting approval ${req.requestId?.slice(0, 8) || ''}${req.posted ? '' : ' (not announced: set exec.approval_room)'}`);
+      return null; // the request receipt is written by the approval queue
+    }
+    return execReceipt(spec, { startedAt, traceId, rule });
   }
 
   if (action.type === 'nudge') {
@@ -208,31 +273,150 @@ function executeAction(action, msg, apiKey, config) {
       execSync('sleep 0.3');
       execSync(`tmux send-keys -t ${JSON.stringify(session)} Enter`);
       return createReceipt({
-        actor: { name: 'automation', kind: 'nudge' },
-        action: `nudge tmux ${session}`,
+        traceId,
+        actor: AUTOMATION_ACTOR,
+        action: { kind: 'automation.nudge', session, rule: rule?.name },
         status: 'ok',
         notes: `Sent: ${text}`,
+        inputRefs,
         startedAt,
       });
     } catch (e) {
       return createReceipt({
-        actor: { name: 'automation', kind: 'nudge' },
-        action: `nudge tmux ${session}`,
+        traceId,
+        actor: AUTOMATION_ACTOR,
+        action: { kind: 'automation.nudge', session, rule: rule?.name },
         status: 'error',
         notes: e.message,
+        inputRefs,
         startedAt,
       });
     }
   }
 
   return createReceipt({
-    actor: { name: 'automation', kind: 'unknown' },
-    action: `unknown action type: ${action.type}`,
+    traceId,
+    actor: AUTOMATION_ACTOR,
+    action: { kind: 'automation.skipped', rule: rule?.name },
     status: 'skipped',
+    notes: `unknown action type: ${action.type}`,
+    inputRefs,
     startedAt,
   });
 }
 
+function messageTime(msg) {
+  const t = Date.parse(msg.created_at || msg.timestamp || '');
+  return Number.isFinite(t) ? t : Date.now();
+}
+
+/**
+ * Turn a line of a saved history file into a room message. Accepts raw
+ * GroupMind messages and normalized queue events (antfarm.message.created).
+ */
+function toRoomMessage(entry, room) {
+  if (entry.payload && entry.kind) {
+    return {
+      id: entry.event_id,
+      body: entry.payload.body || '',
+      from: entry.actor?.login || '?',
+      room: entry.room || entry.payload.room || room || '',
+      created_at: entry.timestamp
+    };
+  }
+  return { ...entry, room: entry.room || entry._room || room || '' };
+}
+
+/**
+ * Load room messages for `automate test` from a JSONL file.
+ */
+export function loadReplayMessages(path, room) {
+  return readFileSync(path, 'utf8')
+    .split('\n')
+    .filter(l => l.trim())
+    .map((line, i) => {
+      try {
+        return toRoomMessage(JSON.parse(line), room);
+      } catch (e) {
+        throw new Error(`${path}:${i + 1}: invalid JSON (${e.message})`);
+      }
+    });
+}
+
+/**
+ * Fetch a live room's last `limit` messages for `automate replay`.
+ */
+export async function fetchReplayMessages(room, apiKey, limit, config) {
+  const msgs = await fetchRoomMessages(room, apiKey, limit, httpOptions(config));
+  return msgs.map(m => toRoomMessage(m, room));
+}
+
+/**
+ * Run automation.rules over messages without executing anything.
+ * Messages are replayed oldest first with the message time as the clock,
+ * so cooldowns and hourly budgets behave as they would have live.
+ *
+ * Each result: { id, room, sender, body, self, decisions: [{ rule, outcome, action }] }
+ * where outcome is fire | cooldown | budget | ack_only | denied (exec not
+ * allowed) | needs_approval.
+ *
+ * @returns {{ results: object[], summary: { messages, fire, cooldown, budget, ack_only, denied, needs_approval } }}
+ */
+export function dryRunRules(messages, config, { handle } = {}) {
+  const rules = compileRules(config?.automation?.rules || [], { cooldown_sec: config?.automation?.cooldown_sec || 5 });
+  const selfHandle = (handle || config?.poller?.handle || '@unknown').replace('@', '');
+  const firstMatchOnly = config?.automation?.first_match_only !== false;
+  const limiter = new RuleLimiter();
+  const policy = execPolicy(config);
+  const summary = { messages: 0, fire: 0, cooldown: 0, budget: 0, ack_only: 0, denied: 0, needs_approval: 0 };
+  const seen = new Set();
+
+  const ordered = [];
+  for (const m of messages) {
+    if (m.id && seen.has(m.id)) continue;
+    if (m.id) seen.add(m.id);
+    ordered.push(m);
+  }
+  ordered.sort((a, b) => messageTime(a) - messageTime(b));
+
+  const results = ordered.map((m) => {
+    const now = messageTime(m);
+    const sender = (m.user?.handle || m.from || m.sender || '').replace('@', '');
+    const result = { id: m.id || null, room: m.room || '', sender, body: m.body || '', created_at: m.created_at || null, self: sender === selfHandle, decisions: [] };
+    summary.messages++;
+    if (result.self) return result;
+
+    for (const rule of rules) {
+      if (!rule.matches(m, { now })) continue;
+      const allowed = limiter.check(rule, now);
+      const action = renderAction(rule.action, m);
+      if (!allowed.ok) {
+        result.decisions.push({ rule: rule.name, outcome: allowed.reason, action });
+        summary[allowed.reason]++;
+        continue;
+      }
+      let outcome = 'fire';
+      if (action.type === 'post' && isAckOnly(action.body)) outcome = 'ack_only';
+      if (action.type === 'exec') {
+        const spec = prepareExec(rule.action, templater(m), policy);
+        if (!spec.ok) {
+          outcome = 'denied';
+          action.error = spec.error;
+        } else if (rule.requiresApproval) {
+          outcome = 'needs_approval';
+        }
+      }
+      result.decisions.push({ rule: rule.name, outcome, action });
+      summary[outcome]++;
+      limiter.record(rule, now);
+      if (firstMatchOnly) break;
+    }
+    return result;
+  });
+
+  return { results, summary };
+}
+
 /**
  * Start the room automation engine.
  *
@@ -241,31 +425,39 @@ function executeAction(action, msg, apiKey, config) {
 export { isAckOnly };
 
 export async function startRoomAutomation({ rooms, apiKey, handle, interval, config }) {
-  const rules = config?.automation?.rules || [];
+  const cooldownSec = config?.automation?.cooldown_sec || 5;
+  const rules = compileRules(config?.automation?.rules || [], { cooldown_sec: cooldownSec });
   const seenFile = config?.automation?.seen_file || SEEN_FILE_DEFAULT;
   const receiptPath = config?.receipts?.path || './ide-agent-receipts.jsonl';
   const pollInterval = interval || config?.automation?.interval_sec || 30;
   const selfHandle = (handle || config?.poller?.handle || '@unknown').replace('@', '');
-  const cooldownMs = (config?.automation?.cooldown_sec || 5) * 1000;
+  const http = httpOptions(config);
 
   console.log(`Room automation started`);
   console.log(`  rooms: ${rooms.join(', ')}`);
   console.log(`  rules: ${rules.length}`);
+  if (config?.exec?.approval_room) {
+    console.log(`  approval room: ${config.exec.approval_room} (resolvers: ${(config.exec.resolvers || []).join(', ') || 'CLI only'})`);
+  }
   console.log(`  interval: ${pollInterval}s`);
-  console.log(`  cooldown: ${cooldownMs / 1000}s`);
+  console.log(`  cooldown: ${cooldownSec}s`);
 
   if (rules.length === 0) {
     console.log('  WARNING: No automation rules configured. Add rules to automation.rules in config.');
   }
 
   const seen = loadSeenIds(seenFile);
-  const lastFired = new Map(); // rule name → timestamp
+  const limiter = new RuleLimiter();
+  const approvals = approvalSettings(config);
+  const watchRooms = approvals.room && approvals.resolvers.length > 0 && !rooms.includes(approvals.room)
+    ? [...rooms, approvals.room]
+    : rooms;
 
   // Seed on first run
   if (seen.size === 0) {
     console.log(`  seeding seen IDs...`);
-    for (const room of rooms) {
-      const msgs = await fetchRoomMessages(room, apiKey, 50);
+    for (const room of watchRooms) {
+      const msgs = await fetchRoomMessages(room, apiKey, 50, http);
       for (const m of msgs) {
         if (m.id) seen.add(m.id);
       }
@@ -278,8 +470,8 @@ export async function startRoomAutomation({ rooms, apiKey, handle, interval, con
     let actionsRun = 0;
     const now = Date.now();
 
-    for (const room of rooms) {
-      const msgs = fetchRoomMessages(room, apiKey);
+    for (const room of watchRooms) {
+      const msgs = await fetchRoomMessages(room, apiKey, 20, http);
       for (const m of msgs) {
         if (!m.id || seen.has(m.id)) continue;
         seen.add(m.id);
@@ -291,21 +483,31 @@ export async function startRoomAutomation({ rooms, apiKey, handle, interval, con
         // Attach room for rule matching
         m.room = room;
 
+        // "approve <id>" / "deny <id>" replies in the approval room
+        if (room === approvals.room) {
+          const resolved = await resolveFromMessage(config, m);
+          if (resolved) {
+            console.log(`  approval reply from ${sender}: ${resolved.ok ? resolved.data.decision : resolved.error}`);
+            continue;
+          }
+        }
+        if (!rooms.includes(room)) continue;
+
         // Check each rule
         for (const rule of rules) {
-          if (!matchesRule(m, rule)) continue;
+          if (!rule.matches(m, { now })) continue;
 
-          // Cooldown check
-          const lastTime = lastFired.get(rule.name) || 0;
-          if (now - lastTime < cooldownMs) {
-            console.log(`  rule "${rule.name}" cooled down, skipping`);
+          // Cooldown and hourly budget
+          const allowed = limiter.check(rule, now);
+          if (!allowed.ok) {
+            console.log(`  rule "${rule.name}" ${allowed.reason === 'budget' ? 'hourly budget spent' : 'cooled down'}, skipping`);
             continue;
           }
 
           console.log(`  rule "${rule.name}" matched → ${rule.action?.type || '?'}`);
-          const receipt = executeAction(rule.action, m, apiKey, config);
-          appendReceipt(receiptPath, receipt);
-          lastFired.set(rule.name, now);
+          const receipt = await executeAction(rule.action, m, apiKey, config, rule);
+          if (receipt) appendReceipt(receiptPath, receipt, config?.receipts);
+          limiter.record(rule, now);
           actionsRun++;
 
           // Only fire first matching rule per message (avoid cascades)
@@ -316,6 +518,13 @@ export async function startRoomAutomation({ rooms, apiKey, handle, interval, con
 
     saveSeenIds(seenFile, seen);
 
+    // Run exec actions whose approval came through since the last poll
+    const approved = await runApprovedExecs(config, 'automation', req => runApprovedExec(req, config));
+    for (const receipt of approved) {
+      appendReceipt(receiptPath, receipt, config?.receipts);
+      actionsRun++;
+    }
+
     if (actionsRun > 0) {
       console.log(`  ${actionsRun} automation action(s) executed`);
     }
@@ -4,8 +4,11 @@ import { enrichEvent } from './enrichment.mjs';
 
 import { execSync } from 'node:child_process';
 import { readFileSync, writeFileSync, appendFileSync, existsSync, unlinkSync } from 'node:fs';
+import { loadSeenIds as loadSeen, saveSeenIds as saveSeen } from './common/seen-ids.mjs';
 import { randomUUID } from 'node:crypto';
 import { nudgeCommand } from '../utils.mjs';
+import { appendEvent } from './common/event-queue.mjs';
+import { getJson, httpOptions } from '../common/http.mjs';
 
 /**
  * Room Poller — polls Ant Farm rooms and notifies IDE agent of new messages.
@@ -27,17 +30,11 @@ import { nudgeCommand } from '../utils.mjs';
 
 
 function loadSeenIds(path) {
-  try {
-    return new Set(readFileSync(path, 'utf8').split('\n').filter(Boolean));
-  } catch {
-    return new Set();
-  }
+  return loadSeen(path, 1000);
 }
 
 function saveSeenIds(path, ids) {
-  // Keep last 1000 IDs to prevent unbounded growth
-  const arr = [...ids].slice(-1000);
-  writeFileSync(path, arr.join('\n') + '\n');
+  saveSeen(path, ids, 1000);
 }
 
 function nudgeTmux(session, text) {
@@ -56,15 +53,11 @@ function nudgeTmux(session, text) {
   }
 }
 
-async function fetchRoomMessages(room, apiKey, limit = 10) {
+async function fetchRoomMessages(room, apiKey, limit = 10, http = {}) {
   const url = `https://groupmind.one/api/v1/rooms/${room}/messages?limit=${limit}`;
   try {
-    const result = execSync(
-      `curl -sS -4 -H "X-API-Key: ${apiKey}" "${url}"`,
-      { encoding: 'utf8', timeout: 15000 }
-    );
-    const data = JSON.parse(result);
-    return data.messages || (Array.isArray(data) ? data : []);
+    const data = await getJson(url, { family: 4, ...http, headers: { 'X-API-Key': apiKey } });
+    return data?.messages || (Array.isArray(data) ? data : []);
   } catch (e) {
     console.error(`  fetch ${room} failed: ${e.message}`);
     return [];
@@ -114,12 +107,13 @@ export async function startRoomPoller({ rooms, apiKey, handle, interval, config
   console.log(`  queue: ${queuePath}`);
 
   const seen = loadSeenIds(seenFile);
+  const http = httpOptions(config);
 
   // Seed: mark current messages as seen on first run
   if (seen.size === 0) {
     console.log(`  seeding seen IDs from current messages...`);
     for (const room of rooms) {
-      const msgs = await fetchRoomMessages(room, apiKey, 50);
+      const msgs = await fetchRoomMessages(room, apiKey, 50, http);
       for (const m of msgs) {
         if (m.id) seen.add(m.id);
       }
@@ -133,7 +127,7 @@ export async function startRoomPoller({ rooms, apiKey, handle, interval, config
     let newCount = 0;
     const newMessages = [];
     for (const room of rooms) {
-      const msgs = await fetchRoomMessages(room, apiKey);
+      const msgs = await fetchRoomMessages(room, apiKey, 10, http);
       for (const m of msgs) {
         const mid = m.id;
         if (!mid || seen.has(mid)) continue;
@@ -161,7 +155,7 @@ export async function startRoomPoller({ rooms, apiKey, handle, interval, config
           enrichment_errors: []
         };
         const event = await enrichEvent(rawEvent, config);
-        appendFileSync(queuePath, JSON.stringify(event) + '\n');
+        appendEvent(queuePath, event, config?.queue);
 
         // Collect for notification file
         const line = `[${ts.slice(0, 19)}] [${room}] ${sender}: ${body.replace(/\n/g, ' ').slice(0, 200)}`;
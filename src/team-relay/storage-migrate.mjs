@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { existsSync } from 'node:fs';
+import { readJson } from '../common/state-store.mjs';
+import { loadSeenIds } from './common/seen-ids.mjs';
+import { exportFileQueue, eventKey } from './queue-consumer.mjs';
+import { readReceiptLog } from './receipt.mjs';
+
+/**
+ * `storage migrate` — copy file-backed state into a SqliteStore.
+ *
+ * Must run while the file backend is active (the CLI does not configure
+ * storage for this command), so every reader below sees the files.
+ *
+ * Records (tasks, ACP sessions, exec approvals) and seen-ID sets are merged
+ * into what the database already holds. The queue and receipts are
+ * append-only logs without a reliable key, so they are imported only into
+ * empty tables; otherwise they are reported as skipped.
+ */
+
+/**
+ * Every seen-ID file the pollers would use with this config.
+ */
+export function seenFiles(config) {
+  const files = [
+    config?.poller?.seen_file || '/tmp/iak-seen-ids.txt',
+    config?.antfarm?.seen_file,
+    config?.automation?.seen_file || '/tmp/iak-automation-seen.txt',
+    config?.comments?.seen_file || '/tmp/iak-comment-seen.txt',
+    config?.discord?.seen_file || '/tmp/iak-discord-seen.txt',
+    config?.xfor?.seen_file,
+    ...['antfarm', 'discord', 'xfor', 'comments'].map(name => `/tmp/iak-${name}-seen.txt`)
+  ];
+  return [...new Set(files.filter(Boolean))];
+}
+
+function mergeRecords(store, collection, records) {
+  store.transaction(() => {
+    for (const [id, record] of Object.entries(records)) store.putRecord(collection, id, record);
+  });
+  return Object.keys(records).length;
+}
+
+/**
+ * Import every file the config points at. Returns { ok, imported, skipped }.
+ */
+export function migrateToSqlite(config, store) {
+  const imported = {};
+  const skipped = [];
+
+  const tasksFile = config?.tasks?.file || '.iak-tasks.json';
+  imported.tasks = mergeRecords(store, 'tasks', readJson(tasksFile, {}));
+
+  const sessionsFile = config?.acp?.sessions_file || '/tmp/iak-acp-sessions.json';
+  imported.acp_sessions = mergeRecords(store, 'acp_sessions', readJson(sessionsFile, {}));
+
+  const approvals = readJson(config?.exec?.approvalFile || './exec-approvals.json', { approvals: [] }).approvals || [];
+  imported.exec_approvals = mergeRecords(store, 'exec_approvals', Object.fromEntries(approvals.map(a => [a.requestId, a])));
+
+  imported.seen_ids = 0;
+  for (const path of seenFiles(config)) {
+    if (!existsSync(path)) continue;
+    const ids = loadSeenIds(path);
+    store.saveSeen(path, new Set([...store.loadSeen(path), ...ids]), Math.max(ids.size, 5000));
+    imported.seen_ids += ids.size;
+  }
+
+  if (store.lastEventSeq() > 0) {
+    skipped.push('queue (events table is not empty)');
+  } else {
+    const { events, cursors } = exportFileQueue(config);
+    store.appendEvents(events);
+    // Cursors become event positions: offset covers the leading run of
+    // handled events, the rest stay in the out-of-order ack list.
+    const keys = store.eventsAfter(0).map(r => ({ seq: r.seq, key: eventKey(r.event) }));
+    for (const c of cursors) {
+      let offset = 0;
+      for (const { seq, key } of keys) {
+        if (key && !c.handled.has(key)) break;
+        offset = seq;
+        if (key) c.handled.delete(key);
+      }
+      store.putRecord('queue_cursors', c.id, {
+        consumer: c.consumer, segment: null, offset, acked: [...c.handled], inflight: c.inflight, updated_at: new Date().toISOString()
+      });
+    }
+    imported.events = events.length;
+    imported.queue_cursors = cursors.length;
+  }
+
+  if (store.tailReceipts(1).length > 0) {
+    skipped.push('receipts (receipts table is not empty)');
+  } else {
+    const receipts = readReceiptLog(config?.receipts?.path || './ide-agent-receipts.jsonl').filter(r => typeof r === 'object');
+    store.transaction(() => receipts.forEach(r => store.appendReceipt(r)));
+    imported.receipts = receipts.length;
+  }
+
+  return { ok: true, imported, skipped };
+}
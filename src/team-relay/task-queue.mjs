@@ -1,7 +1,10 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
 import { randomUUID } from 'node:crypto';
+import { readJson, writeJsonAtomic } from '../common/state-store.mjs';
+import { activeStore, stateTransaction } from '../common/storage.mjs';
+import { createReceipt, appendReceipt } from './receipt.mjs';
+import { DEFAULT_GOVERNANCE } from '../common/governance.mjs';
 
 /**
  * Task Queue — agent task lifecycle with voting and code review governance.
@@ -10,178 +13,433 @@ import { randomUUID } from 'node:crypto';
  *   proposed → recommended|to_review|discarded → queued → active → drafted → to_install → installed
  *
  * Voting: agents vote approve/reject on proposed items.
- *   3+ approve → recommended (green)
- *   3+ reject  → discarded (red)
- *   mixed      → to_review (yellow, needs human input)
+ *   vote_threshold approve → recommended (green)
+ *   vote_threshold reject  → discarded (red)
+ *   mixed                  → to_review (yellow, needs human input)
  *
- * Code review: after drafting, 2+ non-implementer reviews needed.
- *   Reviewers flag issues or approve. Too many rounds → escalate.
+ * Code review: after drafting, review_threshold non-implementer approvals
+ *   needed. Reviewers flag issues or approve. More than max_review_rounds
+ *   rounds with changes requested → escalate.
+ *
+ * Governance (tasks.governance) sets those numbers, per task type too, and
+ * can weight votes, give agents a veto and require a quorum; see
+ * governanceFor() and tallyVotes().
  *
  * Bugs: skip voting, go straight to queued→active→installed.
+ *
+ * Every other move is checked against TRANSITIONS; changes return
+ * { ok: true, task } or { ok: false, code, error } with the reason.
+ * overrideStatus() lets a human skip the table, and records that it did.
+ *
+ * History: every task keeps an append-only `history` of
+ *   { at, type: 'create'|'status'|'vote'|'review'|'comment'|'override', actor, ... }
+ * so earlier review rounds survive a re-draft. When initTaskQueue is given
+ * the receipts config, each entry is also appended to the receipt log as a
+ * task.<type> receipt under the task's trace_id.
+ *
+ * The tasks file is shared by CLI invocations and the Mission Control server:
+ * every change re-reads it under the state-store lock and writes it back
+ * atomically, and every read sees the latest file. With storage.backend
+ * "sqlite" the tasks live in the "tasks" collection instead.
  */
 
 const DEFAULT_FILE = '.iak-tasks.json';
-const VOTE_THRESHOLD = 3;
-const REVIEW_THRESHOLD = 2;
-const MAX_REVIEW_ROUNDS = 3;
 
 const STATUSES = ['proposed', 'recommended', 'to_review', 'discarded', 'queued', 'active', 'drafted', 'to_install', 'installed', 'done', 'failed', 'cancelled'];
 
 let tasksFile = DEFAULT_FILE;
 let tasks = {};
+let receiptPolicy = null;
+let governance = {};
+let owners = [];
+let pending = [];
 
-export function initTaskQueue(filePath) {
+/**
+ * receipts: the receipts config section ({ path, signing, ... }); history
+ * entries are mirrored there when it has a path.
+ * governance: the tasks.governance config section.
+ * owners: tasks.owners, the human handles allowed to override.
+ */
+export function initTaskQueue(filePath, { receipts = null, governance: rules = {}, owners: humans = [] } = {}) {
   tasksFile = filePath || DEFAULT_FILE;
-  if (existsSync(tasksFile)) {
-    try {
-      tasks = JSON.parse(readFileSync(tasksFile, 'utf8'));
-    } catch {
-      tasks = {};
-    }
-  }
+  receiptPolicy = receipts?.path ? receipts : null;
+  governance = rules || {};
+  owners = [].concat(humans || []).map(normHandle);
+  load();
 }
 
-function save() {
-  writeFileSync(tasksFile, JSON.stringify(tasks, null, 2));
+function normHandle(handle) {
+  return String(handle || '').replace(/^@/, '');
 }
 
-export function addTask(agent, title, { priority = 0, type = 'feature', hotfix = false } = {}) {
-  const id = randomUUID().slice(0, 8);
-  // Hotfix bugs skip review and go straight to active
-  // Regular bugs and features start as proposed (need review)
-  const status = (type === 'bug' && hotfix) ? 'active' : 'proposed';
-  tasks[id] = {
-    id,
-    agent,
-    title,
-    type,               // 'feature' | 'bug'
-    hotfix: hotfix || false,
-    status,
-    priority,
-    votes: {},          // { agentId: 'approve'|'reject' }
-    reviews: {},        // { agentId: 'approve'|'changes_requested' }
-    review_round: 0,
-    created: new Date().toISOString(),
-    updated: new Date().toISOString(),
-    result: null
+function pickRules(section) {
+  const rules = {};
+  for (const key of Object.keys(DEFAULT_GOVERNANCE)) {
+    const value = Number(section?.[key]);
+    if (section?.[key] != null && Number.isFinite(value) && value >= 0) rules[key] = value;
+  }
+  return rules;
+}
+
+/**
+ * The rules that apply to one task: the top level of tasks.governance, then
+ * types[task.type], then types.hotfix for hotfix bugs. Returns
+ * { vote_threshold, review_threshold, max_review_rounds, quorum_pct, agents }
+ * where agents is the registry { handle: { weight, veto } }.
+ */
+export function governanceFor(task, config = governance) {
+  return {
+    ...DEFAULT_GOVERNANCE,
+    ...pickRules(config),
+    ...pickRules(config?.types?.[task.type]),
+    ...(task.hotfix ? pickRules(config?.types?.hotfix) : {}),
+    agents: config?.agents || {}
   };
-  save();
-  return tasks[id];
 }
 
-export function vote(taskId, agentId, decision) {
-  if (!tasks[taskId]) return null;
-  if (!['approve', 'reject'].includes(decision)) return null;
-  tasks[taskId].votes[agentId] = decision;
-  tasks[taskId].updated = new Date().toISOString();
-  // Auto-transition based on vote counts
-  const approves = Object.values(tasks[taskId].votes).filter(v => v === 'approve').length;
-  const rejects = Object.values(tasks[taskId].votes).filter(v => v === 'reject').length;
-  if (rejects >= VOTE_THRESHOLD) {
-    tasks[taskId].status = 'discarded';
-  } else if (approves >= VOTE_THRESHOLD) {
-    tasks[taskId].status = 'recommended';
-  } else if (Object.keys(tasks[taskId].votes).length >= VOTE_THRESHOLD) {
-    tasks[taskId].status = 'to_review';
+/**
+ * Weighted vote totals for a task. Agents vote with their registered weight
+ * (default 1). veto is the first agent with veto: true who rejected.
+ * quorum is true once quorum_pct of the registered agents have voted (always
+ * true with no quorum or no registered agents).
+ */
+export function tallyVotes(task, rules = governanceFor(task)) {
+  const weight = (agent) => {
+    const w = Number(rules.agents[agent]?.weight);
+    return Number.isFinite(w) && w >= 0 ? w : 1;
+  };
+  let approve = 0;
+  let reject = 0;
+  let veto = null;
+  for (const [agent, decision] of Object.entries(task.votes || {})) {
+    if (decision === 'approve') approve += weight(agent);
+    if (decision === 'reject') {
+      reject += weight(agent);
+      if (rules.agents[agent]?.veto === true && !veto) veto = agent;
+    }
   }
-  save();
-  return tasks[taskId];
+  const registered = Object.keys(rules.agents);
+  const voted = registered.filter(a => task.votes?.[a]).length;
+  const quorum = registered.length === 0 || !rules.quorum_pct || voted * 100 >= rules.quorum_pct * registered.length;
+  return { approve, reject, total: approve + reject, veto, quorum };
 }
 
-export function queueTask(taskId) {
-  if (!tasks[taskId]) return null;
-  tasks[taskId].status = 'queued';
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+function load() {
+  const store = activeStore();
+  tasks = store ? store.readCollection('tasks') : readJson(tasksFile, {});
+  return tasks;
 }
 
-export function startTask(taskId) {
-  if (!tasks[taskId]) return null;
-  tasks[taskId].status = 'active';
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+/**
+ * Run fn against freshly loaded tasks under the lock and save them, unless
+ * fn returns a failure ({ ok: false }): then nothing it changed is written.
+ */
+function transact(fn) {
+  return stateTransaction(tasksFile, () => {
+    load();
+    const result = fn();
+    if (result?.ok === false) {
+      load();
+      return result;
+    }
+    const store = activeStore();
+    if (store) store.writeCollection('tasks', tasks);
+    else writeJsonAtomic(tasksFile, tasks);
+    return result;
+  });
 }
 
-export function draftTask(taskId) {
-  if (!tasks[taskId]) return null;
-  tasks[taskId].status = 'drafted';
-  tasks[taskId].review_round = (tasks[taskId].review_round || 0) + 1;
-  tasks[taskId].reviews = {};  // reset reviews for new round
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+function record(task, type, actor, fields = {}) {
+  const entry = { at: new Date().toISOString(), type, actor: actor || null, ...fields };
+  task.history = task.history || [];
+  task.history.push(entry);
+  pending.push({ task, entry });
 }
 
-export function reviewTask(taskId, reviewerId, decision) {
-  if (!tasks[taskId]) return null;
-  if (reviewerId === tasks[taskId].agent) return null;  // can't review own work
-  if (!['approve', 'changes_requested'].includes(decision)) return null;
-  tasks[taskId].reviews[reviewerId] = decision;
-  tasks[taskId].updated = new Date().toISOString();
-  // Check if enough approvals
-  const approvals = Object.values(tasks[taskId].reviews).filter(v => v === 'approve').length;
-  const changes = Object.values(tasks[taskId].reviews).filter(v => v === 'changes_requested').length;
-  if (approvals >= REVIEW_THRESHOLD && changes === 0) {
-    tasks[taskId].status = 'to_install';
+// Mirror history entries to the receipt log. Runs after the tasks
+// transaction so a signing receipt log takes its own lock.
+function mirror(entries) {
+  if (!receiptPolicy) return;
+  for (const { task, entry } of entries) {
+    const { at, type, actor, body, reason, status, ...fields } = entry;
+    try {
+      appendReceipt(receiptPolicy.path, createReceipt({
+        traceId: task.trace_id,
+        actor: { name: actor || 'ide-agent-kit', kind: type === 'override' ? 'human' : 'ide-agent' },
+        action: { kind: `task.${type}`, task_id: task.id, ...fields, ...(status ? { to: status } : {}) },
+        status: 'ok',
+        notes: body || reason || (type === 'create' ? task.title : ''),
+        startedAt: at,
+        finishedAt: at
+      }), receiptPolicy);
+    } catch { /* best-effort */ }
   }
-  // Too many rounds → stays in drafted with escalation flag
-  if (tasks[taskId].review_round >= MAX_REVIEW_ROUNDS && changes > 0) {
-    tasks[taskId].escalated = true;
+}
+
+export function addTask(agent, title, { priority = 0, type = 'feature', hotfix = false, by } = {}) {
+  pending = [];
+  const task = transact(() => {
+    const id = randomUUID().slice(0, 8);
+    // Hotfix bugs skip review and go straight to active
+    // Regular bugs and features start as proposed (need review)
+    const status = (type === 'bug' && hotfix) ? 'active' : 'proposed';
+    tasks[id] = {
+      id,
+      agent,
+      title,
+      type,               // 'feature' | 'bug'
+      hotfix: hotfix || false,
+      status,
+      priority,
+      votes: {},          // { agentId: 'approve'|'reject' }
+      reviews: {},        // { agentId: 'approve'|'changes_requested' }
+      review_round: 0,
+      trace_id: randomUUID(),
+      created: new Date().toISOString(),
+      updated: new Date().toISOString(),
+      result: null,
+      history: []
+    };
+    record(tasks[id], 'create', by || agent, { status });
+    return tasks[id];
+  });
+  mirror(pending.splice(0));
+  return task;
+}
+
+/**
+ * Legal status moves. Anything else needs overrideStatus().
+ *   proposed → queued and active → installed are for bugs only (see
+ *   BUG_ONLY); they skip voting and may skip review.
+ *   drafted → drafted opens a new review round after changes were requested.
+ */
+const TRANSITIONS = {
+  proposed: ['recommended', 'to_review', 'discarded', 'queued', 'cancelled'],
+  recommended: ['queued', 'cancelled'],
+  to_review: ['recommended', 'discarded', 'queued', 'cancelled'],
+  discarded: [],
+  queued: ['active', 'cancelled'],
+  active: ['drafted', 'installed', 'done', 'failed', 'cancelled'],
+  drafted: ['drafted', 'to_install', 'failed', 'cancelled'],
+  to_install: ['installed', 'failed', 'cancelled'],
+  installed: ['done', 'failed'],
+  done: [],
+  failed: [],
+  cancelled: []
+};
+
+// Moves in TRANSITIONS that only bugs may make, with the reason features may not.
+const BUG_ONLY = {
+  'proposed→queued': 'features must be recommended by vote first',
+  'active→installed': 'features must be drafted and reviewed first'
+};
+
+function bugOnly(task, from, to) {
+  return task.type !== 'bug' ? BUG_ONLY[`${from}→${to}`] : undefined;
+}
+
+// Statuses that still accept votes.
+const VOTING = ['proposed', 'to_review'];
+
+/**
+ * Whether a task may move to a status. Returns { ok } or { ok: false, error }.
+ */
+export function canTransition(task, to) {
+  if (!STATUSES.includes(to)) return { ok: false, error: `Unknown status: ${to}` };
+  const from = task.status;
+  const reserved = bugOnly(task, from, to);
+  if (reserved) return { ok: false, error: `Cannot move task ${task.id} to ${to}: ${reserved}` };
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    const allowed = (TRANSITIONS[from] || []).filter(s => s !== from && !bugOnly(task, from, s));
+    return { ok: false, error: `Cannot move task ${task.id} from ${from} to ${to} (allowed: ${allowed.join(', ') || 'none'})` };
   }
-  save();
-  return tasks[taskId];
+  return { ok: true };
+}
+
+/**
+ * Run a change on one task inside a transaction. fn returns a failure
+ * ({ ok: false, code, error }) or nothing. Results: { ok: true, task } or
+ * { ok: false, code: 'not_found'|'invalid'|'illegal_transition', error }.
+ */
+function mutate(taskId, fn) {
+  pending = [];
+  const result = transact(() => {
+    const task = tasks[taskId];
+    if (!task) return { ok: false, code: 'not_found', error: `Task ${taskId} not found` };
+    task.trace_id = task.trace_id || randomUUID();
+    const failure = fn(task);
+    if (failure) return failure;
+    task.updated = new Date().toISOString();
+    return { ok: true, task };
+  });
+  const entries = pending.splice(0);
+  if (result.ok) mirror(entries);
+  return result;
+}
+
+function invalid(error) {
+  return { ok: false, code: 'invalid', error };
+}
+
+function moveTo(task, to, by, reason = null) {
+  const check = canTransition(task, to);
+  if (!check.ok) return { ok: false, code: 'illegal_transition', error: check.error };
+  record(task, 'status', by, { from: task.status, to, ...(reason ? { reason } : {}) });
+  task.status = to;
+  return null;
+}
+
+export function vote(taskId, agentId, decision) {
+  return mutate(taskId, (task) => {
+    if (!agentId) return invalid('A voter is required');
+    if (!['approve', 'reject'].includes(decision)) return invalid(`Invalid vote: ${decision} (approve|reject)`);
+    if (!VOTING.includes(task.status)) {
+      return { ok: false, code: 'illegal_transition', error: `Voting is closed on task ${task.id}: it is ${task.status}` };
+    }
+    task.votes[agentId] = decision;
+    record(task, 'vote', agentId, { decision });
+    // Auto-transition based on weighted vote totals
+    const rules = governanceFor(task);
+    const tally = tallyVotes(task, rules);
+    if (tally.veto) return moveTo(task, 'discarded', agentId, `veto by ${tally.veto}`);
+    if (!tally.quorum) return;
+    let next = null;
+    if (tally.reject >= rules.vote_threshold) next = 'discarded';
+    else if (tally.approve >= rules.vote_threshold) next = 'recommended';
+    else if (tally.total >= rules.vote_threshold) next = 'to_review';
+    if (next && next !== task.status) return moveTo(task, next, agentId);
+  });
+}
+
+export function queueTask(taskId, { by } = {}) {
+  return mutate(taskId, task => moveTo(task, 'queued', by));
 }
 
-export function installTask(taskId) {
-  if (!tasks[taskId]) return null;
-  tasks[taskId].status = 'installed';
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+export function startTask(taskId, { by } = {}) {
+  return mutate(taskId, task => moveTo(task, 'active', by));
 }
 
-export function completeTask(taskId, result = null) {
-  if (!tasks[taskId]) return null;
-  tasks[taskId].status = 'done';
-  tasks[taskId].result = result;
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+export function draftTask(taskId, { by } = {}) {
+  return mutate(taskId, (task) => {
+    const failure = moveTo(task, 'drafted', by);
+    if (failure) return failure;
+    task.review_round = (task.review_round || 0) + 1;
+    task.reviews = {};  // reset reviews for new round
+  });
 }
 
-export function failTask(taskId, reason = null) {
-  if (!tasks[taskId]) return null;
-  tasks[taskId].status = 'failed';
-  tasks[taskId].result = reason;
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+export function reviewTask(taskId, reviewerId, decision) {
+  return mutate(taskId, (task) => {
+    if (!reviewerId) return invalid('A reviewer is required');
+    if (reviewerId === task.agent) return invalid(`${reviewerId} cannot review their own task`);
+    if (!['approve', 'changes_requested'].includes(decision)) return invalid(`Invalid review: ${decision} (approve|changes_requested)`);
+    if (task.status !== 'drafted') {
+      return { ok: false, code: 'illegal_transition', error: `Task ${task.id} is ${task.status}; only drafted tasks can be reviewed` };
+    }
+    task.reviews[reviewerId] = decision;
+    record(task, 'review', reviewerId, { decision, round: task.review_round });
+    // Check if enough approvals
+    const rules = governanceFor(task);
+    const approvals = Object.values(task.reviews).filter(v => v === 'approve').length;
+    const changes = Object.values(task.reviews).filter(v => v === 'changes_requested').length;
+    if (approvals >= rules.review_threshold && changes === 0) {
+      return moveTo(task, 'to_install', reviewerId);
+    }
+    // Too many rounds → stays in drafted with escalation flag
+    if (task.review_round >= rules.max_review_rounds && changes > 0) {
+      task.escalated = true;
+    }
+  });
+}
+
+export function installTask(taskId, { by } = {}) {
+  return mutate(taskId, task => moveTo(task, 'installed', by));
 }
 
-export function cancelTask(taskId) {
-  if (!tasks[taskId]) return null;
-  tasks[taskId].status = 'cancelled';
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+export function completeTask(taskId, result = null, { by } = {}) {
+  return mutate(taskId, (task) => {
+    const failure = moveTo(task, 'done', by);
+    if (failure) return failure;
+    task.result = result;
+  });
 }
 
-export function setStatus(taskId, status) {
-  if (!tasks[taskId]) return null;
-  if (!STATUSES.includes(status)) return null;
-  tasks[taskId].status = status;
-  tasks[taskId].updated = new Date().toISOString();
-  save();
-  return tasks[taskId];
+export function failTask(taskId, reason = null, { by } = {}) {
+  return mutate(taskId, (task) => {
+    const failure = moveTo(task, 'failed', by);
+    if (failure) return failure;
+    task.result = reason;
+  });
+}
+
+export function cancelTask(taskId, { by } = {}) {
+  return mutate(taskId, task => moveTo(task, 'cancelled', by));
+}
+
+/**
+ * Move a task to any status along a legal transition.
+ */
+export function setStatus(taskId, status, { by } = {}) {
+  return mutate(taskId, task => moveTo(task, status, by));
+}
+
+/**
+ * Human override: move a task to any status, skipping the transition table.
+ * The move is recorded in task.overrides as { from, to, by, reason, at }.
+ *
+ * With tasks.owners configured, `by` must be one of them. Without it, the
+ * handle is only the caller's claim and the override is recorded with
+ * self_asserted: true — unless `verified` says the caller authenticated as
+ * a human owner (a Mission Control token).
+ */
+export function overrideStatus(taskId, status, { by, reason = null, verified = false } = {}) {
+  return mutate(taskId, (task) => {
+    if (!STATUSES.includes(status)) return invalid(`Unknown status: ${status}`);
+    if (!by) return invalid('An override must name the human making it');
+    if (owners.length > 0 && !owners.includes(normHandle(by))) {
+      return invalid(`${by} is not in tasks.owners (${owners.join(', ')}) and may not override`);
+    }
+    const claimed = owners.length === 0 && !verified ? { self_asserted: true } : {};
+    task.overrides = task.overrides || [];
+    task.overrides.push({ from: task.status, to: status, by, reason, at: new Date().toISOString(), ...claimed });
+    record(task, 'override', by, { from: task.status, to: status, reason, ...claimed });
+    task.status = status;
+  });
+}
+
+/**
+ * Add a comment to a task's history. Comments do not change its status.
+ */
+export function commentTask(taskId, author, body) {
+  return mutate(taskId, (task) => {
+    if (!author) return invalid('A comment needs an author');
+    if (!body || !String(body).trim()) return invalid('A comment needs a body');
+    record(task, 'comment', author, { body: String(body) });
+  });
+}
+
+/**
+ * One history entry as a line of text.
+ */
+export function describeHistoryEntry(entry) {
+  switch (entry.type) {
+    case 'create': return `created (${entry.status})`;
+    case 'status': return `${entry.from} → ${entry.to}${entry.reason ? ` (${entry.reason})` : ''}`;
+    case 'vote': return `voted ${entry.decision}`;
+    case 'review': return `review round ${entry.round}: ${entry.decision}`;
+    case 'comment': return `commented: ${entry.body}`;
+    case 'override': return `override ${entry.from} → ${entry.to}${entry.reason ? ` (${entry.reason})` : ''}${entry.self_asserted ? ' [self-asserted]' : ''}`;
+    default: return entry.type;
+  }
 }
 
 export function getTask(taskId) {
+  load();
   return tasks[taskId] || null;
 }
 
 export function listTasks({ agent, status } = {}) {
+  load();
   let result = Object.values(tasks);
   if (agent) result = result.filter(t => t.agent === agent);
   if (status) result = result.filter(t => t.status === status);
@@ -211,7 +469,29 @@ export function agentStatus(agent) {
   };
 }
 
+/**
+ * Poll the task store and call onChange(tasks) whenever it differs from the
+ * last look, whoever changed it (this process, a CLI call, another server).
+ * check() looks immediately. Returns { check, close }.
+ */
+export function watchTasks(onChange, { intervalMs = 500 } = {}) {
+  let last = JSON.stringify(load());
+  const check = () => {
+    const current = JSON.stringify(load());
+    if (current === last) return false;
+    last = current;
+    onChange(tasks);
+    return true;
+  };
+  const timer = setInterval(() => {
+    try { check(); } catch { /* store busy or unreadable; try again next tick */ }
+  }, intervalMs);
+  timer.unref?.();
+  return { check, close: () => clearInterval(timer) };
+}
+
 export function missionControlData() {
+  load();
   const allTasks = Object.values(tasks);
   const agents = [...new Set(allTasks.map(t => t.agent))];
   const tabs = {};
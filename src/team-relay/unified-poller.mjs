@@ -1,9 +1,11 @@
 // SPDX-License-Identifier: AGPL-3.0-only
 
 import { loadSeenIds, saveSeenIds } from './common/seen-ids.mjs';
-import { nudgeTmux, writeNotification } from './common/notify.mjs';
+import { writeNotification } from './common/notify.mjs';
+import { createNotifier, resolveNotifierSpec } from './common/notifier.mjs';
+import { CircuitBreaker } from './common/circuit-breaker.mjs';
 import { appendEvents } from './common/event-queue.mjs';
-import { appendFileSync } from 'node:fs';
+import { createReceipt, appendReceipt } from './receipt.mjs';
 
 /**
  * UnifiedPoller — runs any PlatformAdapter on a polling loop with
@@ -16,7 +18,33 @@ import { appendFileSync } from 'node:fs';
  *   normalize(msg, ctx) — returns a normalized event object
  *   shouldSkip(msg, cfg) — returns true if message should be filtered
  *   formatLine(event) — returns a human-readable notification line
+ *
+ * How the IDE agent is woken is up to the configured notifier
+ * (see common/notifier.mjs), so GUI IDEs work the same as under tmux.
+ *
+ * Failures back off through a CircuitBreaker (common/circuit-breaker.mjs):
+ * the whole adapter when fetch() throws, and individual rooms/channels when
+ * the adapter reports them through the `breaker` option passed to fetch():
+ *   allow(target) → skip this target if false
+ *   success(target) / failure(target, error)
+ */
+
+const ADAPTER_TARGET = 'adapter';
+
+/**
+ * Config section for an adapter. Ant Farm polling settings live under
+ * `poller`; the `antfarm` section only holds webhook settings, so it is
+ * layered on top rather than replacing it.
  */
+export function adapterConfig(config, name) {
+  return name === 'antfarm'
+    ? { ...config?.poller, ...config?.antfarm }
+    : config?.[name] || config?.poller || {};
+}
+
+export function breakerFile(config, name) {
+  return adapterConfig(config, name).breaker_file || `/tmp/iak-${name}-breaker.json`;
+}
 
 export class UnifiedPoller {
   constructor(adapter, config) {
@@ -25,7 +53,7 @@ export class UnifiedPoller {
     this.timer = null;
 
     const name = adapter.name;
-    const adapterCfg = config?.[name] || config?.poller || {};
+    const adapterCfg = adapterConfig(config, name);
 
     this.seenFile = adapterCfg.seen_file || `/tmp/iak-${name}-seen.txt`;
     this.maxSeenIds = adapterCfg.max_seen_ids || 2000;
@@ -35,6 +63,20 @@ export class UnifiedPoller {
     this.session = config?.tmux?.ide_session || 'claude';
     this.nudgeText = config?.tmux?.nudge_text || 'check rooms';
     this.interval = adapterCfg.interval_sec || 30;
+    this.notifier = createNotifier(resolveNotifierSpec(config, name), {
+      session: this.session,
+      text: this.nudgeText
+    });
+
+    this.breaker = new CircuitBreaker(
+      { base_backoff_sec: this.interval, ...adapterCfg.breaker },
+      { file: breakerFile(config, name) }
+    );
+    this.targets = {
+      allow: (target) => this.breaker.allow(target),
+      success: (target) => this.recordSuccess(target),
+      failure: (target, error) => this.recordFailure(target, error)
+    };
 
     this.seen = loadSeenIds(this.seenFile, this.maxSeenIds);
     this._polling = false;
@@ -46,17 +88,20 @@ export class UnifiedPoller {
    */
   async poll() {
     if (this._polling) return [];
+    if (!this.breaker.allow(ADAPTER_TARGET)) return [];
     this._polling = true;
 
     let messages;
     try {
-      messages = await this.adapter.fetch(this.config);
+      messages = await this.adapter.fetch(this.config, { breaker: this.targets });
     } catch (e) {
       this._polling = false;
       console.error(`  ${this.adapter.name} fetch error: ${e.message}`);
-      this.logReceipt({ action: 'fetch', status: 'error', error: e.message });
+      this.logReceipt({ kind: 'poller.fetch', status: 'error', notes: e.message });
+      this.recordFailure(ADAPTER_TARGET, e);
       return [];
     }
+    this.recordSuccess(ADAPTER_TARGET);
 
     const newEvents = [];
     const lines = [];
@@ -78,17 +123,18 @@ export class UnifiedPoller {
     saveSeenIds(this.seenFile, this.seen, this.maxSeenIds);
 
     if (newEvents.length > 0) {
-      appendEvents(this.queuePath, newEvents);
+      appendEvents(this.queuePath, newEvents, this.config?.queue);
       writeNotification(this.notifyFile, lines);
 
-      const nudged = nudgeTmux(this.session, this.nudgeText);
-      console.log(`  ${this.adapter.name}: ${newEvents.length} new event(s)${nudged ? ' + tmux nudge' : ''}`);
+      const nudged = await this.notifier.notify({ adapter: this.adapter.name, events: newEvents, lines });
+      console.log(`  ${this.adapter.name}: ${newEvents.length} new event(s)${nudged ? ` + ${this.notifier.type} nudge` : ''}`);
 
       this.logReceipt({
-        action: 'poll',
+        kind: 'poller.poll',
         status: 'ok',
-        count: newEvents.length,
-        source: this.adapter.name
+        notifier: this.notifier.type,
+        notes: `${newEvents.length} new event(s)${nudged ? `, ${this.notifier.type} nudge sent` : ''}`,
+        outputRefs: newEvents.map(e => e.trace_id).filter(Boolean)
       });
     }
 
@@ -105,7 +151,7 @@ export class UnifiedPoller {
     console.log(`  ${this.adapter.name}: seeding seen IDs...`);
     let messages;
     try {
-      messages = await this.adapter.fetch(this.config, { seed: true });
+      messages = await this.adapter.fetch(this.config, { seed: true, breaker: this.targets });
     } catch (e) {
       console.error(`  ${this.adapter.name} seed error: ${e.message}`);
       return;
@@ -127,6 +173,7 @@ export class UnifiedPoller {
     console.log(`  interval: ${this.interval}s`);
     console.log(`  seen file: ${this.seenFile}`);
     console.log(`  queue: ${this.queuePath}`);
+    console.log(`  notifier: ${this.notifier.type}`);
 
     await this.seed();
     await this.poll();
@@ -154,17 +201,34 @@ export class UnifiedPoller {
     }
   }
 
+  recordSuccess(target) {
+    if (this.breaker.success(target) === 'closed') {
+      console.log(`  ${this.adapter.name}: ${target} recovered`);
+      this.logReceipt({ kind: 'poller.breaker.close', status: 'ok', target });
+    }
+  }
+
+  recordFailure(target, error) {
+    if (this.breaker.failure(target, error) === 'opened') {
+      const { next_attempt_at } = this.breaker.get(target);
+      console.error(`  ${this.adapter.name}: ${target} circuit open until ${next_attempt_at}`);
+      this.logReceipt({ kind: 'poller.breaker.open', status: 'error', target, notes: error?.message || String(error) });
+    }
+  }
+
   /**
-   * Log a receipt for audit trail.
+   * Log a poller.* receipt for audit trail. The poll receipt lists the
+   * trace_ids of the events it queued in output_refs.
    */
-  logReceipt(data) {
+  logReceipt({ kind, status, notes, outputRefs, ...action }) {
     try {
-      const receipt = {
-        timestamp: new Date().toISOString(),
-        adapter: this.adapter.name,
-        ...data
-      };
-      appendFileSync(this.receiptPath, JSON.stringify(receipt) + '\n');
+      appendReceipt(this.receiptPath, createReceipt({
+        actor: { name: this.adapter.name, kind: 'bot' },
+        action: { kind, adapter: this.adapter.name, ...action },
+        status,
+        notes,
+        outputRefs
+      }), this.config?.receipts);
     } catch { /* best-effort */ }
   }
 }
@@ -2,9 +2,13 @@
 
 import { createServer } from 'node:http';
 import { createHmac, timingSafeEqual } from 'node:crypto';
-import { appendFileSync } from 'node:fs';
 import { execSync } from 'node:child_process';
 import { randomUUID } from 'node:crypto';
+import { appendEvent } from './common/event-queue.mjs';
+import { loadSeenIds, saveSeenIds } from './common/seen-ids.mjs';
+import { createReceipt, appendReceipt } from './receipt.mjs';
+import { stateTransaction } from '../common/storage.mjs';
+import { webhookPosture } from '../common/webhook-posture.mjs';
 import { isEnabled as acpEnabled, validateToken as acpValidateToken, createSession, sendToSession, closeSession, getSession, listSessions } from './acp-sessions.mjs';
 
 function nudgeTmux(session) {
@@ -26,7 +30,57 @@ function verifyGitHubSignature(payload, signature, secret) {
   } catch { return false; }
 }
 
-function normalizeGitHubEvent(event, body) {
+/**
+ * Verify a GroupMind or Discord webhook against its shared secret
+ * (antfarm.webhook_secret / discord.webhook_secret). Either form is accepted:
+ *
+ *   Authorization: Bearer <secret>
+ *   X-Signature-256: sha256=<hex HMAC-SHA256 of the raw body>
+ *
+ * When X-Signature-Timestamp is sent, the HMAC covers `<timestamp>.<body>`.
+ * Setting replay_window_sec requires that signed timestamp and rejects
+ * requests older (or further in the future) than the window; a bearer token
+ * alone cannot prove freshness, so it is refused in that mode.
+ *
+ * Returns { ok, reason }. No secret configured = accept (legacy behaviour).
+ */
+export function verifySharedSecret(headers, rawBody, endpointConfig = {}) {
+  const secret = endpointConfig.webhook_secret;
+  if (!secret) return { ok: true };
+  const windowSec = endpointConfig.replay_window_sec || 0;
+
+  const signature = headers['x-signature-256'];
+  const timestamp = headers['x-signature-timestamp'];
+
+  if (signature) {
+    const signed = timestamp ? Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]) : rawBody;
+    const expected = 'sha256=' + createHmac('sha256', secret).update(signed).digest('hex');
+    if (!safeEqual(signature, expected)) return { ok: false, reason: 'bad_signature' };
+    if (windowSec > 0) {
+      if (!timestamp) return { ok: false, reason: 'missing_timestamp' };
+      const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (!Number.isFinite(skew) || skew > windowSec) return { ok: false, reason: 'stale_timestamp' };
+    }
+    return { ok: true };
+  }
+
+  const auth = headers['authorization'] || '';
+  if (auth.startsWith('Bearer ')) {
+    if (!safeEqual(auth.slice('Bearer '.length), secret)) return { ok: false, reason: 'bad_token' };
+    if (windowSec > 0) return { ok: false, reason: 'signature_required' };
+    return { ok: true };
+  }
+
+  return { ok: false, reason: 'missing_credentials' };
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+export function normalizeGitHubEvent(event, body, deliveryId) {
   const kind = buildKind(event, body);
   if (!kind) return null;
 
@@ -35,7 +89,7 @@ function normalizeGitHubEvent(event, body) {
 
   const normalized = {
     trace_id: randomUUID(),
-    event_id: body.delivery || randomUUID(),
+    event_id: deliveryId || randomUUID(),
     source: 'github',
     kind,
     timestamp: new Date().toISOString(),
@@ -56,61 +110,279 @@ function normalizeGitHubEvent(event, body) {
   return normalized;
 }
 
+const BODY_MAX = 500;
+
+function clip(text) {
+  return (text || '').slice(0, BODY_MAX);
+}
+
+function prRefs(pr) {
+  return {
+    pull_request_url: pr?.html_url,
+    head_sha: pr?.head?.sha,
+    branch: pr?.head?.ref,
+    base_branch: pr?.base?.ref
+  };
+}
+
+function prPayload(pr) {
+  return { title: pr?.title, number: pr?.number };
+}
+
+/**
+ * GitHub event → how to normalize it. `actions` lists the accepted actions
+ * (null for events without one, like push); `kind` may refine the action,
+ * e.g. a closed PR that was merged becomes github.pull_request.merged.
+ * Only events also listed in github.event_kinds are accepted by the server.
+ */
+const GITHUB_EVENTS = {
+  pull_request: {
+    actions: ['opened', 'synchronize', 'closed', 'reopened', 'ready_for_review', 'review_requested'],
+    kind: (action, body) => (action === 'closed' && body.pull_request?.merged ? 'merged' : action),
+    refs: (body) => prRefs(body.pull_request),
+    payload: (body) => ({
+      ...prPayload(body.pull_request),
+      draft: body.pull_request?.draft,
+      merged: body.pull_request?.merged,
+      requested_reviewer: body.requested_reviewer?.login || body.requested_team?.slug
+    })
+  },
+  pull_request_review: {
+    actions: ['submitted', 'edited', 'dismissed'],
+    refs: (body) => ({ ...prRefs(body.pull_request), review_url: body.review?.html_url }),
+    payload: (body) => ({
+      ...prPayload(body.pull_request),
+      review_state: body.review?.state,
+      review_body: clip(body.review?.body)
+    })
+  },
+  pull_request_review_comment: {
+    actions: ['created', 'edited', 'deleted'],
+    refs: (body) => ({ ...prRefs(body.pull_request), comment_url: body.comment?.html_url }),
+    payload: (body) => ({
+      ...prPayload(body.pull_request),
+      comment_body: clip(body.comment?.body),
+      path: body.comment?.path,
+      line: body.comment?.line
+    })
+  },
+  issue_comment: {
+    actions: ['created'],
+    refs: (body) => ({ issue_url: body.issue?.html_url, comment_url: body.comment?.html_url }),
+    payload: (body) => ({
+      issue_number: body.issue?.number,
+      issue_title: body.issue?.title,
+      comment_body: clip(body.comment?.body)
+    })
+  },
+  issues: {
+    actions: ['opened', 'closed', 'reopened', 'labeled', 'assigned'],
+    refs: (body) => ({ issue_url: body.issue?.html_url }),
+    payload: (body) => ({
+      issue_number: body.issue?.number,
+      issue_title: body.issue?.title,
+      issue_body: clip(body.issue?.body),
+      state_reason: body.issue?.state_reason,
+      label: body.label?.name,
+      assignee: body.assignee?.login
+    })
+  },
+  push: {
+    actions: null,
+    refs: (body) => ({
+      ref: body.ref,
+      branch: body.ref?.startsWith('refs/heads/') ? body.ref.slice('refs/heads/'.length) : undefined,
+      tag: body.ref?.startsWith('refs/tags/') ? body.ref.slice('refs/tags/'.length) : undefined,
+      head_sha: body.after,
+      compare_url: body.compare
+    }),
+    payload: (body) => ({
+      commit_count: body.commits?.length ?? 0,
+      head_commit_message: clip(body.head_commit?.message),
+      forced: body.forced,
+      deleted: body.deleted
+    })
+  },
+  release: {
+    actions: ['published', 'released', 'prereleased', 'created'],
+    refs: (body) => ({ release_url: body.release?.html_url, tag: body.release?.tag_name }),
+    payload: (body) => ({
+      tag_name: body.release?.tag_name,
+      name: body.release?.name,
+      prerelease: body.release?.prerelease,
+      draft: body.release?.draft,
+      release_body: clip(body.release?.body)
+    })
+  },
+  discussion: {
+    actions: ['created', 'answered', 'closed', 'reopened'],
+    refs: (body) => ({ discussion_url: body.discussion?.html_url }),
+    payload: (body) => ({
+      discussion_number: body.discussion?.number,
+      discussion_title: body.discussion?.title,
+      category: body.discussion?.category?.name,
+      discussion_body: clip(body.discussion?.body)
+    })
+  },
+  discussion_comment: {
+    actions: ['created'],
+    refs: (body) => ({ discussion_url: body.discussion?.html_url, comment_url: body.comment?.html_url }),
+    payload: (body) => ({
+      discussion_number: body.discussion?.number,
+      discussion_title: body.discussion?.title,
+      comment_body: clip(body.comment?.body)
+    })
+  },
+  check_suite: {
+    actions: ['completed'],
+    refs: (body) => ({ head_sha: body.check_suite?.head_sha, branch: body.check_suite?.head_branch }),
+    payload: (body) => ({ conclusion: body.check_suite?.conclusion })
+  },
+  workflow_run: {
+    actions: ['completed'],
+    refs: (body) => ({
+      workflow_run_url: body.workflow_run?.html_url,
+      head_sha: body.workflow_run?.head_sha,
+      branch: body.workflow_run?.head_branch
+    }),
+    payload: (body) => ({
+      workflow_name: body.workflow_run?.name,
+      conclusion: body.workflow_run?.conclusion
+    })
+  }
+};
+
 function buildKind(event, body) {
+  const spec = GITHUB_EVENTS[event];
+  if (!spec) return null;
+  if (spec.actions === null) return `github.${event}`;
   const action = body.action || '';
-  const map = {
-    'pull_request.opened': 'github.pull_request.opened',
-    'pull_request.synchronize': 'github.pull_request.synchronize',
-    'issue_comment.created': 'github.issue_comment.created',
-    'check_suite.completed': 'github.check_suite.completed',
-    'workflow_run.completed': 'github.workflow_run.completed'
-  };
-  return map[`${event}.${action}`] || null;
+  if (!spec.actions.includes(action)) return null;
+  const sub = spec.kind ? spec.kind(action, body) : action;
+  return `github.${event}.${sub}`;
+}
+
+// Drop undefined fields so the queued JSON stays small and stable.
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
 }
 
 function extractRefs(event, body) {
-  const refs = {};
-  if (body.pull_request) {
-    refs.pull_request_url = body.pull_request.html_url;
-    refs.head_sha = body.pull_request.head?.sha;
-    refs.branch = body.pull_request.head?.ref;
-  }
-  if (body.issue) {
-    refs.issue_url = body.issue.html_url;
-  }
-  if (body.comment) {
-    refs.comment_url = body.comment.html_url;
-  }
-  return refs;
+  return compact(GITHUB_EVENTS[event].refs(body));
 }
 
 function extractMinPayload(event, body) {
-  // Keep payload small — just title/body for PRs and comments
-  const p = {};
-  if (body.pull_request) {
-    p.title = body.pull_request.title;
-    p.number = body.pull_request.number;
-  }
-  if (body.issue) {
-    p.issue_number = body.issue.number;
-    p.issue_title = body.issue.title;
-  }
-  if (body.comment) {
-    p.comment_body = (body.comment.body || '').slice(0, 500);
-  }
-  return p;
+  return compact(GITHUB_EVENTS[event].payload(body));
+}
+
+// Endpoint → source name for receipts.
+const SOURCE_BY_PATH = { '/webhook': 'github', '/antfarm': 'antfarm', '/discord': 'discord', '/acp': 'acp' };
+
+/**
+ * Recently seen delivery ids, shared by every inbound endpoint so a
+ * redelivered webhook is queued once. Persisted (bounded to max entries)
+ * so restarts do not reopen the window. Keys are `<source>:<id>`.
+ *
+ * claim(key, deliver) runs deliver() (the queue append) and records the
+ * key in one locked step, re-reading the file first, so concurrent retries
+ * (or a second server on the same file) cannot both get through. The key is
+ * saved only once deliver() returns: if it throws, the sender's retry is
+ * still accepted. Returns false, without calling deliver, for a duplicate.
+ */
+export function createDeliveryStore(path, max = 2000) {
+  return {
+    claim(key, deliver) {
+      return stateTransaction(path, () => {
+        const ids = loadSeenIds(path, max);
+        if (ids.has(key)) return false;
+        deliver();
+        ids.add(key);
+        while (ids.size > max) ids.delete(ids.values().next().value);
+        saveSeenIds(path, ids, max);
+        return true;
+      });
+    }
+  };
 }
 
 export function startWebhookServer(config, onEvent) {
   const { host, port } = config.listen;
+  const posture = webhookPosture(config);
+  if (!posture.ok) {
+    throw new Error(`Refusing to start webhook server: ${posture.problem}. Set a real secret, bind to 127.0.0.1, or set github.allow_unsigned: true to accept unsigned GitHub webhooks.`);
+  }
   const secret = config.github.webhook_secret;
   const allowedEvents = config.github.event_kinds;
   const queuePath = config.queue.path;
+  const receiptPath = config.receipts?.path || './ide-agent-receipts.jsonl';
+  const deliveries = createDeliveryStore(
+    config.listen.delivery_seen_file || `${queuePath}.deliveries`,
+    config.listen.delivery_seen_max || 2000
+  );
+
+  function recordDuplicate(source, eventId) {
+    appendReceipt(receiptPath, createReceipt({
+      actor: { name: 'webhook-server', kind: 'bot' },
+      action: { kind: 'webhook.duplicate', source, event_id: eventId },
+      status: 'skipped',
+      notes: `duplicate ${source} delivery ${eventId} not queued`,
+      inputRefs: [eventId]
+    }), config.receipts);
+    console.log(`[${new Date().toISOString()}] duplicate ${source} delivery ${eventId} → skipped`);
+  }
+
+  function recordRejected(source, req, reason) {
+    appendReceipt(receiptPath, createReceipt({
+      actor: { name: 'webhook-server', kind: 'bot' },
+      action: { kind: 'webhook.rejected', source },
+      status: 'error',
+      notes: `${source} request rejected: ${reason} (from ${req.socket.remoteAddress || '?'})`
+    }), config.receipts);
+    console.log(`[${new Date().toISOString()}] rejected ${source} request: ${reason}`);
+  }
+
+  // Queue an event unless its delivery key was seen before. Returns false
+  // for a duplicate.
+  function queueOnce(key, event) {
+    const append = () => appendEvent(queuePath, event, config.queue);
+    if (!key) {
+      append();
+      return true;
+    }
+    return deliveries.claim(key, append);
+  }
+
+  // A lock timeout or disk error while queueing: answer 503 so the sender
+  // retries, and leave a receipt.
+  function failRequest(req, res, err) {
+    const source = SOURCE_BY_PATH[req.url] || 'unknown';
+    try {
+      appendReceipt(receiptPath, createReceipt({
+        actor: { name: 'webhook-server', kind: 'bot' },
+        action: { kind: 'webhook.error', source },
+        status: 'error',
+        notes: `${source} request failed: ${err.message}`
+      }), config.receipts);
+    } catch { /* the receipt log may be what failed */ }
+    console.error(`[${new Date().toISOString()}] ${source} request failed: ${err.message}`);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'unavailable', reason: err.message }));
+  }
 
-  const server = createServer(async (req, res) => {
+  function rejectUnauthorized(res, source, req, reason) {
+    recordRejected(source, req, reason);
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'unauthorized', reason }));
+  }
+
+  async function handleRequest(req, res) {
     if (req.method === 'GET' && req.url === '/health') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ status: 'ok', version: '0.1.0' }));
+      res.end(JSON.stringify({ status: 'ok', version: '0.1.0', auth: posture }));
       return;
     }
 
@@ -118,8 +390,11 @@ export function startWebhookServer(config, onEvent) {
     if (req.method === 'POST' && req.url === '/antfarm') {
       const chunks = [];
       for await (const chunk of req) chunks.push(chunk);
+      const raw = Buffer.concat(chunks);
+      const auth = verifySharedSecret(req.headers, raw, config.antfarm);
+      if (!auth.ok) return rejectUnauthorized(res, 'antfarm', req, auth.reason);
       let body;
-      try { body = JSON.parse(Buffer.concat(chunks).toString()); } catch {
+      try { body = JSON.parse(raw.toString()); } catch {
         res.writeHead(400);
         res.end('Invalid JSON');
         return;
@@ -142,7 +417,12 @@ export function startWebhookServer(config, onEvent) {
         payload: { body: msgBody.slice(0, 500), room: roomSlug }
       };
 
-      appendFileSync(queuePath, JSON.stringify(event) + '\n');
+      if (!queueOnce(body.id && `antfarm:${body.id}`, event)) {
+        recordDuplicate('antfarm', body.id);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'duplicate', event_id: body.id }));
+        return;
+      }
       if (onEvent) onEvent(event);
       console.log(`[${event.timestamp}] antfarm message from ${event.actor.login} in ${event.room} → queued`);
 
@@ -158,8 +438,11 @@ export function startWebhookServer(config, onEvent) {
     if (req.method === 'POST' && req.url === '/discord') {
       const chunks = [];
       for await (const chunk of req) chunks.push(chunk);
+      const raw = Buffer.concat(chunks);
+      const auth = verifySharedSecret(req.headers, raw, config.discord);
+      if (!auth.ok) return rejectUnauthorized(res, 'discord', req, auth.reason);
       let body;
-      try { body = JSON.parse(Buffer.concat(chunks).toString()); } catch {
+      try { body = JSON.parse(raw.toString()); } catch {
         res.writeHead(400);
         res.end('Invalid JSON');
         return;
@@ -167,6 +450,7 @@ export function startWebhookServer(config, onEvent) {
 
       const messages = body.payload?.messages || (body.messages ? body.messages : [body]);
       let queued = 0;
+      let duplicates = 0;
 
       for (const m of messages) {
         const event = {
@@ -180,16 +464,24 @@ export function startWebhookServer(config, onEvent) {
           payload: { body: (m.content || '').slice(0, 500), channel_id: m.channel_id || '' }
         };
 
-        appendFileSync(queuePath, JSON.stringify(event) + '\n');
+        if (!queueOnce(m.id && `discord:${m.id}`, event)) {
+          recordDuplicate('discord', m.id);
+          duplicates++;
+          continue;
+        }
         if (onEvent) onEvent(event);
         queued++;
       }
 
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (queued === 0 && duplicates > 0) {
+        res.end(JSON.stringify({ status: 'duplicate', count: 0, duplicates }));
+        return;
+      }
+
       console.log(`[${new Date().toISOString()}] discord webhook: ${queued} message(s) queued`);
       nudgeTmux(config.tmux?.ide_session || config.tmux?.default_session || 'claude');
-
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ status: 'queued', count: queued }));
+      res.end(JSON.stringify({ status: 'queued', count: queued, duplicates }));
       return;
     }
 
@@ -226,13 +518,14 @@ export function startWebhookServer(config, onEvent) {
           task: body.task,
           harnessId: body.harness_id,
           threadId: body.thread_id,
-          mode: body.mode
+          mode: body.mode,
+          traceId: body.trace_id
         });
 
         if (result.ok) {
           // Queue an event for the session creation
           const event = {
-            trace_id: randomUUID(),
+            trace_id: result.session.trace_id,
             event_id: result.session.id,
             source: 'acp',
             kind: 'acp.session.created',
@@ -240,7 +533,7 @@ export function startWebhookServer(config, onEvent) {
             actor: { login: body.agent_id || 'acp' },
             payload: { task: body.task || '', session_id: result.session.id, mode: body.mode || 'one-shot' }
           };
-          appendFileSync(queuePath, JSON.stringify(event) + '\n');
+          appendEvent(queuePath, event, config.queue);
           if (onEvent) onEvent(event);
           nudgeTmux(config.tmux?.ide_session || config.tmux?.default_session || 'claude');
           console.log(`[acp] Session created: ${result.session.id} for ${body.agent_id || 'unknown'}`);
@@ -266,7 +559,7 @@ export function startWebhookServer(config, onEvent) {
 
         if (result.ok) {
           const event = {
-            trace_id: randomUUID(),
+            trace_id: result.trace_id || randomUUID(),
             event_id: result.message.id,
             source: 'acp',
             kind: 'acp.session.message',
@@ -274,7 +567,7 @@ export function startWebhookServer(config, onEvent) {
             actor: { login: body.from || 'acp' },
             payload: { body: (body.body || '').slice(0, 500), session_id: body.session_id }
           };
-          appendFileSync(queuePath, JSON.stringify(event) + '\n');
+          appendEvent(queuePath, event, config.queue);
           if (onEvent) onEvent(event);
           nudgeTmux(config.tmux?.ide_session || config.tmux?.default_session || 'claude');
         }
@@ -336,6 +629,7 @@ export function startWebhookServer(config, onEvent) {
     // Verify signature
     const sig = req.headers['x-hub-signature-256'];
     if (!verifyGitHubSignature(rawBody, sig, secret)) {
+      recordRejected('github', req, sig ? 'bad_signature' : 'missing_signature');
       res.writeHead(401);
       res.end('Invalid signature');
       return;
@@ -357,7 +651,8 @@ export function startWebhookServer(config, onEvent) {
       return;
     }
 
-    const normalized = normalizeGitHubEvent(event, body);
+    const deliveryId = req.headers['x-github-delivery'];
+    const normalized = normalizeGitHubEvent(event, body, deliveryId);
     if (!normalized) {
       res.writeHead(200);
       res.end(JSON.stringify({ status: 'ignored', reason: 'action not mapped' }));
@@ -365,7 +660,12 @@ export function startWebhookServer(config, onEvent) {
     }
 
     // Append to queue
-    appendFileSync(queuePath, JSON.stringify(normalized) + '\n');
+    if (!queueOnce(deliveryId && `github:${deliveryId}`, normalized)) {
+      recordDuplicate('github', deliveryId);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'duplicate', event_id: deliveryId }));
+      return;
+    }
 
     // Callback
     if (onEvent) onEvent(normalized);
@@ -377,6 +677,10 @@ export function startWebhookServer(config, onEvent) {
 
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ status: 'queued', trace_id: normalized.trace_id }));
+  }
+
+  const server = createServer((req, res) => {
+    handleRequest(req, res).catch(err => failRequest(req, res, err));
   });
 
   server.listen(port, host, () => {
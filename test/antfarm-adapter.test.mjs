@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { fetchRoomSince, antfarmAdapter } from '../src/team-relay/adapters/antfarm.mjs';
+
+// Fake room: m1..mN, newest first like the API, honouring `before`.
+function fakeRoom(count, { honourBefore = true } = {}) {
+  const all = Array.from({ length: count }, (_, i) => ({
+    id: `m${i + 1}`,
+    created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, i + 1)).toISOString(),
+    body: `msg ${i + 1}`
+  })).reverse();
+  const calls = [];
+  const fetchPage = (room, limit, before) => {
+    calls.push(before);
+    const start = honourBefore && before ? all.findIndex(m => m.id === before) + 1 : 0;
+    return all.slice(start, start + limit);
+  };
+  return { all, calls, fetchPage };
+}
+
+describe('fetchRoomSince', () => {
+  it('returns one page when the high-water mark is on it', async () => {
+    const room = fakeRoom(20);
+    const { messages, gap } = await fetchRoomSince('r', { id: 'm15' }, { fetchPage: room.fetchPage, pageSize: 10 });
+    assert.equal(gap, null);
+    assert.deepEqual(room.calls, [null]);
+    assert.equal(messages[messages.length - 1].id, 'm20');
+    assert.ok(messages[0].created_at < messages[1].created_at);
+  });
+
+  it('pages backwards until it reaches the mark', async () => {
+    const room = fakeRoom(40);
+    const { messages, gap } = await fetchRoomSince('r', { id: 'm12' }, { fetchPage: room.fetchPage, pageSize: 10 });
+    assert.equal(gap, null);
+    assert.deepEqual(room.calls, [null, 'm31', 'm21']);
+    assert.ok(messages.some(m => m.id === 'm13'));
+    assert.ok(messages.some(m => m.id === 'm40'));
+  });
+
+  it('reports a gap when max_pages is not enough', async () => {
+    const room = fakeRoom(100);
+    const { gap } = await fetchRoomSince('r', { id: 'm5' }, { fetchPage: room.fetchPage, pageSize: 10, maxPages: 2 });
+    assert.deepEqual(gap.after, { id: 'm5' });
+    assert.equal(gap.before.id, 'm81');
+  });
+
+  it('reports a gap when the API ignores `before`', async () => {
+    const room = fakeRoom(30, { honourBefore: false });
+    const { gap } = await fetchRoomSince('r', { id: 'm2' }, { fetchPage: room.fetchPage, pageSize: 10 });
+    assert.equal(gap.before.id, 'm21');
+    assert.equal(room.calls.length, 2);
+  });
+});
+
+describe('antfarmAdapter gap events', () => {
+  it('normalizes a gap marker to antfarm.gap.detected', () => {
+    const msg = { _gap: true, _room: 'dev', id: 'gap:dev:m5:m81', after: { id: 'm5' }, before: { id: 'm81' } };
+    assert.equal(antfarmAdapter.shouldSkip(msg, { poller: { handle: '@me' } }), false);
+    const ev = antfarmAdapter.normalize(msg);
+    assert.equal(ev.kind, 'antfarm.gap.detected');
+    assert.equal(ev.event_id, 'gap:dev:m5:m81');
+    assert.match(antfarmAdapter.formatLine(ev), /missing between m5 and m81/);
+  });
+});
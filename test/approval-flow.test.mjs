@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, beforeEach, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, rmSync, readFileSync } from 'node:fs';
+import { setTransport, resetTransport } from '../src/common/http.mjs';
+import { requestApproval, resolveFromMessage, runApprovedExecs, parseApprovalReply } from '../src/team-relay/approval-flow.mjs';
+import { execApprovalResolve } from '../src/openclaw-exec.mjs';
+import { validateRules } from '../src/team-relay/automation-rules.mjs';
+import { executeAction } from '../src/team-relay/room-automation.mjs';
+
+describe('approval flow', () => {
+  const approvalFile = '/tmp/iak-test-approvals.json';
+  const receiptPath = '/tmp/iak-test-approval-receipts.jsonl';
+  const config = {
+    poller: { api_key: 'k' },
+    receipts: { path: receiptPath },
+    exec: { approvalFile, approval_room: 'approvals', resolvers: ['@petrus'] }
+  };
+  let posted;
+
+  function cleanup() {
+    rmSync(approvalFile, { force: true });
+    rmSync(receiptPath, { force: true });
+  }
+
+  beforeEach(() => {
+    cleanup();
+    posted = [];
+    setTransport(async (req) => {
+      posted.push(JSON.parse(req.body));
+      return { status: 200, headers: {}, body: '{}' };
+    });
+  });
+
+  after(() => {
+    resetTransport();
+    cleanup();
+  });
+
+  const request = () => requestApproval(config, {
+    command: '["gh","issue","comment"]',
+    argv: ['gh', 'issue', 'comment'],
+    source: 'automation',
+    agentId: 'automation',
+    reason: 'rule "log"'
+  });
+
+  it('files the request and announces it in the approval room', async () => {
+    const req = await request();
+    assert.equal(req.ok, true);
+    assert.equal(req.posted, true);
+    assert.equal(posted[0].room, 'approvals');
+    assert.match(posted[0].body, new RegExp(`approve ${req.requestId.slice(0, 8)}`));
+  });
+
+  it('only lets listed resolvers approve from the room', async () => {
+    const req = await request();
+    const short = req.requestId.slice(0, 8);
+    const stranger = await resolveFromMessage(config, { room: 'approvals', from: 'mallory', body: `approve ${short}` });
+    assert.equal(stranger.ok, false);
+    assert.match(stranger.error, /not an allowed resolver/);
+    const owner = await resolveFromMessage(config, { room: 'approvals', from: '@petrus', body: `approve ${short}` });
+    assert.equal(owner.ok, true);
+    assert.equal(await resolveFromMessage(config, { room: 'approvals', from: '@petrus', body: 'hello' }), null);
+  });
+
+  it('runs an approved request once and links every receipt by trace_id', async () => {
+    const req = await request();
+    await execApprovalResolve(config, { requestId: req.requestId, decision: 'allow', resolvedBy: 'petrus' });
+    const runs = await runApprovedExecs(config, 'automation', async (r) => r.traceId);
+    assert.deepEqual(runs, [req.traceId]);
+    assert.deepEqual(await runApprovedExecs(config, 'automation', async (r) => r.traceId), []);
+
+    const receipts = readFileSync(receiptPath, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(receipts.map(r => [r.action.kind, r.status]), [['exec.approval.request', 'pending'], ['exec.approval.resolve', 'ok']]);
+    assert.ok(receipts.every(r => r.trace_id === req.traceId));
+  });
+
+  it('never runs denied requests', async () => {
+    const req = await request();
+    await execApprovalResolve(config, { requestId: req.requestId, decision: 'deny', resolvedBy: 'petrus' });
+    assert.deepEqual(await runApprovedExecs(config, 'automation', async () => 'ran'), []);
+  });
+
+  it('answers an error receipt when the approval request cannot be filed', async () => {
+    const dir = '/tmp/iak-test-approvals-dir';
+    mkdirSync(dir, { recursive: true });
+    const broken = {
+      ...config,
+      automation: { exec: { allow: ['node -e'], cwd_root: '/tmp' } },
+      exec: { ...config.exec, approvalFile: dir }
+    };
+    const msg = { id: 'm1', room: 'dev', from: 'petrus', body: 'deploy' };
+    const receipt = await executeAction({ type: 'exec', argv: ['node', '-e', '1'] }, msg, 'k', broken, { name: 'gated', requiresApproval: true });
+    assert.equal(receipt.status, 'error');
+    assert.equal(receipt.action.kind, 'automation.exec');
+    assert.match(receipt.notes, /approval request failed/);
+    assert.equal(posted.length, 0);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('parses replies and validates requires_approval', () => {
+    assert.deepEqual(parseApprovalReply('approve 1a2b3c4d'), { decision: 'allow', idPrefix: '1a2b3c4d' });
+    assert.equal(parseApprovalReply('approve it'), null);
+    const { errors } = validateRules([{ name: 'p', requires_approval: true, action: { type: 'post', body: 'x' } }]);
+    assert.ok(errors.some(e => e.includes('only exec actions can require approval')));
+  });
+});
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, rmSync } from 'node:fs';
+import { isAllowed } from '../src/common/allowlist.mjs';
+import { execPolicy, prepareExec, runExec } from '../src/team-relay/automation-exec.mjs';
+import { validateRules } from '../src/team-relay/automation-rules.mjs';
+
+const sub = (s) => s.replace(/\$\{body\}/g, 'hi; touch /tmp/pwned');
+
+describe('allowlist', () => {
+  it('keeps the tmux string semantics', () => {
+    assert.equal(isAllowed('git status --short', ['git status']), true);
+    assert.equal(isAllowed('git statusx', ['git status']), false);
+    assert.equal(isAllowed('anything', [], { emptyAllowsAll: true }), true);
+    assert.equal(isAllowed('anything', []), false);
+  });
+
+  it('matches argv token by token', () => {
+    assert.equal(isAllowed(['gh', 'issue', 'comment', '12'], ['gh issue comment']), true);
+    assert.equal(isAllowed(['gh', 'issue comment'], ['gh issue comment']), false);
+    assert.equal(isAllowed(['rm', '-rf', '/'], ['gh issue comment']), false);
+  });
+});
+
+describe('automation exec', () => {
+  const root = '/tmp/iak-test-exec-root';
+  const policy = execPolicy({
+    automation: { exec: { allow: ['node -e'], cwd_root: root, timeout_ms: 2000, max_output_bytes: 1024 } }
+  });
+
+  before(() => mkdirSync(`${root}/sub`, { recursive: true }));
+  after(() => rmSync(root, { recursive: true, force: true }));
+
+  it('passes chat text as a single argv element, never through a shell', async () => {
+    const spec = prepareExec({ argv: ['node', '-e', 'console.log(JSON.stringify(process.argv.slice(1)))', '${body}'] }, sub, policy);
+    assert.equal(spec.ok, true);
+    const result = await runExec(spec);
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(JSON.parse(result.stdout), ['hi; touch /tmp/pwned']);
+  });
+
+  it('denies commands outside the allowlist and an empty allowlist', () => {
+    assert.equal(prepareExec({ argv: ['sh', '-c', 'id'] }, sub, policy).ok, false);
+    const none = prepareExec({ argv: ['node', '-e', '1'] }, sub, execPolicy({}));
+    assert.equal(none.ok, false);
+    assert.match(none.error, /allow is empty/);
+  });
+
+  it('jails cwd and scrubs the environment', () => {
+    process.env.IAK_TEST_SECRET = 'x';
+    try {
+      const spec = prepareExec({ argv: ['node', '-e', '1'], cwd: 'sub', env: { MSG: '${body}' } }, sub, policy);
+      assert.equal(spec.cwd, `${root}/sub`);
+      assert.equal(spec.env.MSG, 'hi; touch /tmp/pwned');
+      assert.equal(spec.env.IAK_TEST_SECRET, undefined);
+      assert.equal(prepareExec({ argv: ['node', '-e', '1'], cwd: '../..' }, sub, policy).ok, false);
+    } finally {
+      delete process.env.IAK_TEST_SECRET;
+    }
+  });
+
+  it('enforces timeout and output limits', async () => {
+    const slow = await runExec(prepareExec({ argv: ['node', '-e', 'setTimeout(() => {}, 5000)'], timeout_ms: 200 }, sub, policy));
+    assert.match(slow.error, /timed out after 200ms/);
+    const loud = await runExec(prepareExec({ argv: ['node', '-e', 'process.stdout.write("x".repeat(5000))'] }, sub, policy));
+    assert.match(loud.error, /output exceeded 1024 bytes/);
+  });
+
+  it('rejects templated programs and command strings at load time', () => {
+    const { errors } = validateRules([
+      { name: 'a', action: { type: 'exec', command: 'echo ${body}' } },
+      { name: 'b', action: { type: 'exec', argv: ['${body}'] } },
+      { name: 'c', action: { type: 'exec', argv: ['gh', 'issue', 'comment', '${body}'], env: { 'BAD-NAME': 'x' } } }
+    ]);
+    assert.ok(errors.some(e => e.includes('"a".action.command: templates are not allowed')));
+    assert.ok(errors.some(e => e.includes('"b".action.argv[0]')));
+    assert.ok(errors.some(e => e.includes('env.BAD-NAME')));
+    assert.equal(errors.length, 3);
+  });
+});
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { writeFileSync, rmSync } from 'node:fs';
+import { compileRules, validateRules, RuleLimiter } from '../src/team-relay/automation-rules.mjs';
+import { dryRunRules, loadReplayMessages } from '../src/team-relay/room-automation.mjs';
+
+const nudge = { type: 'nudge', text: 'x' };
+const now = Date.parse('2026-03-04T10:30:00Z'); // a Wednesday
+
+function rule(match, extra = {}) {
+  return compileRules([{ name: 'r', match, action: nudge, ...extra }])[0];
+}
+
+function msg(fields = {}) {
+  return { id: 'm1', body: 'please deploy now', from: '@alice', room: 'dev', created_at: new Date(now).toISOString(), ...fields };
+}
+
+describe('automation rules', () => {
+  it('keeps the implicit AND of the v1 conditions', () => {
+    const r = rule({ sender: 'alice', room: 'dev', keywords: ['deploy'], regex: 'now$' });
+    assert.equal(r.matches(msg(), { now }), true);
+    assert.equal(r.matches(msg({ room: 'ops' }), { now }), false);
+  });
+
+  it('supports any / all / not and exclude_senders', () => {
+    const r = rule({
+      any: [{ keywords: ['ship'] }, { all: [{ keywords: ['deploy'] }, { mention: 'bot' }] }],
+      not: { room: 'random' },
+      exclude_senders: ['@ci-bot']
+    });
+    assert.equal(r.matches(msg({ body: 'ship it' }), { now }), true);
+    assert.equal(r.matches(msg({ body: 'deploy @bot' }), { now }), true);
+    assert.equal(r.matches(msg({ body: 'deploy' }), { now }), false);
+    assert.equal(r.matches(msg({ body: 'ship it', room: 'random' }), { now }), false);
+    assert.equal(r.matches(msg({ body: 'ship it', from: 'ci-bot' }), { now }), false);
+  });
+
+  it('checks weekday and time windows in a timezone, wrapping midnight', () => {
+    const office = rule({ window: { days: ['mon', 'wed'], from: '09:00', to: '17:00', timezone: 'UTC' } });
+    assert.equal(office.matches(msg(), { now }), true);
+    assert.equal(office.matches(msg({ created_at: '2026-03-05T10:30:00Z' }), { now }), false);
+
+    const night = rule({ window: { from: '22:00', to: '06:00', timezone: 'Asia/Tokyo' } });
+    assert.equal(night.matches(msg({ created_at: '2026-03-04T14:00:00Z' }), { now }), true); // 23:00 JST
+    assert.equal(night.matches(msg(), { now }), false); // 19:30 JST
+  });
+
+  it('drops messages older than max_age_sec', () => {
+    const r = rule({ max_age_sec: 60 });
+    assert.equal(r.matches(msg(), { now: now + 30000 }), true);
+    assert.equal(r.matches(msg(), { now: now + 120000 }), false);
+  });
+
+  it('reports every invalid field at load time', () => {
+    const { ok, errors } = validateRules([
+      { name: 'bad', match: { regex: '(', keywords: 'deploy', window: { from: '25:00', to: '06:00' }, typo: 1 }, action: nudge },
+      { name: 'bad', match: {}, action: { type: 'shell' } }
+    ]);
+    assert.equal(ok, false);
+    assert.ok(errors.some(e => e.includes('match.regex: invalid regex "("')));
+    assert.ok(errors.some(e => e.includes('match.keywords')));
+    assert.ok(errors.some(e => e.includes('window.from')));
+    assert.ok(errors.some(e => e.includes('match.typo: unknown condition')));
+    assert.ok(errors.some(e => e.includes('duplicate rule name')));
+    assert.ok(errors.some(e => e.includes('action.type')));
+    assert.throws(() => compileRules([{ match: { regex: '[' }, action: nudge }]), /Invalid automation rules/);
+  });
+
+  it('enforces cooldown and hourly budget', () => {
+    const r = rule({}, { cooldown_sec: 60, max_per_hour: 2 });
+    const limiter = new RuleLimiter();
+    assert.equal(limiter.check(r, now).ok, true);
+    limiter.record(r, now);
+    assert.deepEqual(limiter.check(r, now + 30000), { ok: false, reason: 'cooldown' });
+    limiter.record(r, now + 120000);
+    assert.deepEqual(limiter.check(r, now + 240000), { ok: false, reason: 'budget' });
+    assert.equal(limiter.check(r, now + 3600000 + 1000).ok, true);
+  });
+});
+
+describe('automation dry run', () => {
+  const config = {
+    poller: { handle: '@mybot' },
+    automation: {
+      cooldown_sec: 60,
+      rules: [
+        { name: 'greet', match: { keywords: ['hello'] }, action: { type: 'post', room: '${room}', body: 'Hello ${sender}!' } },
+        { name: 'ack', match: { keywords: ['thanks'] }, action: { type: 'post', body: 'ok' } }
+      ]
+    }
+  };
+  const at = (sec) => new Date(now + sec * 1000).toISOString();
+
+  it('replays oldest first and reports fires, cooldowns and ack-only posts', () => {
+    const { results, summary } = dryRunRules([
+      { id: '3', from: 'bob', body: 'thanks', room: 'dev', created_at: at(90) },
+      { id: '1', from: 'alice', body: 'hello', room: 'dev', created_at: at(0) },
+      { id: '2', from: 'bob', body: 'hello', room: 'dev', created_at: at(30) },
+      { id: '4', from: '@mybot', body: 'hello', room: 'dev', created_at: at(120) }
+    ], config);
+    assert.deepEqual(results.map(r => r.id), ['1', '2', '3', '4']);
+    assert.deepEqual(results[0].decisions[0].action, { type: 'post', room: 'dev', body: 'Hello alice!' });
+    assert.equal(results[1].decisions[0].outcome, 'cooldown');
+    assert.equal(results[2].decisions[0].outcome, 'ack_only');
+    assert.equal(results[3].self, true);
+    assert.deepEqual(summary, { messages: 4, fire: 1, cooldown: 1, budget: 0, ack_only: 1, denied: 0, needs_approval: 0 });
+  });
+
+  it('loads raw messages and normalized queue events from JSONL', () => {
+    const path = '/tmp/iak-test-replay.jsonl';
+    writeFileSync(path, [
+      JSON.stringify({ id: 'a', from: 'alice', body: 'hello', created_at: at(0) }),
+      JSON.stringify({ event_id: 'b', kind: 'antfarm.message.created', room: 'ops', actor: { login: 'bob' }, payload: { body: 'hello' }, timestamp: at(1) })
+    ].join('\n') + '\n');
+    try {
+      const msgs = loadReplayMessages(path, 'dev');
+      assert.deepEqual(msgs.map(m => [m.id, m.room, m.from]), [['a', 'dev', 'alice'], ['b', 'ops', 'bob']]);
+    } finally {
+      rmSync(path, { force: true });
+    }
+  });
+});
@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { rmSync } from 'node:fs';
+import { CircuitBreaker } from '../src/team-relay/common/circuit-breaker.mjs';
+import { UnifiedPoller } from '../src/team-relay/unified-poller.mjs';
+
+function clock(start = Date.parse('2026-01-01T00:00:00Z')) {
+  let t = start;
+  return { now: () => t, advance: (sec) => { t += sec * 1000; } };
+}
+
+describe('CircuitBreaker', () => {
+  const opts = { failure_threshold: 3, cooldown_sec: 300, base_backoff_sec: 10, max_backoff_sec: 25, jitter: 0 };
+
+  it('backs off exponentially up to the cap', () => {
+    const c = clock();
+    const b = new CircuitBreaker(opts, { now: c.now });
+    b.failure('room:a', new Error('boom'));
+    assert.equal(b.allow('room:a'), false);
+    c.advance(10);
+    assert.equal(b.allow('room:a'), true);
+    b.failure('room:a', new Error('boom'));
+    c.advance(19);
+    assert.equal(b.allow('room:a'), false);
+    c.advance(1);
+    assert.equal(b.allow('room:a'), true);
+    assert.equal(b.backoffSec(5), 25);
+  });
+
+  it('opens after the threshold, half-opens after the cooldown, and closes on success', () => {
+    const c = clock();
+    const b = new CircuitBreaker(opts, { now: c.now });
+    assert.equal(b.failure('ch', 'x'), null);
+    assert.equal(b.failure('ch', 'x'), null);
+    assert.equal(b.failure('ch', 'x'), 'opened');
+    assert.equal(b.get('ch').state, 'open');
+
+    c.advance(299);
+    assert.equal(b.allow('ch'), false);
+    c.advance(1);
+    assert.equal(b.allow('ch'), true);
+    assert.equal(b.get('ch').state, 'half_open');
+
+    assert.equal(b.failure('ch', 'again'), 'opened');
+    c.advance(300);
+    b.allow('ch');
+    assert.equal(b.success('ch'), 'closed');
+    assert.equal(b.get('ch').failures, 0);
+  });
+
+  it('keeps targets independent', () => {
+    const b = new CircuitBreaker(opts, { now: clock().now });
+    b.failure('room:a', 'x');
+    assert.equal(b.allow('room:a'), false);
+    assert.equal(b.allow('room:b'), true);
+  });
+
+  it('applies jitter within bounds', () => {
+    const lo = new CircuitBreaker({ ...opts, jitter: 0.2 }, { random: () => 0 });
+    const hi = new CircuitBreaker({ ...opts, jitter: 0.2 }, { random: () => 1 });
+    assert.equal(lo.backoffSec(1), 8);
+    assert.equal(hi.backoffSec(1), 12);
+  });
+});
+
+describe('UnifiedPoller breaker', () => {
+  const tmp = '/tmp/iak-test-breaker';
+
+  it('skips failing targets and persists breaker state', async () => {
+    let calls = 0;
+    const adapter = {
+      name: 'stub',
+      async fetch(config, opts) {
+        calls++;
+        const out = [];
+        for (const room of ['good', 'bad']) {
+          const target = `room:${room}`;
+          if (!opts.breaker.allow(target)) continue;
+          if (room === 'bad') { opts.breaker.failure(target, new Error('503')); continue; }
+          opts.breaker.success(target);
+          out.push({ id: `${room}-${calls}` });
+        }
+        return out;
+      },
+      getKey: m => m.id,
+      shouldSkip: () => false,
+      normalize: m => ({ event_id: m.id }),
+      formatLine: e => e.event_id
+    };
+    const config = {
+      stub: {
+        seen_file: `${tmp}-seen.txt`,
+        notification_file: `${tmp}-notify.txt`,
+        breaker_file: `${tmp}.json`,
+        breaker: { failure_threshold: 1 },
+        notify: 'file'
+      },
+      queue: { path: `${tmp}-queue.jsonl` },
+      receipts: { path: `${tmp}-receipts.jsonl` }
+    };
+    rmSync(`${tmp}.json`, { force: true });
+    const poller = new UnifiedPoller(adapter, config);
+    await poller.poll();
+    await poller.poll();
+
+    const saved = CircuitBreaker.load(`${tmp}.json`);
+    assert.equal(saved['room:bad'].state, 'open');
+    assert.equal(saved['room:bad'].failures, 1);
+    assert.equal(saved['room:bad'].last_error, '503');
+  });
+
+  it('backs off the whole adapter when fetch throws', async () => {
+    let calls = 0;
+    const adapter = {
+      name: 'throws',
+      async fetch() { calls++; throw new Error('down'); },
+      getKey: m => m.id, shouldSkip: () => false, normalize: m => m, formatLine: () => ''
+    };
+    const config = {
+      throws: { seen_file: `${tmp}-seen2.txt`, breaker_file: `${tmp}-2.json`, notify: 'file' },
+      receipts: { path: `${tmp}-receipts.jsonl` }
+    };
+    rmSync(`${tmp}-2.json`, { force: true });
+    const poller = new UnifiedPoller(adapter, config);
+    await poller.poll();
+    await poller.poll();
+    assert.equal(calls, 1);
+  });
+
+  after(() => {
+    for (const suffix of ['.json', '-2.json', '-seen.txt', '-seen2.txt', '-notify.txt', '-queue.jsonl', '-receipts.jsonl']) {
+      rmSync(`${tmp}${suffix}`, { force: true });
+    }
+  });
+});
@@ -2,6 +2,7 @@
 
 import { describe, it } from 'node:test';
 import { strict as assert } from 'node:assert';
+import { writeFileSync, rmSync } from 'node:fs';
 import { loadConfig } from '../src/config.mjs';
 
 describe('config', () => {
@@ -30,4 +31,38 @@ describe('config', () => {
     assert.ok(Array.isArray(cfg.comments.github.repos));
     assert.equal(cfg.comments.interval_sec, 120);
   });
+
+  it('merges tasks.governance over the defaults', () => {
+    const path = '/tmp/iak-test-config-governance.json';
+    writeFileSync(path, JSON.stringify({ tasks: { file: './t.json', governance: { vote_threshold: 2, types: { bug: { vote_threshold: 1 } } } } }));
+    try {
+      const cfg = loadConfig(path);
+      assert.equal(cfg.tasks.file, './t.json');
+      assert.equal(cfg.tasks.governance.vote_threshold, 2);
+      assert.equal(cfg.tasks.governance.review_threshold, 2);
+      assert.deepEqual(cfg.tasks.governance.types, { bug: { vote_threshold: 1 } });
+      assert.equal(cfg.tasks.mission_control.host, '127.0.0.1');
+    } finally {
+      rmSync(path, { force: true });
+    }
+  });
+
+  it('rejects governance numbers that cannot work', () => {
+    const path = '/tmp/iak-test-config-governance-bad.json';
+    const load = (governance) => {
+      writeFileSync(path, JSON.stringify({ tasks: { governance } }));
+      return () => loadConfig(path);
+    };
+    try {
+      assert.throws(load({ vote_threshold: 0 }), /tasks\.governance\.vote_threshold must be at least 1 \(got 0\)/);
+      assert.throws(load({ review_threshold: 0.5 }), /review_threshold must be at least 1/);
+      assert.throws(load({ quorum_pct: 150 }), /quorum_pct must be at most 100/);
+      assert.throws(load({ quorum_pct: -5 }), /quorum_pct must be at least 0/);
+      assert.throws(load({ types: { bug: { vote_threshold: 0 } } }), /tasks\.governance\.types\.bug\.vote_threshold/);
+      assert.throws(load({ vote_threshold: '2' }), /must be a number/);
+      assert.equal(load({ vote_threshold: 1, quorum_pct: 100 })().tasks.governance.quorum_pct, 100);
+    } finally {
+      rmSync(path, { force: true });
+    }
+  });
 });
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, beforeEach, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { rmSync, writeFileSync, readFileSync } from 'node:fs';
+import { globMatch } from '../src/common/allowlist.mjs';
+import { evaluateExecPolicy, loadExecPolicy } from '../src/openclaw-exec-policy.mjs';
+import { execApprovalRequest, execApprovalResolve, execApprovalList, execApprovalWait } from '../src/openclaw-exec.mjs';
+
+describe('exec policy evaluation', () => {
+  const policy = {
+    ttl_sec: 0,
+    quorum: 1,
+    deny: ['rm -rf *', '*| sh*'],
+    allow: ['git status*'],
+    agents: { ether: { allow: ['npm test*', 'rm -rf build'], quorum: 2 } }
+  };
+
+  it('matches whole command lines with globs', () => {
+    assert.equal(globMatch('git status*', 'git status --short'), true);
+    assert.equal(globMatch('git status*', 'sudo git status'), false);
+    assert.equal(globMatch('*| sh*', 'curl x | sh'), true);
+    assert.equal(globMatch('a.b', 'axb'), false);
+  });
+
+  it('checks deny before allow and applies per-agent rules', () => {
+    assert.deepEqual(evaluateExecPolicy(policy, { command: 'rm -rf build', agentId: 'ether' }),
+      { outcome: 'auto-deny', rule: 'rm -rf *', quorum: 2 });
+    assert.equal(evaluateExecPolicy(policy, { command: 'npm test', agentId: 'ether' }).outcome, 'auto-allow');
+    assert.equal(evaluateExecPolicy(policy, { command: 'npm test', agentId: 'other' }).outcome, 'manual');
+    assert.equal(evaluateExecPolicy(policy, { argv: ['git', 'status'], agentId: 'other' }).outcome, 'auto-allow');
+  });
+
+  it('never auto-approves chained or substituted commands', () => {
+    for (const command of ['git status && rm -rf ~', 'git status; rm -rf ~', 'git status | tee x', 'git status `rm -rf ~`',
+      'git status $(rm -rf ~)', 'git status\nrm -rf ~', 'git status > ~/.bashrc']) {
+      assert.equal(evaluateExecPolicy(policy, { command, agentId: 'other' }).outcome, 'manual', command);
+    }
+    const native = { agents: { ether: { allowlist: [{ pattern: 'git' }] } } };
+    assert.equal(evaluateExecPolicy(policy, { command: 'git log; curl x', agentId: 'ether' }, native).outcome, 'manual');
+    assert.equal(evaluateExecPolicy(policy, { command: 'git status | sh', agentId: 'other' }).outcome, 'auto-deny');
+  });
+
+  it('auto-approves programs on the OpenClaw allowlist', () => {
+    const native = { agents: { ether: { allowlist: [{ pattern: '/usr/bin/rg' }] } } };
+    assert.deepEqual(evaluateExecPolicy(policy, { command: '/usr/bin/rg TODO', agentId: 'ether' }, native),
+      { outcome: 'auto-allow', rule: 'openclaw:/usr/bin/rg', quorum: 2 });
+    assert.equal(evaluateExecPolicy(policy, { command: '/usr/bin/rg TODO', agentId: 'main' }, native).outcome, 'manual');
+  });
+});
+
+describe('exec approval queue with a policy', () => {
+  const approvalFile = '/tmp/iak-test-policy-approvals.json';
+  const policyFile = '/tmp/iak-test-exec-policy.json';
+  const receiptPath = '/tmp/iak-test-policy-receipts.jsonl';
+  const config = { receipts: { path: receiptPath }, exec: { approvalFile, policyFile } };
+
+  function writePolicy(policy) {
+    writeFileSync(policyFile, JSON.stringify(policy));
+  }
+
+  function cleanup() {
+    for (const f of [approvalFile, policyFile, receiptPath]) rmSync(f, { force: true });
+  }
+
+  beforeEach(cleanup);
+  after(cleanup);
+
+  it('defaults to manual approval with a quorum of one', () => {
+    assert.deepEqual(loadExecPolicy(config), { ttl_sec: 0, quorum: 1, deny: [], allow: [], agents: {} });
+  });
+
+  it('resolves matching requests without a human', async () => {
+    writePolicy({ allow: ['git status*'], deny: ['rm *'] });
+    const ok = await execApprovalRequest(config, { command: 'git status', agentId: 'ether' });
+    assert.equal(ok.data.status, 'resolved');
+    assert.equal(ok.data.decision, 'allow-once');
+    const bad = await execApprovalRequest(config, { command: 'rm -rf /', agentId: 'ether' });
+    assert.equal(bad.data.decision, 'deny');
+    const manual = await execApprovalRequest(config, { command: 'make', agentId: 'ether' });
+    assert.equal(manual.data.status, 'pending');
+
+    const autoDenied = (await execApprovalList(config, { outcome: 'auto-deny' })).data;
+    assert.deepEqual(autoDenied.map(a => a.command), ['rm -rf /']);
+  });
+
+  it('needs a quorum of distinct approvers', async () => {
+    writePolicy({ quorum: 2 });
+    const { data } = await execApprovalRequest(config, { command: 'make deploy', agentId: 'ether' });
+    const first = await execApprovalResolve(config, { requestId: data.requestId, decision: 'allow', resolvedBy: 'petrus' });
+    assert.equal(first.data.status, 'pending');
+    const again = await execApprovalResolve(config, { requestId: data.requestId, decision: 'allow', resolvedBy: '@petrus' });
+    assert.match(again.error, /already approved/);
+    const second = await execApprovalResolve(config, { requestId: data.requestId, decision: 'allow', resolvedBy: 'ether' });
+    assert.equal(second.data.status, 'resolved');
+
+    const statuses = readFileSync(receiptPath, 'utf8').trim().split('\n').map(l => JSON.parse(l).status);
+    assert.deepEqual(statuses, ['pending', 'pending', 'ok']);
+  });
+
+  it('expires pending requests after ttl_sec and filters by age', async () => {
+    writePolicy({ ttl_sec: 60 });
+    const { data } = await execApprovalRequest(config, { command: 'make', agentId: 'ether' });
+    const queue = JSON.parse(readFileSync(approvalFile, 'utf8'));
+    queue.approvals[0].createdAt = new Date(Date.now() - 120000).toISOString();
+    writeFileSync(approvalFile, JSON.stringify(queue));
+    await execApprovalRequest(config, { command: 'make again', agentId: 'ether' });
+
+    assert.deepEqual((await execApprovalList(config, { olderThanSec: 100 })).data.map(a => a.status), ['expired']);
+    assert.equal((await execApprovalList(config, { newerThanSec: 100 })).data.length, 1);
+    assert.match((await execApprovalResolve(config, { requestId: data.requestId, decision: 'allow' })).error, /expired/);
+    assert.match((await execApprovalWait(config, { requestId: data.requestId })).error, /expired/);
+  });
+
+  it('lists and waits without taking the queue lock', async () => {
+    writePolicy({ allow: ['git status*'] });
+    const { data } = await execApprovalRequest(config, { command: 'git status', agentId: 'ether' });
+    writeFileSync(`${approvalFile}.lock`, String(process.pid));
+    try {
+      assert.equal((await execApprovalList(config)).data.length, 1);
+      assert.equal((await execApprovalWait(config, { requestId: data.requestId })).data.decision, 'allow-once');
+    } finally {
+      rmSync(`${approvalFile}.lock`, { force: true });
+    }
+  });
+});
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { normalizeGitHubEvent } from '../src/team-relay/webhook-server.mjs';
+
+const schema = JSON.parse(readFileSync(new URL('../schemas/event.normalized.json', import.meta.url), 'utf8'));
+const schemaKinds = schema.properties.kind.enum;
+const schemaRefs = Object.keys(schema.properties.refs.properties);
+
+const repository = { name: 'repo', full_name: 'test/repo', html_url: 'https://github.com/test/repo', owner: { login: 'test' } };
+const sender = { login: 'octo', html_url: 'https://github.com/octo' };
+const pull_request = {
+  html_url: 'https://github.com/test/repo/pull/7',
+  title: 'Add thing',
+  number: 7,
+  head: { sha: 'abc123', ref: 'feature' },
+  base: { ref: 'main' }
+};
+
+function normalize(event, body) {
+  return normalizeGitHubEvent(event, { repository, sender, ...body });
+}
+
+describe('normalizeGitHubEvent', () => {
+  it('maps a merged close to github.pull_request.merged', () => {
+    const merged = normalize('pull_request', { action: 'closed', pull_request: { ...pull_request, merged: true } });
+    assert.equal(merged.kind, 'github.pull_request.merged');
+    assert.equal(merged.refs.base_branch, 'main');
+    const closed = normalize('pull_request', { action: 'closed', pull_request: { ...pull_request, merged: false } });
+    assert.equal(closed.kind, 'github.pull_request.closed');
+  });
+
+  it('carries the review state for pull_request_review', () => {
+    const ev = normalize('pull_request_review', {
+      action: 'submitted',
+      pull_request,
+      review: { state: 'changes_requested', body: 'please fix', html_url: 'https://github.com/test/repo/pull/7#r1' }
+    });
+    assert.equal(ev.kind, 'github.pull_request_review.submitted');
+    assert.equal(ev.payload.review_state, 'changes_requested');
+    assert.equal(ev.refs.review_url, 'https://github.com/test/repo/pull/7#r1');
+  });
+
+  it('maps push without an action and splits the branch from the ref', () => {
+    const ev = normalize('push', {
+      ref: 'refs/heads/main',
+      after: 'def456',
+      compare: 'https://github.com/test/repo/compare/a...b',
+      commits: [{}, {}],
+      head_commit: { message: 'fix: thing' }
+    });
+    assert.equal(ev.kind, 'github.push');
+    assert.equal(ev.refs.branch, 'main');
+    assert.equal(ev.refs.head_sha, 'def456');
+    assert.equal(ev.refs.tag, undefined);
+    assert.equal(ev.payload.commit_count, 2);
+  });
+
+  it('maps release and discussion events', () => {
+    const rel = normalize('release', { action: 'published', release: { tag_name: 'v1.2.0', html_url: 'u', prerelease: false } });
+    assert.equal(rel.kind, 'github.release.published');
+    assert.equal(rel.refs.tag, 'v1.2.0');
+
+    const disc = normalize('discussion_comment', {
+      action: 'created',
+      discussion: { number: 3, title: 'Q', html_url: 'd' },
+      comment: { body: 'answer', html_url: 'c' }
+    });
+    assert.equal(disc.kind, 'github.discussion_comment.created');
+    assert.deepEqual(disc.refs, { discussion_url: 'd', comment_url: 'c' });
+  });
+
+  it('ignores unmapped events and actions', () => {
+    assert.equal(normalize('pull_request', { action: 'labeled', pull_request }), null);
+    assert.equal(normalize('star', { action: 'created' }), null);
+  });
+
+  it('only emits kinds and refs declared in the schema', () => {
+    const samples = [
+      ['pull_request', { action: 'review_requested', pull_request, requested_reviewer: { login: 'r' } }],
+      ['pull_request_review_comment', { action: 'created', pull_request, comment: { body: 'nit', path: 'a.js', line: 3 } }],
+      ['issues', { action: 'opened', issue: { number: 1, title: 't', html_url: 'i' } }],
+      ['issue_comment', { action: 'created', issue: { number: 1, html_url: 'i' }, comment: { body: 'x', html_url: 'c' } }],
+      ['push', { ref: 'refs/tags/v1', after: 'abc' }],
+      ['discussion', { action: 'answered', discussion: { number: 2, html_url: 'd', category: { name: 'Q&A' } } }],
+      ['check_suite', { action: 'completed', check_suite: { head_sha: 'a', conclusion: 'success' } }],
+      ['workflow_run', { action: 'completed', workflow_run: { html_url: 'w', name: 'CI' } }]
+    ];
+    for (const [event, body] of samples) {
+      const ev = normalize(event, body);
+      assert.ok(schemaKinds.includes(ev.kind), `${ev.kind} missing from schema`);
+      for (const key of Object.keys(ev.refs)) {
+        assert.ok(schemaRefs.includes(key), `refs.${key} missing from schema`);
+      }
+    }
+  });
+});
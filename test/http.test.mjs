@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createServer } from 'node:http';
+import { httpRequest, getJson, postJson, HttpError, setTransport, resetTransport, resolveProxy, httpOptions } from '../src/common/http.mjs';
+
+describe('http client', () => {
+  let server;
+  let base;
+  let hits;
+  let handler;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => {
+        hits.push({ method: req.method, url: req.url, headers: req.headers, body });
+        handler(req, res, body);
+      });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  function reset(fn) {
+    hits = [];
+    handler = fn;
+  }
+
+  it('gets JSON with request headers', async () => {
+    reset((req, res) => res.end(JSON.stringify({ ok: true })));
+    const data = await getJson(`${base}/x`, { headers: { 'X-API-Key': 'k' }, proxy: '' });
+    assert.deepEqual(data, { ok: true });
+    assert.equal(hits[0].headers['x-api-key'], 'k');
+  });
+
+  it('retries a GET on 503 and honours Retry-After', async () => {
+    reset((req, res) => {
+      if (hits.length < 3) {
+        res.writeHead(503, { 'Retry-After': '0' });
+        return res.end();
+      }
+      res.end('[]');
+    });
+    const data = await getJson(`${base}/flaky`, { proxy: '', backoffMs: 1 });
+    assert.deepEqual(data, []);
+    assert.equal(hits.length, 3);
+  });
+
+  it('does not retry a POST', async () => {
+    reset((req, res) => { res.writeHead(503); res.end(); });
+    await assert.rejects(postJson(`${base}/post`, { a: 1 }, { proxy: '', backoffMs: 1 }), (e) => {
+      assert.ok(e instanceof HttpError);
+      assert.equal(e.status, 503);
+      return true;
+    });
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].body, '{"a":1}');
+    assert.equal(hits[0].headers['content-type'], 'application/json');
+  });
+
+  it('times out a hung request', async () => {
+    reset(() => { /* never answer */ });
+    await assert.rejects(httpRequest(`${base}/hang`, { proxy: '', timeoutMs: 50, retries: 0 }), /timeout after 50ms/);
+  });
+
+  it('redacts api keys from error messages', async () => {
+    await assert.rejects(
+      httpRequest('http://127.0.0.1:1/x?api_key=secret', { proxy: '', retries: 0 }),
+      (e) => !e.message.includes('secret')
+    );
+  });
+
+  it('sends plain-http requests through a proxy in absolute form', async () => {
+    reset((req, res) => res.end('proxied'));
+    const res = await httpRequest('http://example.invalid/path?q=1', { proxy: base, retries: 0 });
+    assert.equal(res.body, 'proxied');
+    assert.equal(hits[0].url, 'http://example.invalid/path?q=1');
+  });
+});
+
+describe('http transport and config', () => {
+  afterEach(() => resetTransport());
+
+  it('routes requests through a replaced transport', async () => {
+    const seen = [];
+    setTransport(async (req) => {
+      seen.push(req);
+      return { status: 200, headers: {}, body: '{"n":1}' };
+    });
+    assert.deepEqual(await getJson('https://api.example/x', { proxy: '' }), { n: 1 });
+    assert.equal(seen[0].method, 'GET');
+    assert.equal(seen[0].timeoutMs, 15000);
+  });
+
+  it('honours NO_PROXY', () => {
+    const saved = { ...process.env };
+    process.env.HTTPS_PROXY = 'http://proxy:3128';
+    process.env.NO_PROXY = 'internal.example,.corp';
+    try {
+      assert.equal(resolveProxy('https://api.example/x'), 'http://proxy:3128');
+      assert.equal(resolveProxy('https://internal.example/x'), null);
+      assert.equal(resolveProxy('https://git.corp/x'), null);
+      assert.equal(resolveProxy('https://api.example/x', ''), null);
+    } finally {
+      process.env = saved;
+    }
+  });
+
+  it('maps the http config section onto request options', () => {
+    assert.deepEqual(httpOptions({ http: { timeout_ms: 5000, retries: 0, proxy: '' } }), { timeoutMs: 5000, retries: 0 });
+    assert.deepEqual(httpOptions({}), {});
+  });
+});
@@ -0,0 +1,240 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { get } from 'node:http';
+import { execFile } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { startMissionControl } from '../src/team-relay/mission-control.mjs';
+import { missionControlSettings } from '../src/team-relay/mission-control-auth.mjs';
+
+const queueUrl = new URL('../src/team-relay/task-queue.mjs', import.meta.url).href;
+
+function runNode(script) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--input-type=module', '-e', script], { timeout: 30000 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+  });
+}
+
+/**
+ * Open /api/events and hand back a function that resolves with the next
+ * board event whose data satisfies a predicate.
+ */
+function openEvents(port) {
+  return new Promise((resolve, reject) => {
+    const req = get({ host: '127.0.0.1', port, path: '/api/events' }, (res) => {
+      res.setEncoding('utf8');
+      let buf = '';
+      const boards = [];
+      const waiters = [];
+      const flush = () => {
+        for (const w of [...waiters]) {
+          const i = boards.findIndex(w.test);
+          if (i >= 0) {
+            waiters.splice(waiters.indexOf(w), 1);
+            w.resolve(boards.splice(0, i + 1).pop());
+          }
+        }
+      };
+      res.on('data', (chunk) => {
+        buf += chunk;
+        let end;
+        while ((end = buf.indexOf('\n\n')) >= 0) {
+          const block = buf.slice(0, end);
+          buf = buf.slice(end + 2);
+          const data = block.split('\n').find(l => l.startsWith('data: '));
+          if (block.startsWith('event: board') && data) boards.push(JSON.parse(data.slice(6)));
+        }
+        flush();
+      });
+      resolve({
+        headers: res.headers,
+        next: (test = () => true) => new Promise(r => { waiters.push({ test, resolve: r }); flush(); }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+async function post(port, path, body, token) {
+  const res = await fetch(`http://127.0.0.1:${port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+describe('mission control', () => {
+  const dir = '/tmp/iak-test-mission-control';
+  const tasksFile = `${dir}/tasks.json`;
+  let server;
+  let port;
+
+  before(async () => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    server = startMissionControl({ tasks: { file: tasksFile } }, 0);
+    await once(server, 'listening');
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates tasks and runs card actions through the API', async () => {
+    assert.equal((await post(port, '/api/tasks', { agent: 'ether' })).status, 400);
+    const created = await post(port, '/api/tasks', { agent: 'ether', title: 'hotfix login', type: 'bug', hotfix: true });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, 'active');
+    const cancelled = await post(port, `/api/tasks/${created.body.id}/cancel`, {});
+    assert.equal(cancelled.body.status, 'cancelled');
+  });
+
+  it('answers task store errors instead of crashing', async () => {
+    const created = await post(port, '/api/tasks', { agent: 'ether', title: 'busy store' });
+    writeFileSync(`${tasksFile}.lock`, String(process.pid));  // held by a live process
+    try {
+      const started = await post(port, `/api/tasks/${created.body.id}/start`, {});
+      assert.equal(started.status, 503);
+      assert.match(started.body.error, /Timed out/);
+    } finally {
+      rmSync(`${tasksFile}.lock`, { force: true });
+    }
+
+    rmSync(tasksFile);
+    mkdirSync(tasksFile);  // reading the store now throws EISDIR
+    try {
+      assert.equal((await fetch(`http://127.0.0.1:${port}/api/tasks`)).status, 500);
+      await new Promise(r => setTimeout(r, 600));  // let the change watcher poll
+    } finally {
+      rmSync(tasksFile, { recursive: true, force: true });
+    }
+    assert.equal((await fetch(`http://127.0.0.1:${port}/api/status`)).status, 200);
+  });
+
+  it('closes while event streams are open', async () => {
+    const other = startMissionControl({ tasks: { file: tasksFile } }, 0);
+    await once(other, 'listening');
+    const events = await openEvents(other.address().port);
+    await events.next();
+    const closed = new Promise(r => other.close(r));
+    const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('server.close() did not finish')), 2000).unref());
+    await Promise.race([closed, timeout]);
+    events.close();
+  });
+
+  it('pushes board updates for changes made by another process', async () => {
+    const events = await openEvents(port);
+    try {
+      assert.equal(events.headers['content-type'], 'text/event-stream');
+      const first = await events.next();
+      assert.ok(Array.isArray(first.tasks));
+
+      const id = (await runNode(`
+        import { initTaskQueue, addTask, vote } from ${JSON.stringify(queueUrl)};
+        initTaskQueue(${JSON.stringify(tasksFile)});
+        const t = addTask('ether', 'from the cli');
+        vote(t.id, 'petrus', 'approve');
+        console.log(t.id);`)).trim();
+
+      const board = await events.next(b => b.tasks.some(t => t.id === id && t.votes.petrus === 'approve'));
+      assert.equal(board.status.tabs.proposed.length, 1);
+    } finally {
+      events.close();
+    }
+  });
+});
+
+describe('mission control auth', () => {
+  const dir = '/tmp/iak-test-mission-control-auth';
+  const tokens = [
+    { handle: 'ether', roles: ['agent'], token: 'ether-token' },
+    { handle: '@sally', roles: ['reviewer'], token: 'sally-token' },
+    { handle: 'petrus', roles: ['human-owner'], token_env: 'IAK_TEST_MC_OWNER' }
+  ];
+  const mc = (extra) => ({ tasks: { file: `${dir}/tasks.json`, mission_control: { tokens, ...extra } } });
+  let server;
+  let port;
+
+  before(async () => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    process.env.IAK_TEST_MC_OWNER = 'owner-token';
+    server = startMissionControl(mc(), 0);
+    await once(server, 'listening');
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+    delete process.env.IAK_TEST_MC_OWNER;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses a LAN bind without allow_lan and tokens', () => {
+    assert.equal(missionControlSettings(mc()).problem, null);
+    assert.match(missionControlSettings({ tasks: { mission_control: { host: '0.0.0.0' } } }).problem, /allow_lan: true/);
+    assert.match(missionControlSettings({ tasks: { mission_control: { host: '0.0.0.0', allow_lan: true } } }).problem, /at least one entry/);
+    assert.equal(missionControlSettings(mc({ host: '0.0.0.0', allow_lan: true })).problem, null);
+    assert.match(missionControlSettings({ tasks: { mission_control: { tokens: [{ handle: 'x', roles: ['admin'], token: 't' }] } } }).problem, /needs roles/);
+    assert.throws(() => startMissionControl({ tasks: { mission_control: { host: '10.0.0.5' } } }, 0), /Refusing to start Mission Control/);
+  });
+
+  it('rejects missing and unknown tokens', async () => {
+    assert.equal((await fetch(`http://127.0.0.1:${port}/api/tasks`)).status, 401);
+    assert.equal((await post(port, '/api/tasks', { title: 'x' }, 'nope')).status, 401);
+    const me = await (await fetch(`http://127.0.0.1:${port}/api/whoami`, { headers: { Authorization: 'Bearer sally-token' } })).json();
+    assert.deepEqual(me, { auth: true, handle: 'sally', roles: ['reviewer'] });
+  });
+
+  it('attributes votes and reviews to the token and enforces roles', async () => {
+    const created = await post(port, '/api/tasks', { agent: 'mallory', title: 'auth it', type: 'bug' }, 'ether-token');
+    assert.equal(created.status, 201);
+    assert.equal(created.body.agent, 'ether');
+    const id = created.body.id;
+
+    const voted = await post(port, `/api/tasks/${id}/vote`, { agent: 'mallory', decision: 'approve' }, 'owner-token');
+    assert.deepEqual(voted.body.votes, { petrus: 'approve' });
+    assert.equal((await post(port, `/api/tasks/${id}/vote`, { decision: 'approve' }, 'sally-token')).status, 403);
+    assert.equal((await post(port, `/api/tasks/${id}/queue`, {}, 'ether-token')).status, 403);
+    assert.equal((await post(port, `/api/tasks/${id}/queue`, {}, 'owner-token')).status, 200);
+    await post(port, `/api/tasks/${id}/start`, {}, 'ether-token');
+    await post(port, `/api/tasks/${id}/draft`, {}, 'ether-token');
+    const reviewed = await post(port, `/api/tasks/${id}/review`, { reviewer: 'ether', decision: 'approve' }, 'sally-token');
+    assert.deepEqual(reviewed.body.reviews, { sally: 'approve' });
+
+    const commented = await post(port, `/api/tasks/${id}/comment`, { by: 'mallory', body: 'lgtm' }, 'sally-token');
+    assert.deepEqual(commented.body.history.map(e => [e.type, e.actor]), [
+      ['create', 'ether'], ['vote', 'petrus'], ['status', 'petrus'], ['status', 'ether'], ['status', 'ether'],
+      ['review', 'sally'], ['comment', 'sally']
+    ]);
+  });
+
+  it('lets agents work only on tasks assigned to them', async () => {
+    const created = await post(port, '/api/tasks', { agent: 'petrus', title: 'not yours', type: 'bug', hotfix: true }, 'owner-token');
+    assert.equal(created.body.agent, 'petrus');
+    const id = created.body.id;
+    for (const action of ['draft', 'done', 'fail']) {
+      const res = await post(port, `/api/tasks/${id}/${action}`, {}, 'ether-token');
+      assert.equal(res.status, 403);
+      assert.match(res.body.error, /assigned to petrus/);
+    }
+    assert.equal((await post(port, `/api/tasks/${id}/comment`, { body: 'I can still comment' }, 'ether-token')).status, 200);
+    assert.equal((await post(port, `/api/tasks/${id}/draft`, {}, 'owner-token')).status, 200);
+  });
+
+  it('accepts the token as a query parameter on the event stream only', async () => {
+    const res = await fetch(`http://127.0.0.1:${port}/api/events?token=sally-token`);
+    assert.equal(res.status, 200);
+    await res.body.cancel();
+    assert.equal((await fetch(`http://127.0.0.1:${port}/api/tasks?token=sally-token`)).status, 401);
+    assert.equal((await fetch(`http://127.0.0.1:${port}/api/whoami?token=sally-token`)).status, 401);
+  });
+});
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createServer } from 'node:http';
+import { createServer as createNetServer } from 'node:net';
+import { rmSync, readFileSync, existsSync } from 'node:fs';
+import { createNotifier, resolveNotifierSpec } from '../src/team-relay/common/notifier.mjs';
+import { UnifiedPoller } from '../src/team-relay/unified-poller.mjs';
+
+const tmp = '/tmp/iak-test-notifier';
+
+describe('notifier', () => {
+  it('resolves per-adapter specs before the legacy poller nudge settings', () => {
+    const config = {
+      poller: { nudge_mode: 'command', nudge_command: 'nudge.sh' },
+      discord: { notify: { type: 'webhook', url: 'http://x' } }
+    };
+    assert.deepEqual(resolveNotifierSpec(config, 'discord'), { type: 'webhook', url: 'http://x' });
+    assert.deepEqual(resolveNotifierSpec(config, 'antfarm'), { type: 'command', command: 'nudge.sh' });
+    assert.deepEqual(resolveNotifierSpec({ poller: { nudge_mode: 'none' } }, 'xfor'), { type: 'file' });
+    assert.deepEqual(resolveNotifierSpec({}, 'xfor'), { type: 'tmux' });
+  });
+
+  it('rejects unknown notifier types', () => {
+    assert.throws(() => createNotifier({ type: 'pigeon' }), /Unknown notifier type/);
+  });
+
+  it('command notifier runs the configured command', async () => {
+    const marker = `${tmp}-cmd`;
+    rmSync(marker, { force: true });
+    const n = createNotifier({ type: 'command', command: `printf %s "$IAK_NUDGE_TEXT" > ${marker}` }, { text: 'wake' });
+    assert.equal(await n.notify({ adapter: 'x', events: [] }), true);
+    assert.equal(readFileSync(marker, 'utf8'), 'wake');
+    rmSync(marker, { force: true });
+  });
+
+  it('webhook notifier posts a batch summary', async () => {
+    let received;
+    const server = createServer(async (req, res) => {
+      const chunks = [];
+      for await (const c of req) chunks.push(c);
+      received = JSON.parse(Buffer.concat(chunks).toString());
+      res.end('ok');
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    try {
+      const n = createNotifier({ type: 'webhook', url: `http://127.0.0.1:${server.address().port}/nudge` });
+      const ok = await n.notify({ adapter: 'discord', events: [{ event_id: 'e1' }], lines: ['hi'] });
+      assert.equal(ok, true);
+      assert.deepEqual(received, { adapter: 'discord', count: 1, event_ids: ['e1'], lines: ['hi'] });
+    } finally {
+      server.close();
+    }
+  });
+
+  it('socket notifier writes one JSON line', async () => {
+    const sockPath = `${tmp}.sock`;
+    rmSync(sockPath, { force: true });
+    let line = '';
+    const server = createNetServer(sock => sock.on('data', d => { line += d; }));
+    await new Promise(r => server.listen(sockPath, r));
+    try {
+      const n = createNotifier({ type: 'socket', path: sockPath });
+      assert.equal(await n.notify({ adapter: 'xfor', events: [{ event_id: 'e2' }] }), true);
+      await new Promise(r => setTimeout(r, 20));
+      assert.equal(JSON.parse(line).event_ids[0], 'e2');
+      assert.equal(await createNotifier({ type: 'socket', path: `${tmp}-missing.sock` }).notify({ events: [] }), false);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('UnifiedPoller uses the configured notifier', async () => {
+    const marker = `${tmp}-poller`;
+    rmSync(marker, { force: true });
+    const adapter = {
+      name: 'stub',
+      fetch: async () => [{ id: 'm1' }],
+      getKey: m => m.id,
+      shouldSkip: () => false,
+      normalize: m => ({ event_id: m.id, kind: 'stub.message' }),
+      formatLine: e => e.event_id
+    };
+    const config = {
+      stub: { seen_file: `${tmp}-seen.txt`, notification_file: `${tmp}-notify.txt`, notify: { type: 'command', command: `touch ${marker}` } },
+      queue: { path: `${tmp}-queue.jsonl` },
+      receipts: { path: `${tmp}-receipts.jsonl` }
+    };
+    const poller = new UnifiedPoller(adapter, config);
+    assert.equal(poller.notifier.type, 'command');
+    const events = await poller.poll();
+    assert.equal(events.length, 1);
+    assert.ok(existsSync(marker));
+  });
+
+  after(() => {
+    for (const suffix of ['-cmd', '-poller', '-seen.txt', '-notify.txt', '-queue.jsonl', '-receipts.jsonl', '.sock']) {
+      rmSync(`${tmp}${suffix}`, { force: true });
+    }
+  });
+});
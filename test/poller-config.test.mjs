@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { UnifiedPoller } from '../src/team-relay/unified-poller.mjs';
+
+const adapter = name => ({ name });
+
+describe('unified poller config resolution', () => {
+  it('keeps antfarm polling settings under poller when an antfarm webhook section exists', () => {
+    const poller = new UnifiedPoller(adapter('antfarm'), {
+      poller: { seen_file: '/tmp/iak-test-poller-seen.txt', interval_sec: 15, max_seen_ids: 50 },
+      antfarm: { webhook_secret: 's3cret', replay_window_sec: 300 }
+    });
+    assert.equal(poller.seenFile, '/tmp/iak-test-poller-seen.txt');
+    assert.equal(poller.interval, 15);
+    assert.equal(poller.maxSeenIds, 50);
+  });
+
+  it('lets the antfarm section override poller settings it repeats', () => {
+    const poller = new UnifiedPoller(adapter('antfarm'), {
+      poller: { interval_sec: 15 },
+      antfarm: { interval_sec: 60 }
+    });
+    assert.equal(poller.interval, 60);
+  });
+
+  it('uses the adapter section for other adapters and falls back to poller', () => {
+    const discord = new UnifiedPoller(adapter('discord'), {
+      poller: { interval_sec: 15 },
+      discord: { interval_sec: 45, seen_file: '/tmp/iak-test-discord-seen.txt' }
+    });
+    assert.equal(discord.interval, 45);
+    assert.equal(discord.seenFile, '/tmp/iak-test-discord-seen.txt');
+
+    const xfor = new UnifiedPoller(adapter('xfor'), { poller: { interval_sec: 15 } });
+    assert.equal(xfor.interval, 15);
+    assert.equal(xfor.seenFile, '/tmp/iak-xfor-seen.txt');
+  });
+});
@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, beforeEach, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { rmSync, readFileSync } from 'node:fs';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { appendEvents } from '../src/team-relay/common/event-queue.mjs';
+import { queueNext, queueAck, queueNack, queuePending, listConsumers } from '../src/team-relay/queue-consumer.mjs';
+
+describe('queue-consumer', () => {
+  const queuePath = '/tmp/iak-test-consumer-queue.jsonl';
+  const receiptPath = '/tmp/iak-test-consumer-receipts.jsonl';
+  const config = {
+    queue: { path: queuePath, cursor_dir: '/tmp/iak-test-consumer-cursors', lease_sec: 300 },
+    receipts: { path: receiptPath }
+  };
+
+  function cleanup() {
+    rmSync(queuePath, { force: true });
+    rmSync(receiptPath, { force: true });
+    rmSync(config.queue.cursor_dir, { recursive: true, force: true });
+  }
+
+  beforeEach(() => {
+    cleanup();
+    appendEvents(queuePath, [
+      { trace_id: 't1', event_id: 'e1', kind: 'antfarm.message.created' },
+      { trace_id: 't2', event_id: 'e2', kind: 'antfarm.message.created' },
+      { trace_id: 't3', event_id: 'e3', kind: 'github.pull_request.opened' }
+    ]);
+  });
+
+  it('next leases events in order without handing out the same one twice', () => {
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e1');
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e2');
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e3');
+    assert.equal(queueNext(config, 'claude').event, null);
+  });
+
+  it('keeps an independent cursor per consumer', () => {
+    queueNext(config, 'claude');
+    queueAck(config, 'claude', 'e1');
+    assert.equal(queueNext(config, 'codex').event.event_id, 'e1');
+    assert.deepEqual(listConsumers(config).sort(), ['claude', 'codex']);
+  });
+
+  it('ack writes a receipt linked to the event trace_id', () => {
+    const result = queueAck(config, 'claude', 'e2');
+    assert.equal(result.ok, true);
+    const receipt = JSON.parse(readFileSync(receiptPath, 'utf8').trim());
+    assert.equal(receipt.trace_id, 't2');
+    assert.equal(receipt.action.kind, 'queue.ack');
+    assert.equal(receipt.actor.name, 'claude');
+  });
+
+  it('out-of-order acks are skipped by next and excluded from pending', () => {
+    queueAck(config, 'claude', 'e2');
+    const pending = queuePending(config, 'claude');
+    assert.deepEqual(pending.events.map(p => p.event.event_id), ['e1', 'e3']);
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e1');
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e3');
+  });
+
+  it('rejects acking the same event twice', () => {
+    assert.equal(queueAck(config, 'claude', 'e1').ok, true);
+    assert.equal(queueAck(config, 'claude', 'e1').ok, false);
+    assert.equal(queueAck(config, 'claude', 'nope').ok, false);
+  });
+
+  it('nack releases a leased event for redelivery', () => {
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e1');
+    const result = queueNack(config, 'claude', 'e1', { reason: 'busy' });
+    assert.equal(result.ok, true);
+    assert.equal(result.receipt.action.kind, 'queue.nack');
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e1');
+  });
+
+  it('pending marks leased events', () => {
+    queueNext(config, 'claude');
+    const pending = queuePending(config, 'claude');
+    assert.equal(pending.count, 3);
+    assert.ok(pending.events[0].leased_at);
+    assert.equal(pending.events[1].leased_at, null);
+  });
+
+  it('redelivers events whose lease expired', () => {
+    const shortLease = { ...config, queue: { ...config.queue, lease_sec: -1 } };
+    queueNext(shortLease, 'claude');
+    const again = queueNext(shortLease, 'claude');
+    assert.equal(again.event.event_id, 'e1');
+    assert.equal(again.redelivered, true);
+  });
+
+  it('two processes sharing a consumer never lease the same event', async () => {
+    appendEvents(queuePath, Array.from({ length: 60 }, (_, i) => ({ trace_id: `tc${i}`, event_id: `c${i}`, kind: 'test' })));
+    const script = `
+      import { queueNext } from ${JSON.stringify(new URL('../src/team-relay/queue-consumer.mjs', import.meta.url).href)};
+      const config = ${JSON.stringify(config)};
+      const ids = [];
+      for (let e; (e = queueNext(config, 'claude').event); ) ids.push(e.event_id);
+      console.log(JSON.stringify(ids));
+    `;
+    const run = () => promisify(execFile)(process.execPath, ['--input-type=module', '-e', script]);
+    const leased = (await Promise.all([run(), run()])).flatMap(r => JSON.parse(r.stdout));
+    assert.equal(leased.length, 63);
+    assert.equal(new Set(leased).size, 63);
+  });
+
+  after(() => {
+    cleanup();
+  });
+});
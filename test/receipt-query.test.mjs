@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { createReceipt, appendReceipt } from '../src/team-relay/receipt.mjs';
+import { parseTime, receiptFilters, queryReceipts, followReceipts, formatReceipts, traceTimeline } from '../src/team-relay/receipt-query.mjs';
+import { rotateFile } from '../src/team-relay/common/rotation.mjs';
+
+describe('receipt query', () => {
+  const dir = '/tmp/iak-test-receipt-query';
+  const config = {
+    receipts: { path: `${dir}/receipts.jsonl` },
+    queue: { path: `${dir}/queue.jsonl` },
+    acp: { sessions_file: `${dir}/sessions.json` }
+  };
+  const add = (fields) => appendReceipt(config.receipts.path, createReceipt({ status: 'ok', ...fields }));
+  const filters = (opts) => receiptFilters(opts).filters;
+
+  before(() => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    add({ traceId: 't1', actor: { name: '@ether', kind: 'ide-agent' }, action: { kind: 'acp.session.create' }, startedAt: '2026-01-01T10:00:00.000Z' });
+    add({ traceId: 't1', actor: { name: 'automation', kind: 'bot' }, action: { kind: 'automation.exec' }, status: 'error', notes: 'exit 1, "boom"', startedAt: '2026-01-01T11:00:00.000Z' });
+    add({ traceId: 't2', actor: { name: 'agent', kind: 'ide-agent' }, action: { kind: 'queue.ack' }, startedAt: '2026-01-02T10:00:00.000Z' });
+    add({ traceId: 't3', actor: { name: 'fake', kind: 'bot' }, action: { kind: 'poller.poll' }, outputRefs: ['t1'], startedAt: '2026-01-01T09:59:00.000Z' });
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('parses absolute and relative times', () => {
+    const now = Date.parse('2026-01-02T00:00:00Z');
+    assert.equal(parseTime('2h', now), '2026-01-01T22:00:00.000Z');
+    assert.equal(parseTime('2026-01-01', now), '2026-01-01T00:00:00.000Z');
+    assert.equal(parseTime('soon', now), null);
+    assert.equal(receiptFilters({ since: 'soon' }).ok, false);
+  });
+
+  it('filters on trace, actor, kind glob, status and time range', () => {
+    const kinds = (opts, o) => queryReceipts(config.receipts.path, filters(opts), o).map(r => r.action.kind);
+    assert.deepEqual(kinds({ traceId: 't1' }), ['acp.session.create', 'automation.exec']);
+    assert.deepEqual(kinds({ actor: 'ETHER' }), ['acp.session.create']);
+    assert.deepEqual(kinds({ kind: 'a*' }), ['acp.session.create', 'automation.exec']);
+    assert.deepEqual(kinds({ status: 'error,denied' }), ['automation.exec']);
+    assert.deepEqual(kinds({ since: '2026-01-01T10:30:00Z', until: '2026-01-01T23:00:00Z' }), ['automation.exec']);
+    assert.deepEqual(kinds({}, { limit: 1 }), ['poller.poll']);
+  });
+
+  it('writes csv with quoting', () => {
+    const rows = queryReceipts(config.receipts.path, filters({ status: 'error' }));
+    const [header, line] = formatReceipts(rows, 'csv').split('\n');
+    assert.equal(header, 'started_at,finished_at,trace_id,actor,actor_kind,action_kind,status,exit_code,notes');
+    assert.ok(line.endsWith(',t1,automation,bot,automation.exec,error,,"exit 1, ""boom"""'));
+    assert.equal(formatReceipts(rows, 'ndjson').split('\n').length, 1);
+  });
+
+  it('follows appended receipts across a rotation', async () => {
+    const seen = [];
+    const follower = followReceipts(config.receipts.path, filters({ kind: 'tmux.run' }), r => seen.push(r.trace_id), { intervalMs: 20 });
+    try {
+      add({ traceId: 'f1', action: { kind: 'tmux.run' } });
+      add({ traceId: 'f2', action: { kind: 'queue.ack' } });
+      rotateFile(config.receipts.path);
+      add({ traceId: 'f3', action: { kind: 'tmux.run' } });
+      await new Promise(resolve => setTimeout(resolve, 150));
+    } finally {
+      follower.close();
+    }
+    assert.deepEqual(seen, ['f1', 'f3']);
+  });
+
+  it('builds a trace timeline from events, receipts and ACP messages', () => {
+    writeFileSync(config.queue.path, JSON.stringify({ event_id: 'e1', trace_id: 't1', kind: 'github.pr', timestamp: '2026-01-01T09:58:00.000Z' }) + '\n');
+    writeFileSync(config.acp.sessions_file, JSON.stringify({
+      s1: { id: 's1', trace_id: 't1', agent_id: '@ether', task: 'review', status: 'active', created_at: '2026-01-01T10:00:01.000Z', messages: [{ from: '@ether', role: 'user', body: 'on it', created_at: '2026-01-01T10:30:00.000Z' }] }
+    }));
+    const timeline = traceTimeline(config, 't1');
+    assert.deepEqual(timeline.map(e => [e.source, e.kind]), [
+      ['queue', 'github.pr'],
+      ['receipt', 'poller.poll'],
+      ['receipt', 'acp.session.create'],
+      ['acp', 'session.open'],
+      ['acp', 'message.user'],
+      ['receipt', 'automation.exec']
+    ]);
+  });
+});
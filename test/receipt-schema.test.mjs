@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { setTransport, resetTransport } from '../src/common/http.mjs';
+import { createSession, sendToSession, closeSession } from '../src/team-relay/acp-sessions.mjs';
+import { executeAction } from '../src/team-relay/room-automation.mjs';
+import { UnifiedPoller } from '../src/team-relay/unified-poller.mjs';
+import { appendEvent } from '../src/team-relay/common/event-queue.mjs';
+import { queueNext, queueAck } from '../src/team-relay/queue-consumer.mjs';
+import { execApprovalRequest } from '../src/openclaw-exec.mjs';
+import { appendReceipt } from '../src/team-relay/receipt.mjs';
+import { initTaskQueue, addTask, vote, overrideStatus, commentTask } from '../src/team-relay/task-queue.mjs';
+
+const schema = JSON.parse(readFileSync(new URL('../schemas/receipt.json', import.meta.url), 'utf8'));
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * The subset of JSON Schema the receipt schema uses: type, enum, required,
+ * properties, additionalProperties: false and items.
+ */
+function validate(node, value, path = '$') {
+  const errors = [];
+  if (node.type) {
+    const types = [].concat(node.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return [`${path}: expected ${types.join('|')}, got ${actual}`];
+    }
+  }
+  if (node.enum && !node.enum.includes(value)) errors.push(`${path}: ${JSON.stringify(value)} not in enum`);
+  if (typeOf(value) === 'object') {
+    for (const key of node.required || []) if (!(key in value)) errors.push(`${path}.${key}: required`);
+    for (const [key, v] of Object.entries(value)) {
+      if (node.properties?.[key]) errors.push(...validate(node.properties[key], v, `${path}.${key}`));
+      else if (node.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+  if (typeOf(value) === 'array' && node.items) value.forEach((v, i) => errors.push(...validate(node.items, v, `${path}[${i}]`)));
+  return errors;
+}
+
+describe('receipt schema', () => {
+  const dir = '/tmp/iak-test-receipt-schema';
+  const config = {
+    poller: { api_key: 'k', handle: '@bot' },
+    queue: { path: `${dir}/queue.jsonl`, cursor_dir: `${dir}/cursors` },
+    receipts: { path: `${dir}/receipts.jsonl` },
+    acp: { enabled: true, token: 't', receipt_all_actions: true, sessions_file: `${dir}/sessions.json`, allowed_agents: ['@ether'] },
+    exec: { approvalFile: `${dir}/approvals.json`, policyFile: `${dir}/policy.json` },
+    automation: { exec: { allow: ['node -e'], cwd_root: dir, timeout_ms: 5000 } },
+    fake: { seen_file: `${dir}/seen.txt`, notify: 'none', notification_file: `${dir}/notify.txt`, breaker_file: `${dir}/breaker.json` }
+  };
+  const receipts = () => readFileSync(config.receipts.path, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+
+  before(async () => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    setTransport(async () => ({ status: 200, headers: {}, body: '{}' }));
+
+    const session = createSession(config, { agentId: '@ether', task: 'review', traceId: 'trace-acp' }).session;
+    sendToSession(config, session.id, { from: '@ether', body: 'on it' });
+    closeSession(config, session.id, { reason: 'done' });
+    createSession(config, { agentId: '@mallory', task: 'x' });
+
+    const msg = { id: 'm1', room: 'dev', from: 'petrus', body: 'deploy', trace_id: 'trace-msg' };
+    for (const action of [
+      { type: 'post', body: 'ack ${sender}' },
+      { type: 'exec', argv: ['node', '-e', 'console.log(1)'] },
+      { type: 'exec', argv: ['rm', '-rf', '/'] },
+      { type: 'bogus' }
+    ]) {
+      appendReceipt(config.receipts.path, await executeAction(action, msg, 'k', config, { name: 'r1' }), config.receipts);
+    }
+
+    writeFileSync(`${dir}/seen.txt`, 'seed\n');
+    const adapter = {
+      name: 'fake',
+      fetch: async () => [{ id: 'a' }],
+      getKey: m => m.id,
+      shouldSkip: () => false,
+      normalize: m => ({ event_id: m.id, trace_id: `trace-${m.id}`, kind: 'fake.message' }),
+      formatLine: e => e.event_id
+    };
+    const poller = new UnifiedPoller(adapter, config);
+    await poller.poll();
+    poller.recordFailure('room-x', new Error('boom'));
+
+    appendEvent(config.queue.path, { event_id: 'e1', trace_id: 'trace-e1', kind: 'test' });
+    queueNext(config, 'agent');
+    queueAck(config, 'agent', 'e1');
+    await execApprovalRequest(config, { command: 'ls', argv: ['ls'], agentId: 'tmux', source: 'tmux', traceId: 'trace-e1' });
+
+    initTaskQueue(`${dir}/tasks.json`, { receipts: config.receipts });
+    const task = addTask('ether', 'schema');
+    for (const agent of ['a', 'b', 'c']) vote(task.id, agent, 'approve');
+    commentTask(task.id, 'ether', 'thanks');
+    overrideStatus(task.id, 'installed', { by: 'petrus', reason: 'manual' });
+  });
+
+  after(() => {
+    resetTransport();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('every producer writes receipts that match schemas/receipt.json', () => {
+    const all = receipts();
+    const kinds = new Set(all.map(r => r.action.kind));
+    for (const kind of ['acp.session.create', 'acp.session.send', 'acp.session.close', 'automation.post', 'automation.exec', 'automation.skipped', 'poller.poll', 'queue.ack', 'exec.approval.request', 'task.create', 'task.vote', 'task.status', 'task.comment', 'task.override']) {
+      assert.ok(kinds.has(kind), `no ${kind} receipt`);
+    }
+    for (const r of all) assert.deepEqual(validate(schema, r), [], JSON.stringify(r));
+  });
+
+  it('carries the triggering trace_id and the actor', () => {
+    const all = receipts();
+    const acp = all.filter(r => r.action.kind.startsWith('acp.') && r.status === 'ok');
+    assert.ok(acp.every(r => r.trace_id === 'trace-acp' && r.actor.name === '@ether'));
+    assert.ok(all.filter(r => r.action.kind.startsWith('automation.')).every(r => r.trace_id === 'trace-msg'));
+    assert.deepEqual(all.find(r => r.action.kind === 'poller.poll').output_refs, ['trace-a']);
+    assert.deepEqual(all.filter(r => r.trace_id === 'trace-e1').map(r => r.action.kind), ['queue.ack', 'exec.approval.request']);
+  });
+});
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, beforeEach, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { generateKeyPairSync } from 'node:crypto';
+import { mkdirSync, rmSync, writeFileSync, readFileSync } from 'node:fs';
+import { createReceipt, appendReceipt, verifyReceipts } from '../src/team-relay/receipt.mjs';
+
+const dir = '/tmp/iak-test-receipt-signing';
+const path = `${dir}/receipts.jsonl`;
+
+function readLines() {
+  return readFileSync(path, 'utf8').trim().split('\n');
+}
+
+function writeLines(lines) {
+  writeFileSync(path, lines.join('\n') + '\n');
+}
+
+function append(policy, n) {
+  for (let i = 0; i < n; i++) {
+    appendReceipt(path, createReceipt({ traceId: `t${i}`, action: { kind: 'tmux.run', cmd: `echo ${i}` }, status: 'ok' }), policy);
+  }
+}
+
+describe('receipt signing', () => {
+  const hmac = { signing: { mode: 'hmac', key_file: `${dir}/hmac.key` } };
+
+  beforeEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(hmac.signing.key_file, 'test-secret\n');
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('chains and signs receipts so the log verifies', () => {
+    appendReceipt(path, createReceipt({ action: { kind: 'queue.ack' }, status: 'ok' }));
+    append(hmac, 3);
+    const lines = readLines().map(l => JSON.parse(l));
+    assert.equal(lines[1].prev_hash.length, 64);
+    assert.equal(lines[1].signature.alg, 'hmac-sha256');
+    assert.deepEqual(verifyReceipts(path, hmac), { ok: true, checked: 4, signed: 3, unsigned: 1, truncated: false, broken: null });
+  });
+
+  it('reports the first modified receipt', () => {
+    append(hmac, 3);
+    const lines = readLines();
+    const edited = JSON.parse(lines[1]);
+    edited.status = 'error';
+    lines[1] = JSON.stringify(edited);
+    writeLines(lines);
+    const result = verifyReceipts(path, hmac);
+    assert.equal(result.ok, false);
+    assert.equal(result.broken.index, 2);
+    assert.equal(result.broken.trace_id, 't1');
+    assert.match(result.broken.reason, /signature does not match/);
+  });
+
+  it('reports removed receipts and receipts signed with another key', () => {
+    append(hmac, 3);
+    const lines = readLines();
+    writeLines([lines[0], lines[2]]);
+    assert.match(verifyReceipts(path, hmac).broken.reason, /prev_hash does not match/);
+
+    writeFileSync(hmac.signing.key_file, 'other-secret');
+    assert.equal(verifyReceipts(path, { signing: { ...hmac.signing } }).broken.index, 1);
+  });
+
+  it('verifies ed25519 signatures with only the public key', () => {
+    const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+    writeFileSync(`${dir}/key.pem`, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    writeFileSync(`${dir}/key.pub.pem`, publicKey.export({ type: 'spki', format: 'pem' }));
+    append({ signing: { mode: 'ed25519', key_file: `${dir}/key.pem` } }, 2);
+
+    const verifier = { signing: { mode: 'ed25519', public_key_file: `${dir}/key.pub.pem` } };
+    assert.equal(verifyReceipts(path, verifier).ok, true);
+    writeLines([readLines()[1]]);
+    const result = verifyReceipts(path, verifier);
+    assert.equal(result.ok, true);
+    assert.equal(result.truncated, true);
+  });
+});
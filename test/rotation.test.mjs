@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, beforeEach, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { rmSync, mkdirSync, readFileSync, writeFileSync, existsSync, utimesSync } from 'node:fs';
+import { join } from 'node:path';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { appendEvents } from '../src/team-relay/common/event-queue.mjs';
+import { listSegments, pruneSegments, rotateFile, stagingSegment, tailLines } from '../src/team-relay/common/rotation.mjs';
+import { createReceipt, appendReceipt, tailReceipts } from '../src/team-relay/receipt.mjs';
+import { queueNext, queueAck, queuePending, rotateQueue, compactQueue } from '../src/team-relay/queue-consumer.mjs';
+
+describe('rotation', () => {
+  const dir = '/tmp/iak-test-rotation';
+  const queuePath = join(dir, 'queue.jsonl');
+  const receiptPath = join(dir, 'receipts.jsonl');
+  const config = {
+    queue: { path: queuePath, cursor_dir: join(dir, 'cursors') },
+    receipts: { path: receiptPath }
+  };
+
+  function events(...ids) {
+    return ids.map(id => ({ trace_id: `t-${id}`, event_id: id, kind: 'antfarm.message.created' }));
+  }
+
+  beforeEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+  });
+
+  it('rotates the queue into a gzip segment once max_bytes is reached', () => {
+    appendEvents(queuePath, events('e1', 'e2'), { max_bytes: 64 });
+    assert.equal(listSegments(queuePath).length, 1);
+    assert.equal(existsSync(queuePath), false);
+    appendEvents(queuePath, events('e3'), { max_bytes: 1 << 20 });
+    assert.equal(listSegments(queuePath).length, 1);
+  });
+
+  it('cursors follow events across a rotation', () => {
+    appendEvents(queuePath, events('e1', 'e2'));
+    queueAck(config, 'claude', 'e1');
+    rotateQueue(config);
+    appendEvents(queuePath, events('e3'));
+
+    assert.deepEqual(queuePending(config, 'claude').events.map(p => p.event.event_id), ['e2', 'e3']);
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e2');
+    queueAck(config, 'claude', 'e2');
+    assert.equal(queueNext(config, 'claude').event.event_id, 'e3');
+  });
+
+  it('tailReceipts reads back across a rotation without losing lines', () => {
+    for (let i = 0; i < 6; i++) {
+      appendReceipt(receiptPath, createReceipt({ traceId: `r${i}`, action: { kind: 'test' }, status: 'ok' }), { max_bytes: 1024 });
+    }
+    assert.ok(listSegments(receiptPath).length >= 1);
+    assert.deepEqual(tailReceipts(receiptPath, 6).map(r => r.trace_id), ['r0', 'r1', 'r2', 'r3', 'r4', 'r5']);
+    assert.deepEqual(tailReceipts(receiptPath, 2).map(r => r.trace_id), ['r4', 'r5']);
+  });
+
+  it('tailLines reads only the end of a large file', () => {
+    const lines = Array.from({ length: 5000 }, (_, i) => `{"n":${i}}`);
+    writeFileSync(queuePath, lines.join('\n') + '\n');
+    assert.deepEqual(tailLines(queuePath, 3), lines.slice(-3));
+  });
+
+  it('prunes segments older than retention_days', () => {
+    writeFileSync(queuePath, '{"n":1}\n');
+    const seg = rotateFile(queuePath);
+    const old = join(dir, 'queue.jsonl.20200101T000000000Z.gz');
+    writeFileSync(old, readFileSync(seg));
+    utimesSync(old, new Date(0), new Date(0));
+    assert.deepEqual(pruneSegments(queuePath, 7), [old]);
+    assert.deepEqual(listSegments(queuePath), [seg]);
+  });
+
+  it('stagingSegment finds a rotation that has not been gzipped yet', () => {
+    writeFileSync(queuePath, '{"n":1}\n');
+    const seg = rotateFile(queuePath);
+    assert.equal(stagingSegment(queuePath), null);
+    const staging = join(dir, 'queue.jsonl.20300101T000000000Z');
+    writeFileSync(staging, '{"n":2}\n');
+    writeFileSync(join(dir, 'queue.jsonl.lock'), '1');
+    assert.equal(stagingSegment(queuePath), staging);
+    assert.deepEqual(listSegments(queuePath), [seg]);
+  });
+
+  describe('compactQueue', () => {
+    it('drops only events every consumer has acked and rebases cursors', () => {
+      appendEvents(queuePath, events('e1', 'e2', 'e3'));
+      queueAck(config, 'claude', 'e1');
+      queueAck(config, 'claude', 'e2');
+      queueAck(config, 'codex', 'e1');
+      queueAck(config, 'codex', 'e3');
+
+      const result = compactQueue(config);
+      assert.equal(result.ok, true);
+      assert.equal(result.dropped, 1);
+      const remaining = readFileSync(queuePath, 'utf8').trim().split('\n').map(l => JSON.parse(l).event_id);
+      assert.deepEqual(remaining, ['e2', 'e3']);
+
+      assert.deepEqual(queuePending(config, 'claude').events.map(p => p.event.event_id), ['e3']);
+      assert.deepEqual(queuePending(config, 'codex').events.map(p => p.event.event_id), ['e2']);
+    });
+
+    it('removes segments all consumers have moved past', () => {
+      appendEvents(queuePath, events('e1'));
+      queueAck(config, 'claude', 'e1');
+      rotateQueue(config);
+      appendEvents(queuePath, events('e2'));
+      queueAck(config, 'claude', 'e2');
+
+      // codex starts at the oldest segment and has not read it yet.
+      queueAck(config, 'codex', 'e2');
+      const first = compactQueue(config);
+      assert.equal(first.dropped, 1);
+      assert.equal(first.segments_removed.length, 0);
+
+      queueAck(config, 'codex', 'e1');
+      assert.equal(compactQueue(config).segments_removed.length, 1);
+      assert.equal(queueNext(config, 'claude').event, null);
+      assert.equal(queueNext(config, 'codex').event, null);
+    });
+
+    it('keeps events appended by another process while compacting', async () => {
+      const writerCount = 200;
+      const child = spawn(process.execPath, ['--input-type=module', '-e', `
+        import { appendEvent } from ${JSON.stringify(new URL('../src/team-relay/common/event-queue.mjs', import.meta.url).href)};
+        for (let i = 0; i < ${writerCount}; i++) appendEvent(${JSON.stringify(queuePath)}, { event_id: 'w' + i, trace_id: 't-w' + i, kind: 'test' });
+      `], { stdio: 'ignore' });
+      const exited = once(child, 'exit');
+      let running = true;
+      exited.then(() => { running = false; });
+
+      // Each round acks one event of our own so every compaction rewrites the file.
+      for (let i = 0; running || i === 0; i++) {
+        appendEvents(queuePath, events(`p${i}`));
+        queueAck(config, 'claude', `p${i}`);
+        compactQueue(config);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      const [code] = await exited;
+      assert.equal(code, 0);
+
+      const ids = readFileSync(queuePath, 'utf8').trim().split('\n').map(l => JSON.parse(l).event_id);
+      const written = ids.filter(id => id.startsWith('w'));
+      assert.equal(written.length, writerCount);
+      assert.equal(new Set(written).size, writerCount);
+    });
+
+    // Another process holds the cursor lock mid-ack (acking a3, slowly) while
+    // the queue is rewritten; the rewrite must wait and build on that ack.
+    for (const [name, rewrite] of [['compacting', compactQueue], ['rotating', rotateQueue]]) {
+      it(`does not overwrite an ack that lands while ${name}`, async () => {
+        appendEvents(queuePath, events('a1', 'a2', 'a3', 'a4'));
+        for (const id of ['a1', 'a2']) { queueNext(config, 'claude'); queueAck(config, 'claude', id); }
+        const ackEnd = readFileSync(queuePath, 'utf8').split('\n').slice(0, 3).join('\n').length + 1;
+        const cursorFile = join(config.queue.cursor_dir, 'claude.json');
+        const child = spawn(process.execPath, ['--input-type=module', '-e', `
+          import { withLock, readJson, writeJsonAtomic } from ${JSON.stringify(new URL('../src/common/state-store.mjs', import.meta.url).href)};
+          withLock(${JSON.stringify(cursorFile)}, () => {
+            const cursor = readJson(${JSON.stringify(cursorFile)}, {});
+            console.log('locked');
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 300);
+            writeJsonAtomic(${JSON.stringify(cursorFile)}, { ...cursor, offset: ${ackEnd}, acked: [] });
+          });
+        `], { stdio: ['ignore', 'pipe', 'inherit'] });
+        await once(child.stdout, 'data');
+        rewrite(config);
+        assert.equal((await once(child, 'exit'))[0], 0);
+        assert.deepEqual(queuePending(config, 'claude').events.map(e => e.event.event_id), ['a4']);
+      });
+    }
+
+    it('refuses to compact with no registered consumers', () => {
+      appendEvents(queuePath, events('e1'));
+      assert.equal(compactQueue(config).ok, false);
+    });
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+});
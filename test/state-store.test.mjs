@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, beforeEach, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { execFile } from 'node:child_process';
+import { mkdirSync, rmSync, writeFileSync, readFileSync, readdirSync } from 'node:fs';
+import { readJson, updateJson, withLock, StateLockError } from '../src/common/state-store.mjs';
+
+const storeUrl = new URL('../src/common/state-store.mjs', import.meta.url).href;
+
+function runNode(script) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--input-type=module', '-e', script], { timeout: 30000 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+  });
+}
+
+describe('state store', () => {
+  const dir = '/tmp/iak-test-state';
+  const file = `${dir}/state.json`;
+
+  beforeEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('does not lose updates from concurrent processes', async () => {
+    const script = `
+      import { updateJson } from ${JSON.stringify(storeUrl)};
+      for (let i = 0; i < 25; i++) updateJson(${JSON.stringify(file)}, { n: 0 }, d => { d.n++; });`;
+    await Promise.all([runNode(script), runNode(script), runNode(script)]);
+    assert.deepEqual(readJson(file, null), { n: 75 });
+    assert.deepEqual(readdirSync(dir), ['state.json']);
+  });
+
+  it('backs up a corrupt file instead of silently resetting it', () => {
+    writeFileSync(file, '{"half": ');
+    assert.deepEqual(readJson(file, {}), {});
+    const backup = readdirSync(dir).find(f => f.startsWith('state.json.corrupt-'));
+    assert.ok(backup);
+    assert.equal(readFileSync(`${dir}/${backup}`, 'utf8'), '{"half": ');
+  });
+
+  it('returns the transaction result and writes nothing when it throws', () => {
+    assert.equal(updateJson(file, { n: 0 }, d => { d.n = 1; return 'done'; }), 'done');
+    assert.throws(() => updateJson(file, {}, d => { d.n = 2; throw new Error('abort'); }), /abort/);
+    assert.deepEqual(readJson(file, null), { n: 1 });
+  });
+
+  it('breaks locks left by dead processes and times out on live ones', () => {
+    writeFileSync(`${file}.lock`, '999999999');
+    assert.equal(withLock(file, () => 'ok'), 'ok');
+
+    writeFileSync(`${file}.lock`, String(process.pid));
+    assert.throws(() => withLock(file, () => 'never', { timeoutMs: 50 }), StateLockError);
+  });
+
+  it('lets only one of several waiters break a stale lock', async () => {
+    writeFileSync(`${file}.lock`, '999999999');
+    const script = `
+      import { updateJson } from ${JSON.stringify(storeUrl)};
+      for (let i = 0; i < 25; i++) updateJson(${JSON.stringify(file)}, { n: 0 }, d => { d.n++; });`;
+    await Promise.all([runNode(script), runNode(script), runNode(script)]);
+    assert.deepEqual(readJson(file, null), { n: 75 });
+    assert.deepEqual(readdirSync(dir), ['state.json']);
+  });
+
+  it('does not remove a lock that was broken and re-taken while held', () => {
+    withLock(file, () => {
+      rmSync(`${file}.lock`);
+      writeFileSync(`${file}.lock`, String(process.pid));
+    });
+    assert.deepEqual(readdirSync(dir), ['state.json.lock']);
+  });
+});
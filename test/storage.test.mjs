@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, rmSync, writeFileSync, existsSync } from 'node:fs';
+import { configureStorage, closeStorage, sqliteAvailable, SqliteStore } from '../src/common/storage.mjs';
+import { appendEvent } from '../src/team-relay/common/event-queue.mjs';
+import { queueNext, queueAck, queuePending, compactQueue } from '../src/team-relay/queue-consumer.mjs';
+import { appendReceipt, createReceipt, tailReceipts } from '../src/team-relay/receipt.mjs';
+import { loadSeenIds, saveSeenIds } from '../src/team-relay/common/seen-ids.mjs';
+import { initTaskQueue, addTask, queueTask, startTask, listTasks } from '../src/team-relay/task-queue.mjs';
+import { migrateToSqlite } from '../src/team-relay/storage-migrate.mjs';
+
+const skip = sqliteAvailable() ? false : 'node:sqlite is not available in this Node.js';
+const dir = '/tmp/iak-test-storage';
+
+describe('storage backend selection', () => {
+  it('keeps files by default and rejects unknown backends', () => {
+    assert.equal(configureStorage({}), null);
+    assert.throws(() => configureStorage({ storage: { backend: 'redis' } }), /Unknown storage.backend "redis"/);
+  });
+});
+
+describe('sqlite storage', { skip }, () => {
+  const config = {
+    storage: { backend: 'sqlite', path: `${dir}/state.db` },
+    queue: { path: `${dir}/queue.jsonl` },
+    receipts: { path: `${dir}/receipts.jsonl` }
+  };
+
+  before(() => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    configureStorage(config);
+  });
+  after(() => {
+    closeStorage();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs the queue consumer against the events table', () => {
+    appendEvent(config.queue.path, { event_id: 'e1', trace_id: 't1', kind: 'test' });
+    appendEvent(config.queue.path, { event_id: 'e2', trace_id: 't2', kind: 'test' });
+    assert.equal(existsSync(config.queue.path), false);
+
+    assert.equal(queueNext(config, 'a').event.event_id, 'e1');
+    assert.equal(queueAck(config, 'a', 'e1').ok, true);
+    assert.deepEqual(queuePending(config, 'a').events.map(e => e.event.event_id), ['e2']);
+    assert.deepEqual(compactQueue(config), { ok: true, dropped: 1, kept: 1, segments_removed: [] });
+    assert.equal(queueNext(config, 'a').event.event_id, 'e2');
+  });
+
+  it('stores receipts, seen IDs and tasks in the database', () => {
+    appendReceipt(config.receipts.path, createReceipt({ traceId: 't9', action: { kind: 'tmux.run' }, status: 'ok' }));
+    assert.equal(tailReceipts(config.receipts.path, 1)[0].trace_id, 't9');
+    assert.equal(existsSync(config.receipts.path), false);
+
+    saveSeenIds(`${dir}/seen.txt`, new Set(['a', 'b', 'c']), 2);
+    assert.deepEqual([...loadSeenIds(`${dir}/seen.txt`)], ['b', 'c']);
+
+    initTaskQueue(`${dir}/tasks.json`);
+    const task = addTask('ether', 'write docs', { type: 'bug' });
+    queueTask(task.id);
+    startTask(task.id);
+    assert.deepEqual(listTasks({ status: 'active' }).map(t => t.id), [task.id]);
+    assert.equal(existsSync(`${dir}/tasks.json`), false);
+  });
+});
+
+describe('storage migrate', { skip }, () => {
+  const config = {
+    queue: { path: `${dir}/m-queue.jsonl`, cursor_dir: `${dir}/m-cursors` },
+    receipts: { path: `${dir}/m-receipts.jsonl` },
+    tasks: { file: `${dir}/m-tasks.json` },
+    acp: { sessions_file: `${dir}/m-sessions.json` },
+    exec: { approvalFile: `${dir}/m-approvals.json` },
+    poller: { seen_file: `${dir}/m-seen.txt` }
+  };
+
+  before(() => {
+    closeStorage();
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(`${dir}/m-cursors`, { recursive: true });
+    const lines = ['e1', 'e2', 'e3'].map(id => JSON.stringify({ event_id: id, trace_id: `t-${id}` }) + '\n');
+    writeFileSync(config.queue.path, lines.join(''));
+    writeFileSync(`${dir}/m-cursors/agent.json`, JSON.stringify({ consumer: 'agent', segment: null, offset: lines[0].length, acked: ['e3'], inflight: {} }));
+    writeFileSync(config.receipts.path, JSON.stringify(createReceipt({ traceId: 't-e1', action: { kind: 'queue.ack' }, status: 'ok' })) + '\n');
+    writeFileSync(config.tasks.file, JSON.stringify({ abc: { id: 'abc', title: 'x', status: 'queued' } }));
+    writeFileSync(config.exec.approvalFile, JSON.stringify({ approvals: [{ requestId: 'r1', status: 'pending' }] }));
+    writeFileSync(config.poller.seen_file, 'm1\nm2\n');
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('imports files and converts byte cursors into event positions', () => {
+    const store = new SqliteStore(`${dir}/m.db`);
+    try {
+      const result = migrateToSqlite(config, store);
+      assert.deepEqual(result.skipped, []);
+      assert.equal(result.imported.events, 3);
+      assert.equal(result.imported.receipts, 1);
+      assert.deepEqual(Object.keys(store.readCollection('tasks')), ['abc']);
+      assert.deepEqual(Object.keys(store.readCollection('exec_approvals')), ['r1']);
+      assert.deepEqual([...store.loadSeen(config.poller.seen_file)], ['m1', 'm2']);
+      const cursor = store.getRecord('queue_cursors', 'agent');
+      assert.equal(cursor.offset, 1);
+      assert.deepEqual(cursor.acked, ['e3']);
+      assert.equal(store.receiptsForTrace('t-e1').length, 1);
+
+      assert.deepEqual(migrateToSqlite(config, store).skipped, ['queue (events table is not empty)', 'receipts (receipts table is not empty)']);
+    } finally {
+      store.close();
+    }
+  });
+});
@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, beforeEach, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { initTaskQueue, addTask, vote, queueTask, startTask, draftTask, reviewTask, installTask, setStatus, overrideStatus, commentTask, getTask, governanceFor } from '../src/team-relay/task-queue.mjs';
+
+describe('task queue transitions', () => {
+  const dir = '/tmp/iak-test-task-queue';
+
+  beforeEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    initTaskQueue(`${dir}/tasks.json`);
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('walks a feature through the documented lifecycle', () => {
+    const { id } = addTask('ether', 'feature');
+    for (const agent of ['a', 'b', 'c']) assert.equal(vote(id, agent, 'approve').ok, true);
+    assert.equal(queueTask(id).task.status, 'queued');
+    startTask(id);
+    draftTask(id);
+    reviewTask(id, 'a', 'changes_requested');
+    assert.equal(draftTask(id).task.review_round, 2);
+    reviewTask(id, 'a', 'approve');
+    assert.equal(reviewTask(id, 'b', 'approve').task.status, 'to_install');
+    assert.equal(installTask(id).task.status, 'installed');
+  });
+
+  it('rejects illegal moves with a reason', () => {
+    const { id } = addTask('ether', 'feature');
+    const queued = queueTask(id);
+    assert.equal(queued.code, 'illegal_transition');
+    assert.match(queued.error, /recommended by vote first/);
+
+    for (const agent of ['a', 'b', 'c']) vote(id, agent, 'reject');
+    const installed = installTask(id);
+    assert.equal(installed.ok, false);
+    assert.match(installed.error, /from discarded to installed \(allowed: none\)/);
+    assert.equal(setStatus(id, 'bogus').error, 'Unknown status: bogus');
+    assert.equal(startTask('missing').code, 'not_found');
+  });
+
+  it('installs a hotfix bug straight from active', () => {
+    const hotfix = addTask('ether', 'hotfix', { type: 'bug', hotfix: true });
+    assert.equal(hotfix.status, 'active');
+    assert.equal(installTask(hotfix.id).task.status, 'installed');
+
+    const { id } = addTask('ether', 'feature');
+    overrideStatus(id, 'active', { by: 'petrus' });
+    const result = installTask(id);
+    assert.equal(result.code, 'illegal_transition');
+    assert.match(result.error, /drafted and reviewed first/);
+    assert.match(startTask(id).error, /allowed: drafted, done, failed, cancelled\)/);
+  });
+
+  it('saves nothing from a change that fails part-way', () => {
+    // A task from before trace ids: mutate() assigns one before the change runs.
+    writeFileSync(`${dir}/tasks.json`, JSON.stringify({ old: { id: 'old', agent: 'ether', title: 'legacy', type: 'feature', status: 'proposed', votes: {}, reviews: {} } }));
+    const result = startTask('old', { by: 'ether' });
+    assert.equal(result.code, 'illegal_transition');
+    const saved = JSON.parse(readFileSync(`${dir}/tasks.json`, 'utf8')).old;
+    assert.equal(saved.trace_id, undefined);
+    assert.equal(getTask('old').trace_id, undefined);
+  });
+
+  it('closes voting once a task is under way', () => {
+    const { id } = addTask('ether', 'bug', { type: 'bug' });
+    queueTask(id);
+    startTask(id);
+    const result = vote(id, 'a', 'approve');
+    assert.equal(result.ok, false);
+    assert.match(result.error, /Voting is closed .* it is active/);
+    assert.equal(reviewTask(id, 'a', 'approve').code, 'illegal_transition');
+  });
+
+  it('records a human override', () => {
+    const { id } = addTask('ether', 'feature');
+    assert.equal(overrideStatus(id, 'installed', {}).code, 'invalid');
+    const result = overrideStatus(id, 'installed', { by: 'petrus', reason: 'shipped by hand' });
+    assert.equal(result.task.status, 'installed');
+    assert.deepEqual(result.task.overrides.map(o => [o.from, o.to, o.by, o.reason]), [['proposed', 'installed', 'petrus', 'shipped by hand']]);
+    assert.equal(result.task.overrides[0].self_asserted, true);
+    assert.equal(result.task.history.at(-1).self_asserted, true);
+  });
+
+  it('checks the override handle against tasks.owners', () => {
+    initTaskQueue(`${dir}/tasks.json`, { owners: ['@petrus'] });
+    const { id } = addTask('ether', 'feature');
+    const refused = overrideStatus(id, 'queued', { by: 'ether' });
+    assert.equal(refused.code, 'invalid');
+    assert.match(refused.error, /ether is not in tasks.owners/);
+    const result = overrideStatus(id, 'queued', { by: 'petrus' });
+    assert.equal(result.task.status, 'queued');
+    assert.equal(result.task.overrides[0].self_asserted, undefined);
+  });
+
+  it('keeps an append-only history and mirrors it to receipts', () => {
+    const receipts = { path: `${dir}/receipts.jsonl` };
+    initTaskQueue(`${dir}/tasks.json`, { receipts });
+    const { id } = addTask('ether', 'history', { type: 'bug' });
+    queueTask(id, { by: 'petrus' });
+    startTask(id, { by: 'ether' });
+    draftTask(id, { by: 'ether' });
+    reviewTask(id, 'sally', 'changes_requested');
+    commentTask(id, 'ether', 'fixed the nit');
+    const task = draftTask(id, { by: 'ether' }).task;
+    assert.deepEqual(task.reviews, {});
+    assert.deepEqual(task.history.map(e => [e.type, e.actor]), [
+      ['create', 'ether'], ['status', 'petrus'], ['status', 'ether'], ['status', 'ether'],
+      ['review', 'sally'], ['comment', 'ether'], ['status', 'ether']
+    ]);
+    assert.deepEqual(task.history[4], { at: task.history[4].at, type: 'review', actor: 'sally', decision: 'changes_requested', round: 1 });
+    assert.equal(startTask(id).ok, false);
+    assert.equal(getTask(id).history.length, 7);
+
+    const mirrored = readFileSync(receipts.path, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.equal(mirrored.length, 7);
+    assert.ok(mirrored.every(r => r.trace_id === task.trace_id && r.action.task_id === id));
+    assert.deepEqual(mirrored[1].action, { kind: 'task.status', task_id: id, from: 'proposed', to: 'queued' });
+    assert.equal(mirrored[5].notes, 'fixed the nit');
+  });
+
+  it('applies governance thresholds, weights, veto and quorum', () => {
+    const governance = {
+      vote_threshold: 2,
+      quorum_pct: 50,
+      agents: { ether: {}, sally: {}, petrus: { weight: 2, veto: true }, bob: {} },
+      types: { bug: { vote_threshold: 1, review_threshold: 1 }, hotfix: { max_review_rounds: 1 } }
+    };
+    initTaskQueue(`${dir}/tasks.json`, { governance });
+    assert.deepEqual(governanceFor({ type: 'bug', hotfix: true }, governance), {
+      vote_threshold: 1, review_threshold: 1, max_review_rounds: 1, quorum_pct: 50, agents: governance.agents
+    });
+
+    const weighted = addTask('ether', 'weighted');
+    assert.equal(vote(weighted.id, 'petrus', 'approve').task.status, 'proposed');  // 1 of 4 agents: no quorum
+    assert.equal(vote(weighted.id, 'sally', 'reject').task.status, 'recommended');  // petrus counts twice
+
+    const vetoed = addTask('ether', 'vetoed');
+    vote(vetoed.id, 'sally', 'approve');
+    const result = vote(vetoed.id, 'petrus', 'reject');
+    assert.equal(result.task.status, 'discarded');
+    assert.equal(result.task.history.at(-1).reason, 'veto by petrus');
+
+    const bug = addTask('ether', 'bug', { type: 'bug' });
+    queueTask(bug.id);
+    startTask(bug.id);
+    draftTask(bug.id);
+    assert.equal(reviewTask(bug.id, 'sally', 'approve').task.status, 'to_install');
+  });
+});
@@ -10,6 +10,7 @@ import { commentsAdapter } from '../src/adapters/comments.mjs';
 import { loadSeenIds, saveSeenIds } from '../src/common/seen-ids.mjs';
 import { nudgeTmux, readAndClearNotifications } from '../src/common/notify.mjs';
 import { appendEvent, appendEvents } from '../src/common/event-queue.mjs';
+import { setTransport, resetTransport } from '../src/common/http.mjs';
 
 describe('unified-poller', () => {
   it('exports UnifiedPoller class', () => {
@@ -84,6 +85,26 @@ describe('adapters', () => {
     assert.deepEqual(result, []);
   });
 
+  it('fetches through the shared HTTP client with the key in a header', async () => {
+    const requests = [];
+    setTransport(async (req) => {
+      requests.push(req);
+      return { status: 200, headers: {}, body: JSON.stringify({ messages: [{ id: 'm1', from: 'petrus', body: 'hi' }] }) };
+    });
+    try {
+      const msgs = await antfarmAdapter.fetch({ poller: { rooms: ['dev'], api_key: 'secret' } });
+      assert.deepEqual(msgs.map(m => [m.id, m._room]), [['m1', 'dev']]);
+      await xforAdapter.fetch({ xfor: { api_key: 'secret' } });
+    } finally {
+      resetTransport();
+    }
+    assert.equal(requests.length, 3);
+    for (const req of requests) {
+      assert.equal(req.headers['X-API-Key'], 'secret');
+      assert.ok(!req.url.includes('secret'));
+    }
+  });
+
   it('antfarm adapter skips self messages', () => {
     const config = { poller: { handle: '@claudemm' } };
     assert.equal(antfarmAdapter.shouldSkip({ from: '@claudemm' }, config), true);
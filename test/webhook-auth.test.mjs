@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createHmac } from 'node:crypto';
+import { rmSync, readFileSync } from 'node:fs';
+import { startWebhookServer, verifySharedSecret } from '../src/team-relay/webhook-server.mjs';
+
+function sign(secret, body, timestamp) {
+  const signed = timestamp ? `${timestamp}.${body}` : body;
+  return 'sha256=' + createHmac('sha256', secret).update(signed).digest('hex');
+}
+
+describe('verifySharedSecret', () => {
+  const body = Buffer.from('{"id":"m1"}');
+  const cfg = { webhook_secret: 's3cret' };
+
+  it('accepts anything when no secret is configured', () => {
+    assert.equal(verifySharedSecret({}, body, {}).ok, true);
+  });
+
+  it('accepts a valid HMAC or bearer token and rejects bad ones', () => {
+    assert.equal(verifySharedSecret({ 'x-signature-256': sign('s3cret', body) }, body, cfg).ok, true);
+    assert.equal(verifySharedSecret({ authorization: 'Bearer s3cret' }, body, cfg).ok, true);
+    assert.equal(verifySharedSecret({ 'x-signature-256': sign('wrong', body) }, body, cfg).reason, 'bad_signature');
+    assert.equal(verifySharedSecret({ authorization: 'Bearer nope' }, body, cfg).reason, 'bad_token');
+    assert.equal(verifySharedSecret({}, body, cfg).reason, 'missing_credentials');
+  });
+
+  it('enforces the replay window on signed timestamps', () => {
+    const windowed = { ...cfg, replay_window_sec: 300 };
+    const now = Math.floor(Date.now() / 1000);
+    const fresh = { 'x-signature-256': sign('s3cret', body, now), 'x-signature-timestamp': String(now) };
+    assert.equal(verifySharedSecret(fresh, body, windowed).ok, true);
+
+    const old = now - 3600;
+    const stale = { 'x-signature-256': sign('s3cret', body, old), 'x-signature-timestamp': String(old) };
+    assert.equal(verifySharedSecret(stale, body, windowed).reason, 'stale_timestamp');
+
+    // Changing the timestamp invalidates the signature.
+    assert.equal(verifySharedSecret({ ...stale, 'x-signature-timestamp': String(now) }, body, windowed).reason, 'bad_signature');
+    assert.equal(verifySharedSecret({ authorization: 'Bearer s3cret' }, body, windowed).reason, 'signature_required');
+  });
+});
+
+describe('webhook endpoint auth', () => {
+  const queuePath = '/tmp/iak-test-auth-queue.jsonl';
+  const receiptPath = '/tmp/iak-test-auth-receipts.jsonl';
+  const config = {
+    listen: { host: '127.0.0.1', port: 0, delivery_seen_file: '/tmp/iak-test-auth-deliveries.txt' },
+    queue: { path: queuePath },
+    receipts: { path: receiptPath },
+    tmux: { default_session: 'iak-test-none' },
+    github: { webhook_secret: 'gh', event_kinds: [] },
+    antfarm: { webhook_secret: 'af' },
+    discord: { webhook_secret: 'dc' }
+  };
+  let server;
+  let base;
+
+  function cleanup() {
+    for (const p of [queuePath, receiptPath, config.listen.delivery_seen_file]) rmSync(p, { force: true });
+  }
+
+  before(async () => {
+    cleanup();
+    server = startWebhookServer(config);
+    await new Promise(r => server.on('listening', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  it('rejects unsigned antfarm requests with a receipt', async () => {
+    const res = await fetch(`${base}/antfarm`, { method: 'POST', body: JSON.stringify({ id: 'a1', body: 'x' }) });
+    assert.equal(res.status, 401);
+    const receipt = JSON.parse(readFileSync(receiptPath, 'utf8').trim().split('\n').pop());
+    assert.equal(receipt.action.kind, 'webhook.rejected');
+    assert.equal(receipt.action.source, 'antfarm');
+    assert.equal(receipt.status, 'error');
+  });
+
+  it('queues signed antfarm and discord requests', async () => {
+    const afBody = JSON.stringify({ id: 'a2', body: 'x' });
+    const af = await fetch(`${base}/antfarm`, { method: 'POST', headers: { 'X-Signature-256': sign('af', afBody) }, body: afBody });
+    assert.equal(af.status, 200);
+
+    const dc = await fetch(`${base}/discord`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer dc' },
+      body: JSON.stringify({ id: 'd1', content: 'y' })
+    });
+    assert.equal(dc.status, 200);
+    assert.equal(readFileSync(queuePath, 'utf8').trim().split('\n').length, 2);
+  });
+
+  after(() => {
+    server?.close();
+    cleanup();
+  });
+});
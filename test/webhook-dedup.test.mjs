@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it, before, after } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createHmac } from 'node:crypto';
+import { rmSync, readFileSync, mkdirSync } from 'node:fs';
+import { startWebhookServer, createDeliveryStore } from '../src/team-relay/webhook-server.mjs';
+
+describe('webhook delivery dedup', () => {
+  const queuePath = '/tmp/iak-test-dedup-queue.jsonl';
+  const receiptPath = '/tmp/iak-test-dedup-receipts.jsonl';
+  const seenFile = '/tmp/iak-test-dedup-deliveries.txt';
+  const config = {
+    listen: { host: '127.0.0.1', port: 0, delivery_seen_file: seenFile },
+    queue: { path: queuePath },
+    receipts: { path: receiptPath },
+    tmux: { default_session: 'iak-test-none' },
+    github: { webhook_secret: 'test-secret', event_kinds: ['pull_request'] }
+  };
+
+  let server;
+  let base;
+
+  function cleanup() {
+    for (const p of [queuePath, receiptPath, seenFile]) rmSync(p, { force: true });
+  }
+
+  function queueLines() {
+    try { return readFileSync(queuePath, 'utf8').trim().split('\n').filter(Boolean).map(l => JSON.parse(l)); } catch { return []; }
+  }
+
+  async function postGitHub(deliveryId) {
+    const payload = JSON.stringify({ action: 'opened', pull_request: { number: 1, title: 'T' } });
+    const sig = 'sha256=' + createHmac('sha256', 'test-secret').update(payload).digest('hex');
+    const res = await fetch(`${base}/webhook`, {
+      method: 'POST',
+      headers: { 'X-GitHub-Event': 'pull_request', 'X-GitHub-Delivery': deliveryId, 'X-Hub-Signature-256': sig },
+      body: payload
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  before(async () => {
+    cleanup();
+    server = startWebhookServer(config);
+    await new Promise(r => server.on('listening', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  it('uses X-GitHub-Delivery as event_id and queues a redelivery once', async () => {
+    const first = await postGitHub('d-1');
+    assert.equal(first.body.status, 'queued');
+    const second = await postGitHub('d-1');
+    assert.equal(second.status, 200);
+    assert.equal(second.body.status, 'duplicate');
+
+    const events = queueLines().filter(e => e.source === 'github');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event_id, 'd-1');
+
+    const receipt = JSON.parse(readFileSync(receiptPath, 'utf8').trim().split('\n').pop());
+    assert.equal(receipt.action.kind, 'webhook.duplicate');
+    assert.equal(receipt.status, 'skipped');
+  });
+
+  it('dedups antfarm and discord deliveries by message id', async () => {
+    const post = (path, body) => fetch(`${base}${path}`, { method: 'POST', body: JSON.stringify(body) }).then(r => r.json());
+
+    assert.equal((await post('/antfarm', { id: 'm-1', room: 'r', body: 'hi' })).status, 'queued');
+    assert.equal((await post('/antfarm', { id: 'm-1', room: 'r', body: 'hi' })).status, 'duplicate');
+
+    const batch = { messages: [{ id: 'x-1', content: 'a' }, { id: 'x-2', content: 'b' }] };
+    assert.equal((await post('/discord', batch)).count, 2);
+    const again = await post('/discord', { messages: [{ id: 'x-2', content: 'b' }, { id: 'x-3', content: 'c' }] });
+    assert.equal(again.count, 1);
+    assert.equal(again.duplicates, 1);
+    assert.equal((await post('/discord', batch)).status, 'duplicate');
+  });
+
+  it('persists seen ids across restarts', async () => {
+    server.close();
+    server = startWebhookServer(config);
+    await new Promise(r => server.on('listening', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+    assert.equal((await postGitHub('d-1')).body.status, 'duplicate');
+    assert.equal((await postGitHub('d-2')).body.status, 'queued');
+  });
+
+  it('lets only one of two stores on the same file claim a delivery', () => {
+    const path = '/tmp/iak-test-dedup-claim.txt';
+    rmSync(path, { force: true });
+    const a = createDeliveryStore(path);
+    const b = createDeliveryStore(path);
+    const delivered = [];
+    const deliver = (id) => () => delivered.push(id);
+    assert.equal(a.claim('github:c-1', deliver('a1')), true);
+    assert.equal(b.claim('github:c-1', deliver('b1')), false);
+    assert.equal(b.claim('github:c-2', deliver('b2')), true);
+    assert.equal(a.claim('github:c-2', deliver('a2')), false);
+    assert.deepEqual(delivered, ['a1', 'b2']);
+    rmSync(path, { force: true });
+  });
+
+  it('keeps the delivery id unclaimed when queueing it fails', () => {
+    const path = '/tmp/iak-test-dedup-claim.txt';
+    rmSync(path, { force: true });
+    const store = createDeliveryStore(path);
+    assert.throws(() => store.claim('github:f-1', () => { throw new Error('disk full'); }), /disk full/);
+    assert.equal(store.claim('github:f-1', () => {}), true);
+    rmSync(path, { force: true });
+  });
+
+  it('answers 503 with an error receipt when the queue cannot be written', async () => {
+    const brokenQueue = '/tmp/iak-test-dedup-broken-queue';
+    rmSync(brokenQueue, { recursive: true, force: true });
+    mkdirSync(brokenQueue);  // appending to a directory fails
+    const broken = startWebhookServer({ ...config, queue: { path: brokenQueue } });
+    await new Promise(r => broken.on('listening', r));
+    try {
+      const url = `http://127.0.0.1:${broken.address().port}/antfarm`;
+      const res = await fetch(url, { method: 'POST', body: JSON.stringify({ id: 'm-503', room: 'r', body: 'hi' }) });
+      assert.equal(res.status, 503);
+      const receipt = JSON.parse(readFileSync(receiptPath, 'utf8').trim().split('\n').pop());
+      assert.equal(receipt.action.kind, 'webhook.error');
+      assert.equal(receipt.action.source, 'antfarm');
+      assert.equal(receipt.status, 'error');
+    } finally {
+      broken.close();
+      rmSync(brokenQueue, { recursive: true, force: true });
+    }
+  });
+
+  after(() => {
+    server?.close();
+    cleanup();
+  });
+});
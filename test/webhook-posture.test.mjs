@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { webhookPosture } from '../src/common/webhook-posture.mjs';
+import { runSanityCheck } from '../src/common/check.mjs';
+import { startWebhookServer } from '../src/team-relay/webhook-server.mjs';
+
+function cfg(host, github) {
+  return {
+    listen: { host, port: 0, delivery_seen_file: '/tmp/iak-test-posture-deliveries.txt' },
+    queue: { path: '/tmp/iak-test-posture-queue.jsonl' },
+    receipts: { path: '/tmp/iak-test-posture-receipts.jsonl' },
+    tmux: {},
+    github: { event_kinds: [], ...github }
+  };
+}
+
+describe('webhook posture', () => {
+  it('tolerates an unsigned webhook on loopback', () => {
+    const p = webhookPosture(cfg('127.0.0.1', { webhook_secret: '' }));
+    assert.equal(p.ok, true);
+    assert.equal(p.bind, 'loopback');
+    assert.equal(p.github, 'unsigned');
+  });
+
+  it('refuses empty and placeholder secrets on a public bind', () => {
+    assert.equal(webhookPosture(cfg('0.0.0.0', { webhook_secret: '' })).ok, false);
+    const p = webhookPosture(cfg('0.0.0.0', { webhook_secret: 'CHANGE_ME' }));
+    assert.equal(p.ok, false);
+    assert.equal(p.github, 'placeholder');
+    assert.match(p.problem, /placeholder/);
+  });
+
+  it('allows an explicit github.allow_unsigned override', () => {
+    assert.equal(webhookPosture(cfg('0.0.0.0', { webhook_secret: '', allow_unsigned: true })).ok, true);
+    assert.equal(webhookPosture(cfg('0.0.0.0', { webhook_secret: 'x', allow_unsigned: 'yes' })).ok, true);
+    assert.equal(webhookPosture(cfg('0.0.0.0', { webhook_secret: '', allow_unsigned: 'yes' })).ok, false);
+  });
+
+  it('startWebhookServer throws instead of listening unauthenticated', () => {
+    assert.throws(() => startWebhookServer(cfg('0.0.0.0', { webhook_secret: 'CHANGE_ME' })), /Refusing to start/);
+  });
+
+  it('reports the posture on /health', async () => {
+    const server = startWebhookServer(cfg('127.0.0.1', { webhook_secret: 'real-secret' }));
+    await new Promise(r => server.on('listening', r));
+    try {
+      const body = await (await fetch(`http://127.0.0.1:${server.address().port}/health`)).json();
+      assert.equal(body.auth.github, 'signed');
+      assert.equal(body.auth.bind, 'loopback');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('runSanityCheck fails the Webhook Auth rule', async () => {
+    const results = await runSanityCheck(cfg('0.0.0.0', { webhook_secret: '' }));
+    const rule = results.find(r => r.name === 'Webhook Auth');
+    assert.equal(rule.status, 'fail');
+  });
+});